@@ -1,4 +1,6 @@
 import { CommitAnalyzer } from '../services/analyzer.js';
+import { PathFilter } from '../services/pathFilter.js';
+import { SchoolCalendar } from '../services/schoolCalendar.js';
 import { jest } from '@jest/globals';
 
 describe('CommitAnalyzer', () => {
@@ -139,6 +141,79 @@ describe('CommitAnalyzer', () => {
       });
     });
 
+    describe('with explicit time zone', () => {
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('should compute specific dates in the configured zone independent of the server zone', () => {
+        const result = analyzer.getLastTimeWindow('2026-03-23', '09:55', '2026-03-23', '11:35', 'Europe/Vienna');
+
+        expect(result.since.toISOString()).toBe('2026-03-23T08:55:00.000Z');
+        expect(result.until.toISOString()).toBe('2026-03-23T10:35:00.000Z');
+      });
+
+      it('should use summer time offset after the March DST switch', () => {
+        const before = analyzer.getLastTimeWindow('2026-03-27', '09:55', '2026-03-27', '11:35', 'Europe/Vienna');
+        const after = analyzer.getLastTimeWindow('2026-03-30', '09:55', '2026-03-30', '11:35', 'Europe/Vienna');
+
+        expect(before.since.toISOString()).toBe('2026-03-27T08:55:00.000Z');
+        expect(after.since.toISOString()).toBe('2026-03-30T07:55:00.000Z');
+      });
+
+      it('should use winter time offset after the October DST switch', () => {
+        const before = analyzer.getLastTimeWindow('2026-10-23', '09:55', '2026-10-23', '11:35', 'Europe/Vienna');
+        const after = analyzer.getLastTimeWindow('2026-10-26', '09:55', '2026-10-26', '11:35', 'Europe/Vienna');
+
+        expect(before.since.toISOString()).toBe('2026-10-23T07:55:00.000Z');
+        expect(after.since.toISOString()).toBe('2026-10-26T08:55:00.000Z');
+      });
+
+      it('should resolve weekly windows in the configured zone', () => {
+        jest.useFakeTimers();
+        // Monday March 30, 2026 12:00 UTC = 14:00 in Vienna (first Monday of summer time)
+        jest.setSystemTime(new Date('2026-03-30T12:00:00Z'));
+
+        const result = analyzer.getLastTimeWindow('monday', '09:55', 'monday', '11:35', 'Europe/Vienna');
+
+        expect(result.since.toISOString()).toBe('2026-03-30T07:55:00.000Z');
+        expect(result.until.toISOString()).toBe('2026-03-30T09:35:00.000Z');
+      });
+
+      it('should keep wall-clock times for windows spanning the March DST switch', () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-03-31T12:00:00Z'));
+
+        const result = analyzer.getLastTimeWindow('friday', '12:00', 'monday', '08:00', 'Europe/Vienna');
+
+        expect(result.since.toISOString()).toBe('2026-03-27T11:00:00.000Z'); // 12:00 CET
+        expect(result.until.toISOString()).toBe('2026-03-30T06:00:00.000Z'); // 08:00 CEST
+      });
+
+      it('should handle a window on the day of the October DST switch', () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-10-25T12:00:00Z'));
+
+        const result = analyzer.getLastTimeWindow('sunday', '01:00', 'sunday', '04:00', 'Europe/Vienna');
+
+        expect(result.since.toISOString()).toBe('2026-10-24T23:00:00.000Z'); // 01:00 CEST
+        expect(result.until.toISOString()).toBe('2026-10-25T03:00:00.000Z'); // 04:00 CET
+        expect((result.until - result.since) / 3600000).toBe(4);
+      });
+
+      it('should pick the previous week when the lesson has not started yet in the configured zone', () => {
+        jest.useFakeTimers();
+        // Monday 08:30 UTC is already 10:30 in Vienna, but only 04:30 in New York
+        jest.setSystemTime(new Date('2026-03-30T08:30:00Z'));
+
+        const vienna = analyzer.getLastTimeWindow('monday', '09:55', 'monday', '11:35', 'Europe/Vienna');
+        const newYork = analyzer.getLastTimeWindow('monday', '09:55', 'monday', '11:35', 'America/New_York');
+
+        expect(vienna.since.toISOString()).toBe('2026-03-30T07:55:00.000Z');
+        expect(newYork.since.toISOString()).toBe('2026-03-23T13:55:00.000Z');
+      });
+    });
+
     describe('error handling', () => {
       it('should throw on mixed date and day name formats', () => {
         expect(() => {
@@ -148,7 +223,75 @@ describe('CommitAnalyzer', () => {
     });
   });
 
+  describe('getLessonTimeWindow', () => {
+    const calendar = new SchoolCalendar({
+      semesterStart: '2026-03-16',
+      semesterEnd: '2026-03-27',
+      slots: [{ day: 'monday', startTime: '09:55', endTime: '11:35' }]
+    }, 'Europe/Vienna');
+
+    it('should resolve the current or most recent lesson', () => {
+      const result = analyzer.getLessonTimeWindow(calendar, 'current', new Date('2026-03-25T12:00:00Z'));
+
+      expect(result.lesson.number).toBe(2);
+      expect(result.since.toISOString()).toBe('2026-03-23T08:55:00.000Z');
+      expect(result.until.toISOString()).toBe('2026-03-23T10:35:00.000Z');
+    });
+
+    it('should resolve a lesson by number', () => {
+      const result = analyzer.getLessonTimeWindow(calendar, 1);
+
+      expect(result.since.toISOString()).toBe('2026-03-16T08:55:00.000Z');
+    });
+
+    it('should throw for unknown lessons or before the semester', () => {
+      expect(() => analyzer.getLessonTimeWindow(calendar, 3)).toThrow(/does not exist/);
+      expect(() => analyzer.getLessonTimeWindow(calendar, 'current', new Date('2026-03-01T00:00:00Z')))
+        .toThrow(/No lesson/);
+    });
+  });
+
+  describe('combineCommits', () => {
+    const commit = (sha, date) => ({ sha, commit: { author: { date } } });
+
+    it('should merge commits of several time windows newest first', () => {
+      const monday = [commit('a1', '2026-03-23T10:00:00Z'), commit('a2', '2026-03-23T09:58:00Z')];
+      const thursday = [commit('b1', '2026-03-26T14:00:00Z')];
+
+      const combined = analyzer.combineCommits([monday, thursday]);
+
+      expect(combined.map(c => c.sha)).toEqual(['b1', 'a1', 'a2']);
+    });
+
+    it('should keep commits of overlapping windows only once', () => {
+      const shared = commit('shared', '2026-03-23T10:30:00Z');
+      const combined = analyzer.combineCommits([
+        [shared, commit('a1', '2026-03-23T10:00:00Z')],
+        [shared]
+      ]);
+
+      expect(combined).toHaveLength(2);
+      expect(combined.filter(c => c.sha === 'shared')).toHaveLength(1);
+    });
+
+    it('should handle windows without commits', () => {
+      expect(analyzer.combineCommits([[], []])).toEqual([]);
+    });
+  });
+
   describe('analyzeCommits', () => {
+    it('should count commits per branch', () => {
+      const commits = [
+        { stats: { additions: 1, deletions: 0 }, branches: ['main', 'feature'] },
+        { stats: { additions: 2, deletions: 0 }, branches: ['feature'] },
+        { stats: { additions: 3, deletions: 0 } }
+      ];
+
+      const stats = analyzer.analyzeCommits(commits);
+
+      expect(stats.commitsPerBranch).toEqual({ main: 1, feature: 2 });
+    });
+
     it('should calculate stats from commit array', () => {
       const commits = [
         {
@@ -254,5 +397,71 @@ describe('CommitAnalyzer', () => {
       expect(stats.totalLinesChanged).toBe(63);
       expect(stats.avgLinesPerCommit).toBe(32); // 63 / 2 rounded
     });
+
+    it('should report the lines excluded by each path rule', () => {
+      const commits = [
+        {
+          files: [
+            { filename: 'src/App.java', additions: 20, deletions: 4 },
+            { filename: 'target/surefire-reports/AppTest.txt', additions: 300, deletions: 0 },
+            { filename: '.idea/workspace.xml', additions: 40, deletions: 10 }
+          ]
+        },
+        {
+          files: [
+            { filename: 'out/production/App.class', additions: 120, deletions: 0 }
+          ]
+        }
+      ];
+
+      const stats = analyzer.analyzeCommits(commits, new PathFilter());
+
+      expect(stats.countedCommits).toBe(1);
+      expect(stats.totalLinesChanged).toBe(24);
+      expect(stats.excludedLines).toBe(470);
+      expect(stats.excludedLinesByRule).toEqual({ 'target/': 300, '.idea/': 50, '*.class': 120 });
+    });
+
+    it('should group stats by author', () => {
+      const commit = (login, name, email, date, additions, deletions) => ({
+        author: login ? { login } : null,
+        commit: { author: { name, email, date } },
+        stats: { additions, deletions }
+      });
+      const commits = [
+        commit(null, 'Max  Mueller', 'Max.Mueller@schule.at', '2026-03-23T10:30:00Z', 5, 1),
+        commit('anna-k', 'Anna K', 'anna@example.com', '2026-03-23T10:20:00Z', 20, 4),
+        commit(null, 'Anna', '12345+anna-k@users.noreply.github.com', '2026-03-23T10:10:00Z', 8, 0),
+        commit(null, 'max mueller', 'max.mueller@schule.at', '2026-03-23T10:00:00Z', 3, 3)
+      ];
+
+      const { authors } = analyzer.analyzeCommits(commits);
+
+      expect(authors).toEqual([
+        {
+          key: 'login:anna-k', login: 'anna-k', name: 'Anna K', email: 'anna@example.com', anonymous: false,
+          commitCount: 2, countedCommits: 2, additions: 28, deletions: 4, linesChanged: 32,
+          firstCommitDate: '2026-03-23T10:10:00Z', lastCommitDate: '2026-03-23T10:20:00Z'
+        },
+        {
+          key: 'email:max.mueller@schule.at', login: null, name: 'Max Mueller', email: 'max.mueller@schule.at', anonymous: false,
+          commitCount: 2, countedCommits: 2, additions: 8, deletions: 4, linesChanged: 12,
+          firstCommitDate: '2026-03-23T10:00:00Z', lastCommitDate: '2026-03-23T10:30:00Z'
+        }
+      ]);
+    });
+
+    it('should identify authors without email by their normalized name', () => {
+      expect(analyzer.getAuthorIdentity({ commit: { author: { name: ' Lena  Huber ' } } }))
+        .toEqual({ key: 'name:lena huber', login: null, name: 'Lena Huber', email: null, anonymous: false });
+      expect(analyzer.getAuthorIdentity({}).key).toBe('unknown');
+    });
+
+    it('should fall back to stats for commits without files', () => {
+      const stats = analyzer.analyzeCommits([{ stats: { additions: 7, deletions: 1 } }], new PathFilter());
+
+      expect(stats.totalLinesChanged).toBe(8);
+      expect(stats.excludedLines).toBe(0);
+    });
   });
 });
@@ -0,0 +1,126 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { jest } from '@jest/globals';
+import { CommitCache } from '../services/commitCache.js';
+
+describe('CommitCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'commit-cache-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('commits', () => {
+    it('should store and return commit details by SHA', () => {
+      const cache = new CommitCache();
+      cache.setCommit('org', 'repo', 'abc', { sha: 'abc', stats: { additions: 1 } });
+
+      expect(cache.getCommit('org', 'repo', 'abc')).toEqual({ sha: 'abc', stats: { additions: 1 } });
+      expect(cache.getCommit('org', 'other', 'abc')).toBeUndefined();
+    });
+
+    it('should evict the least recently used commits beyond maxCommits', () => {
+      const cache = new CommitCache({ maxCommits: 2 });
+      cache.setCommit('org', 'repo', 'a', { sha: 'a' });
+      cache.setCommit('org', 'repo', 'b', { sha: 'b' });
+      cache.getCommit('org', 'repo', 'a'); // a is now more recent than b
+      cache.setCommit('org', 'repo', 'c', { sha: 'c' });
+
+      expect(cache.getCommit('org', 'repo', 'a')).toBeDefined();
+      expect(cache.getCommit('org', 'repo', 'b')).toBeUndefined();
+      expect(cache.getCommit('org', 'repo', 'c')).toBeDefined();
+    });
+
+    it('should evict entries when the size limit is exceeded', () => {
+      const cache = new CommitCache({ maxSizeMB: 0.001 }); // ~1 KB
+      cache.setCommit('org', 'repo', 'a', { patch: 'x'.repeat(600) });
+      cache.setCommit('org', 'repo', 'b', { patch: 'y'.repeat(600) });
+
+      expect(cache.getCommit('org', 'repo', 'a')).toBeUndefined();
+      expect(cache.getCommit('org', 'repo', 'b')).toBeDefined();
+      expect(cache.getStats().sizeBytes).toBeLessThanOrEqual(1048.576);
+    });
+
+    it('should evict the least recently used of commits and ETags for the size limit', () => {
+      const cache = new CommitCache({ maxSizeMB: 0.001 }); // ~1 KB
+      cache.setCommit('org', 'repo', 'a', { patch: 'x'.repeat(400) });
+      cache.setEtag('/repos/org/repo/commits', 'org', 'etag', 'y'.repeat(400));
+      cache.getCommit('org', 'repo', 'a'); // the ETag is now the oldest entry
+      cache.setCommit('org', 'repo', 'b', { patch: 'z'.repeat(400) });
+
+      expect(cache.getEtag('/repos/org/repo/commits')).toBeUndefined();
+      expect(cache.getStats()).toMatchObject({ commits: 2, etags: 0 });
+    });
+  });
+
+  describe('etags', () => {
+    it('should store ETag and body of list requests', () => {
+      const cache = new CommitCache();
+      cache.setEtag('/orgs/org/repos?page=1', 'org', 'W/"123"', [{ name: 'repo' }]);
+
+      expect(cache.getEtag('/orgs/org/repos?page=1')).toEqual({ etag: 'W/"123"', data: [{ name: 'repo' }] });
+    });
+  });
+
+  describe('purgeOrganization', () => {
+    it('should remove commits and ETags of one organization only', () => {
+      const cache = new CommitCache();
+      cache.setCommit('2CI', 'repo', 'a', { sha: 'a' });
+      cache.setCommit('2BI', 'repo', 'b', { sha: 'b' });
+      cache.setEtag('/orgs/2CI/repos', '2CI', 'etag', []);
+
+      const removed = cache.purgeOrganization('2ci');
+
+      expect(removed).toEqual({ commits: 1, etags: 1 });
+      expect(cache.getCommit('2BI', 'repo', 'b')).toBeDefined();
+      expect(cache.getStats()).toMatchObject({ commits: 1, etags: 0 });
+    });
+  });
+
+  describe('persistence', () => {
+    it('should save to and load from disk', () => {
+      const filePath = join(dir, 'cache', 'github.json');
+      const cache = new CommitCache({ filePath });
+      cache.setCommit('org', 'repo', 'abc', { sha: 'abc' });
+      cache.setEtag('/orgs/org/repos', 'org', 'etag-1', [{ name: 'repo' }]);
+      cache.save();
+
+      const reloaded = new CommitCache({ filePath });
+      reloaded.load();
+
+      expect(reloaded.getCommit('org', 'repo', 'abc')).toEqual({ sha: 'abc' });
+      expect(reloaded.getEtag('/orgs/org/repos').etag).toBe('etag-1');
+      expect(reloaded.getStats().sizeBytes).toBe(cache.getStats().sizeBytes);
+    });
+
+    it('should restore the access order of a file not saved in that order', () => {
+      const filePath = join(dir, 'github.json');
+      const entry = (sha, lastAccess) => [`org/repo@${sha}`, { owner: 'org', data: { sha }, size: 11, lastAccess }];
+      writeFileSync(filePath, JSON.stringify({ clock: 3, commits: [entry('c', 3), entry('a', 1), entry('b', 2)], etags: [] }));
+
+      const cache = new CommitCache({ filePath, maxCommits: 3 });
+      cache.load();
+      cache.setCommit('org', 'repo', 'd', { sha: 'd' });
+
+      expect(cache.getCommit('org', 'repo', 'a')).toBeUndefined();
+      expect(['b', 'c', 'd'].every(sha => cache.getCommit('org', 'repo', sha))).toBe(true);
+    });
+
+    it('should start empty when the cache file is corrupt', () => {
+      const filePath = join(dir, 'broken.json');
+      writeFileSync(filePath, '{ not json');
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const cache = new CommitCache({ filePath });
+      cache.load();
+
+      expect(cache.getStats().commits).toBe(0);
+      errorSpy.mockRestore();
+    });
+  });
+});
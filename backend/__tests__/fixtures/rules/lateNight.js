@@ -0,0 +1,15 @@
+// Example of an additional rule: commits between 22:00 and 05:00 UTC
+export default {
+  type: 'LATE_NIGHT_COMMIT',
+  settings: { enabled: true, points: 5, severity: 'low' },
+  thresholds: { lateNightStartHour: 22 },
+  suppresses: ['GENERIC_MESSAGES'],
+
+  check({ commits, thresholds }) {
+    const late = commits.filter(commit => {
+      const hour = new Date(commit.commit.author.date).getUTCHours();
+      return hour >= thresholds.lateNightStartHour || hour < 5;
+    });
+    return late.length > 0 ? [{ message: `${late.length} commits at night` }] : [];
+  }
+};
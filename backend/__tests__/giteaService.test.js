@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { ApiError } from '../services/apiService.js';
+import { CommitCache } from '../services/commitCache.js';
+import { GiteaService } from '../services/giteaService.js';
+
+// Responses recorded from a Gitea instance (trimmed), keyed by method, URL and query parameters
+const recording = JSON.parse(readFileSync(new URL('./fixtures/gitea-recording.json', import.meta.url), 'utf-8'));
+
+const queryOf = (params = {}) => new URLSearchParams(Object.entries(params).map(([key, value]) => [key, String(value)]).sort()).toString();
+
+// Replay the recording instead of sending requests, failing like axios for error statuses
+const replay = (entries) => jest.fn(async (config) => {
+  const entry = entries.find(({ request }) =>
+    request.method === config.method && request.url === config.url && queryOf(request.params) === queryOf(config.params));
+  if (!entry) {
+    throw new Error(`No recorded response for ${config.method} ${config.url}?${queryOf(config.params)}`);
+  }
+  const response = { status: entry.response.status, headers: entry.response.headers, data: entry.response.body };
+  if (response.status >= 400) {
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = response;
+    throw error;
+  }
+  return response;
+});
+
+const SHA = {
+  stack: '3f2a9c1d7e4b8a6f0c5d2e9b1a7f4c8d6e3b0a9f',
+  setup: '8b1e4d7a2c9f6e3b0d5a8c1f4e7b2d9a6c3f0e5b',
+  feature: '5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b'
+};
+
+describe('GiteaService', () => {
+  const since = new Date('2026-03-23T08:55:00Z');
+  const until = new Date('2026-03-23T10:35:00Z');
+  let service;
+
+  beforeEach(() => {
+    service = new GiteaService('gitea-test-token', { baseUrl: 'https://gitea.htl.example', maxRetries: 0 });
+    service.client.request = replay(recording);
+  });
+
+  it('should require the URL of the instance', () => {
+    expect(() => new GiteaService('token')).toThrow('requires baseUrl');
+  });
+
+  it('should use the API v1 of the configured instance', () => {
+    expect(service.client.defaults.baseURL).toBe('https://gitea.htl.example/api/v1');
+    expect(service.client.defaults.headers['Authorization']).toBe('token gitea-test-token');
+  });
+
+  describe('getOrgRepositories', () => {
+    it('should follow pagination with Gitea\'s page size', async () => {
+      const repos = await service.getOrgRepositories('2ci');
+
+      expect(repos).toHaveLength(52);
+      expect(repos[50]).toMatchObject({ name: 'alice', html_url: 'https://gitea.htl.example/2ci/alice', default_branch: 'main' });
+      expect(repos[51].template).toBe(true);
+    });
+  });
+
+  describe('getRepositoryCommits', () => {
+    it('should normalize commits to the REST shape and filter by author date', async () => {
+      const commits = await service.getRepositoryCommits('2ci', 'alice', since, until);
+
+      expect(commits.map(commit => commit.sha)).toEqual([SHA.stack, SHA.setup]);
+      expect(commits[0]).toEqual({
+        sha: SHA.stack,
+        html_url: `https://gitea.htl.example/2ci/alice/commit/${SHA.stack}`,
+        parents: [{ sha: SHA.setup }],
+        author: { login: 'aberger' },
+        committer: { login: 'aberger' },
+        commit: {
+          message: 'Add Stack implementation',
+          author: { name: 'Anna Berger', email: 'anna.berger@schule.example', date: '2026-03-23T09:48:12Z' },
+          committer: { name: 'Anna Berger', email: 'anna.berger@schule.example', date: '2026-03-23T09:48:12Z' }
+        },
+        stats: { additions: 14, deletions: 2, total: 16 }
+      });
+    });
+
+    it('should list commits committed after the time window and keep those authored in it', async () => {
+      // Authored during the lesson, rebased two days later
+      const rebased = recording.map(entry => {
+        if (entry.request.url !== '/repos/2ci/alice/commits' || entry.request.params.sha) {
+          return entry;
+        }
+        const [latest] = entry.response.body;
+        const commit = { ...latest.commit, committer: { ...latest.commit.committer, date: '2026-03-25T18:02:00+01:00' } };
+        return { ...entry, response: { ...entry.response, body: [{ ...latest, sha: 'rebased', commit }, ...entry.response.body] } };
+      });
+      service.client.request = replay(rebased);
+
+      const commits = await service.getRepositoryCommits('2ci', 'alice', since, until);
+
+      expect(service.client.request.mock.calls[0][0].params.until).toBe('2026-03-30T10:35:00.000Z');
+      expect(commits.map(commit => commit.sha)).toEqual(['rebased', SHA.stack, SHA.setup]);
+      expect(commits[0].commit.committer.date).toBe('2026-03-25T17:02:00Z');
+    });
+
+    it('should label commits with their branches when reading all branches', async () => {
+      const commits = await service.getRepositoryCommits('2ci', 'alice', since, until, { branches: 'all', defaultBranch: 'main' });
+
+      expect(commits.map(commit => [commit.sha, commit.branches])).toEqual([
+        [SHA.stack, ['main']],
+        [SHA.feature, ['feature']],
+        [SHA.setup, ['main', 'feature']]
+      ]);
+      // Commits by an email without Gitea account have no login
+      expect(commits[1].author).toBeNull();
+    });
+
+    it('should raise an ApiError for unknown repositories', async () => {
+      const promise = service.getRepositoryCommits('2ci', 'nobody', since, until);
+
+      await expect(promise).rejects.toBeInstanceOf(ApiError);
+      await expect(promise).rejects.toThrow('Gitea API /repos/2ci/nobody/commits failed with HTTP 404: The target couldn\'t be found.');
+    });
+  });
+
+  describe('getCommitDetails', () => {
+    it('should count per-file stats from the commit diff', async () => {
+      const details = await service.getCommitDetails('2ci', 'alice', SHA.stack);
+
+      expect(details.files).toEqual([
+        { filename: 'src/Stack.java', additions: 12, deletions: 2, changes: 14, patch: expect.stringMatching(/^@@ -1,3 \+1,14 @@\n public class Stack \{\n/) },
+        { filename: 'NOTES.md', additions: 0, deletions: 1, changes: 1, patch: '@@ -1 +0,0 @@\n-notes' },
+        { filename: 'docs/diagram.png', additions: 0, deletions: 0, changes: 0 }
+      ]);
+      expect(details.stats).toEqual({ additions: 12, deletions: 3, total: 15 });
+    });
+
+    it('should serve repeated lookups from the cache', async () => {
+      service = new GiteaService('gitea-test-token', { baseUrl: 'https://gitea.htl.example', cache: new CommitCache() });
+      service.client.request = replay(recording);
+
+      await service.getCommitDetails('2ci', 'alice', SHA.stack);
+      const details = await service.getCommitDetails('2ci', 'alice', SHA.stack);
+
+      expect(details.sha).toBe(SHA.stack);
+      expect(service.client.request).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -1,4 +1,21 @@
-import { GitHubService } from '../services/github.js';
+import { jest } from '@jest/globals';
+import { CommitCache } from '../services/commitCache.js';
+import { GitHubApiError, GitHubService, getTokenType } from '../services/github.js';
+
+// Build an axios-like error for a failed HTTP response
+const httpError = (status, headers = {}, data = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data };
+  return error;
+};
+
+const rateLimitHeaders = (remaining, resetSeconds, resource = 'core') => ({
+  'x-ratelimit-limit': '5000',
+  'x-ratelimit-remaining': String(remaining),
+  'x-ratelimit-used': String(5000 - remaining),
+  'x-ratelimit-reset': String(resetSeconds),
+  'x-ratelimit-resource': resource
+});
 
 describe('GitHubService', () => {
   let service;
@@ -68,4 +85,371 @@ describe('GitHubService', () => {
       expect(typeof service1.getCommitDetails).toBe(typeof service2.getCommitDetails);
     });
   });
+
+  describe('Rate limits and retries', () => {
+    let sleep;
+
+    beforeEach(() => {
+      sleep = jest.fn().mockResolvedValue(undefined);
+      service = new GitHubService(mockToken, { sleep, baseDelayMs: 100, maxRetries: 3 });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should record the remaining budget from response headers', async () => {
+      const reset = Math.floor(Date.now() / 1000) + 600;
+      service.client.request = jest.fn().mockResolvedValue({ data: [], headers: rateLimitHeaders(4321, reset) });
+
+      await service.getOrgRepositories('org');
+
+      expect(service.getRateLimitStatus().core).toEqual({
+        limit: 5000,
+        remaining: 4321,
+        used: 679,
+        reset: new Date(reset * 1000).toISOString()
+      });
+    });
+
+    it('should limit the number of requests in flight', async () => {
+      service = new GitHubService(mockToken, { sleep, concurrency: 2 });
+      let running = 0;
+      let maxRunning = 0;
+      service.client.request = jest.fn().mockImplementation(async (config) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return { data: { sha: config.url.split('/').pop() }, headers: {} };
+      });
+
+      const details = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(sha => service.getCommitDetails('org', 'repo', sha)));
+
+      expect(details.map(commit => commit.sha)).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(maxRunning).toBe(2);
+    });
+
+    it('should pause concurrent requests once the reserved budget is used up', async () => {
+      const reset = Math.floor(Date.now() / 1000) + 60;
+      service = new GitHubService(mockToken, { sleep, concurrency: 5 });
+      service.client.request = jest.fn().mockResolvedValue({ data: {}, headers: rateLimitHeaders(2, reset) });
+      await service.getCommitDetails('org', 'repo', 'first');
+      service.client.request.mockResolvedValue({ data: {}, headers: {} });
+
+      await Promise.all(['a', 'b', 'c'].map(sha => service.getCommitDetails('org', 'repo', sha)));
+
+      // Two requests fit into the remaining budget, the third waits for the reset
+      expect(sleep).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry server errors with exponential backoff', async () => {
+      service.client.request = jest.fn()
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValueOnce({ data: { sha: 'abc' }, headers: {} });
+
+      const details = await service.getCommitDetails('org', 'repo', 'abc');
+
+      expect(details).toEqual({ sha: 'abc' });
+      expect(sleep.mock.calls.map(call => call[0])).toEqual([100, 200]);
+    });
+
+    it('should honour Retry-After for secondary rate limits', async () => {
+      service.client.request = jest.fn()
+        .mockRejectedValueOnce(httpError(403, { 'retry-after': '30' }, { message: 'You have exceeded a secondary rate limit' }))
+        .mockResolvedValueOnce({ data: [], headers: {} });
+
+      await service.getOrgRepositories('org');
+
+      expect(sleep).toHaveBeenCalledWith(30000);
+    });
+
+    it('should wait for the reset when the primary rate limit is exhausted', async () => {
+      const reset = Math.floor(Date.now() / 1000) + 120;
+      service.client.request = jest.fn()
+        .mockRejectedValueOnce(httpError(403, rateLimitHeaders(0, reset), { message: 'API rate limit exceeded' }))
+        .mockResolvedValueOnce({ data: [], headers: rateLimitHeaders(5000, reset + 3600) });
+
+      await service.getOrgRepositories('org');
+
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep.mock.calls[0][0]).toBeGreaterThan(100000);
+      expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(121000);
+    });
+
+    it('should pause before a request when the known budget is used up', async () => {
+      service.rateLimits.core = { limit: 5000, remaining: 0, used: 5000, reset: new Date(Date.now() + 60000).toISOString() };
+      service.client.request = jest.fn().mockResolvedValue({ data: [], headers: {} });
+
+      await service.getOrgRepositories('org');
+
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(service.client.request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up when the rate limit resets too far in the future', async () => {
+      service.maxWaitMs = 60000;
+      service.rateLimits.core = { limit: 5000, remaining: 0, used: 5000, reset: new Date(Date.now() + 3600000).toISOString() };
+      service.client.request = jest.fn();
+
+      await expect(service.getOrgRepositories('org')).rejects.toMatchObject({ rateLimited: true });
+      expect(service.client.request).not.toHaveBeenCalled();
+    });
+
+    it('should throw GitHubApiError without retrying client errors', async () => {
+      service.client.request = jest.fn().mockRejectedValue(httpError(404, {}, { message: 'Not Found' }));
+
+      const promise = service.getRepositoryCommits('org', 'missing', new Date(), new Date());
+
+      await expect(promise).rejects.toBeInstanceOf(GitHubApiError);
+      await expect(promise).rejects.toMatchObject({ status: 404 });
+      expect(service.client.request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw after exhausting retries instead of returning empty data', async () => {
+      service.client.request = jest.fn().mockRejectedValue(httpError(502));
+
+      await expect(service.getRepositoryCommits('org', 'repo', new Date(), new Date()))
+        .rejects.toThrow(/HTTP 502/);
+      expect(service.client.request).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('Caching', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new CommitCache();
+      service = new GitHubService(mockToken, { cache });
+    });
+
+    it('should never fetch the details of a known SHA twice', async () => {
+      service.client.request = jest.fn().mockResolvedValue({ status: 200, data: { sha: 'abc', files: [] }, headers: {} });
+
+      await service.getCommitDetails('org', 'repo', 'abc');
+      const second = await service.getCommitDetails('org', 'repo', 'abc');
+
+      expect(second).toEqual({ sha: 'abc', files: [] });
+      expect(service.client.request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send If-None-Match and reuse the cached list on 304', async () => {
+      service.client.request = jest.fn()
+        .mockResolvedValueOnce({ status: 200, data: [{ name: 'repo' }], headers: { etag: 'W/"v1"' } })
+        .mockResolvedValueOnce({ status: 304, data: '', headers: { etag: 'W/"v1"' } });
+
+      await service.getOrgRepositories('org');
+      const repos = await service.getOrgRepositories('org');
+
+      expect(repos).toEqual([{ name: 'repo' }]);
+      expect(service.client.request.mock.calls[0][0].headers).toEqual({});
+      expect(service.client.request.mock.calls[1][0].headers).toEqual({ 'If-None-Match': 'W/"v1"' });
+      expect(service.client.request.mock.calls[1][0].validateStatus(304)).toBe(true);
+    });
+
+    it('should store the ETag per query (e.g. per time window)', async () => {
+      service.client.request = jest.fn().mockResolvedValue({ status: 200, data: [], headers: { etag: '"list"' } });
+
+      await service.getRepositoryCommits('org', 'repo', new Date('2026-03-23T08:55:00Z'), new Date('2026-03-23T10:35:00Z'));
+      await service.getRepositoryCommits('org', 'repo', new Date('2026-03-26T12:25:00Z'), new Date('2026-03-26T14:05:00Z'));
+
+      expect(service.client.request.mock.calls[1][0].headers).toEqual({});
+      expect(cache.getStats().etags).toBe(2);
+    });
+  });
+
+  describe('All branches', () => {
+    const since = new Date('2026-03-23T08:55:00Z');
+    const until = new Date('2026-03-23T10:35:00Z');
+    const restCommit = (sha, date) => ({ sha, commit: { author: { name: 'Student', date } } });
+
+    // Route list requests by URL and sha parameter
+    const mockApi = ({ branches, pulls = [], commitsByRef }) => jest.fn(async (config) => {
+      if (config.url.endsWith('/branches')) {
+        return { status: 200, data: branches, headers: {} };
+      }
+      if (config.url.endsWith('/pulls')) {
+        return { status: 200, data: pulls, headers: {} };
+      }
+      return { status: 200, data: commitsByRef[config.params.sha ?? 'default'] || [], headers: {} };
+    });
+
+    it('should only read the default branch without the option', async () => {
+      service.client.request = mockApi({ branches: [], commitsByRef: { default: [restCommit('a1', '2026-03-23T09:00:00Z')] } });
+
+      const commits = await service.getRepositoryCommits('org', 'repo', since, until);
+
+      expect(commits.map(commit => commit.sha)).toEqual(['a1']);
+      expect(commits[0].branches).toBeUndefined();
+      expect(service.client.request).toHaveBeenCalledTimes(1);
+      expect(service.client.request.mock.calls[0][0].params.sha).toBeUndefined();
+    });
+
+    it('should collect commits of all branches and de-duplicate them by SHA', async () => {
+      service.client.request = mockApi({
+        branches: [
+          { name: 'feature', commit: { sha: 'f2' } },
+          { name: 'main', commit: { sha: 'm1' } }
+        ],
+        commitsByRef: {
+          main: [restCommit('m1', '2026-03-23T09:10:00Z')],
+          feature: [restCommit('f2', '2026-03-23T09:40:00Z'), restCommit('m1', '2026-03-23T09:10:00Z')]
+        }
+      });
+
+      const commits = await service.getRepositoryCommits('org', 'repo', since, until, { branches: 'all', defaultBranch: 'main' });
+
+      expect(commits.map(commit => commit.sha)).toEqual(['f2', 'm1']);
+      expect(commits[0].branches).toEqual(['feature']);
+      // Default branch is listed first
+      expect(commits[1].branches).toEqual(['main', 'feature']);
+    });
+
+    it('should include heads of open pull requests from forks', async () => {
+      service.client.request = mockApi({
+        branches: [{ name: 'main', commit: { sha: 'm1' } }],
+        pulls: [
+          { number: 3, head: { ref: 'main', sha: 'm1' } },
+          { number: 7, head: { ref: 'fix', sha: 'p1' } }
+        ],
+        commitsByRef: {
+          main: [],
+          p1: [restCommit('p1', '2026-03-23T10:00:00Z')]
+        }
+      });
+
+      const commits = await service.getRepositoryCommits('org', 'repo', since, until, { branches: 'all', includePullRequests: true });
+
+      expect(commits).toHaveLength(1);
+      expect(commits[0].branches).toEqual(['PR #7 (fix)']);
+      // PR #3 points at a branch tip and is not fetched again
+      const refs = service.client.request.mock.calls.map(call => call[0].params?.sha).filter(Boolean);
+      expect(refs).toEqual(['main', 'p1']);
+    });
+  });
+
+  describe('Push history', () => {
+    const activity = (timestamp, after, type = 'push') => ({
+      timestamp, after, before: 'b0', ref: 'refs/heads/main', activity_type: type, actor: { login: 'max-m' }
+    });
+
+    it('should read pushes from the activity API following the cursor until the oldest one of interest', async () => {
+      service.client.request = jest.fn()
+        .mockResolvedValueOnce({
+          status: 200,
+          data: [activity('2026-03-24T18:00:00Z', 'c3'), activity('2026-03-24T17:00:00Z', 'c2', 'branch_deletion')],
+          headers: { link: '<https://api.github.com/repositories/1/activity?per_page=100&after=cursor-2>; rel="next"' }
+        })
+        .mockResolvedValueOnce({
+          status: 200,
+          data: [activity('2026-03-23T10:30:00Z', 'c1'), activity('2026-03-20T10:30:00Z', 'c0')],
+          headers: { link: '<https://api.github.com/repositories/1/activity?per_page=100&after=cursor-3>; rel="next"' }
+        });
+
+      const pushes = await service.getPushes('org', 'repo', new Date('2026-03-23T08:55:00Z'));
+
+      expect(pushes).toEqual([
+        { pushedAt: '2026-03-24T18:00:00Z', ref: 'main', before: 'b0', after: 'c3', actor: 'max-m' },
+        { pushedAt: '2026-03-23T10:30:00Z', ref: 'main', before: 'b0', after: 'c1', actor: 'max-m' }
+      ]);
+      expect(service.client.request).toHaveBeenCalledTimes(2);
+      expect(service.client.request.mock.calls[1][0]).toMatchObject({ url: '/repos/org/repo/activity', params: { after: 'cursor-2' } });
+    });
+
+    it('should list commits committed after the time window', async () => {
+      service.client.request = jest.fn().mockResolvedValue({
+        status: 200,
+        // Authored during the lesson, amended in the evening
+        data: [{ sha: 'a1', commit: { author: { date: '2026-03-23T09:30:00Z' }, committer: { date: '2026-03-23T19:30:00Z' } } }],
+        headers: {}
+      });
+
+      const commits = await service.getRepositoryCommits('org', 'repo', new Date('2026-03-23T08:55:00Z'), new Date('2026-03-23T10:35:00Z'));
+
+      expect(commits.map(commit => commit.sha)).toEqual(['a1']);
+      // Up to a week after the window, not the whole history committed since the lesson
+      expect(service.client.request.mock.calls[0][0].params.until).toBe('2026-03-30T10:35:00.000Z');
+    });
+  });
+
+  describe('Template content', () => {
+    it('should read the commits of a template repository and the files of its latest tree', async () => {
+      service.client.request = jest.fn(async (config) => {
+        if (config.url === '/repos/buc-htl/uebung-07-template/commits') {
+          return { status: 200, data: [{ sha: 't2', commit: { tree: { sha: 'tree-2' } } }, { sha: 't1', commit: { tree: { sha: 'tree-1' } } }], headers: {} };
+        }
+        return {
+          status: 200,
+          data: { tree: [{ path: 'src', type: 'tree', sha: 'dir' }, { path: 'src/Main.java', type: 'blob', sha: 'blob-main' }] },
+          headers: {}
+        };
+      });
+
+      const content = await service.getTemplateContent('buc-htl', 'uebung-07-template');
+
+      expect(content).toEqual({
+        commits: [{ sha: 't2', tree: 'tree-2' }, { sha: 't1', tree: 'tree-1' }],
+        files: [{ path: 'src/Main.java', sha: 'blob-main' }]
+      });
+      expect(service.client.request.mock.calls[1][0]).toMatchObject({ url: '/repos/buc-htl/uebung-07-template/git/trees/tree-2', params: { recursive: 1 } });
+    });
+  });
+
+  describe('Credential check', () => {
+    const respond = (scopes, orgStatus = 200) => jest.fn(async (config) => {
+      if (config.url === '/rate_limit') {
+        return { data: {}, headers: scopes === null ? {} : { 'x-oauth-scopes': scopes } };
+      }
+      if (orgStatus !== 200) {
+        throw httpError(orgStatus, {}, { message: 'Not Found' });
+      }
+      return { data: [], headers: {} };
+    });
+
+    it('should recognize token types by prefix', () => {
+      expect(getTokenType('ghp_abc').type).toBe('classic');
+      expect(getTokenType('github_pat_11AB').type).toBe('fine-grained');
+      expect(getTokenType('ghs_abc').type).toBe('installation');
+      expect(getTokenType('0123456789abcdef0123456789abcdef01234567').type).toBe('classic');
+      expect(getTokenType('something').type).toBe('unknown');
+    });
+
+    it('should accept a classic token with repo and org scopes', async () => {
+      service = new GitHubService('ghp_valid');
+      service.client.request = respond('repo, admin:org, workflow');
+
+      await expect(service.checkAccess('org')).resolves.toBe('classic personal access token (scopes: repo, admin:org, workflow)');
+    });
+
+    it('should name missing scopes of a classic token', async () => {
+      service = new GitHubService('ghp_valid');
+      service.client.request = respond('public_repo');
+
+      await expect(service.checkAccess('org')).rejects.toThrow('classic personal access token lacks the scopes repo, read:org (has: public_repo)');
+    });
+
+    it('should report fine-grained tokens without access to the organization', async () => {
+      service = new GitHubService('github_pat_valid', { maxRetries: 0 });
+      service.client.request = respond(null, 404);
+
+      await expect(service.checkAccess('org')).rejects.toThrow('fine-grained personal access token has no access to organization org');
+    });
+
+    it('should report invalid tokens', async () => {
+      service = new GitHubService('ghp_revoked', { maxRetries: 0 });
+      service.client.request = jest.fn().mockRejectedValue(httpError(401, {}, { message: 'Bad credentials' }));
+
+      await expect(service.checkAccess('org')).rejects.toThrow('classic personal access token is invalid or expired');
+    });
+
+    it('should reject installation tokens, which expire after an hour', async () => {
+      service = new GitHubService('ghs_short_lived');
+      service.client.request = jest.fn();
+
+      await expect(service.checkAccess('org')).rejects.toThrow('configure the GitHub App');
+      expect(service.client.request).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import { createVerify, generateKeyPairSync } from 'crypto';
+import { GitHubApiError, GitHubService } from '../services/github.js';
+import { GitHubAppAuth } from '../services/githubAppAuth.js';
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString());
+
+// Build an axios-like error for a failed HTTP response
+const httpError = (status, data = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: {}, data };
+  return error;
+};
+
+describe('GitHubAppAuth', () => {
+  let now;
+  let auth;
+  let tokenCount;
+
+  beforeEach(() => {
+    now = Date.parse('2026-03-23T09:00:00Z');
+    tokenCount = 0;
+    auth = new GitHubAppAuth({ appId: 123456, privateKey, now: () => now, maxRetries: 0 });
+    auth.client.request = jest.fn(async (config) => {
+      if (config.url === '/orgs/25-26-2CI-SEW/installation') {
+        return { data: { id: 987 }, headers: {} };
+      }
+      if (config.url === '/app/installations/987/access_tokens') {
+        tokenCount++;
+        return {
+          data: {
+            token: `ghs_installation${tokenCount}`,
+            expires_at: new Date(now + 60 * 60 * 1000).toISOString(),
+            permissions: { contents: 'read', metadata: 'read' }
+          },
+          headers: {}
+        };
+      }
+      throw httpError(404, { message: 'Not Found' });
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reject a missing App ID or private key', () => {
+    expect(() => new GitHubAppAuth({ privateKey })).toThrow('GitHub App ID must be numeric');
+    expect(() => new GitHubAppAuth({ appId: 1, privateKey: 'not a key' })).toThrow('Invalid GitHub App private key');
+  });
+
+  describe('createJwt', () => {
+    it('should sign a 10 minute JWT issued by the App with RS256', () => {
+      const [header, payload, signature] = auth.createJwt().split('.');
+
+      expect(decode(header)).toEqual({ alg: 'RS256', typ: 'JWT' });
+      const issuedAt = Math.floor(now / 1000) - 60;
+      expect(decode(payload)).toEqual({ iss: '123456', iat: issuedAt, exp: issuedAt + 600 });
+      const valid = createVerify('RSA-SHA256').update(`${header}.${payload}`).verify(publicKey, signature, 'base64url');
+      expect(valid).toBe(true);
+    });
+  });
+
+  describe('getInstallationToken', () => {
+    it('should look up the installation with the JWT and exchange it for a token', async () => {
+      const token = await auth.getInstallationToken('25-26-2CI-SEW');
+
+      expect(token).toBe('ghs_installation1');
+      const [lookup, exchange] = auth.client.request.mock.calls.map(call => call[0]);
+      expect(lookup.headers.Authorization).toMatch(/^Bearer [\w-]+\.[\w-]+\.[\w-]+$/);
+      expect(exchange).toMatchObject({ method: 'post', url: '/app/installations/987/access_tokens' });
+    });
+
+    it('should share one exchange between concurrent requests and reuse the token', async () => {
+      const tokens = await Promise.all([1, 2, 3].map(() => auth.getInstallationToken('25-26-2CI-SEW')));
+      now += 30 * 60 * 1000;
+      tokens.push(await auth.getInstallationToken('25-26-2CI-SEW'));
+
+      expect(new Set(tokens)).toEqual(new Set(['ghs_installation1']));
+      expect(tokenCount).toBe(1);
+    });
+
+    it('should renew the token shortly before it expires', async () => {
+      await auth.getInstallationToken('25-26-2CI-SEW');
+      now += 56 * 60 * 1000;
+
+      await expect(auth.getInstallationToken('25-26-2CI-SEW')).resolves.toBe('ghs_installation2');
+      // The installation id is looked up only once
+      expect(auth.client.request.mock.calls.filter(call => call[0].url.endsWith('/installation'))).toHaveLength(1);
+    });
+
+    it('should report organizations the App is not installed on', async () => {
+      const promise = auth.getInstallationToken('other-org');
+
+      await expect(promise).rejects.toBeInstanceOf(GitHubApiError);
+      await expect(promise).rejects.toThrow('GitHub App 123456 is not installed on organization other-org');
+    });
+
+    it('should report a JWT rejected by GitHub', async () => {
+      auth.client.request = jest.fn().mockRejectedValue(httpError(401, { message: 'A JSON web token could not be decoded' }));
+
+      await expect(auth.getInstallationToken('25-26-2CI-SEW')).rejects.toThrow('rejected the JWT, check the App ID and private key');
+    });
+  });
+
+  it('should authenticate GitHubService requests with the installation token', async () => {
+    const service = new GitHubService(null, { appAuth: auth, organization: '25-26-2CI-SEW' });
+    service.client.request = jest.fn().mockResolvedValue({ data: [], headers: {} });
+
+    await service.getOrgRepositories('25-26-2CI-SEW');
+
+    expect(service.client.request.mock.calls[0][0].headers.Authorization).toBe('token ghs_installation1');
+    await expect(service.checkAccess('25-26-2CI-SEW')).resolves.toBe('GitHub App 123456 (installation on 25-26-2CI-SEW)');
+  });
+});
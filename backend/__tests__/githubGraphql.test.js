@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import { GitHubGraphQLService } from '../services/githubGraphql.js';
+
+const node = (oid, authoredDate, overrides = {}) => ({
+  oid,
+  url: `https://github.com/org/repo/commit/${oid}`,
+  message: `Commit ${oid}`,
+  additions: 10,
+  deletions: 2,
+  changedFilesIfAvailable: 1,
+  authoredDate,
+  committedDate: authoredDate,
+  tree: { oid: `tree-${oid}` },
+  author: { name: 'Student', email: 'student@example.com', user: { login: 'student' } },
+  committer: { name: 'Student', email: 'student@example.com', user: null },
+  parents: { nodes: [{ oid: 'parent' }] },
+  ...overrides
+});
+
+const historyResult = (nodes, pageInfo = { hasNextPage: false, endCursor: null }) => ({
+  defaultBranchRef: { name: 'main', target: { history: { pageInfo, nodes } } }
+});
+
+describe('GitHubGraphQLService', () => {
+  const since = new Date('2026-03-23T08:55:00Z');
+  const until = new Date('2026-03-23T10:35:00Z');
+  let service;
+
+  beforeEach(() => {
+    service = new GitHubGraphQLService('test-token', { batchSize: 2 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('prefetchCommits', () => {
+    it('should fetch several repositories per query and map commits to the REST shape', async () => {
+      service.client.request = jest.fn().mockResolvedValue({
+        data: {
+          data: {
+            r0: historyResult([node('a1', '2026-03-23T09:30:00Z')]),
+            r1: historyResult([])
+          }
+        }
+      });
+
+      await service.prefetchCommits('org', ['alice', 'bob'], [{ since, until }]);
+      const commits = await service.getRepositoryCommits('org', 'alice', since, until);
+
+      expect(service.client.request).toHaveBeenCalledTimes(1);
+      const { variables } = service.client.request.mock.calls[0][0].data;
+      expect(variables).toMatchObject({ owner: 'org', name0: 'alice', name1: 'bob', since: since.toISOString(), until: '2026-03-30T10:35:00.000Z' });
+
+      expect(commits).toEqual([{
+        sha: 'a1',
+        html_url: 'https://github.com/org/repo/commit/a1',
+        parents: [{ sha: 'parent' }],
+        author: { login: 'student' },
+        committer: null,
+        commit: {
+          message: 'Commit a1',
+          tree: { sha: 'tree-a1' },
+          author: { name: 'Student', email: 'student@example.com', date: '2026-03-23T09:30:00Z' },
+          committer: { name: 'Student', email: 'student@example.com', date: '2026-03-23T09:30:00Z' }
+        },
+        stats: { additions: 10, deletions: 2, total: 12 },
+        changedFiles: 1
+      }]);
+      expect(await service.getRepositoryCommits('org', 'bob', since, until)).toEqual([]);
+    });
+
+    it('should split repositories into batches', async () => {
+      service.client.request = jest.fn().mockResolvedValue({ data: { data: {} } });
+
+      await service.prefetchCommits('org', ['a', 'b', 'c', 'd', 'e'], [{ since, until }]);
+
+      expect(service.client.request).toHaveBeenCalledTimes(3);
+    });
+
+    it('should follow pagination only for repositories with more pages', async () => {
+      service.client.request = jest.fn()
+        .mockResolvedValueOnce({
+          data: {
+            data: {
+              r0: historyResult([node('a2', '2026-03-23T10:00:00Z')], { hasNextPage: true, endCursor: 'cursor-1' }),
+              r1: historyResult([node('b1', '2026-03-23T09:00:00Z')])
+            }
+          }
+        })
+        .mockResolvedValueOnce({
+          data: { data: { r0: historyResult([node('a1', '2026-03-23T09:10:00Z')]) } }
+        });
+
+      await service.prefetchCommits('org', ['alice', 'bob'], [{ since, until }]);
+
+      expect(service.client.request).toHaveBeenCalledTimes(2);
+      expect(service.client.request.mock.calls[1][0].data.variables).toMatchObject({ name0: 'alice', after0: 'cursor-1' });
+      const commits = await service.getRepositoryCommits('org', 'alice', since, until);
+      expect(commits.map(c => c.sha)).toEqual(['a2', 'a1']);
+    });
+
+    it('should drop commits whose author date lies outside the window', async () => {
+      service.client.request = jest.fn().mockResolvedValue({
+        data: {
+          data: {
+            r0: historyResult([
+              node('inside', '2026-03-23T09:30:00Z'),
+              node('backdated', '2026-03-20T09:30:00Z')
+            ])
+          }
+        }
+      });
+
+      await service.prefetchCommits('org', ['alice'], [{ since, until }]);
+      const commits = await service.getRepositoryCommits('org', 'alice', since, until);
+
+      expect(commits.map(c => c.sha)).toEqual(['inside']);
+    });
+
+    it('should fall back to REST when a batch fails', async () => {
+      service.maxRetries = 0;
+      service.client.request = jest.fn(async (config) => {
+        if (config.url === '/graphql') {
+          throw new Error('Bad gateway');
+        }
+        return { data: [], headers: {} };
+      });
+
+      await service.prefetchCommits('org', ['alice'], [{ since, until }]);
+      await service.getRepositoryCommits('org', 'alice', since, until);
+
+      expect(service.client.request).toHaveBeenLastCalledWith(
+        expect.objectContaining({ url: '/repos/org/alice/commits' })
+      );
+    });
+
+    it('should fall back to REST for repositories returned as null', async () => {
+      service.client.request = jest.fn(async (config) => config.url === '/graphql'
+        ? { data: { data: { r0: null }, errors: [{ message: 'Could not resolve to a Repository' }] }, headers: {} }
+        : { data: [], headers: {} });
+
+      await service.prefetchCommits('org', ['gone'], [{ since, until }]);
+      await service.getRepositoryCommits('org', 'gone', since, until);
+
+      expect(service.client.request).toHaveBeenCalledTimes(2);
+      expect(service.client.request.mock.calls[1][0].url).toBe('/repos/org/gone/commits');
+    });
+
+    it('should prefetch the default branch and list only the other branches via REST when all branches are analyzed', async () => {
+      service.client.request = jest.fn(async (config) => {
+        if (config.url === '/graphql') {
+          return { data: { data: { r0: historyResult([node('a1', '2026-03-23T09:30:00Z')]) } }, headers: {} };
+        }
+        return config.url.endsWith('/branches')
+          ? { data: [{ name: 'main', commit: { sha: 'a1' } }, { name: 'feature', commit: { sha: 'f1' } }], headers: {} }
+          : { data: [{ sha: 'f1', commit: { author: { name: 'Student', date: '2026-03-23T09:40:00Z' } } }], headers: {} };
+      });
+
+      await service.prefetchCommits('org', ['alice'], [{ since, until }], { branches: 'all' });
+      const commits = await service.getRepositoryCommits('org', 'alice', since, until, { branches: 'all', defaultBranch: 'main' });
+
+      const requests = service.client.request.mock.calls.map(([config]) => [config.url, config.params?.sha]);
+      expect(requests).toEqual([['/graphql', undefined], ['/repos/org/alice/branches', undefined], ['/repos/org/alice/commits', 'feature']]);
+      expect(commits.map(commit => [commit.sha, commit.branches])).toEqual([['f1', ['feature']], ['a1', ['main']]]);
+    });
+  });
+
+  describe('getCommitDetails', () => {
+    beforeEach(async () => {
+      service.client.request = jest.fn(async (config) => config.url === '/graphql'
+        ? { data: { data: { r0: historyResult([node('a1', '2026-03-23T09:30:00Z')]) } }, headers: {} }
+        : { data: { sha: 'a1', files: [{ filename: 'Main.java', additions: 10, deletions: 2 }] }, headers: {} });
+      await service.prefetchCommits('org', ['alice'], [{ since, until }]);
+      service.client.request.mockClear();
+    });
+
+    it('should serve prefetched commits without a request', async () => {
+      const details = await service.getCommitDetails('org', 'alice', 'a1');
+
+      expect(details.stats).toEqual({ additions: 10, deletions: 2, total: 12 });
+      expect(service.client.request).not.toHaveBeenCalled();
+    });
+
+    it('should list all branches via REST when branches is "all"', async () => {
+      service.client.request = jest.fn(async (config) => config.url.endsWith('/branches')
+        ? { data: [{ name: 'main', commit: { sha: 'a1' } }], headers: {} }
+        : { data: [], headers: {} });
+
+      await service.getRepositoryCommits('org', 'alice', since, until, { branches: 'all' });
+
+      expect(service.client.request).toHaveBeenCalledWith(
+        expect.objectContaining({ url: '/repos/org/alice/branches' })
+      );
+    });
+
+    it('should use REST when per-file stats are required', async () => {
+      const details = await service.getCommitDetails('org', 'alice', 'a1', { includeFiles: true });
+
+      expect(service.client.request).toHaveBeenCalledWith(
+        expect.objectContaining({ method: 'get', url: '/repos/org/alice/commits/a1' })
+      );
+      expect(details.files).toHaveLength(1);
+    });
+  });
+
+  it('should address REST and GraphQL of a GitHub Enterprise Server instance', async () => {
+    service = new GitHubGraphQLService('test-token', { baseUrl: 'https://github.htl.example/' });
+    service.client.request = jest.fn().mockResolvedValue({ data: { data: { r0: historyResult([]) } }, headers: {} });
+
+    await service.prefetchCommits('org', ['alice'], [{ since, until }]);
+
+    expect(service.client.defaults.baseURL).toBe('https://github.htl.example/api/v3');
+    expect(service.client.request.mock.calls[0][0].url).toBe('https://github.htl.example/api/graphql');
+  });
+});
@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { ApiError } from '../services/apiService.js';
+import { GitLabService } from '../services/gitlabService.js';
+import { CommitAnalyzer } from '../services/analyzer.js';
+
+// Responses recorded from a GitLab instance (trimmed), keyed by method, URL and query parameters
+const recording = JSON.parse(readFileSync(new URL('./fixtures/gitlab-recording.json', import.meta.url), 'utf-8'));
+
+const queryOf = (params = {}) => new URLSearchParams(Object.entries(params).map(([key, value]) => [key, String(value)]).sort()).toString();
+
+// Replay the recording instead of sending requests, failing like axios for error statuses
+const replay = (entries) => jest.fn(async (config) => {
+  const entry = entries.find(({ request }) =>
+    request.method === config.method && request.url === config.url && queryOf(request.params) === queryOf(config.params));
+  if (!entry) {
+    throw new Error(`No recorded response for ${config.method} ${config.url}?${queryOf(config.params)}`);
+  }
+  const response = { status: entry.response.status, headers: entry.response.headers, data: entry.response.body };
+  if (response.status >= 400) {
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = response;
+    throw error;
+  }
+  return response;
+});
+
+const SHA = {
+  stack: '3f2a9c1d7e4b8a6f0c5d2e9b1a7f4c8d6e3b0a9f',
+  setup: '8b1e4d7a2c9f6e3b0d5a8c1f4e7b2d9a6c3f0e5b',
+  merge: 'c4d7a1e8b5f2c9d6a3e0b7f4c1d8a5e2b9f6c3d0',
+  feature: '5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b',
+  mergeRequest: '9f8e7d6c5b4a3f2e1d0c9b8a7f6e5d4c3b2a1f0e'
+};
+
+describe('GitLabService', () => {
+  const since = new Date('2026-03-23T08:55:00Z');
+  const until = new Date('2026-03-23T10:35:00Z');
+  let service;
+
+  beforeEach(() => {
+    service = new GitLabService('glpat-test', { baseUrl: 'https://git.htl.example/', maxRetries: 0 });
+    service.client.request = replay(recording);
+  });
+
+  it('should use the API v4 of the configured instance with a private token', () => {
+    expect(service.client.defaults.baseURL).toBe('https://git.htl.example/api/v4');
+    expect(service.client.defaults.headers['PRIVATE-TOKEN']).toBe('glpat-test');
+  });
+
+  describe('getOrgRepositories', () => {
+    it('should list the projects of the group and its subgroups', async () => {
+      const repos = await service.getOrgRepositories('htl/2ci');
+
+      expect(repos.map(repo => repo.name)).toEqual(['alice', 'archiv/bob', 'carla']);
+      expect(repos[0]).toMatchObject({
+        html_url: 'https://git.htl.example/htl/2ci/alice',
+        default_branch: 'main',
+        archived: false,
+        fork: false,
+        topics: ['uebung-07']
+      });
+      expect(repos[1].archived).toBe(true);
+      expect(repos[2].fork).toBe(true);
+    });
+  });
+
+  describe('getRepositoryCommits', () => {
+    it('should map commits to the REST shape and filter by author date', async () => {
+      const commits = await service.getRepositoryCommits('htl/2ci', 'alice', since, until);
+
+      // The homework commit was committed during the lesson but authored before it
+      expect(commits.map(commit => commit.sha)).toEqual([SHA.stack, SHA.merge, SHA.setup]);
+      expect(commits[0]).toEqual({
+        sha: SHA.stack,
+        html_url: `https://git.htl.example/htl/2ci/alice/-/commit/${SHA.stack}`,
+        parents: [{ sha: SHA.setup }],
+        author: null,
+        committer: null,
+        commit: {
+          message: 'Add Stack implementation',
+          author: { name: 'Anna Berger', email: 'anna.berger@schule.example', date: '2026-03-23T09:48:12Z' },
+          committer: { name: 'Anna Berger', email: 'anna.berger@schule.example', date: '2026-03-23T09:48:12Z' }
+        },
+        stats: { additions: 14, deletions: 2, total: 16 }
+      });
+      expect(commits[1].parents).toHaveLength(2);
+    });
+
+    it('should list commits committed after the time window and keep those authored in it', async () => {
+      // Authored during the lesson, rebased two days later
+      const rebased = recording.map(entry => {
+        if (entry.request.url !== '/projects/htl%2F2ci%2Falice/repository/commits' || entry.request.params.ref_name) {
+          return entry;
+        }
+        const [latest] = entry.response.body;
+        return { ...entry, response: { ...entry.response, body: [{ ...latest, id: 'rebased', committed_date: '2026-03-25T18:02:00.000+01:00' }, ...entry.response.body] } };
+      });
+      service.client.request = replay(rebased);
+
+      const commits = await service.getRepositoryCommits('htl/2ci', 'alice', since, until);
+
+      expect(service.client.request.mock.calls[0][0].params.until).toBe('2026-03-30T10:35:00.000Z');
+      expect(commits.map(commit => commit.sha)).toEqual(['rebased', SHA.stack, SHA.merge, SHA.setup]);
+      expect(commits[0].commit.committer.date).toBe('2026-03-25T17:02:00Z');
+    });
+
+    it('should label commits with branches and merge requests when reading all branches', async () => {
+      const commits = await service.getRepositoryCommits('htl/2ci', 'alice', since, until, {
+        branches: 'all',
+        includePullRequests: true,
+        defaultBranch: 'main'
+      });
+
+      expect(commits.map(commit => [commit.sha, commit.branches])).toEqual([
+        [SHA.mergeRequest, ['MR !3 (fix-pop)']],
+        [SHA.stack, ['main']],
+        [SHA.merge, ['main']],
+        [SHA.feature, ['feature']],
+        [SHA.setup, ['main', 'feature', 'MR !3 (fix-pop)']]
+      ]);
+    });
+
+    it('should report the rate limit from the RateLimit headers', async () => {
+      await service.getRepositoryCommits('htl/2ci', 'alice', since, until);
+
+      expect(service.getRateLimitStatus().core).toMatchObject({ limit: 2000, remaining: 1996, used: 4 });
+    });
+
+    it('should raise an ApiError for unknown projects', async () => {
+      const promise = service.getRepositoryCommits('htl/2ci', 'nobody', since, until);
+
+      await expect(promise).rejects.toBeInstanceOf(ApiError);
+      await expect(promise).rejects.toThrow('GitLab API /projects/htl%2F2ci%2Fnobody/repository/commits failed with HTTP 404: 404 Project Not Found');
+    });
+  });
+
+  describe('getCommitDetails', () => {
+    it('should count per-file stats from the commit diff', async () => {
+      const details = await service.getCommitDetails('htl/2ci', 'alice', SHA.stack);
+
+      expect(details.sha).toBe(SHA.stack);
+      expect(details.files).toEqual([
+        { filename: 'src/Stack.java', additions: 12, deletions: 2, changes: 14, patch: expect.stringMatching(/^@@ -1,3 \+1,14 @@\n public class Stack \{\n/) },
+        { filename: 'NOTES.md', additions: 0, deletions: 1, changes: 1, patch: '@@ -1 +0,0 @@\n-notes' },
+        { filename: 'docs/diagram.png', additions: 0, deletions: 0, changes: 0 }
+      ]);
+    });
+
+    it('should produce commits CommitAnalyzer can evaluate unchanged', async () => {
+      const details = await service.getCommitDetails('htl/2ci', 'alice', SHA.stack);
+
+      const stats = new CommitAnalyzer().analyzeCommits([details], ['.java']);
+
+      expect(stats.commitCount).toBe(1);
+      expect(stats.totalLinesChanged).toBe(14);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { IdentityResolver, getAuthorIdentity, isBotAuthor, isForeignAuthor } from '../services/identityResolver.js';
+import { Roster } from '../services/roster.js';
+
+const commit = ({ name, email, login = null, committer = null }) => ({
+  author: login ? { login } : null,
+  committer: committer ? { login: committer.login } : null,
+  commit: {
+    author: { name, email, date: '2026-02-21T10:00:00Z' },
+    committer: committer ? { name: committer.name, email: committer.email, date: '2026-02-21T10:00:00Z' } : undefined
+  }
+});
+
+describe('getAuthorIdentity', () => {
+  it('should prefer the login, also from GitHub noreply addresses', () => {
+    expect(getAuthorIdentity(commit({ name: 'Max', email: 'max@gmail.com', login: 'Max-M' })).key).toBe('login:max-m');
+    expect(getAuthorIdentity(commit({ name: 'Max', email: '1001+max-m@users.noreply.github.com' })).login).toBe('max-m');
+    expect(getAuthorIdentity(commit({ name: 'Max', email: ' Max@Gmail.com ' })).key).toBe('email:max@gmail.com');
+  });
+
+  it('should mark generic names without login as anonymous', () => {
+    expect(getAuthorIdentity(commit({ name: 'root', email: 'root@lab-pc-12' })).anonymous).toBe(true);
+    expect(getAuthorIdentity(commit({ name: 'root', email: 'root@lab-pc-12', login: 'max-m' })).anonymous).toBe(false);
+  });
+});
+
+describe('isBotAuthor', () => {
+  it('should recognize bot logins, names and emails', () => {
+    const bot = (author) => isBotAuthor(getAuthorIdentity(commit(author)));
+
+    expect(bot({ name: 'github-classroom[bot]', email: '66690702+github-classroom[bot]@users.noreply.github.com' })).toBe(true);
+    expect(bot({ name: 'dependabot[bot]', email: 'support@github.com', login: 'dependabot[bot]' })).toBe(true);
+    expect(bot({ name: 'GitHub Action', email: 'action@github.com', login: 'actions-user' })).toBe(true);
+    expect(bot({ name: 'GitHub', email: 'noreply@github.com' })).toBe(true);
+    expect(bot({ name: 'Max', email: 'max@gmail.com', login: 'max-m' })).toBe(false);
+    expect(bot({ name: 'Robot Builder', email: 'bot@lab-pc-12' })).toBe(false);
+  });
+});
+
+describe('isForeignAuthor', () => {
+  it('should only mark authors known by login or roster who are not owners', () => {
+    const owners = [{ key: 'login:max-m' }];
+    const foreign = (author) => isForeignAuthor(getAuthorIdentity(commit(author)), owners);
+
+    expect(foreign({ name: 'Anna', email: 'anna@gmail.com', login: 'anna-b' })).toBe(true);
+    expect(foreign({ name: 'Max', email: 'max@gmail.com', login: 'max-m' })).toBe(false);
+    expect(foreign({ name: 'GitHub', email: 'noreply@github.com', login: 'web-flow' })).toBe(false);
+    expect(foreign({ name: 'github-classroom[bot]', email: '66690702+github-classroom[bot]@users.noreply.github.com' })).toBe(false);
+    expect(foreign({ name: 'Max Home', email: 'max@home.example' })).toBe(false);
+    expect(foreign({ name: 'root', email: 'root@lab-pc-12' })).toBe(false);
+    expect(isForeignAuthor(getAuthorIdentity(commit({ name: 'Anna', email: 'anna@gmail.com', login: 'anna-b' })), [])).toBe(false);
+  });
+});
+
+describe('IdentityResolver', () => {
+  describe('resolve', () => {
+    const resolver = new IdentityResolver({ aliases: { 'max-m': ['Max M', 'root@lab-pc-12', 'MAX@gmail.com'] } });
+
+    it('should group all aliases of a person under the login', () => {
+      const keys = [
+        commit({ name: 'Max', email: 'max.mueller@schule.at', login: 'max-m' }),
+        commit({ name: 'Max M', email: 'unknown@localhost' }),
+        commit({ name: 'root', email: 'root@lab-pc-12' }),
+        commit({ name: 'Maximilian', email: 'max@gmail.com' })
+      ].map(c => resolver.resolve(c));
+
+      keys.forEach(identity => expect(identity).toMatchObject({ key: 'login:max-m', login: 'max-m', anonymous: false }));
+      expect(resolver.resolve(commit({ name: 'root', email: 'root@lab-pc-3' }))).toMatchObject({ key: 'email:root@lab-pc-3', anonymous: true });
+    });
+
+    it('should use the committer login for commits of the same person', () => {
+      const own = commit({ name: 'Lena', email: 'lena@home', committer: { login: 'lena-h', name: 'Lena', email: 'lena@home' } });
+      const rebased = commit({ name: 'Tom', email: 'tom@home', committer: { login: 'lena-h', name: 'Lena', email: 'lena@home' } });
+      const web = commit({ name: 'Tom', email: 'tom@home', committer: { login: 'web-flow', name: 'GitHub', email: 'tom@home' } });
+
+      expect(resolver.resolve(own).key).toBe('login:lena-h');
+      expect(resolver.resolve(rebased).key).toBe('email:tom@home');
+      expect(resolver.resolve(web).key).toBe('email:tom@home');
+    });
+
+    it('should use roster students as key', () => {
+      const roster = Roster.fromCsv('name,login,email,studentNumber,role\nMax Müller,max-m,max.mueller@schule.at,12,student\nReinhold Buchinger,buc-htl,,,teacher');
+      const withRoster = new IdentityResolver({ roster, aliases: { 'Max Müller': ['root@lab-pc-12'] } });
+
+      expect(withRoster.resolve(commit({ name: 'Max', email: 'max.mueller@schule.at' }))).toMatchObject({
+        key: 'student:max müller#12',
+        rosterStudent: { name: 'Max Müller', studentNumber: '12' }
+      });
+      expect(withRoster.resolve(commit({ name: 'root', email: 'root@lab-pc-12' })).key).toBe('student:max müller#12');
+      expect(withRoster.resolve(commit({ name: 'Lena', email: 'lena@home', login: 'lena-h' }))).toMatchObject({ key: 'login:lena-h', rosterStudent: null });
+    });
+  });
+
+  describe('matches', () => {
+    const roster = Roster.fromCsv('name,login,role\nReinhold Buchinger,buc-htl,teacher');
+    const resolver = new IdentityResolver({ roster, aliases: { 'buc-htl': ['teacher@lab-pc'] } });
+    const teacher = commit({ name: 'RB', email: 'teacher@lab-pc' });
+
+    it('should match names, logins, emails, aliases and roles', () => {
+      expect(resolver.matches(teacher, ['role:teacher'])).toBe(true);
+      expect(resolver.matches(teacher, ['BUC-HTL'])).toBe(true);
+      expect(resolver.matches(teacher, ['Reinhold Buchinger'])).toBe(true);
+      expect(resolver.matches(teacher, ['RB'])).toBe(true);
+      expect(resolver.matches(commit({ name: 'Max', email: 'max@home' }), ['role:teacher', 'buc-htl'])).toBe(false);
+      expect(resolver.matches(teacher, [])).toBe(false);
+    });
+  });
+
+  describe('getRepositoryOwners', () => {
+    it('should find the owner from the roster, the team or the repository name', () => {
+      const roster = Roster.fromCsv('name,login,team\nMax,max-m,team-3\nLena,lena-h,team-3');
+      const withRoster = new IdentityResolver({ roster });
+      const withoutRoster = new IdentityResolver({ aliases: { 'max-m': ['Max M'] } });
+
+      expect(withRoster.getRepositoryOwners('uebung-07-max-m')).toEqual([{ key: 'student:max', name: 'Max' }]);
+      expect(withRoster.getRepositoryOwners('projekt-team-3').map(owner => owner.name)).toEqual(['Max', 'Lena']);
+      expect(withRoster.getRepositoryOwners('uebung-07')).toEqual([]);
+      expect(withoutRoster.getRepositoryOwners('uebung-07-MAX-M', 'MAX-M')).toEqual([{ key: 'login:max-m', name: 'MAX-M' }]);
+      expect(withoutRoster.getRepositoryOwners('uebung-07')).toEqual([]);
+    });
+  });
+
+  describe('validateAliases', () => {
+    it('should reject malformed alias tables', () => {
+      expect(() => new IdentityResolver({ aliases: ['max'] })).toThrow('authorAliases must be an object');
+      expect(() => new IdentityResolver({ aliases: { max: 'Max M' } })).toThrow('authorAliases of max must be a list');
+      expect(() => new IdentityResolver({ aliases: { max: ['root'], lena: ['ROOT'] } })).toThrow('"ROOT" is listed for max and lena');
+    });
+  });
+});
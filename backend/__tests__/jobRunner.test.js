@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import { JobRunner } from '../services/jobRunner.js';
+
+// Job that only finishes when release() is called
+function controllableJob(result) {
+  let release;
+  const finished = new Promise(resolve => { release = resolve; });
+  const job = jest.fn(async () => {
+    await finished;
+    return result;
+  });
+  return { job, release };
+}
+
+describe('JobRunner', () => {
+  let runner;
+
+  beforeEach(() => {
+    runner = new JobRunner();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should start a job and report duration and result', async () => {
+    const { job, release } = controllableJob('stats');
+
+    const { status, runId, done } = runner.run('org', job, { trigger: 'cron' });
+    expect(status).toBe('started');
+    expect(runner.getStatus('org').running).toMatchObject({ runId, trigger: 'cron' });
+
+    release();
+    const finished = await done;
+
+    expect(finished).toMatchObject({ runId, trigger: 'cron', status: 'completed', result: 'stats', error: null });
+    expect(finished.durationMs).toBeGreaterThanOrEqual(0);
+    expect(runner.getStatus('org')).toMatchObject({ running: null, queued: null, lastRun: { runId, status: 'completed' } });
+  });
+
+  it('should pass run id, trigger and start time to the job', async () => {
+    const job = jest.fn(async () => {});
+
+    const { runId, done } = runner.run('org', job, { trigger: 'manual' });
+    await done;
+
+    expect(job).toHaveBeenCalledWith({ runId, trigger: 'manual', startedAt: expect.any(Date) });
+  });
+
+  it('should skip a run while the same key is running', async () => {
+    const first = controllableJob();
+    const second = jest.fn(async () => {});
+
+    const started = runner.run('org', first.job);
+    const skipped = runner.run('org', second, { mode: 'skip' });
+
+    expect(skipped).toMatchObject({ status: 'skipped', runId: started.runId });
+    first.release();
+    await started.done;
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  it('should run queued requests once after the current run and coalesce them', async () => {
+    const order = [];
+    const first = controllableJob();
+    const queuedA = jest.fn(async () => order.push('A'));
+    const queuedB = jest.fn(async () => order.push('B'));
+
+    const started = runner.run('org', first.job);
+    const a = runner.run('org', queuedA, { mode: 'queue' });
+    const b = runner.run('org', queuedB, { mode: 'queue' });
+
+    expect(a.status).toBe('queued');
+    expect(b.runId).toBe(a.runId);
+    expect(runner.getStatus('org').queued).toMatchObject({ runId: a.runId });
+
+    first.release();
+    const queuedRun = await b.done;
+
+    expect(queuedRun).toMatchObject({ runId: a.runId, status: 'completed' });
+    expect(order).toEqual(['B']);
+    expect(queuedA).not.toHaveBeenCalled();
+    expect(started.runId).toBeLessThan(a.runId);
+  });
+
+  it('should report a coalesced run with the trigger of the latest request', async () => {
+    const first = controllableJob();
+    const webhookJob = jest.fn(async () => {});
+
+    runner.run('org', first.job);
+    runner.run('org', async () => {}, { mode: 'queue', trigger: 'cron' });
+    const queued = runner.run('org', webhookJob, { mode: 'queue', trigger: 'webhook' });
+
+    expect(runner.getStatus('org').queued).toEqual({ runId: queued.runId, trigger: 'webhook' });
+    first.release();
+
+    await expect(queued.done).resolves.toMatchObject({ runId: queued.runId, trigger: 'webhook' });
+    expect(webhookJob).toHaveBeenCalledWith(expect.objectContaining({ trigger: 'webhook' }));
+  });
+
+  it('should not block other keys', async () => {
+    const first = controllableJob();
+    runner.run('org-a', first.job);
+
+    const other = runner.run('org-b', async () => 'b');
+
+    expect(other.status).toBe('started');
+    await expect(other.done).resolves.toMatchObject({ result: 'b' });
+    first.release();
+  });
+
+  it('should record failed runs and release the lock', async () => {
+    const failed = runner.run('org', async () => { throw new Error('API down'); });
+
+    await expect(failed.done).resolves.toMatchObject({ status: 'failed', error: 'API down' });
+    expect(runner.getStatus('org').lastRun).toMatchObject({ status: 'failed', error: 'API down' });
+    expect(runner.run('org', async () => {}).status).toBe('started');
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => runner.run('org', async () => {}, { mode: 'parallel' })).toThrow('Invalid job mode');
+  });
+});
@@ -0,0 +1,181 @@
+import { execFileSync } from 'child_process';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LocalGitProvider } from '../services/localGitProvider.js';
+import { CommitAnalyzer } from '../services/analyzer.js';
+
+// Run git with fixed identity and dates, independent of the user's git config
+function git(cwd, args, date = '2026-03-23T09:30:00Z', committerDate = date) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Max Müller',
+      GIT_AUTHOR_EMAIL: 'max@example.com',
+      GIT_COMMITTER_NAME: 'Max Müller',
+      GIT_COMMITTER_EMAIL: 'max@example.com',
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_DATE: committerDate,
+      GIT_CONFIG_NOSYSTEM: '1',
+      HOME: cwd
+    }
+  });
+}
+
+function commitFile(repoPath, file, content, message, date, committerDate = date) {
+  writeFileSync(join(repoPath, file), content);
+  git(repoPath, ['add', file], date);
+  git(repoPath, ['commit', '-q', '-m', message], date, committerDate);
+  return git(repoPath, ['rev-parse', 'HEAD']).trim();
+}
+
+describe('LocalGitProvider', () => {
+  const since = new Date('2026-03-23T08:55:00Z');
+  const until = new Date('2026-03-23T10:35:00Z');
+  let root;
+  let provider;
+  let shas;
+
+  beforeAll(() => {
+    root = mkdtempSync(join(tmpdir(), 'local-git-'));
+
+    // Working copy with commits before, during and after the lesson plus a feature branch
+    const clone = join(root, 'alice');
+    mkdirSync(clone);
+    git(clone, ['init', '-q', '-b', 'main']);
+    shas = {
+      before: commitFile(clone, 'Main.java', 'class Main {}\n', 'Initial commit', '2026-03-20T12:00:00Z'),
+      lesson: commitFile(clone, 'Main.java', 'class Main {\n  int a;\n  int b;\n}\n', 'Add fields\n\nWith body', '2026-03-23T09:10:00Z'),
+      readme: commitFile(clone, 'README.md', 'notes\n', 'Add notes', '2026-03-23T09:20:00Z'),
+      after: commitFile(clone, 'Main.java', 'class Main {}\n', 'Homework', '2026-03-23T18:00:00Z')
+    };
+    git(clone, ['checkout', '-q', '-b', 'feature', shas.readme]);
+    shas.feature = commitFile(clone, 'Feature.java', 'class Feature {}\n', 'Feature work', '2026-03-23T10:00:00Z');
+    git(clone, ['checkout', '-q', 'main']);
+    git(clone, ['remote', 'add', 'origin', 'https://github.com/25-26-2CI-SEW/alice.git']);
+
+    // Bare mirror backup of the same repository
+    git(root, ['clone', '-q', '--mirror', clone, join(root, 'bob.git')]);
+
+    // Empty repository and a directory that is no repository
+    git(root, ['init', '-q', '-b', 'main', join(root, 'empty')]);
+    mkdirSync(join(root, 'notes'));
+
+    provider = new LocalGitProvider({ rootPath: root });
+  });
+
+  afterAll(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('getOrgRepositories', () => {
+    it('should find working copies and bare mirrors', async () => {
+      const repos = await provider.getOrgRepositories('org');
+
+      expect(repos.map(repo => repo.name)).toEqual(['alice', 'bob', 'empty']);
+      expect(repos[0]).toMatchObject({ html_url: 'https://github.com/25-26-2CI-SEW/alice', default_branch: 'main' });
+      expect(repos[1].default_branch).toBe('main');
+    });
+
+    it('should fail for a missing directory', async () => {
+      const missing = new LocalGitProvider({ rootPath: join(root, 'does-not-exist') });
+
+      await expect(missing.getOrgRepositories('org')).rejects.toThrow('not found');
+    });
+  });
+
+  describe('getRepositoryCommits', () => {
+    it('should return default-branch commits of the time window in REST shape', async () => {
+      const commits = await provider.getRepositoryCommits('org', 'alice', since, until);
+
+      expect(commits.map(commit => commit.sha)).toEqual([shas.readme, shas.lesson]);
+      const [, lesson] = commits;
+      expect(lesson.parents).toEqual([{ sha: shas.before }]);
+      expect(lesson.commit.message).toBe('Add fields\n\nWith body');
+      expect(lesson.commit.author).toEqual({ name: 'Max Müller', email: 'max@example.com', date: '2026-03-23T09:10:00Z' });
+      expect(lesson.stats).toEqual({ additions: 4, deletions: 1, total: 5 });
+      expect(lesson.files).toEqual([{ filename: 'Main.java', sha: '808d08924a59b511de660651fb2a80dabd4ce536', additions: 4, deletions: 1, changes: 5 }]);
+    });
+
+    it('should read bare mirrors', async () => {
+      const commits = await provider.getRepositoryCommits('org', 'bob', since, until);
+
+      expect(commits.map(commit => commit.sha)).toEqual([shas.readme, shas.lesson]);
+    });
+
+    it('should return no commits for an empty repository', async () => {
+      await expect(provider.getRepositoryCommits('org', 'empty', since, until)).resolves.toEqual([]);
+    });
+
+    it('should label commits with their branches when reading all branches', async () => {
+      const commits = await provider.getRepositoryCommits('org', 'alice', since, until, { branches: 'all', defaultBranch: 'main' });
+
+      expect(commits.map(commit => [commit.sha, commit.branches])).toEqual([
+        [shas.feature, ['feature']],
+        [shas.readme, ['main', 'feature']],
+        [shas.lesson, ['main', 'feature']]
+      ]);
+    });
+
+    it('should fail for an unknown repository', async () => {
+      await expect(provider.getRepositoryCommits('org', 'nobody', since, until)).rejects.toThrow('not found');
+    });
+
+    it('should read file names with umlauts and commits committed before they were authored', async () => {
+      const otherRoot = mkdtempSync(join(tmpdir(), 'local-git-'));
+      try {
+        const clone = join(otherRoot, 'carla');
+        mkdirSync(clone);
+        git(clone, ['init', '-q', '-b', 'main']);
+        commitFile(clone, 'Alt.java', 'class Alt {}\n', 'Last year', '2025-03-23T09:10:00Z');
+        const umlaut = commitFile(clone, 'Übung.java', 'class Übung {\n}\n', 'Übung anlegen', '2026-03-23T09:10:00Z');
+        // Committed on a computer whose clock was an hour behind
+        const skewed = commitFile(clone, 'Größe.java', 'class Größe {}\n', 'Größe berechnen', '2026-03-23T09:40:00Z', '2026-03-23T08:40:00Z');
+
+        const commits = await new LocalGitProvider({ rootPath: otherRoot }).getRepositoryCommits('org', 'carla', since, until);
+
+        expect(commits.map(commit => commit.sha)).toEqual([skewed, umlaut]);
+        expect(commits[1].files).toEqual([expect.objectContaining({ filename: 'Übung.java', additions: 2, deletions: 0 })]);
+        expect(commits[0].files[0].filename).toBe('Größe.java');
+      } finally {
+        rmSync(otherRoot, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('getCommitDetails', () => {
+    it('should return a single commit with files', async () => {
+      const fresh = new LocalGitProvider({ rootPath: root });
+
+      const details = await fresh.getCommitDetails('org', 'alice', shas.feature);
+
+      expect(details.sha).toBe(shas.feature);
+      expect(details.files).toEqual([{ filename: 'Feature.java', sha: 'd8e1b1c0b6d4034de4346334e27e8debf0992111', additions: 1, deletions: 0, changes: 1 }]);
+    });
+
+    it('should add the hunks of every file on request', async () => {
+      await provider.getRepositoryCommits('org', 'alice', since, until);
+
+      const details = await provider.getCommitDetails('org', 'alice', shas.lesson, { includePatches: true });
+
+      expect(details.files).toEqual([expect.objectContaining({
+        filename: 'Main.java',
+        patch: '@@ -1 +1,4 @@\n-class Main {}\n+class Main {\n+  int a;\n+  int b;\n+}'
+      })]);
+      await expect(provider.getCommitDetails('org', 'alice', shas.lesson)).resolves.toBe(details);
+    });
+  });
+
+  it('should produce commits CommitAnalyzer can evaluate unchanged', async () => {
+    const commits = await provider.getRepositoryCommits('org', 'alice', since, until);
+
+    const stats = new CommitAnalyzer().analyzeCommits(commits, ['.java']);
+
+    expect(stats.commitCount).toBe(2);
+    expect(stats.countedCommits).toBe(1);
+    expect(stats.totalLinesChanged).toBe(5);
+    expect(stats.lastCommitDate).toBe('2026-03-23T09:20:00Z');
+  });
+});
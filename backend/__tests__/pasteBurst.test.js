@@ -0,0 +1,218 @@
+import { jest } from '@jest/globals';
+import { createHash } from 'crypto';
+import { getAddedBlocks, trackLineRange } from '../services/diffStats.js';
+import { SuspiciousActivityDetector } from '../services/suspiciousActivityDetector.js';
+import { PathFilter } from '../services/pathFilter.js';
+
+const patchOf = (lines, start = 1) => [`@@ -0,0 +${start},${lines.length} @@`, ...lines.map(line => `+${line}`)].join('\n');
+
+const commit = (sha, date, files) => ({
+  sha,
+  html_url: `https://github.com/25-26-2CI-SEW/uebung-07-max/commit/${sha}`,
+  commit: { author: { name: 'Max', date }, message: 'Add code' },
+  stats: { additions: 10, deletions: 0 },
+  files: files.map(([filename, patch, status = 'modified']) => ({ filename, status, additions: 10, deletions: 0, patch }))
+});
+
+// The student's own code: 4 spaces, camelCase, German comments
+const ownCode = Array.from({ length: 6 }, (_, i) => [
+  `    // Berechnet die Summe der Werte ${i} und gibt sie zurück`,
+  `    public int summeBerechnen${i}(int ersterWert, int zweiterWert) {`,
+  `        int neueSumme = ersterWert + zweiterWert;`,
+  `        return neueSumme;`,
+  `    }`
+]).flat();
+
+// Pasted code: 2 spaces, snake_case, English chat-style comments
+const pastedCode = [
+  '  // Here\'s the complete solution for the exercise',
+  ...Array.from({ length: 10 }, (_, i) => [
+    `  // This method returns the sum of all the values`,
+    `  public int sum_of_values_${i}(int first_value, int second_value) {`,
+    `    int total_sum = first_value + second_value;`,
+    `    return total_sum;`
+  ]).flat(),
+  '  }'
+];
+
+const withSpy = (callback) => {
+  const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+  try {
+    callback(consoleSpy);
+  } finally {
+    consoleSpy.mockRestore();
+  }
+};
+
+describe('PASTE_BURST', () => {
+  describe('getAddedBlocks', () => {
+    it('should split added lines into blocks of consecutive lines', () => {
+      const patch = '@@ -1,4 +1,6 @@\n int a;\n+int b;\n+int c;\n int d;\n-int e;\n+int f;\n\\ No newline at end of file\n@@ -10 +12,2 @@\n int g;\n+int h;';
+
+      expect(getAddedBlocks(patch)).toEqual([
+        { startLine: 2, endLine: 3, lines: ['int b;', 'int c;'] },
+        { startLine: 5, endLine: 5, lines: ['int f;'] },
+        { startLine: 13, endLine: 13, lines: ['int h;'] }
+      ]);
+    });
+  });
+
+  describe('trackLineRange', () => {
+    const range = { startLine: 10, endLine: 20 };
+
+    it('should move the range by the lines added and removed above it', () => {
+      expect(trackLineRange(range, '@@ -2,2 +2,4 @@\n a\n+b\n+c\n+d\n-e')).toEqual({ startLine: 12, endLine: 22 });
+      expect(trackLineRange(range, '@@ -9,0 +10,2 @@\n+a\n+b')).toEqual({ startLine: 12, endLine: 22 });
+      expect(trackLineRange(range, '@@ -21,0 +22 @@\n+a')).toEqual(range);
+    });
+
+    it('should report changes inside the range', () => {
+      expect(trackLineRange(range, '@@ -15,1 +15,1 @@\n-a\n+b')).toBeNull();
+      expect(trackLineRange(range, '@@ -14,0 +15,1 @@\n+a')).toBeNull();
+      expect(trackLineRange(range, '@@ -20,2 +20,1 @@\n-a\n b')).toBeNull();
+    });
+  });
+
+  describe('rule', () => {
+    const detector = new SuspiciousActivityDetector([{ rules: { PASTE_BURST: { enabled: true } } }]);
+    const flagOf = (report) => report.flags.find(flag => flag.type === 'PASTE_BURST');
+
+    it('should be off by default and need the hunks when enabled', () => {
+      expect(new SuspiciousActivityDetector().needsPatches()).toBe(false);
+      expect(detector.needsPatches()).toBe(true);
+    });
+
+    it('should report a pasted block that differs from the earlier code of the student with a link to its lines', () => {
+      const commits = [
+        commit('aaaaaaa1', '2026-03-23T09:00:00Z', [['src/Summe.java', patchOf(ownCode.slice(0, 15))]]),
+        commit('aaaaaaa2', '2026-03-23T09:10:00Z', [['src/Summe.java', patchOf(ownCode.slice(15), 16)]]),
+        commit('bbbbbbb1', '2026-03-23T09:20:00Z', [['src/Sum.java', patchOf(pastedCode, 3), 'added']]),
+        // Later changes above the block move it, but do not touch it
+        commit('ccccccc1', '2026-03-23T09:30:00Z', [['src/Sum.java', '@@ -1,0 +1,2 @@\n+package sum;\n+']])
+      ];
+
+      const report = detector.analyze(commits, 'uebung-07-max');
+
+      const anchor = createHash('sha256').update('src/Sum.java').digest('hex');
+      expect(flagOf(report)).toEqual({
+        type: 'PASTE_BURST',
+        severity: 'high',
+        points: 25,
+        message: '1 block of 42 added lines never changed afterwards, 1 with signs of foreign origin',
+        details: [{
+          sha: 'bbbbbbb1',
+          filename: 'src/Sum.java',
+          startLine: 3,
+          endLine: 44,
+          lines: 42,
+          signs: [
+            'indented with 2 spaces instead of 4 spaces',
+            'names in snake_case instead of camelCase',
+            'comments in English instead of German',
+            'chat-style comment "Here\'s the complete solution for the exercise"'
+          ],
+          url: `https://github.com/25-26-2CI-SEW/uebung-07-max/commit/bbbbbbb1#diff-${anchor}R3-R44`
+        }]
+      });
+
+      withSpy(consoleSpy => {
+        detector.printReport([report], new Date('2026-03-23T08:55:00Z'), new Date('2026-03-23T10:35:00Z'), 'Europe/Vienna');
+
+        expect(consoleSpy).toHaveBeenCalledWith(expect.stringMatching(/^ {6}src\/Sum\.java:3-44 \(bbbbbbb, 42 lines\): indented with 2 spaces/));
+        expect(consoleSpy).toHaveBeenCalledWith(`        https://github.com/25-26-2CI-SEW/uebung-07-max/commit/bbbbbbb1#diff-${anchor}R3-R44`);
+      });
+    });
+
+    it('should report a block without earlier code to compare with the lower points', () => {
+      const own = ownCode.slice(0, 25).concat(ownCode.slice(0, 20));
+
+      const report = detector.analyze([commit('aaaaaaa1', '2026-03-23T09:00:00Z', [['Summe.java', patchOf(own)]])], 'uebung-07-max');
+
+      expect(flagOf(report)).toMatchObject({
+        severity: 'medium',
+        points: 10,
+        message: '1 block of 45 added lines never changed afterwards',
+        details: [{ filename: 'Summe.java', startLine: 1, endLine: 45, signs: [] }]
+      });
+    });
+
+    // The student's own style, only the comments differ
+    const blockWith = (comment) => Array.from({ length: 9 }, (_, i) => [
+      `    // ${comment}`,
+      `    public int werteZaehlen${i}(int[] alleWerte) {`,
+      `        int anzahlWerte = alleWerte.length;`,
+      `        return anzahlWerte;`,
+      `    }`
+    ]).flat();
+
+    it('should not take ordinary comments for chat answers and need two signs for the higher points', () => {
+      const commits = [
+        commit('aaaaaaa1', '2026-03-23T09:00:00Z', [['src/Summe.java', patchOf(ownCode)]]),
+        commit('bbbbbbb1', '2026-03-23T09:20:00Z', [
+          ['src/Werte.java', patchOf(blockWith('Hier ist die Schleife über alle Werte')), 'added'],
+          ['src/Values.java', patchOf(blockWith('Here is the loop over all the values')), 'added']
+        ])
+      ];
+
+      const report = detector.analyze(commits, 'uebung-07-max');
+
+      expect(flagOf(report)).toMatchObject({
+        severity: 'medium',
+        points: 10,
+        message: '2 blocks of 90 added lines never changed afterwards',
+        details: [
+          { filename: 'src/Werte.java', signs: [] },
+          { filename: 'src/Values.java', signs: ['comments in English instead of German'] }
+        ]
+      });
+    });
+
+    it('should give the higher points for a chat phrase alone', () => {
+      const commits = [
+        commit('aaaaaaa1', '2026-03-23T09:00:00Z', [['src/Summe.java', patchOf(ownCode)]]),
+        commit('bbbbbbb1', '2026-03-23T09:20:00Z', [
+          ['src/Werte.java', patchOf(['    // As an AI language model, I cannot run this code', ...blockWith('Zählt die Werte')]), 'added']
+        ])
+      ];
+
+      expect(flagOf(detector.analyze(commits, 'uebung-07-max'))).toMatchObject({
+        severity: 'high',
+        points: 25,
+        message: '1 block of 46 added lines never changed afterwards, 1 with signs of foreign origin',
+        details: [{ filename: 'src/Werte.java', signs: ['chat-style comment "As an AI language model, I cannot run this code"'] }]
+      });
+    });
+
+    it('should not report blocks changed later, removed, short or in files that are not counted', () => {
+      const pathFilter = new PathFilter({ exclude: ['generated/'] });
+      const commits = [
+        commit('aaaaaaa1', '2026-03-23T09:00:00Z', [
+          ['src/Sum.java', patchOf(pastedCode), 'added'],
+          ['src/Old.java', patchOf(pastedCode), 'added'],
+          ['src/Short.java', patchOf(pastedCode.slice(0, 39)), 'added'],
+          ['generated/Sum.java', patchOf(pastedCode), 'added']
+        ]),
+        commit('bbbbbbb1', '2026-03-23T09:30:00Z', [
+          ['src/Sum.java', '@@ -20 +20 @@\n-    return total_sum;\n+    return total_sum * 2;'],
+          ['src/Old.java', undefined, 'removed']
+        ])
+      ];
+
+      const report = detector.analyze(commits, 'uebung-07-max', { pathFilter });
+
+      expect(flagOf(report)).toBeUndefined();
+    });
+
+    it('should follow a renamed file', () => {
+      const commits = [
+        commit('aaaaaaa1', '2026-03-23T09:00:00Z', [['Sum.java', patchOf(pastedCode), 'added']]),
+        {
+          ...commit('bbbbbbb1', '2026-03-23T09:30:00Z', []),
+          files: [{ filename: 'src/Sum.java', previous_filename: 'Sum.java', status: 'renamed', additions: 1, deletions: 1, patch: '@@ -30 +30 @@\n-  }\n+  } // end' }]
+        }
+      ];
+
+      expect(flagOf(detector.analyze(commits, 'uebung-07-max'))).toBeUndefined();
+    });
+  });
+});
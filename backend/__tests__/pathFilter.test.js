@@ -0,0 +1,109 @@
+import { PathFilter } from '../services/pathFilter.js';
+
+describe('PathFilter', () => {
+  describe('default excludes', () => {
+    const filter = new PathFilter();
+
+    it('should exclude IDE settings and build output at any depth', () => {
+      expect(filter.getExclusionRule('.idea/workspace.xml')).toBe('.idea/');
+      expect(filter.getExclusionRule('uebung/target/classes/App.class')).toBe('*.class');
+      expect(filter.getExclusionRule('target/surefire-reports/report.txt')).toBe('target/');
+      expect(filter.getExclusionRule('uebung07.iml')).toBe('*.iml');
+      expect(filter.getExclusionRule('app/build/generated/Controller.java')).toBe('**/build/generated/');
+    });
+
+    it('should exclude generic build directories only at the root or in the layout of the build tools', () => {
+      expect(filter.getExclusionRule('out/production/uebung07/App.class')).toBe('*.class');
+      expect(filter.getExclusionRule('out/artifacts/notes.txt')).toBe('/out/');
+      expect(filter.getExclusionRule('bin/Main.txt')).toBe('/bin/');
+      expect(filter.getExclusionRule('uebung07/out/production/uebung07/view.fxml')).toBe('**/out/production/');
+      expect(filter.getExclusionRule('server/build/libs/server-plain.txt')).toBe('**/build/libs/');
+      expect(filter.getExclusionRule('generated/Controller.java')).toBe('/generated/');
+    });
+
+    it('should keep sources', () => {
+      expect(filter.getExclusionRule('src/main/java/at/htl/App.java')).toBeNull();
+      expect(filter.getExclusionRule('src/main/resources/view.fxml')).toBeNull();
+      // "build/" matches directories only, not files with that name
+      expect(filter.getExclusionRule('src/build')).toBeNull();
+      expect(filter.getExclusionRule('build')).toBeNull();
+      // Packages named like build directories
+      expect(filter.getExclusionRule('src/main/java/at/htl/bin/Converter.java')).toBeNull();
+      expect(filter.getExclusionRule('src/main/java/at/htl/out/Printer.java')).toBeNull();
+      expect(filter.getExclusionRule('src/main/java/at/htl/build/Builder.java')).toBeNull();
+      expect(filter.getExclusionRule('src/main/java/at/htl/generated/Ids.java')).toBeNull();
+    });
+
+    it('should only require per-file stats for configured rules', () => {
+      expect(filter.isActive()).toBe(true);
+      expect(filter.requiresFiles()).toBe(false);
+      expect(new PathFilter({ exclude: ['/data/'] }).requiresFiles()).toBe(true);
+      expect(new PathFilter({ include: '*.java', defaultExcludes: false }).requiresFiles()).toBe(true);
+      expect(new PathFilter({}, ['.java']).requiresFiles()).toBe(true);
+    });
+
+    it('can be turned off', () => {
+      const noDefaults = new PathFilter({ defaultExcludes: false });
+
+      expect(noDefaults.getExclusionRule('.idea/workspace.xml')).toBeNull();
+      expect(noDefaults.isActive()).toBe(false);
+    });
+  });
+
+  describe('gitignore rules', () => {
+    it('should anchor patterns containing a slash at the repository root', () => {
+      const filter = new PathFilter({ exclude: ['/data/*.csv'], defaultExcludes: false });
+
+      expect(filter.getExclusionRule('data/grades.csv')).toBe('/data/*.csv');
+      expect(filter.getExclusionRule('src/data/grades.csv')).toBeNull();
+      // "*" does not match "/"
+      expect(filter.getExclusionRule('data/2026/grades.csv')).toBeNull();
+    });
+
+    it('should match "**" across directories', () => {
+      const filter = new PathFilter({ exclude: ['src/**/generated/*.java'], defaultExcludes: false });
+
+      expect(filter.getExclusionRule('src/generated/A.java')).toBe('src/**/generated/*.java');
+      expect(filter.getExclusionRule('src/main/java/generated/A.java')).toBe('src/**/generated/*.java');
+      expect(filter.getExclusionRule('lib/generated/A.java')).toBeNull();
+    });
+
+    it('should re-include files with "!" (the last matching rule wins)', () => {
+      const filter = new PathFilter({ exclude: ['!out/abgabe.pdf'] });
+
+      expect(filter.getExclusionRule('out/abgabe.pdf')).toBeNull();
+      expect(filter.getExclusionRule('out/production/App.class')).toBe('*.class');
+    });
+
+    it('should support character classes', () => {
+      const filter = new PathFilter({ exclude: ['test[0-9].txt'], defaultExcludes: false });
+
+      expect(filter.getExclusionRule('test1.txt')).toBe('test[0-9].txt');
+      expect(filter.getExclusionRule('testA.txt')).toBeNull();
+    });
+  });
+
+  describe('include', () => {
+    it('should count only included files, the legacy fileExtensions are added as patterns', () => {
+      const filter = PathFilter.fromOrganization({ paths: { include: ['*.fxml'] }, fileExtensions: ['.java'] });
+
+      expect(filter.getExclusionRule('src/App.java')).toBeNull();
+      expect(filter.getExclusionRule('src/view.fxml')).toBeNull();
+      expect(filter.getExclusionRule('README.md')).toBe('not matching include patterns');
+      // Default excludes still apply to included files
+      expect(filter.getExclusionRule('target/App.java')).toBe('target/');
+    });
+  });
+
+  describe('validate', () => {
+    it('should reject malformed configs', () => {
+      expect(() => new PathFilter({ excludes: ['target/'] })).toThrow('Unknown option excludes');
+      expect(() => new PathFilter({ exclude: [''] })).toThrow('exclude must be a pattern or a list of non-empty patterns');
+      expect(() => new PathFilter({ exclude: ['/'] })).toThrow('Invalid path pattern: "/"');
+      expect(() => new PathFilter({ exclude: ['test[0-9.txt'] })).toThrow('unclosed "["');
+      expect(() => new PathFilter({ include: ['!*.md'] })).toThrow('include patterns cannot be negated');
+      expect(() => new PathFilter({ defaultExcludes: 'no' })).toThrow('defaultExcludes must be true or false');
+      expect(() => PathFilter.fromOrganization({ fileExtensions: '.java' })).toThrow('fileExtensions must be a list');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import { generateKeyPairSync } from 'crypto';
+import { ApiError } from '../services/apiService.js';
+import { GitHubAppAuth } from '../services/githubAppAuth.js';
+import { GiteaService } from '../services/giteaService.js';
+import { GitLabService } from '../services/gitlabService.js';
+import { LocalGitProvider } from '../services/localGitProvider.js';
+import { checkProviderAccess, createProviders, getTokenEnv, validateProviderConfig } from '../services/providerFactory.js';
+
+describe('providerFactory', () => {
+  const env = { GITHUB_TOKEN: 'ghp', GITLAB_TOKEN: 'glpat', GITEA_TOKEN: 'gitea', SCHOOL_GITEA_TOKEN: 'school' };
+
+  describe('validateProviderConfig', () => {
+    it('should accept GitHub organizations without further settings', () => {
+      expect(validateProviderConfig({ name: 'org' }, env)).toBeNull();
+    });
+
+    it('should reject unknown providers', () => {
+      expect(validateProviderConfig({ name: 'org', provider: 'bitbucket' }, env))
+        .toBe('provider must be one of "github", "gitlab", "gitea", "local" in org, got: bitbucket');
+    });
+
+    it('should require localPath for local repositories but no token', () => {
+      expect(validateProviderConfig({ name: 'org', provider: 'local' }, {})).toBe('provider "local" requires localPath in org');
+      expect(validateProviderConfig({ name: 'org', provider: 'local', localPath: 'repos' }, {})).toBeNull();
+    });
+
+    it('should require the URL of a Gitea instance', () => {
+      expect(validateProviderConfig({ name: 'org', provider: 'gitea' }, env)).toBe('provider "gitea" requires baseUrl in org');
+      expect(validateProviderConfig({ name: 'org', provider: 'gitea', baseUrl: 'gitea.local' }, env))
+        .toBe('baseUrl must be an http(s) URL in org, got: gitea.local');
+    });
+
+    it('should require the token of the provider', () => {
+      expect(validateProviderConfig({ name: 'org', provider: 'gitlab' }, { GITHUB_TOKEN: 'ghp' }))
+        .toBe('GITLAB_TOKEN not found in .env file (needed for org)');
+      expect(getTokenEnv({ name: 'org', provider: 'gitea', tokenEnv: 'SCHOOL_GITEA_TOKEN' })).toBe('SCHOOL_GITEA_TOKEN');
+    });
+  });
+
+  describe('GitHub App', () => {
+    const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048, privateKeyEncoding: { type: 'pkcs1', format: 'pem' } });
+    const appEnv = { GITHUB_APP_ID: '123456', GITHUB_APP_PRIVATE_KEY: privateKey.replace(/\n/g, '\\n') };
+
+    it('should use the App instead of a token when its credentials are configured', () => {
+      expect(validateProviderConfig({ name: 'org' }, appEnv)).toBeNull();
+      expect(validateProviderConfig({ name: 'org' }, { GITHUB_APP_ID: '123456' }))
+        .toBe('GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH not found in .env file (needed for org)');
+      expect(validateProviderConfig({ name: 'org', githubAuth: 'token' }, appEnv)).toBe('GITHUB_TOKEN not found in .env file (needed for org)');
+    });
+
+    it('should create one client per installation sharing the App authentication', () => {
+      const createGitHubService = jest.fn((token, options) => ({ token, ...options }));
+
+      const providers = createProviders([{ name: 'class-a' }, { name: 'class-b' }], { env: appEnv, baseDir: '/srv/app', createGitHubService });
+
+      const [a, b] = [providers.get('class-a'), providers.get('class-b')];
+      expect(a).toMatchObject({ token: null, organization: 'class-a' });
+      expect(b.organization).toBe('class-b');
+      expect(a.appAuth).toBeInstanceOf(GitHubAppAuth);
+      expect(a.appAuth).toBe(b.appAuth);
+    });
+
+    it('should fail for an unreadable private key file', () => {
+      expect(() => createProviders([{ name: 'org' }], {
+        env: { GITHUB_APP_ID: '1', GITHUB_APP_PRIVATE_KEY_PATH: 'missing.pem' },
+        baseDir: '/srv/app',
+        createGitHubService: jest.fn()
+      })).toThrow('GitHub App private key not readable (GITHUB_APP_PRIVATE_KEY_PATH=/srv/app/missing.pem)');
+    });
+  });
+
+  describe('checkProviderAccess', () => {
+    it('should name the token variable when the credentials are insufficient', async () => {
+      const provider = { checkAccess: jest.fn().mockRejectedValue(new Error('classic personal access token is invalid or expired')) };
+
+      await expect(checkProviderAccess({ name: 'org' }, provider)).rejects.toThrow('GITHUB_TOKEN: classic personal access token is invalid or expired');
+    });
+
+    it('should not fail when the server cannot be reached', async () => {
+      const provider = { checkAccess: jest.fn().mockRejectedValue(new ApiError('GitHub API /rate_limit failed: ECONNRESET')) };
+
+      await expect(checkProviderAccess({ name: 'org' }, provider)).resolves.toBe('not verified (GitHub API /rate_limit failed: ECONNRESET)');
+    });
+
+    it('should skip providers without credential check', async () => {
+      await expect(checkProviderAccess({ name: 'org', provider: 'local' }, {})).resolves.toBeNull();
+    });
+  });
+
+  describe('createProviders', () => {
+    it('should create one provider per organization and share clients per server and token', () => {
+      const createGitHubService = jest.fn((token, options) => ({ token, ...options }));
+      const providers = createProviders([
+        { name: 'github-a' },
+        { name: 'github-b' },
+        { name: 'gitlab', provider: 'gitlab', baseUrl: 'https://git.htl.example' },
+        { name: 'gitea-a', provider: 'gitea', baseUrl: 'https://gitea.htl.example' },
+        { name: 'gitea-b', provider: 'gitea', baseUrl: 'https://gitea.htl.example', tokenEnv: 'SCHOOL_GITEA_TOKEN' },
+        { name: 'backup', provider: 'local', localPath: 'repos' }
+      ], { env, baseDir: '/srv/app', createGitHubService });
+
+      expect(createGitHubService).toHaveBeenCalledTimes(1);
+      expect(providers.get('github-a')).toBe(providers.get('github-b'));
+      expect(providers.get('gitlab')).toBeInstanceOf(GitLabService);
+      expect(providers.get('gitea-a')).toBeInstanceOf(GiteaService);
+      expect(providers.get('gitea-b')).not.toBe(providers.get('gitea-a'));
+      expect(providers.get('backup')).toBeInstanceOf(LocalGitProvider);
+      expect(providers.get('backup').rootPath).toBe('/srv/app/repos');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+import { assignPushTimes } from '../services/pushTimes.js';
+
+const commit = (sha, parents, committed) => ({
+  sha,
+  parents: parents.map(parent => ({ sha: parent })),
+  commit: { author: { date: committed }, committer: { date: committed } }
+});
+
+describe('assignPushTimes', () => {
+  const since = new Date('2026-03-23T08:55:00Z');
+  const base = commit('c0', [], '2026-03-20T10:00:00Z');
+  const c1 = commit('c1', ['c0'], '2026-03-23T09:10:00Z');
+  const c2 = commit('c2', ['c1'], '2026-03-23T09:40:00Z');
+  const c3 = commit('c3', ['c2'], '2026-03-23T10:20:00Z');
+
+  it('should give every commit the first push containing it', async () => {
+    const getCommit = jest.fn();
+    const pushes = [
+      { pushedAt: '2026-03-23T19:00:00Z', ref: 'main', before: 'c2', after: 'c3' },
+      { pushedAt: '2026-03-23T09:45:00Z', ref: 'main', before: 'c0', after: 'c2' },
+      // Pushing the same commits to another branch later does not change their push time
+      { pushedAt: '2026-03-24T08:00:00Z', ref: 'backup', before: '0000000000000000000000000000000000000000', after: 'c3' }
+    ];
+
+    const pushTimes = await assignPushTimes([c3, c2, c1], pushes, getCommit, since);
+
+    expect(pushTimes.get('c1')).toEqual({ pushedAt: '2026-03-23T09:45:00Z', ref: 'main' });
+    expect(pushTimes.get('c2').pushedAt).toBe('2026-03-23T09:45:00Z');
+    expect(pushTimes.get('c3').pushedAt).toBe('2026-03-23T19:00:00Z');
+    // The walk stops at "before" and at commits pushed earlier
+    expect(getCommit).not.toHaveBeenCalled();
+  });
+
+  it('should walk through commits outside the time windows', async () => {
+    // c4 was committed the next day on top of the lesson's commits, all pushed together
+    const c4 = commit('c4', ['c3'], '2026-03-24T18:00:00Z');
+    const getCommit = jest.fn(async sha => ({ c0: base, c4 })[sha]);
+
+    const pushTimes = await assignPushTimes([c3, c2, c1], [{ pushedAt: '2026-03-24T18:05:00Z', ref: 'main', before: 'c0', after: 'c4' }], getCommit, since);
+
+    expect([...pushTimes.keys()]).toEqual(['c3', 'c2', 'c1']);
+    expect(pushTimes.get('c1').pushedAt).toBe('2026-03-24T18:05:00Z');
+    expect(getCommit.mock.calls.map(([sha]) => sha)).toEqual(['c4']);
+  });
+
+  it('should leave commits without known push out', async () => {
+    const pushTimes = await assignPushTimes([c2, c1], [{ pushedAt: '2026-03-23T10:00:00Z', ref: 'main', before: 'c1', after: 'c2' }], async () => base, since);
+
+    expect(pushTimes.has('c2')).toBe(true);
+    expect(pushTimes.has('c1')).toBe(false);
+  });
+
+  it('should not walk pushes again that an earlier call walked for the same time windows', async () => {
+    const pushes = [{ pushedAt: '2026-03-23T09:45:00Z', ref: 'main', before: 'c0', after: 'c2' }];
+    const walks = new Map();
+
+    await assignPushTimes([c2], pushes, async sha => ({ c1 })[sha], since, walks);
+    const getCommit = jest.fn();
+    const pushTimes = await assignPushTimes([c3, c2], [...pushes, { pushedAt: '2026-03-23T10:25:00Z', ref: 'main', before: 'c2', after: 'c3' }], getCommit, since, walks);
+
+    expect(walks.get('c0..c2')).toEqual(['c2', 'c1']);
+    expect(pushTimes.get('c2').pushedAt).toBe('2026-03-23T09:45:00Z');
+    expect(pushTimes.get('c3').pushedAt).toBe('2026-03-23T10:25:00Z');
+    expect(getCommit).not.toHaveBeenCalled();
+  });
+
+  it('should limit the commits looked up per push', async () => {
+    // A whole project of 200 commits imported at once
+    const history = Array.from({ length: 200 }, (_, i) => commit(`h${i}`, i > 0 ? [`h${i - 1}`] : [], '2026-03-23T09:00:00Z'));
+    const last = commit('c1', ['h199'], '2026-03-23T09:10:00Z');
+    const getCommit = jest.fn(async sha => history.find(entry => entry.sha === sha));
+
+    const pushTimes = await assignPushTimes([last], [{ pushedAt: '2026-03-23T09:15:00Z', ref: 'main', before: null, after: 'c1' }], getCommit, since);
+
+    expect(pushTimes.get('c1').pushedAt).toBe('2026-03-23T09:15:00Z');
+    expect(getCommit).toHaveBeenCalledTimes(50);
+  });
+
+  it('should not walk history committed before the time windows', async () => {
+    const older = commit('b0', [], '2026-03-19T10:00:00Z');
+    const getCommit = jest.fn(async sha => ({ c0: { ...base, parents: [{ sha: 'b0' }] }, b0: older })[sha]);
+
+    // A new repository: the first push has no "before"
+    const pushTimes = await assignPushTimes([c1], [{ pushedAt: '2026-03-23T09:15:00Z', ref: 'main', before: null, after: 'c1' }], getCommit, since);
+
+    expect(pushTimes.get('c1').pushedAt).toBe('2026-03-23T09:15:00Z');
+    expect(getCommit.mock.calls.map(([sha]) => sha)).toEqual(['c0']);
+  });
+});
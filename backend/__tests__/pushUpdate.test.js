@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parsePushEvent } from '../services/webhookHandler.js';
+import { patchAnalysis, updateRepository } from '../services/pushUpdate.js';
+import { SuspiciousActivityDetector } from '../services/suspiciousActivityDetector.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const payload = JSON.parse(readFileSync(join(fixturesDir, 'push-event.json'), 'utf-8'));
+const eventOf = (changes = {}) => parsePushEvent({ ...payload, ...changes });
+
+const REPO = 'sew-uebung-mueller';
+// Lesson of the recorded push: "Add input validation" (10:12 local) falls into it, "Finish homework" (19:40) does not
+const timeWindows = [
+  { index: 0, since: new Date('2026-03-23T08:00:00Z'), until: new Date('2026-03-23T10:00:00Z') },
+  { index: 1, since: new Date('2026-03-24T08:00:00Z'), until: new Date('2026-03-24T10:00:00Z') }
+];
+
+const commit = (sha, date, extra = {}) => ({
+  sha,
+  html_url: `https://github.com/25-26-2CI-SEW/${REPO}/commit/${sha}`,
+  parents: [{ sha: 'parent' }],
+  commit: { author: { name: 'Max Müller', date }, committer: { date }, message: `Commit ${sha}` },
+  stats: { additions: 20, deletions: 2 },
+  ...extra
+});
+
+const known = {
+  repo: { name: REPO, html_url: `https://github.com/25-26-2CI-SEW/${REPO}`, default_branch: 'main' },
+  commitsPerWindow: [[commit('1111111', '2026-03-23T08:30:00Z', { branches: ['main'] })], []],
+  errors: [],
+  templateExcluded: []
+};
+
+const snapshotOf = (entries = [known]) => ({
+  runId: 3,
+  organization: { name: '25-26-2CI-SEW' },
+  timeZone: 'Europe/Vienna',
+  timeWindows,
+  templateMatcher: null,
+  commitsByRepository: new Map(entries.map(entry => [entry.repo.name, entry])),
+  similarity: [[], []]
+});
+
+const providerOf = (details = {}) => ({
+  getCommitDetails: jest.fn(async (owner, repo, sha) => {
+    if (details[sha] instanceof Error) {
+      throw details[sha];
+    }
+    return details[sha] ?? commit(sha, '2026-03-23T09:12:45Z');
+  })
+});
+
+const optionsOf = (changes = {}) => ({
+  branches: 'default',
+  concurrency: 2,
+  detailOptions: { includeFiles: false },
+  isCounted: () => true,
+  getExclusionReason: () => null,
+  refetch: jest.fn(async () => ({ commitsPerWindow: [[commit('2222222', '2026-03-23T09:00:00Z')], []], errors: [], templateExcluded: [] })),
+  ...changes
+});
+
+describe('pushUpdate', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('updateRepository', () => {
+    it('should fetch only the new commits of the time windows and add them with the push time', async () => {
+      const snapshot = snapshotOf();
+      const provider = providerOf();
+      const options = optionsOf();
+
+      const entry = await updateRepository(eventOf(), snapshot, provider, options);
+
+      expect(provider.getCommitDetails).toHaveBeenCalledTimes(1);
+      expect(provider.getCommitDetails).toHaveBeenCalledWith('25-26-2CI-SEW', REPO, '3a9f0b6c1d2e4f5a6b7c8d9e0f1a2b3c4d5e6f70', { includeFiles: false });
+      expect(options.refetch).not.toHaveBeenCalled();
+      expect(entry.repo).toBe(known.repo);
+      expect(entry.commitsPerWindow[0].map(c => c.sha)).toEqual(['3a9f0b6c1d2e4f5a6b7c8d9e0f1a2b3c4d5e6f70', '1111111']);
+      expect(entry.commitsPerWindow[0][0].pushedAt).toBe('2026-03-23T10:12:45Z');
+      expect(entry.commitsPerWindow[1]).toEqual([]);
+      // The snapshot is published by the caller, not changed here
+      expect(snapshot.commitsByRepository.get(REPO)).toBe(known);
+      expect(known.commitsPerWindow[0]).toHaveLength(1);
+    });
+
+    it('should record failed detail requests and leave out commits that are not counted', async () => {
+      const entry = await updateRepository(eventOf(), snapshotOf(), providerOf({
+        '3a9f0b6c1d2e4f5a6b7c8d9e0f1a2b3c4d5e6f70': new Error('HTTP 502')
+      }), optionsOf());
+      expect(entry.errors).toEqual(['HTTP 502']);
+      expect(entry.commitsPerWindow[0].map(c => c.sha)).toEqual(['1111111']);
+
+      const ignored = await updateRepository(eventOf(), snapshotOf(), providerOf(), optionsOf({ isCounted: () => false }));
+      expect(ignored.commitsPerWindow[0].map(c => c.sha)).toEqual(['1111111']);
+    });
+
+    it('should only add the branch label to commits known from another branch', async () => {
+      const pushed = commit('3a9f0b6c1d2e4f5a6b7c8d9e0f1a2b3c4d5e6f70', '2026-03-23T09:12:45Z', { branches: ['main'] });
+      const provider = providerOf();
+
+      const entry = await updateRepository(
+        eventOf({ ref: 'refs/heads/feature' }),
+        snapshotOf([{ ...known, commitsPerWindow: [[pushed], []] }]),
+        provider,
+        optionsOf({ branches: 'all' })
+      );
+
+      expect(provider.getCommitDetails).not.toHaveBeenCalled();
+      expect(entry.commitsPerWindow[0]).toEqual([{ ...pushed, branches: ['main', 'feature'] }]);
+    });
+
+    it('should label new commits with the pushed branch when all branches are analyzed', async () => {
+      const entry = await updateRepository(eventOf({ ref: 'refs/heads/feature' }), snapshotOf(), providerOf(), optionsOf({ branches: 'all' }));
+
+      expect(entry.commitsPerWindow[0][0]).toMatchObject({ sha: '3a9f0b6c1d2e4f5a6b7c8d9e0f1a2b3c4d5e6f70', branches: ['feature'] });
+    });
+
+    it('should ignore pushes to other branches when only the default branch is analyzed', async () => {
+      const provider = providerOf();
+
+      expect(await updateRepository(eventOf({ ref: 'refs/heads/feature' }), snapshotOf(), provider, optionsOf())).toBeNull();
+      expect(provider.getCommitDetails).not.toHaveBeenCalled();
+    });
+
+    it.each([['forced', { forced: true }], ['deleted', { deleted: true }]])('should fetch the repository again after a %s push', async (label, changes) => {
+      const provider = providerOf();
+      const options = optionsOf();
+
+      const entry = await updateRepository(eventOf(changes), snapshotOf(), provider, options);
+
+      expect(options.refetch).toHaveBeenCalledWith(known.repo);
+      expect(provider.getCommitDetails).not.toHaveBeenCalled();
+      expect(entry).toEqual({ repo: known.repo, commitsPerWindow: [[expect.objectContaining({ sha: '2222222' })], []], errors: [], templateExcluded: [] });
+    });
+
+    it('should fetch an unknown repository unless the filter rules exclude it', async () => {
+      const options = optionsOf();
+      const entry = await updateRepository(eventOf(), snapshotOf([]), providerOf(), options);
+
+      expect(options.refetch).toHaveBeenCalledWith(expect.objectContaining({ name: REPO, default_branch: 'main', topics: ['sew', 'uebung'] }));
+      expect(entry.repo.name).toBe(REPO);
+
+      const excluded = optionsOf({ getExclusionReason: (repository) => repository.topics.includes('uebung') ? 'topic uebung' : null });
+      expect(await updateRepository(eventOf(), snapshotOf([]), providerOf(), excluded)).toBeNull();
+      expect(excluded.refetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('patchAnalysis', () => {
+    const other = { repo: { name: 'sew-uebung-huber' }, commitsPerWindow: [[commit('3333333', '2026-03-23T09:00:00Z')], []], errors: [], templateExcluded: [] };
+    const stats = {
+      organization: '25-26-2CI-SEW',
+      lastUpdate: '2026-03-23T09:00:00.000Z',
+      repositories: [{ name: REPO, commitCount: 1 }, { name: 'sew-uebung-huber', commitCount: 1 }],
+      assignments: [],
+      roster: null,
+      partialFailures: [{ repository: REPO, message: 'HTTP 502' }, { repository: 'sew-uebung-huber', message: 'HTTP 500' }],
+      run: { runId: 3 }
+    };
+
+    const optionsFor = (changes = {}) => ({
+      buildStats: (entry) => ({ name: entry.repo.name, commitCount: entry.commitsPerWindow.flat().length }),
+      summarize: (repositories) => ({ assignments: [{ repositories: repositories.length }], roster: null }),
+      compare: jest.fn((commitsByRepository) => [[{ repoA: REPO, repoB: 'sew-uebung-huber', size: commitsByRepository.size }], []]),
+      ...changes
+    });
+
+    it('should replace the repository in new stats and snapshot and compare all repositories again', async () => {
+      const snapshot = snapshotOf([known, other]);
+      const entry = await updateRepository(eventOf(), snapshot, providerOf(), optionsOf());
+      const options = optionsFor();
+
+      const published = patchAnalysis(snapshot, stats, entry, options);
+
+      expect(published.stats).toMatchObject({
+        organization: '25-26-2CI-SEW',
+        repositories: [{ name: REPO, commitCount: 2 }, { name: 'sew-uebung-huber', commitCount: 1 }],
+        assignments: [{ repositories: 2 }],
+        partialFailures: [{ repository: 'sew-uebung-huber', message: 'HTTP 500' }],
+        run: { runId: 3 }
+      });
+      expect(published.stats.lastUpdate).not.toBe(stats.lastUpdate);
+      expect(published.snapshot).toMatchObject({ runId: 3, similarity: [[{ repoA: REPO, repoB: 'sew-uebung-huber', size: 2 }], []] });
+      expect(published.snapshot.commitsByRepository.get(REPO)).toBe(entry);
+      expect(options.compare).toHaveBeenCalledWith(published.snapshot.commitsByRepository);
+      expect(published.reports).toEqual([]);
+      // Nothing is visible before the caller publishes the result
+      expect(snapshot.commitsByRepository.get(REPO)).toBe(known);
+      expect(snapshot.similarity).toEqual([[], []]);
+      expect(stats.repositories[0].commitCount).toBe(1);
+    });
+
+    it('should add a new repository and analyze the time windows with commits', async () => {
+      const snapshot = snapshotOf([other]);
+      const entry = await updateRepository(eventOf(), snapshot, providerOf(), optionsOf());
+      const detector = new SuspiciousActivityDetector();
+      const analyze = jest.fn((window, commits, similarPairs, repoEntry) => ({ window, report: detector.analyze(commits, repoEntry.name) }));
+
+      const withoutRepository = { ...stats, repositories: stats.repositories.slice(1), partialFailures: [] };
+
+      const published = patchAnalysis(snapshot, withoutRepository, entry, optionsFor({ analyze }));
+
+      expect(published.stats.repositories.map(repository => repository.name)).toEqual(['sew-uebung-huber', REPO]);
+      expect(analyze).toHaveBeenCalledTimes(1);
+      expect(analyze).toHaveBeenCalledWith(timeWindows[0], entry.commitsPerWindow[0], published.snapshot.similarity[0], { name: REPO, commitCount: 1 });
+      expect(published.reports).toEqual([{ window: timeWindows[0], report: expect.objectContaining({ repoName: REPO, commitCount: 1, measurements: { commits: 1, lines: 22, pace: 22 } }) }]);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { RepositoryFilter, summarizeAssignments } from '../services/repositoryFilter.js';
+
+const repo = (name, overrides = {}) => ({
+  name,
+  html_url: `https://github.com/25-26-2CI-SEW/${name}`,
+  archived: false,
+  fork: false,
+  is_template: false,
+  topics: [],
+  created_at: '2026-02-10T08:00:00Z',
+  ...overrides
+});
+
+describe('RepositoryFilter', () => {
+  describe('validate', () => {
+    it('should reject unknown options and malformed values', () => {
+      expect(() => new RepositoryFilter({ skipArchive: true })).toThrow('Unknown option skipArchive');
+      expect(() => new RepositoryFilter({ include: ['/uebung-(/'] })).toThrow('Invalid regular expression /uebung-(/');
+      expect(() => new RepositoryFilter({ skipForks: 'yes' })).toThrow('skipForks must be true or false');
+      expect(() => new RepositoryFilter({ createdAfter: '01.02.2026' })).toThrow('createdAfter must be a date');
+      expect(() => new RepositoryFilter({ topics: [''] })).toThrow('topics must be a string or a list of non-empty strings');
+    });
+
+    it('should keep every repository without rules', () => {
+      const filter = new RepositoryFilter(undefined, 'Europe/Vienna');
+
+      expect(filter.apply([repo('a', { archived: true }), repo('b', { fork: true })]).excluded).toEqual([]);
+    });
+  });
+
+  describe('apply', () => {
+    it('should match include and exclude globs case-insensitively', () => {
+      const filter = new RepositoryFilter({ include: ['uebung-*'], exclude: ['*-Template'] }, 'Europe/Vienna');
+
+      const { repositories, excluded } = filter.apply([
+        repo('uebung-07-max'),
+        repo('Uebung-07-anna'),
+        repo('uebung-07-template'),
+        repo('notes')
+      ]);
+
+      expect(repositories.map(r => r.name)).toEqual(['uebung-07-max', 'Uebung-07-anna']);
+      expect(excluded).toEqual([
+        { name: 'uebung-07-template', url: 'https://github.com/25-26-2CI-SEW/uebung-07-template', reason: 'matches exclude pattern *-Template' },
+        { name: 'notes', url: 'https://github.com/25-26-2CI-SEW/notes', reason: 'not matching include patterns' }
+      ]);
+    });
+
+    it('should accept regular expressions', () => {
+      const filter = new RepositoryFilter({ include: ['/^sew-\\d{2}-/'] }, 'Europe/Vienna');
+
+      expect(filter.apply([repo('sew-03-max'), repo('sew-intro')]).repositories.map(r => r.name)).toEqual(['sew-03-max']);
+    });
+
+    it('should not let "*" cross GitLab subgroups, but "**"', () => {
+      expect(new RepositoryFilter({ include: ['2ci/*'] }).getExclusionReason(repo('2ci/archiv/alice'))).toBe('not matching include patterns');
+      expect(new RepositoryFilter({ include: ['2ci/**'] }).getExclusionReason(repo('2ci/archiv/alice'))).toBeNull();
+    });
+
+    it('should skip archived, forked and template repositories', () => {
+      const filter = new RepositoryFilter({ skipArchived: true, skipForks: true, skipTemplates: true }, 'Europe/Vienna');
+
+      expect(filter.apply([
+        repo('old', { archived: true }),
+        repo('copy', { fork: true }),
+        repo('starter', { is_template: true }),
+        repo('gitea-starter', { template: true }),
+        repo('max')
+      ]).excluded.map(({ name, reason }) => [name, reason])).toEqual([
+        ['old', 'archived'],
+        ['copy', 'fork'],
+        ['starter', 'template'],
+        ['gitea-starter', 'template']
+      ]);
+    });
+
+    it('should require one of the topics', () => {
+      const filter = new RepositoryFilter({ topics: ['SEW', 'pos'] }, 'Europe/Vienna');
+
+      expect(filter.getExclusionReason(repo('a', { topics: ['sew', 'java'] }))).toBeNull();
+      expect(filter.getExclusionReason(repo('b', { topics: ['java'] }))).toBe('missing topic sew/pos');
+      expect(filter.getExclusionReason(repo('c', { topics: undefined }))).toBe('missing topic sew/pos');
+    });
+
+    it('should apply createdAfter as local midnight of the organization', () => {
+      const filter = new RepositoryFilter({ createdAfter: '2026-02-09' }, 'Europe/Vienna');
+
+      // 2026-02-09 00:00 in Vienna is 2026-02-08 23:00 UTC
+      expect(filter.getExclusionReason(repo('a', { created_at: '2026-02-08T23:30:00Z' }))).toBeNull();
+      expect(filter.getExclusionReason(repo('b', { created_at: '2026-02-08T22:30:00Z' }))).toBe('created before 2026-02-09');
+      // Push webhooks send Unix timestamps, local clones have no creation date
+      expect(filter.getExclusionReason(repo('c', { created_at: Date.parse('2025-09-01T08:00:00Z') / 1000 }))).toBe('created before 2026-02-09');
+      expect(filter.getExclusionReason(repo('d', { created_at: undefined }))).toBeNull();
+    });
+  });
+
+  describe('getAssignment', () => {
+    it('should split Classroom repository names into assignment and student', () => {
+      const filter = new RepositoryFilter({ assignmentPrefix: 'uebung-*-' });
+
+      expect(filter.getAssignment('uebung-07-max-mueller')).toEqual({ assignment: 'uebung-07', student: 'max-mueller' });
+      expect(filter.getAssignment('uebung-12-anna')).toEqual({ assignment: 'uebung-12', student: 'anna' });
+      expect(filter.getAssignment('notes')).toEqual({ assignment: null, student: null });
+    });
+
+    it('should use the first matching prefix and capture groups of regular expressions', () => {
+      const filter = new RepositoryFilter({ assignmentPrefix: ['/(test-\\d+)-(?:a|b)-/', 'projekt-'] });
+
+      expect(filter.getAssignment('test-2-b-anna')).toEqual({ assignment: 'test-2', student: 'anna' });
+      expect(filter.getAssignment('projekt-max')).toEqual({ assignment: 'projekt', student: 'max' });
+    });
+  });
+});
+
+describe('summarizeAssignments', () => {
+  it('should sum commits and lines per assignment', () => {
+    const summary = summarizeAssignments([
+      { assignment: 'uebung-08', commitCount: 0, totalLinesChanged: 0 },
+      { assignment: 'uebung-07', commitCount: 3, totalLinesChanged: 40 },
+      { assignment: 'uebung-07', commitCount: 2, totalLinesChanged: 10 },
+      { assignment: null, commitCount: 5, totalLinesChanged: 99 }
+    ]);
+
+    expect(summary).toEqual([
+      { name: 'uebung-07', repositoryCount: 2, activeRepositories: 2, commitCount: 5, totalLinesChanged: 50 },
+      { name: 'uebung-08', repositoryCount: 1, activeRepositories: 0, commitCount: 0, totalLinesChanged: 0 }
+    ]);
+  });
+});
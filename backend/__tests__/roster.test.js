@@ -0,0 +1,94 @@
+import { Roster } from '../services/roster.js';
+
+describe('Roster', () => {
+  const csv = [
+    'Name;Login;Email;Alias;Student Number;Group;Role',
+    'Max Müller;xX_coder_Xx;max.mueller@schule.at|Max@gmail.com;Maxi;12;A;',
+    '"Huber, Lena";@lena-h;;;7;B;student',
+    'Reinhold Buchinger;buc-htl;;;;;Teacher'
+  ].join('\r\n');
+
+  describe('fromCsv', () => {
+    it('should read a roster separated by ";" with multiple emails and quoted fields', () => {
+      const roster = Roster.fromCsv(csv);
+
+      expect(roster.entries).toHaveLength(3);
+      expect(roster.entries[0]).toEqual({
+        name: 'Max Müller',
+        logins: ['xX_coder_Xx'],
+        emails: ['max.mueller@schule.at', 'Max@gmail.com'],
+        aliases: ['Maxi'],
+        studentNumber: '12',
+        group: 'A',
+        team: null,
+        role: 'student'
+      });
+      expect(roster.entries[1]).toMatchObject({ name: 'Huber, Lena', logins: ['lena-h'] });
+      expect(roster.entries[2].role).toBe('teacher');
+    });
+
+    it('should read the roster export of GitHub Classroom', () => {
+      const roster = Roster.fromCsv([
+        '"identifier","github_username","github_id","name"',
+        '"max.mueller@schule.at","xX_coder_Xx","1001",""',
+        '"Lena Huber","lena-h","1002",""',
+        '"Tom Bauer","","",""'
+      ].join('\n'));
+
+      expect(roster.resolve({ email: 'MAX.MUELLER@schule.at' })).toMatchObject({ name: 'max.mueller@schule.at' });
+      expect(roster.resolve({ login: 'lena-h' })).toMatchObject({ name: 'Lena Huber', role: 'student' });
+      // Students who have not accepted the assignment yet have no login
+      expect(roster.entries[2]).toMatchObject({ name: 'Tom Bauer', logins: [] });
+    });
+
+    it('should reject rosters without usable columns', () => {
+      expect(() => Roster.fromCsv('login,email\nmax,max@schule.at', '2ci.csv')).toThrow('Roster 2ci.csv has no name column (columns: login, email)');
+      expect(() => Roster.fromCsv('name,group\nMax,A', '2ci.csv')).toThrow('needs a login, email or alias column');
+      expect(() => Roster.fromCsv('name,login\nMax,max\nMaxi,MAX', '2ci.csv')).toThrow('Roster 2ci.csv: login MAX belongs to Max and Maxi');
+    });
+  });
+
+  describe('resolve', () => {
+    const roster = Roster.fromCsv(csv);
+
+    it('should match logins, emails and names ignoring case and accents', () => {
+      const max = { name: 'Max Müller', studentNumber: '12', group: 'A', team: null, role: 'student' };
+
+      expect(roster.resolve({ login: 'xx_CODER_xx' })).toEqual(max);
+      expect(roster.resolve({ email: 'max@gmail.com', name: 'unknown' })).toEqual(max);
+      expect(roster.resolve({ name: 'max  muller' })).toEqual(max);
+      expect(roster.resolve({ name: 'Maxi' })).toEqual(max);
+      expect(roster.resolve({ login: 'stranger', email: 'stranger@example.com', name: 'Stranger' })).toBeNull();
+    });
+
+    it('should not match names shared by several students', () => {
+      const shared = Roster.fromCsv('name,login,alias\nMax Müller,max-m,Max\nMax Berger,max-b,Max');
+
+      expect(shared.resolve({ name: 'Max' })).toBeNull();
+      expect(shared.resolve({ name: 'Max Berger' })).toMatchObject({ name: 'Max Berger' });
+    });
+  });
+
+  describe('resolveRepository', () => {
+    const roster = Roster.fromCsv('name,login\nMax,max\nMaximilian,maxi');
+
+    it('should find the student from the login at the end of the repository name', () => {
+      expect(roster.resolveRepository('uebung-07-maxi')).toMatchObject({ name: 'Maximilian' });
+      expect(roster.resolveRepository('uebung-07-max')).toMatchObject({ name: 'Max' });
+      expect(roster.resolveRepository('uebung-07-team-3')).toBeNull();
+    });
+
+    it('should use the student part of an assignment repository', () => {
+      expect(roster.resolveRepository('uebung-07-MAX', 'MAX')).toMatchObject({ name: 'Max' });
+      expect(roster.resolveRepository('uebung-07-max-extra', 'max-extra')).toBeNull();
+    });
+
+    it('should find the members of a team repository', () => {
+      const teams = Roster.fromCsv('name,login,team\nMax,max,Team 3\nLena,lena-h,team 3\nTom,tom,team-13');
+
+      expect(teams.resolveTeam('projekt-team-3').map(member => member.name)).toEqual(['Max', 'Lena']);
+      expect(teams.resolveTeam('projekt-team-13', 'team-13').map(member => member.name)).toEqual(['Tom']);
+      expect(teams.resolveTeam('projekt-max')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { BUILTIN_RULES, loadRules, validateRule } from '../services/rules/index.js';
+import { SuspiciousActivityDetector } from '../services/suspiciousActivityDetector.js';
+
+const fixtures = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'rules');
+
+const commit = (date, additions, message = 'Add feature') => ({
+  commit: { author: { name: 'Student', date }, message },
+  stats: { additions, deletions: Math.round(additions / 4) }
+});
+
+describe('rules', () => {
+  describe('built-in rules', () => {
+    it('should have unique types and valid settings', () => {
+      BUILTIN_RULES.forEach(rule => validateRule(rule, 'built-in'));
+
+      expect(new Set(BUILTIN_RULES.map(rule => rule.type)).size).toBe(BUILTIN_RULES.length);
+    });
+
+    it('should not count flags of rules suppressed by a rule that reported a flag', () => {
+      // 3 commits within a minute: mass activity also covers the rapid-fire pattern
+      const commits = [
+        commit('2026-03-23T09:30:00Z', 120),
+        commit('2026-03-23T09:30:20Z', 100),
+        commit('2026-03-23T09:30:40Z', 110)
+      ];
+
+      const result = new SuspiciousActivityDetector().analyze(commits, 'test-repo');
+
+      expect(result.flags.map(flag => flag.type)).toEqual(['MASS_ACTIVITY', 'UNREALISTIC_SPEED']);
+      expect(result.contributions).toEqual([
+        { type: 'MASS_ACTIVITY', flags: 1, points: 69, suppressedBy: null },
+        { type: 'RAPID_FIRE', flags: 1, points: 0, suppressedBy: 'MASS_ACTIVITY' },
+        { type: 'UNREALISTIC_SPEED', flags: 1, points: 25, suppressedBy: null }
+      ]);
+      expect(result.score).toBe(94);
+    });
+
+    it('should count a suppressed rule when the suppressing rule is disabled', () => {
+      const commits = [
+        commit('2026-03-23T09:30:00Z', 120),
+        commit('2026-03-23T09:30:20Z', 100),
+        commit('2026-03-23T09:30:40Z', 110)
+      ];
+      const detector = new SuspiciousActivityDetector([{ rules: { MASS_ACTIVITY: { enabled: false } } }]);
+
+      const result = detector.analyze(commits, 'test-repo');
+
+      expect(result.flags.map(flag => flag.type)).toEqual(['RAPID_FIRE', 'UNREALISTIC_SPEED']);
+    });
+  });
+
+  describe('loadRules', () => {
+    it('should load the rules of a directory and use them with their settings and thresholds', async () => {
+      const rules = await loadRules(fixtures);
+      const detector = new SuspiciousActivityDetector([{ thresholds: { lateNightStartHour: 21 }, rules: { LATE_NIGHT_COMMIT: { points: 7 } } }], rules);
+
+      const result = detector.analyze([commit('2026-03-23T21:30:00Z', 20, 'update')], 'test-repo');
+
+      expect(rules.map(rule => rule.type)).toEqual(['LATE_NIGHT_COMMIT']);
+      expect(result.flags).toEqual([{ type: 'LATE_NIGHT_COMMIT', severity: 'low', message: '1 commits at night', points: 7 }]);
+      expect(result.contributions).toContainEqual({ type: 'GENERIC_MESSAGES', flags: 1, points: 0, suppressedBy: 'LATE_NIGHT_COMMIT' });
+      expect(result.score).toBe(7);
+    });
+
+    it('should reject directories and modules that are not usable', async () => {
+      const directory = mkdtempSync(join(tmpdir(), 'rules-'));
+      try {
+        await expect(loadRules(join(directory, 'missing'))).rejects.toThrow('Rules directory not readable');
+
+        // Modules are cached by path, so every case gets its own file
+        const expectError = async (name, source, message) => {
+          writeFileSync(join(directory, name), source);
+          await expect(loadRules(directory)).rejects.toThrow(message);
+          rmSync(join(directory, name));
+        };
+        await expectError('type.mjs', 'export default { type: "late night", check() {} };', 'Rule in type.mjs needs a type in upper case');
+        await expectError('check.mjs', 'export default { type: "LATE", settings: { enabled: true, points: 5, severity: "low" } };', 'Rule LATE in check.mjs has no check(context) function');
+        await expectError('settings.mjs', 'export default { type: "LATE", check() {}, settings: { enabled: true, points: 5 } };', 'Rule LATE in settings.mjs needs settings { enabled, points, severity: high|medium|low }');
+      } finally {
+        rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject rules conflicting with other rules', () => {
+      const rule = { type: 'LATE', settings: { enabled: true, points: 5, severity: 'low' }, check: () => [] };
+
+      expect(() => new SuspiciousActivityDetector([], [{ ...rule, type: 'MASS_COMMIT' }])).toThrow('rule MASS_COMMIT is defined twice');
+      expect(() => new SuspiciousActivityDetector([], [{ ...rule, thresholds: { massCommitLines: 10 } }]))
+        .toThrow('threshold massCommitLines of rule LATE is already defined by MASS_COMMIT');
+      expect(() => new SuspiciousActivityDetector([], [{ ...rule, suppresses: ['EARLY'] }])).toThrow('rule LATE suppresses unknown rule EARLY');
+    });
+
+    it('should report the other rules when a rule fails', () => {
+      const failing = {
+        type: 'FAILING',
+        settings: { enabled: true, points: 5, severity: 'low' },
+        check: () => {
+          throw new Error('boom');
+        }
+      };
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      const result = new SuspiciousActivityDetector([], [failing]).analyze([commit('2026-03-23T09:30:00Z', 120)], 'test-repo');
+
+      expect(result.flags.map(flag => flag.type)).toContain('SINGLE_COMMIT');
+      expect(consoleSpy).toHaveBeenCalledWith('⚠️  Rule FAILING failed for test-repo: boom');
+
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { SchoolCalendar } from '../services/schoolCalendar.js';
+
+describe('SchoolCalendar', () => {
+  const baseConfig = {
+    semesterStart: '2026-03-16', // Monday
+    semesterEnd: '2026-04-17',   // Friday
+    slots: [
+      { day: 'Monday', startTime: '09:55', endTime: '11:35' },
+      { day: 'thursday', startTime: '13:25', endTime: '15:05' }
+    ],
+    holidays: [
+      { from: '2026-03-28', to: '2026-04-06', name: 'Osterferien' },
+      '2026-04-16'
+    ]
+  };
+
+  let calendar;
+
+  beforeEach(() => {
+    calendar = new SchoolCalendar(baseConfig, 'Europe/Vienna');
+  });
+
+  describe('getLessons', () => {
+    it('should generate lessons from the timetable skipping holidays', () => {
+      const dates = calendar.getLessons().map(lesson => lesson.date);
+
+      expect(dates).toEqual([
+        '2026-03-16', '2026-03-19',
+        '2026-03-23', '2026-03-26',
+        // 2026-03-30 and 2026-04-02 fall into the Easter holidays, 2026-04-06 is Easter Monday
+        '2026-04-09',
+        '2026-04-13'
+        // 2026-04-16 is a closure day
+      ]);
+    });
+
+    it('should number lessons consecutively', () => {
+      expect(calendar.getLessons().map(lesson => lesson.number)).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should compute lesson boundaries in the configured time zone across DST', () => {
+      const [first] = calendar.getLessons();
+      const afterDst = calendar.getLesson(6);
+
+      expect(first.since.toISOString()).toBe('2026-03-16T08:55:00.000Z');
+      expect(first.until.toISOString()).toBe('2026-03-16T10:35:00.000Z');
+      expect(afterDst.date).toBe('2026-04-13');
+      expect(afterDst.since.toISOString()).toBe('2026-04-13T07:55:00.000Z');
+    });
+
+    it('should sort lessons of several slots on the same day by start time', () => {
+      const sameDay = new SchoolCalendar({
+        semesterStart: '2026-03-16',
+        semesterEnd: '2026-03-16',
+        slots: [
+          { day: 'monday', startTime: '13:25', endTime: '15:05' },
+          { day: 'monday', startTime: '08:00', endTime: '09:40' }
+        ]
+      }, 'Europe/Vienna');
+
+      expect(sameDay.getLessons().map(lesson => lesson.startTime)).toEqual(['08:00', '13:25']);
+    });
+  });
+
+  describe('getCurrentLesson', () => {
+    it('should return the lesson taking place right now', () => {
+      const lesson = calendar.getCurrentLesson(new Date('2026-03-19T12:30:00Z')); // 13:30 in Vienna
+
+      expect(lesson.number).toBe(2);
+    });
+
+    it('should return the most recent lesson between lessons', () => {
+      const lesson = calendar.getCurrentLesson(new Date('2026-04-01T10:00:00Z')); // Easter holidays
+
+      expect(lesson.date).toBe('2026-03-26');
+    });
+
+    it('should return null before the first lesson', () => {
+      expect(calendar.getCurrentLesson(new Date('2026-03-16T08:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('getLessonOverview', () => {
+    it('should split lessons into past and upcoming', () => {
+      const overview = calendar.getLessonOverview(new Date('2026-03-23T09:00:00Z')); // during lesson 3
+
+      expect(overview.current.number).toBe(3);
+      expect(overview.past.map(lesson => lesson.number)).toEqual([1, 2]);
+      expect(overview.upcoming.map(lesson => lesson.number)).toEqual([4, 5, 6]);
+    });
+  });
+
+  describe('getHoliday', () => {
+    it('should return the holiday covering a date', () => {
+      expect(calendar.getHoliday('2026-04-01').name).toBe('Osterferien');
+      expect(calendar.getHoliday('2026-04-16')).toMatchObject({ from: '2026-04-16', to: '2026-04-16' });
+      expect(calendar.getHoliday('2026-04-15')).toBeNull();
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject invalid semester dates', () => {
+      expect(() => new SchoolCalendar({ ...baseConfig, semesterStart: '16.03.2026' }, 'Europe/Vienna'))
+        .toThrow(/semesterStart/);
+      expect(() => new SchoolCalendar({ ...baseConfig, semesterStart: '2026-05-01' }, 'Europe/Vienna'))
+        .toThrow(/after semesterEnd/);
+    });
+
+    it('should reject invalid slots', () => {
+      expect(() => new SchoolCalendar({ ...baseConfig, slots: [] }, 'Europe/Vienna')).toThrow(/slot/);
+      expect(() => new SchoolCalendar({
+        ...baseConfig, slots: [{ day: 'Montag', startTime: '09:55', endTime: '11:35' }]
+      }, 'Europe/Vienna')).toThrow(/day name/);
+      expect(() => new SchoolCalendar({
+        ...baseConfig, slots: [{ day: 'monday', startTime: '11:35', endTime: '09:55' }]
+      }, 'Europe/Vienna')).toThrow(/end after/);
+    });
+
+    it('should reject invalid holidays and time zones', () => {
+      expect(() => new SchoolCalendar({ ...baseConfig, holidays: [{ from: '2026-04-06', to: '2026-03-28' }] }, 'Europe/Vienna'))
+        .toThrow(/holiday/);
+      expect(() => new SchoolCalendar(baseConfig, 'Europe/Atlantis')).toThrow(/time zone/);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { jest } from '@jest/globals';
+import { SimilarityDetector, getAddedLines, getSimilarRepositories, normalizeTokens, winnow } from '../services/similarity.js';
+import { SuspiciousActivityDetector } from '../services/suspiciousActivityDetector.js';
+import { PathFilter } from '../services/pathFilter.js';
+
+const patchOf = (lines, start = 1) => [`@@ -0,0 +${start},${lines.length} @@`, ...lines.map(line => `+${line}`)].join('\n');
+
+const commit = (sha, files, date = '2026-03-23T09:30:00Z') => ({
+  sha,
+  commit: { author: { name: 'Student', date }, message: 'Add stack' },
+  stats: { additions: 20, deletions: 0 },
+  files: files.map(([filename, patch, status = 'added']) => ({ filename, status, additions: 20, deletions: 0, patch }))
+});
+
+const stack = [
+  'public class Stack {',
+  '    private int[] items = new int[10];',
+  '    private int size;',
+  '',
+  '    public void push(int value) {',
+  '        if (size == items.length) {',
+  '            items = java.util.Arrays.copyOf(items, size * 2);',
+  '        }',
+  '        items[size++] = value;',
+  '    }',
+  '',
+  '    public int pop() {',
+  '        if (size == 0) {',
+  '            throw new IllegalStateException("empty");',
+  '        }',
+  '        return items[--size];',
+  '    }',
+  '}'
+];
+
+// The same solution with renamed identifiers, other formatting and a comment
+const renamed = [
+  '// Stack implementation',
+  'public class Stapel',
+  '{',
+  '  private int[] daten = new int[16];',
+  '  private int anzahl;',
+  '  public void push(int wert) {',
+  '    if (anzahl == daten.length) { daten = java.util.Arrays.copyOf(daten, anzahl * 2); }',
+  '    daten[anzahl++] = wert;',
+  '  }',
+  '  public int pop() {',
+  '    if (anzahl == 0) { throw new IllegalStateException("leer"); }',
+  '    return daten[--anzahl];',
+  '  }',
+  '}'
+];
+
+const queue = [
+  'import java.util.LinkedList;',
+  '',
+  'public class Queue<T> {',
+  '    private final LinkedList<T> list = new LinkedList<>();',
+  '',
+  '    public boolean offer(T element) {',
+  '        return list.add(element);',
+  '    }',
+  '',
+  '    public T poll() {',
+  '        return list.isEmpty() ? null : list.removeFirst();',
+  '    }',
+  '}'
+];
+
+describe('similarity', () => {
+  describe('normalizeTokens', () => {
+    it('should replace identifiers, numbers and strings and ignore comments and whitespace', () => {
+      expect(normalizeTokens('    items[size++] = 42; // store')).toEqual(['v', '[', 'v', '+', '+', ']', '=', '0', ';']);
+      expect(normalizeTokens('daten[anzahl++]=7;')).toEqual(['v', '[', 'v', '+', '+', ']', '=', '0', ';']);
+      expect(normalizeTokens('throw new IllegalStateException("empty");')).toEqual(['throw', 'new', 'v', '(', '"', ')', ';']);
+      expect(normalizeTokens('  // only a comment')).toEqual([]);
+    });
+  });
+
+  describe('getAddedLines', () => {
+    it('should number added lines in the new version of the file', () => {
+      const patch = '@@ -3,4 +3,5 @@ class Main {\n   int a;\n-  int b;\n+  int c;\n+  int d;\n   int e;\n\\ No newline at end of file\n@@ -20,1 +21,2 @@\n }\n+// end';
+
+      expect(getAddedLines(patch)).toEqual([
+        { line: 4, text: '  int c;' },
+        { line: 5, text: '  int d;' },
+        { line: 22, text: '// end' }
+      ]);
+    });
+  });
+
+  describe('winnow', () => {
+    it('should select the rightmost minimum of every window once', () => {
+      expect(winnow([77, 74, 42, 17, 98, 50, 17, 98, 8, 88, 67, 39, 77, 74, 42, 17, 98], 4)).toEqual([3, 6, 8, 11, 15]);
+      expect(winnow([5, 3], 4)).toEqual([1]);
+      expect(winnow([], 4)).toEqual([]);
+    });
+  });
+
+  describe('SimilarityDetector', () => {
+    const detector = new SimilarityDetector([{ enabled: true }]);
+    const documents = new Map([
+      ['uebung-07-max', detector.fingerprintRepository([commit('aaaaaaa1', [['src/Stack.java', patchOf(stack)]])])],
+      ['uebung-07-lena', detector.fingerprintRepository([commit('bbbbbbb1', [['Stapel.java', patchOf(renamed, 3)]])])],
+      ['uebung-07-tom', detector.fingerprintRepository([commit('ccccccc1', [['src/Queue.java', patchOf(queue)]])])]
+    ]);
+
+    it('should find a copied solution with renamed identifiers and the matching line ranges', () => {
+      const pairs = detector.compare(documents);
+
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0]).toMatchObject({ repoA: 'uebung-07-lena', repoB: 'uebung-07-max' });
+      expect(pairs[0].similarity).toBeGreaterThan(0.8);
+      expect(pairs[0].matches[0]).toMatchObject({
+        a: { filename: 'Stapel.java', sha: 'bbbbbbb1' },
+        b: { filename: 'src/Stack.java', sha: 'aaaaaaa1' }
+      });
+      const [{ a, b }] = pairs[0].matches;
+      expect(a.startLine).toBeGreaterThanOrEqual(4);
+      expect(a.endLine).toBeLessThanOrEqual(16);
+      expect(b.startLine).toBeGreaterThanOrEqual(1);
+      expect(b.endLine).toBeLessThanOrEqual(18);
+    });
+
+    it('should treat code found in most repositories as common code', () => {
+      const common = new Map([
+        ...documents,
+        ['uebung-07-anna', detector.fingerprintRepository([commit('ddddddd1', [['Stack.java', patchOf(stack)]])])]
+      ]);
+
+      expect(detector.compare(common)).toEqual([]);
+    });
+
+    it('should skip removed files and files excluded by the path rules', () => {
+      const pathFilter = new PathFilter({ exclude: ['generated/'] });
+
+      expect(detector.fingerprintRepository([commit('e1', [['generated/Stack.java', patchOf(stack)]])], pathFilter).size).toBe(0);
+      expect(detector.fingerprintRepository([commit('e2', [['Stack.java', patchOf(stack), 'removed']])]).size).toBe(0);
+      expect(detector.fingerprintRepository([commit('e3', [['Stack.java', undefined]])]).size).toBe(0);
+    });
+
+    it('should report pairs only above the configured similarity and size', () => {
+      const strict = new SimilarityDetector([{ enabled: true }, { minMatchLines: 50 }]);
+
+      expect(strict.compare(documents)).toEqual([]);
+      expect(strict.settings).toMatchObject({ enabled: true, kgram: 12, minMatchLines: 50 });
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => new SimilarityDetector([[]])).toThrow('similarity must be an object');
+      expect(() => new SimilarityDetector([{ kgrams: 5 }])).toThrow('unknown setting kgrams');
+      expect(() => new SimilarityDetector([{ kgram: 0 }])).toThrow('invalid kgram: 0');
+      expect(() => new SimilarityDetector([{ minSimilarity: 30 }])).toThrow('invalid minSimilarity: 30');
+      expect(() => new SimilarityDetector([{ enabled: 'yes' }])).toThrow('invalid enabled: "yes"');
+    });
+
+    it('should flag similar repositories in the suspicious activity report', () => {
+      const pairs = detector.compare(documents);
+      const similar = getSimilarRepositories(pairs, 'uebung-07-max');
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const suspicious = new SuspiciousActivityDetector();
+
+      const report = suspicious.analyze([commit('aaaaaaa1', [['src/Stack.java', patchOf(stack)]])], 'uebung-07-max', { similarity: similar });
+      suspicious.printReport([report], new Date('2026-03-23T08:55:00Z'), new Date('2026-03-23T10:35:00Z'), 'Europe/Vienna');
+
+      expect(similar).toEqual([expect.objectContaining({ repository: 'uebung-07-lena', matches: [expect.objectContaining({ own: pairs[0].matches[0].b, other: pairs[0].matches[0].a })] })]);
+      expect(report.flags).toContainEqual(expect.objectContaining({
+        type: 'SIMILAR_CODE',
+        severity: 'high',
+        points: 40,
+        message: expect.stringMatching(/^\d+% of the added code matches uebung-07-lena \(\d+ lines\)$/)
+      }));
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringMatching(/^ {6}src\/Stack\.java:\d+-\d+ \(aaaaaaa\) ↔ Stapel\.java:\d+-\d+ \(bbbbbbb\)$/));
+
+      consoleSpy.mockRestore();
+    });
+  });
+});
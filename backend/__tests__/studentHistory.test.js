@@ -0,0 +1,201 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StudentHistory, getDeviations, getStudentKey, measureLesson } from '../services/studentHistory.js';
+import { SuspiciousActivityDetector } from '../services/suspiciousActivityDetector.js';
+
+const commit = (date, additions, deletions = 0) => ({
+  commit: { author: { name: 'Max', date }, message: 'Add feature' },
+  stats: { additions, deletions }
+});
+
+const lesson = (date, commits, lines, pace, flags = []) => ({ lesson: date, repository: 'uebung-max', commits, lines, pace, flags });
+
+describe('StudentHistory', () => {
+  describe('measureLesson', () => {
+    it('should measure commits, lines and lines per minute between the first and the last commit', () => {
+      const commits = [
+        commit('2026-03-23T09:00:00Z', 30, 10),
+        commit('2026-03-23T09:10:00Z', 15, 5),
+        commit('2026-03-23T09:20:00Z', 20)
+      ];
+
+      expect(measureLesson(commits)).toEqual({ commits: 3, lines: 80, pace: 4 });
+      expect(measureLesson([commit('2026-03-23T09:00:00Z', 800)])).toEqual({ commits: 1, lines: 800, pace: 800 });
+      expect(measureLesson([])).toEqual({ commits: 0, lines: 0, pace: 0 });
+    });
+  });
+
+  describe('getDeviations', () => {
+    it('should compute z-scores with a minimum spread', () => {
+      const baseline = { metrics: { commits: { mean: 1, stdDev: 0 }, lines: { mean: 100, stdDev: 20 }, pace: { mean: 8, stdDev: 1 } } };
+
+      expect(getDeviations(baseline, { commits: 2, lines: 40, pace: 12 })).toEqual({
+        commits: { value: 2, mean: 1, stdDev: 0, z: 1 },
+        lines: { value: 40, mean: 100, stdDev: 20, z: -2.4 },
+        pace: { value: 12, mean: 8, stdDev: 1, z: 2 }
+      });
+    });
+  });
+
+  describe('getStudentKey', () => {
+    it('should combine the owners or fall back to the repository', () => {
+      expect(getStudentKey([{ key: 'student:max' }, { key: 'student:anna' }], 'team-1')).toBe('student:anna+student:max');
+      expect(getStudentKey([], 'uebung-07-max')).toBe('repo:uebung-07-max');
+    });
+  });
+
+  describe('history', () => {
+    it('should replace a lesson recorded again and keep the newest lessons', () => {
+      const history = new StudentHistory({ maxLessons: 2 });
+
+      history.record('2CI', 'student:max', lesson('2026-03-16T08:00:00.000Z', 2, 50, 1));
+      history.record('2CI', 'student:max', lesson('2026-03-09T08:00:00.000Z', 3, 60, 2));
+      history.record('2CI', 'student:max', lesson('2026-03-23T08:00:00.000Z', 1, 20, 1, ['MASS_COMMIT', 'MASS_COMMIT']));
+      history.record('2CI', 'student:max', lesson('2026-03-23T08:00:00.000Z', 4, 90, 3, ['MASS_COMMIT']));
+
+      expect(history.getLessons('2CI', 'student:max')).toEqual([
+        lesson('2026-03-16T08:00:00.000Z', 2, 50, 1),
+        lesson('2026-03-23T08:00:00.000Z', 4, 90, 3, ['MASS_COMMIT'])
+      ]);
+      expect(history.getStats()).toEqual({ students: 1, lessons: 2 });
+    });
+
+    it('should compute the baseline from the lessons before a lesson', () => {
+      const history = new StudentHistory();
+      history.record('2CI', 'student:max', lesson('2026-03-09T08:00:00.000Z', 2, 40, 1, ['SINGLE_COMMIT']));
+      history.record('2CI', 'student:max', lesson('2026-03-16T08:00:00.000Z', 4, 80, 3, ['SINGLE_COMMIT', 'MASS_COMMIT']));
+      history.record('2CI', 'student:max', lesson('2026-03-23T08:00:00.000Z', 9, 900, 90));
+
+      expect(history.getBaseline('2CI', 'student:max', '2026-03-23T08:00:00.000Z')).toEqual({
+        lessons: 2,
+        metrics: { commits: { mean: 3, stdDev: 1 }, lines: { mean: 60, stdDev: 20 }, pace: { mean: 2, stdDev: 1 } },
+        flags: { SINGLE_COMMIT: 2, MASS_COMMIT: 1 }
+      });
+      expect(history.getBaseline('2CI', 'student:max', '2026-03-09T08:00:00.000Z')).toBeNull();
+      expect(history.getBaseline('other', 'student:max', '2026-03-23T08:00:00.000Z')).toBeNull();
+    });
+
+    it('should count a lesson without commits in the baseline', () => {
+      const history = new StudentHistory();
+      history.record('2CI', 'student:max', lesson('2026-03-09T08:00:00.000Z', 4, 80, 2));
+      history.record('2CI', 'student:max', lesson('2026-03-16T08:00:00.000Z', 0, 0, 0));
+
+      expect(history.getBaseline('2CI', 'student:max', '2026-03-23T08:00:00.000Z')).toEqual({
+        lessons: 2,
+        metrics: { commits: { mean: 2, stdDev: 2 }, lines: { mean: 40, stdDev: 40 }, pace: { mean: 1, stdDev: 1 } },
+        flags: {}
+      });
+    });
+
+    it('should combine the repositories of a lesson and keep maxLessons lessons', () => {
+      const history = new StudentHistory({ maxLessons: 2 });
+      history.record('2CI', 'student:max', lesson('2026-03-02T08:00:00.000Z', 9, 900, 90));
+      history.record('2CI', 'student:max', lesson('2026-03-09T08:00:00.000Z', 2, 40, 3, ['SINGLE_COMMIT']));
+      history.record('2CI', 'student:max', { ...lesson('2026-03-09T08:00:00.000Z', 3, 60, 1, ['SINGLE_COMMIT', 'MASS_COMMIT']), repository: 'uebung-02-max' });
+      history.record('2CI', 'student:max', lesson('2026-03-16T08:00:00.000Z', 5, 100, 4));
+
+      expect(history.getLessons('2CI', 'student:max').map(entry => entry.lesson)).toEqual([
+        '2026-03-09T08:00:00.000Z', '2026-03-09T08:00:00.000Z', '2026-03-16T08:00:00.000Z'
+      ]);
+      expect(history.getBaseline('2CI', 'student:max', '2026-03-23T08:00:00.000Z')).toEqual({
+        lessons: 2,
+        metrics: { commits: { mean: 5, stdDev: 0 }, lines: { mean: 100, stdDev: 0 }, pace: { mean: 3.5, stdDev: 0.5 } },
+        flags: { SINGLE_COMMIT: 1, MASS_COMMIT: 1 }
+      });
+    });
+
+    it('should save and load the history, starting empty from a corrupt file', () => {
+      const directory = mkdtempSync(join(tmpdir(), 'history-'));
+      try {
+        const filePath = join(directory, 'nested', 'history.json');
+        const history = new StudentHistory({ filePath });
+        history.record('2CI', 'student:max', lesson('2026-03-09T08:00:00.000Z', 2, 40, 1));
+        history.save();
+
+        const loaded = new StudentHistory({ filePath });
+        loaded.load();
+        expect(loaded.getLessons('2CI', 'student:max')).toEqual([lesson('2026-03-09T08:00:00.000Z', 2, 40, 1)]);
+
+        writeFileSync(filePath, '{ broken');
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const corrupt = new StudentHistory({ filePath });
+        corrupt.load();
+        expect(corrupt.getStats()).toEqual({ students: 0, lessons: 0 });
+        consoleSpy.mockRestore();
+      } finally {
+        rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('scoring relative to the baseline', () => {
+    // A student who always commits a whole exercise at once at the end of the lesson
+    const bigCommitter = new StudentHistory();
+    ['2026-03-02', '2026-03-09', '2026-03-16', '2026-03-23'].forEach(day =>
+      bigCommitter.record('2CI', 'student:max', lesson(`${day}T08:00:00.000Z`, 1, 320, 320, ['MASS_COMMIT', 'SINGLE_COMMIT'])));
+    // A quiet student who commits a few lines every ten minutes
+    const quiet = new StudentHistory();
+    [['2026-03-02', 5, 40], ['2026-03-09', 6, 50], ['2026-03-16', 4, 30], ['2026-03-23', 5, 45]].forEach(([day, commits, lines]) =>
+      quiet.record('2CI', 'student:anna', lesson(`${day}T08:00:00.000Z`, commits, lines, 1)));
+
+    const bigCommit = [commit('2026-03-30T09:40:00Z', 300, 20)];
+
+    it('should count flags the student gets every lesson less and explain them', () => {
+      const detector = new SuspiciousActivityDetector();
+      const baseline = bigCommitter.getBaseline('2CI', 'student:max', '2026-03-30T08:00:00.000Z');
+
+      const usual = detector.analyze(bigCommit, 'uebung-max', { baseline });
+      const absolute = detector.analyze(bigCommit, 'uebung-max');
+
+      expect(absolute.flags.find(flag => flag.type === 'MASS_COMMIT')).toMatchObject({ points: 20 });
+      expect(usual.flags.find(flag => flag.type === 'MASS_COMMIT')).toMatchObject({ points: 10, usual: { lessons: 4, of: 4 } });
+      expect(usual.flags.map(flag => flag.type)).not.toContain('UNUSUAL_ACTIVITY');
+      expect(usual.score).toBeLessThan(absolute.score);
+      expect(usual.measurements).toEqual({ commits: 1, lines: 320, pace: 320 });
+
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      detector.printReport([usual], new Date('2026-03-30T08:55:00Z'), new Date('2026-03-30T10:35:00Z'), 'Europe/Vienna');
+      expect(consoleSpy).toHaveBeenCalledWith('   📈 Usually 1 commits, 320 lines, 320 lines/min (4 earlier lessons)');
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringMatching(/ \(\+10 points, usual for this student: 4 of 4 earlier lessons\)$/));
+      consoleSpy.mockRestore();
+    });
+
+    it('should flag a deviation from the usual behaviour of a quiet student', () => {
+      const detector = new SuspiciousActivityDetector();
+      const baseline = quiet.getBaseline('2CI', 'student:anna', '2026-03-30T08:00:00.000Z');
+      const commits = [commit('2026-03-30T09:30:00Z', 20), commit('2026-03-30T09:40:00Z', 780)];
+
+      const report = detector.analyze(commits, 'uebung-anna', { baseline });
+
+      expect(report.flags.find(flag => flag.type === 'UNUSUAL_ACTIVITY')).toEqual({
+        type: 'UNUSUAL_ACTIVITY',
+        severity: 'medium',
+        points: 20,
+        message: 'Deviation from usual behaviour: 800 lines (usually 41.3 ± 7.4), 80 lines/min (usually 1 ± 0) over 4 earlier lessons',
+        details: [
+          { metric: 'lines', value: 800, mean: 41.3, stdDev: 7.4, z: 73.5 },
+          { metric: 'pace', value: 80, mean: 1, stdDev: 0, z: 79 }
+        ]
+      });
+      expect(report.flags.every(flag => !flag.usual)).toBe(true);
+    });
+
+    it('should not compare with fewer earlier lessons than configured', () => {
+      const detector = new SuspiciousActivityDetector([{ baseline: { minLessons: 5 } }]);
+      const baseline = quiet.getBaseline('2CI', 'student:anna', '2026-03-30T08:00:00.000Z');
+
+      const report = detector.analyze([commit('2026-03-30T09:40:00Z', 800)], 'uebung-anna', { baseline });
+
+      expect(report.baseline).toBeNull();
+      expect(report.flags.map(flag => flag.type)).not.toContain('UNUSUAL_ACTIVITY');
+    });
+
+    it('should reject invalid baseline settings', () => {
+      expect(() => new SuspiciousActivityDetector([{ baseline: { lessons: 3 } }])).toThrow('unknown setting baseline.lessons');
+      expect(() => new SuspiciousActivityDetector([{ baseline: { minLessons: 0 } }])).toThrow('baseline.minLessons must be a positive integer, got: 0');
+      expect(() => new SuspiciousActivityDetector([{ baseline: { usualPointsFactor: 2 } }])).toThrow('baseline.usualPointsFactor must be a number from 0 to 1, got: 2');
+    });
+  });
+});
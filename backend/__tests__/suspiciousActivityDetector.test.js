@@ -1,5 +1,7 @@
 import { jest } from '@jest/globals';
 import { SuspiciousActivityDetector } from '../services/suspiciousActivityDetector.js';
+import { IdentityResolver } from '../services/identityResolver.js';
+import { Roster } from '../services/roster.js';
 
 describe('SuspiciousActivityDetector', () => {
   let detector;
@@ -228,6 +230,181 @@ describe('SuspiciousActivityDetector', () => {
 
       expect(result.score).toBeLessThanOrEqual(10); // Should have minimal or no flags
     });
+
+    it('should flag commits by somebody else than the repository owners', () => {
+      const resolver = new IdentityResolver({ aliases: { 'max-m': ['Max M', 'root@lab-pc-12'] } });
+      const commit = (name, email, login = null) => ({
+        author: login ? { login } : null,
+        commit: { author: { name, email, date: '2026-02-21T10:00:00Z' }, message: 'Add sum' },
+        stats: { additions: 10, deletions: 0 }
+      });
+      const commits = [
+        commit('Max M', 'max@gmail.com'),
+        commit('root', 'root@lab-pc-12'),
+        commit('Lena', 'lena@schule.at', 'lena-h'),
+        commit('Lena', 'lena@schule.at', 'lena-h'),
+        // Generic names could be anybody
+        commit('root', 'root@localhost')
+      ];
+
+      const result = detector.analyze(commits, 'uebung-07-max-m', {
+        owners: resolver.getRepositoryOwners('uebung-07-max-m', 'max-m'),
+        resolveAuthor: commit => resolver.resolve(commit)
+      });
+
+      const foreign = result.flags.filter(f => f.type === 'FOREIGN_AUTHOR');
+      expect(foreign).toHaveLength(1);
+      expect(foreign[0]).toMatchObject({ severity: 'high', message: '2 commits by Lena in repository of max-m', points: 30 });
+    });
+
+    it('should not flag bots and authors neither roster nor aliases know', () => {
+      const roster = Roster.fromCsv('name,login,email\nMax Müller,max-m,\nLena Huber,,lena@schule.at\n');
+      const resolver = new IdentityResolver({ roster });
+      const commit = (name, email, login = null) => ({
+        author: login ? { login } : null,
+        commit: { author: { name, email, date: '2026-02-21T10:00:00Z' }, message: 'Add sum' },
+        stats: { additions: 10, deletions: 0 }
+      });
+      const options = {
+        owners: resolver.getRepositoryOwners('uebung-07-max-m', 'max-m'),
+        resolveAuthor: commit => resolver.resolve(commit)
+      };
+
+      const result = detector.analyze([
+        commit('github-classroom[bot]', '66690702+github-classroom[bot]@users.noreply.github.com'),
+        commit('dependabot[bot]', 'support@github.com', 'dependabot[bot]'),
+        commit('GitHub', 'noreply@github.com'),
+        // Probably Max on the computer at home
+        commit('Maximilian', 'maxi2009@gmx.at')
+      ], 'uebung-07-max-m', options);
+      const withStudent = detector.analyze([commit('Lena', 'lena@schule.at')], 'uebung-07-max-m', options);
+
+      expect(result.flags.find(f => f.type === 'FOREIGN_AUTHOR')).toBeUndefined();
+      expect(withStudent.flags.find(f => f.type === 'FOREIGN_AUTHOR')).toMatchObject({ message: '1 commit by Lena Huber in repository of Max Müller' });
+    });
+
+    it('should not check authors when the repository owner is unknown', () => {
+      const commits = [
+        { author: { login: 'lena-h' }, commit: { author: { name: 'Lena', date: '2026-02-21T10:00:00Z' }, message: 'Add sum' } }
+      ];
+
+      const result = detector.analyze(commits, 'uebung-07', { owners: [], resolveAuthor: commit => ({ key: 'login:lena-h' }) });
+
+      expect(result.flags.find(f => f.type === 'FOREIGN_AUTHOR')).toBeUndefined();
+    });
+
+    it('should flag commits dated inside the time window but committed or pushed outside it', () => {
+      const window = { since: new Date('2026-03-23T08:55:00Z'), until: new Date('2026-03-23T10:35:00Z') };
+      const commit = (sha, authored, committed, pushedAt) => ({
+        sha,
+        pushedAt,
+        commit: { author: { name: 'Student', date: authored }, committer: { date: committed }, message: 'Add sum' },
+        stats: { additions: 10, deletions: 2 }
+      });
+      const commits = [
+        commit('a1', '2026-03-23T09:10:00Z', '2026-03-23T09:10:00Z', '2026-03-23T10:40:00Z'),
+        commit('a2', '2026-03-23T09:40:00Z', '2026-03-23T21:15:00Z', '2026-03-23T21:16:00Z')
+      ];
+
+      const result = detector.analyze(commits, 'test-repo', { window });
+
+      // Pushed 5 minutes after the lesson is within the tolerance
+      const flag = result.flags.find(f => f.type === 'BACKDATED_COMMIT');
+      expect(flag).toMatchObject({ severity: 'high', points: 25, message: '1 commit dated inside the time window but committed outside it' });
+      expect(flag.details).toEqual([
+        { sha: 'a2', authorDate: '2026-03-23T09:40:00Z', committerDate: '2026-03-23T21:15:00Z', pushedAt: '2026-03-23T21:16:00Z' }
+      ]);
+
+      const latePush = detector.analyze([commit('a3', '2026-03-23T09:10:00Z', '2026-03-23T09:10:00Z', '2026-03-24T07:30:00Z')], 'test-repo', { window });
+      expect(latePush.flags.find(f => f.type === 'BACKDATED_COMMIT')).toMatchObject({ severity: 'medium', points: 10 });
+      expect(detector.analyze(commits, 'test-repo').flags.find(f => f.type === 'BACKDATED_COMMIT')).toBeUndefined();
+    });
+  });
+
+  describe('settings', () => {
+    const singleCommit = [{
+      commit: { author: { name: 'Student', date: '2026-03-23T09:30:00Z' }, message: 'update' },
+      stats: { additions: 120, deletions: 0 }
+    }];
+
+    it('should use the default thresholds, points and severities without settings', () => {
+      const result = detector.analyze(singleCommit, 'test-repo');
+
+      expect(result.flags.map(f => [f.type, f.severity, f.points])).toEqual([
+        ['SINGLE_COMMIT', 'high', 20],
+        ['ONLY_ADDITIONS', 'low', 12],
+        ['GENERIC_MESSAGES', 'low', 8]
+      ]);
+    });
+
+    it('should let organization settings override global settings', () => {
+      const global = {
+        thresholds: { massCommitLines: 100, singleCommitMinLines: 200 },
+        rules: { GENERIC_MESSAGES: { enabled: false }, MASS_COMMIT: { points: 10 } }
+      };
+      const organization = { rules: { MASS_COMMIT: { severity: 'medium' } } };
+
+      const configured = new SuspiciousActivityDetector([global, organization, undefined]);
+      const result = configured.analyze(singleCommit, 'test-repo');
+
+      expect(configured.thresholds).toMatchObject({ massCommitLines: 100, massActivityMinLines: 200 });
+      expect(result.flags.map(f => [f.type, f.severity, f.points])).toEqual([
+        ['MASS_COMMIT', 'medium', 10],
+        ['ONLY_ADDITIONS', 'low', 12]
+      ]);
+      expect(result.score).toBe(22);
+      // The defaults are not changed by configured detectors
+      expect(detector.rules.MASS_COMMIT).toEqual({ enabled: true, points: 20, severity: 'high' });
+    });
+
+    it('should use the configured points of late pushes', () => {
+      const configured = new SuspiciousActivityDetector([{ rules: { BACKDATED_COMMIT: { latePushPoints: 0, latePushSeverity: 'low' } } }]);
+      const window = { since: new Date('2026-03-23T08:55:00Z'), until: new Date('2026-03-23T10:35:00Z') };
+      const commit = {
+        sha: 'a1',
+        commit: { author: { date: '2026-03-23T09:30:00Z' }, committer: { date: '2026-03-23T09:30:00Z' }, message: 'Add calculator' },
+        stats: { additions: 10, deletions: 2 },
+        pushedAt: '2026-03-23T18:00:00Z'
+      };
+
+      const result = configured.analyze([commit], 'test-repo', { window });
+
+      expect(result.flags).toEqual([expect.objectContaining({ type: 'BACKDATED_COMMIT', severity: 'low', points: 0 })]);
+      expect(result.score).toBe(0);
+    });
+
+    it('should color the report with the configured score bands', () => {
+      const configured = new SuspiciousActivityDetector([{ scoreBands: { high: 80, medium: 40 } }]);
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      configured.printReport([
+        { score: 60, flags: [], repoName: 'repo-a', commitCount: 1, totalLines: 500 },
+        { score: 30, flags: [], repoName: 'repo-b', commitCount: 1, totalLines: 100 }
+      ], new Date('2026-03-23T08:55:00Z'), new Date('2026-03-23T10:35:00Z'), 'Europe/Vienna');
+
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('🟡 repo-a'));
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('🟢 repo-b'));
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should reject invalid settings', () => {
+      const create = (settings) => () => new SuspiciousActivityDetector([settings]);
+
+      expect(create([])).toThrow('suspiciousActivity must be an object');
+      expect(create({ threshold: {} })).toThrow('unknown setting threshold');
+      expect(create({ thresholds: { massCommitLine: 100 } })).toThrow('unknown threshold massCommitLine');
+      expect(create({ thresholds: { massCommitLines: '100' } })).toThrow('thresholds.massCommitLines must be a non-negative number, got: "100"');
+      expect(create({ thresholds: { genericMessages: 'update' } })).toThrow('thresholds.genericMessages must be a list');
+      expect(create({ rules: { MASS_COMMITS: { enabled: false } } })).toThrow('unknown rule MASS_COMMITS');
+      expect(create({ rules: { MASS_COMMIT: false } })).toThrow('rules.MASS_COMMIT must be an object');
+      expect(create({ rules: { MASS_COMMIT: { enabled: 'no' } } })).toThrow('rules.MASS_COMMIT.enabled must be true or false');
+      expect(create({ rules: { MASS_COMMIT: { points: -5 } } })).toThrow('rules.MASS_COMMIT.points must be a non-negative number');
+      expect(create({ rules: { MASS_COMMIT: { severity: 'critical' } } })).toThrow('rules.MASS_COMMIT.severity must be one of high, medium, low');
+      expect(create({ rules: { MASS_COMMIT: { latePushPoints: 5 } } })).toThrow('unknown setting rules.MASS_COMMIT.latePushPoints');
+      expect(create({ scoreBands: { high: 120 } })).toThrow('scoreBands.high must be a number from 0 to 100');
+      expect(create({ scoreBands: { medium: 60 } })).toThrow('scoreBands.medium (60) must not be above scoreBands.high (50)');
+    });
   });
 
   describe('printReport', () => {
@@ -300,6 +477,68 @@ describe('SuspiciousActivityDetector', () => {
       consoleSpy.mockRestore();
     });
 
+    it('should format git log dates in the given time zone with offset', () => {
+      const reports = [
+        { score: 50, flags: [], repoName: 'test-repo', commitCount: 1, totalLines: 500 }
+      ];
+      const since = new Date('2026-03-23T08:55:00Z');
+      const until = new Date('2026-03-30T09:35:00Z');
+
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      detector.printReport(reports, since, until, 'Europe/Vienna');
+
+      const gitLogCall = consoleSpy.mock.calls.find(call => call[0].includes('git log'));
+      expect(gitLogCall[0]).toContain('--since="2026-03-23 09:55 +0100"');
+      expect(gitLogCall[0]).toContain('--until="2026-03-30 11:35 +0200"');
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should print the points of every rule including suppressed rules', () => {
+      const reports = [{
+        score: 69,
+        repoName: 'test-repo',
+        commitCount: 3,
+        totalLines: 413,
+        flags: [{ type: 'MASS_ACTIVITY', severity: 'medium', message: '3 commits, 413 lines in 1 minutes', points: 69 }],
+        contributions: [
+          { type: 'MASS_ACTIVITY', flags: 1, points: 69, suppressedBy: null },
+          { type: 'RAPID_FIRE', flags: 1, points: 0, suppressedBy: 'MASS_ACTIVITY' }
+        ]
+      }];
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      detector.printReport(reports, new Date('2026-03-23T08:55:00Z'), new Date('2026-03-23T10:35:00Z'), 'Europe/Vienna');
+
+      expect(consoleSpy).toHaveBeenCalledWith('   🧮 MASS_ACTIVITY +69, RAPID_FIRE suppressed by MASS_ACTIVITY');
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should print the author, committer and push time of backdated commits', () => {
+      const reports = [{
+        score: 25,
+        repoName: 'test-repo',
+        commitCount: 1,
+        totalLines: 12,
+        flags: [{
+          type: 'BACKDATED_COMMIT',
+          severity: 'high',
+          message: '1 commit dated inside the time window but committed outside it',
+          points: 25,
+          details: [{ sha: '3a9f0b6c1d2e', authorDate: '2026-03-23T09:40:00Z', committerDate: '2026-03-23T21:15:00Z', pushedAt: null }]
+        }]
+      }];
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+
+      detector.printReport(reports, new Date('2026-03-23T08:55:00Z'), new Date('2026-03-23T10:35:00Z'), 'Europe/Vienna');
+
+      expect(consoleSpy).toHaveBeenCalledWith('      3a9f0b6 authored 2026-03-23 10:40 +0100 | committed 2026-03-23 22:15 +0100 | pushed unknown');
+
+      consoleSpy.mockRestore();
+    });
+
     it('should sort reports by score descending', () => {
       const reports = [
         { score: 30, flags: [], repoName: 'repo1', commitCount: 1, totalLines: 100 },
@@ -0,0 +1,93 @@
+import { TemplateMatcher, parseTemplateReference, summarizeTemplateExclusions } from '../services/templateMatcher.js';
+import { CommitAnalyzer } from '../services/analyzer.js';
+import { SuspiciousActivityDetector } from '../services/suspiciousActivityDetector.js';
+
+const file = (filename, sha, additions, deletions = 0, status = 'modified') => ({ filename, sha, additions, deletions, changes: additions + deletions, status });
+
+const commit = (sha, tree, files, message = `Commit ${sha}`) => {
+  const additions = files.reduce((sum, f) => sum + f.additions, 0);
+  const deletions = files.reduce((sum, f) => sum + f.deletions, 0);
+  return {
+    sha,
+    commit: { message, tree: { sha: tree }, author: { name: 'Student', date: '2026-03-23T09:30:00Z' } },
+    stats: { additions, deletions, total: additions + deletions },
+    files
+  };
+};
+
+describe('parseTemplateReference', () => {
+  it('should accept "owner/repo" and repositories of the organization', () => {
+    expect(parseTemplateReference('buc-htl/uebung-07-template', '2ci')).toEqual({ owner: 'buc-htl', repo: 'uebung-07-template' });
+    expect(parseTemplateReference('uebung-07-template', '2ci')).toEqual({ owner: '2ci', repo: 'uebung-07-template' });
+    expect(() => parseTemplateReference('a/b/c', '2ci')).toThrow('template must be "owner/repo"');
+    expect(() => parseTemplateReference(['uebung-07-template'], '2ci')).toThrow('template must be');
+  });
+});
+
+describe('TemplateMatcher', () => {
+  const matcher = new TemplateMatcher({
+    commits: [{ sha: 't2', tree: 'tree-2' }, { sha: 't1', tree: 'tree-1' }],
+    files: [{ path: 'src/Main.java', sha: 'blob-main' }, { path: 'pom.xml', sha: 'blob-pom' }]
+  }, 'buc-htl/uebung-07-template');
+
+  it('should recognize template commits by SHA and by tree', () => {
+    expect(matcher.getCommitMatch(commit('t1', 'tree-1', []))).toBe('template commit');
+    // Repository created as a copy of the template: new SHA, same content
+    expect(matcher.getCommitMatch(commit('c1', 'tree-2', []))).toBe('template tree');
+    expect(matcher.getCommitMatch(commit('c2', 'tree-9', []))).toBeNull();
+  });
+
+  it('should leave out template commits and commits consisting of template files', () => {
+    const commits = [
+      commit('c3', 'tree-9', [file('src/Calc.java', 'blob-calc', 40, 2)]),
+      commit('c2', 'tree-8', [file('src/Main.java', 'blob-main', 120, 30), file('pom.xml', 'blob-pom', 80, 0, 'added')], 'Reimport'),
+      commit('c1', 'tree-1', [file('src/Main.java', 'blob-main', 120, 0, 'added')], 'Initial commit')
+    ];
+
+    const { commits: kept, excluded } = matcher.apply(commits);
+
+    expect(kept.map(c => c.sha)).toEqual(['c3']);
+    expect(excluded).toEqual([
+      { sha: 'c2', date: '2026-03-23T09:30:00Z', message: 'Reimport', reason: 'template files', filename: null, lines: 230 },
+      { sha: 'c1', date: '2026-03-23T09:30:00Z', message: 'Initial commit', reason: 'template tree', filename: null, lines: 120 }
+    ]);
+  });
+
+  it('should remove template files from commits with own work', () => {
+    const mixed = commit('c4', 'tree-9', [
+      file('src/Calc.java', 'blob-calc', 40, 2),
+      file('src/Main.java', 'blob-main', 120, 0, 'added'),
+      // Deleting a file is never starter code
+      file('pom.xml', 'blob-pom', 0, 80, 'removed')
+    ]);
+
+    const { commits: [kept], excluded } = matcher.apply([mixed]);
+
+    expect(kept.files.map(f => f.filename)).toEqual(['src/Calc.java', 'pom.xml']);
+    expect(kept.stats).toEqual({ additions: 40, deletions: 82, total: 122 });
+    expect(excluded).toEqual([expect.objectContaining({ sha: 'c4', reason: 'template file', filename: 'src/Main.java', lines: 120 })]);
+  });
+
+  it('should keep starter code out of the statistics and the suspicious activity report', () => {
+    const template = commit('c1', 'tree-1', [file('src/Main.java', 'blob-main', 650, 0, 'added')], 'Initial commit');
+    const own = commit('c2', 'tree-9', [file('src/Calc.java', 'blob-calc', 30, 5)], 'Add calculator');
+
+    const { commits } = matcher.apply([own, template]);
+    const stats = new CommitAnalyzer().analyzeCommits(commits);
+    const report = new SuspiciousActivityDetector().analyze(matcher.apply([template]).commits, 'uebung-07-max');
+
+    expect(stats).toMatchObject({ commitCount: 1, totalLinesChanged: 35 });
+    expect(report.flags).toEqual([]);
+  });
+
+  it('should summarize exclusions of several time windows once per commit and file', () => {
+    const excluded = [
+      { sha: 'c1', reason: 'template tree', filename: null, lines: 120 },
+      { sha: 'c4', reason: 'template file', filename: 'src/Main.java', lines: 120 },
+      { sha: 'c1', reason: 'template tree', filename: null, lines: 120 }
+    ];
+
+    expect(summarizeTemplateExclusions(excluded)).toMatchObject({ commits: 1, files: 1, lines: 240 });
+    expect(summarizeTemplateExclusions(excluded).excluded).toHaveLength(2);
+  });
+});
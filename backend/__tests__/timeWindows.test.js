@@ -0,0 +1,20 @@
+import { parseWindowParam } from '../services/timeWindows.js';
+
+describe('parseWindowParam', () => {
+  it('should select all time windows without a value or with "all"', () => {
+    expect(parseWindowParam(undefined, 3)).toBe('all');
+    expect(parseWindowParam('all', 3)).toBe('all');
+  });
+
+  it('should select a time window by its index', () => {
+    expect(parseWindowParam('0', 3)).toBe(0);
+    expect(parseWindowParam('2', 3)).toBe(2);
+  });
+
+  it('should reject empty, repeated and invalid values like /api/similarity?window=', () => {
+    ['', ' ', '3', '-1', '1.5', '1e0', '0x1', 'abc'].forEach(value =>
+      expect(parseWindowParam(value, 3)).toBeNull());
+    // ?window=0&window=1
+    expect(parseWindowParam(['0', '1'], 3)).toBeNull();
+  });
+});
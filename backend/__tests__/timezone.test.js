@@ -0,0 +1,94 @@
+import {
+  addDays,
+  formatUtcOffset,
+  formatZonedIso,
+  getTimeZoneOffset,
+  getZonedParts,
+  isValidTimeZone,
+  zonedTimeToUtc
+} from '../services/timezone.js';
+
+describe('timezone helpers', () => {
+  describe('isValidTimeZone', () => {
+    it('should accept IANA time zone names', () => {
+      expect(isValidTimeZone('Europe/Vienna')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+    });
+
+    it('should reject unknown or empty names', () => {
+      expect(isValidTimeZone('Europe/Atlantis')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(undefined)).toBe(false);
+    });
+  });
+
+  describe('getTimeZoneOffset', () => {
+    it('should return the offset in minutes for winter and summer time', () => {
+      expect(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/Vienna')).toBe(60);
+      expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/Vienna')).toBe(120);
+      expect(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'America/New_York')).toBe(-300);
+    });
+
+    it('should switch exactly at the DST transitions', () => {
+      // EU switches at 01:00 UTC on the last Sunday of March/October
+      expect(getTimeZoneOffset(new Date('2026-03-29T00:59:00Z'), 'Europe/Vienna')).toBe(60);
+      expect(getTimeZoneOffset(new Date('2026-03-29T01:00:00Z'), 'Europe/Vienna')).toBe(120);
+      expect(getTimeZoneOffset(new Date('2026-10-25T00:59:00Z'), 'Europe/Vienna')).toBe(120);
+      expect(getTimeZoneOffset(new Date('2026-10-25T01:00:00Z'), 'Europe/Vienna')).toBe(60);
+    });
+  });
+
+  describe('getZonedParts', () => {
+    it('should return wall-clock fields and weekday in the zone', () => {
+      const parts = getZonedParts(new Date('2026-03-22T23:30:00Z'), 'Europe/Vienna');
+
+      expect(parts).toMatchObject({ year: 2026, month: 3, day: 23, hour: 0, minute: 30, weekday: 1 });
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('should convert wall-clock times around the March transition', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 3, day: 28, hour: 9, minute: 55 }, 'Europe/Vienna').toISOString())
+        .toBe('2026-03-28T08:55:00.000Z');
+      expect(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 9, minute: 55 }, 'Europe/Vienna').toISOString())
+        .toBe('2026-03-29T07:55:00.000Z');
+    });
+
+    it('should shift times inside the spring-forward gap', () => {
+      // 02:30 does not exist on March 29, 2026 in Vienna
+      const result = zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Vienna');
+
+      expect(result.toISOString()).toBe('2026-03-29T01:30:00.000Z'); // 03:30 CEST
+    });
+
+    it('should resolve the repeated autumn hour to its first occurrence', () => {
+      const result = zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, 'Europe/Vienna');
+
+      expect(result.toISOString()).toBe('2026-10-25T00:30:00.000Z'); // 02:30 CEST
+    });
+  });
+
+  describe('addDays', () => {
+    it('should roll over month and year boundaries', () => {
+      expect(addDays({ year: 2026, month: 2, day: 27 }, 2)).toEqual({ year: 2026, month: 3, day: 1 });
+      expect(addDays({ year: 2026, month: 1, day: 3 }, -7)).toEqual({ year: 2025, month: 12, day: 27 });
+    });
+  });
+
+  describe('formatZonedIso', () => {
+    it('should include the local offset of the zone', () => {
+      expect(formatZonedIso(new Date('2026-03-23T08:55:00Z'), 'Europe/Vienna')).toBe('2026-03-23T09:55:00+01:00');
+      expect(formatZonedIso(new Date('2026-03-30T07:55:00Z'), 'Europe/Vienna')).toBe('2026-03-30T09:55:00+02:00');
+      expect(formatZonedIso(new Date('2026-03-23T13:55:00Z'), 'America/New_York')).toBe('2026-03-23T09:55:00-04:00');
+    });
+  });
+
+  describe('formatUtcOffset', () => {
+    it('should format offsets for ISO 8601 and git', () => {
+      expect(formatUtcOffset(60)).toBe('+01:00');
+      expect(formatUtcOffset(-210)).toBe('-03:30');
+      expect(formatUtcOffset(0, '')).toBe('+0000');
+      expect(formatUtcOffset(330, '')).toBe('+0530');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { createHmac } from 'crypto';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { assignCommitsToWindows, parsePushEvent, verifySignature } from '../services/webhookHandler.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+// Raw bytes as GitHub delivers them, the signature is computed over these
+const loadFixture = (name) => readFileSync(join(fixturesDir, name));
+const sign = (body, secret) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('webhookHandler', () => {
+  const secret = 'webhook-test-secret';
+
+  describe('verifySignature', () => {
+    it('should match the example from the GitHub documentation', () => {
+      const signature = 'sha256=757107ea0eb2509fc211221cce984b8a37570b6d7586c22c46f4379c8b043e17';
+
+      expect(verifySignature(Buffer.from('Hello, World!'), signature, "It's a Secret to Everybody")).toBe(true);
+    });
+
+    it('should accept a recorded payload signed with the secret', () => {
+      const body = loadFixture('push-event.json');
+
+      expect(verifySignature(body, sign(body, secret), secret)).toBe(true);
+    });
+
+    it('should reject a modified payload', () => {
+      const body = loadFixture('push-event.json');
+      const signature = sign(body, secret);
+      const tampered = Buffer.from(body.toString().replace('Finish homework', 'Finish homework!'));
+
+      expect(verifySignature(tampered, signature, secret)).toBe(false);
+    });
+
+    it('should reject a wrong secret and malformed headers', () => {
+      const body = loadFixture('push-event.json');
+
+      expect(verifySignature(body, sign(body, 'other-secret'), secret)).toBe(false);
+      expect(verifySignature(body, undefined, secret)).toBe(false);
+      expect(verifySignature(body, 'sha1=abc', secret)).toBe(false);
+      expect(verifySignature(body, 'sha256=abc', secret)).toBe(false);
+    });
+  });
+
+  describe('parsePushEvent', () => {
+    it('should extract repository, branch and commits of a recorded push', () => {
+      const event = parsePushEvent(JSON.parse(loadFixture('push-event.json')));
+
+      expect(event).toMatchObject({
+        owner: '25-26-2CI-SEW',
+        repository: {
+          name: 'sew-uebung-mueller',
+          html_url: 'https://github.com/25-26-2CI-SEW/sew-uebung-mueller',
+          default_branch: 'main',
+          archived: false,
+          topics: ['sew', 'uebung'],
+          created_at: 1770710400
+        },
+        branch: 'main',
+        deleted: false,
+        forced: false,
+        pushedAt: '2026-03-23T10:12:45Z'
+      });
+      expect(event.commits).toEqual([
+        { sha: '3a9f0b6c1d2e4f5a6b7c8d9e0f1a2b3c4d5e6f70', date: '2026-03-23T10:12:45+01:00', authorName: 'Max Müller', message: 'Add input validation' },
+        { sha: '8d4c1f0e2a7b9c3d5e6f7a8b9c0d1e2f3a4b5c6d', date: '2026-03-23T19:40:02+01:00', authorName: 'Max Müller', message: 'Finish homework' }
+      ]);
+    });
+
+    it('should ignore tag pushes', () => {
+      expect(parsePushEvent(JSON.parse(loadFixture('push-tag-event.json')))).toBeNull();
+    });
+
+    it('should ignore payloads without repository', () => {
+      expect(parsePushEvent({ zen: 'Keep it logically awesome.' })).toBeNull();
+    });
+  });
+
+  describe('assignCommitsToWindows', () => {
+    it('should keep only commits inside each time window (by author date)', () => {
+      const event = parsePushEvent(JSON.parse(loadFixture('push-event.json')));
+      const lesson = { since: new Date('2026-03-23T08:55:00Z'), until: new Date('2026-03-23T10:35:00Z') };
+      const evening = { since: new Date('2026-03-23T18:00:00Z'), until: new Date('2026-03-23T19:00:00Z') };
+
+      const perWindow = assignCommitsToWindows(event.commits, [lesson, evening]);
+
+      // 10:12:45+01:00 = 09:12:45Z lies in the lesson, 19:40:02+01:00 = 18:40:02Z in the evening window
+      expect(perWindow[0].map(commit => commit.message)).toEqual(['Add input validation']);
+      expect(perWindow[1].map(commit => commit.message)).toEqual(['Finish homework']);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { createLimiter, mapWithConcurrency } from '../services/workerPool.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('workerPool', () => {
+  describe('mapWithConcurrency', () => {
+    it('should keep input order regardless of completion order', async () => {
+      const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+        await delay(ms);
+        return `${index}:${ms}`;
+      });
+
+      expect(results).toEqual(['0:30', '1:10', '2:20']);
+    });
+
+    it('should never run more than limit calls at once', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(5);
+        running--;
+      });
+
+      expect(maxRunning).toBe(3);
+    });
+
+    it('should handle empty input', async () => {
+      await expect(mapWithConcurrency([], 5, async () => 1)).resolves.toEqual([]);
+    });
+
+    it('should reject when a call fails', async () => {
+      await expect(mapWithConcurrency([1, 2], 2, async (item) => {
+        if (item === 2) {
+          throw new Error('boom');
+        }
+        return item;
+      })).rejects.toThrow('boom');
+    });
+  });
+
+  describe('createLimiter', () => {
+    it('should run queued tasks in FIFO order once a slot is free', async () => {
+      const run = createLimiter(1);
+      const order = [];
+
+      await Promise.all([
+        run(async () => { await delay(10); order.push('a'); }),
+        run(async () => { order.push('b'); }),
+        run(async () => { order.push('c'); })
+      ]);
+
+      expect(order).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should release the slot when a task fails', async () => {
+      const run = createLimiter(1);
+
+      await expect(run(async () => { throw new Error('failed'); })).rejects.toThrow('failed');
+      await expect(run(async () => 'next')).resolves.toBe('next');
+    });
+  });
+});
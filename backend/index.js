@@ -6,8 +6,27 @@ import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 import readline from 'readline/promises';
 import { GitHubService } from './services/github.js';
+import { GitHubGraphQLService } from './services/githubGraphql.js';
+import { checkProviderAccess, createProviders, getProviderName, validateProviderConfig } from './services/providerFactory.js';
+import { CommitCache } from './services/commitCache.js';
+import { StudentHistory, getStudentKey, measureLesson } from './services/studentHistory.js';
+import { mapWithConcurrency } from './services/workerPool.js';
+import { JobRunner } from './services/jobRunner.js';
+import { parsePushEvent, verifySignature } from './services/webhookHandler.js';
+import { patchAnalysis, updateRepository } from './services/pushUpdate.js';
+import { assignPushTimes } from './services/pushTimes.js';
+import { TemplateMatcher, parseTemplateReference, summarizeTemplateExclusions } from './services/templateMatcher.js';
+import { SimilarityDetector, getSimilarRepositories } from './services/similarity.js';
+import { parseWindowParam } from './services/timeWindows.js';
 import { CommitAnalyzer } from './services/analyzer.js';
 import { SuspiciousActivityDetector } from './services/suspiciousActivityDetector.js';
+import { loadRules } from './services/rules/index.js';
+import { SchoolCalendar } from './services/schoolCalendar.js';
+import { PathFilter } from './services/pathFilter.js';
+import { IdentityResolver, isBotAuthor, isForeignAuthor } from './services/identityResolver.js';
+import { Roster } from './services/roster.js';
+import { RepositoryFilter, summarizeAssignments } from './services/repositoryFilter.js';
+import { formatZonedIso, getLocalTimeZone, isValidTimeZone } from './services/timezone.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -32,8 +51,11 @@ const PORT = 3000;
 // Store current statistics
 let currentStats = {
   organization: null,
+  timeWindows: [],
   lastUpdate: null,
-  repositories: []
+  repositories: [],
+  partialFailures: [],
+  lastError: null
 };
 
 // Load configuration
@@ -47,178 +69,1040 @@ try {
   process.exit(1);
 }
 
+// Validate configured time zones (root default and per-organization overrides)
+for (const [owner, timeZone] of [['config', config.timezone], ...config.organizations.map(org => [org.name, org.timezone])]) {
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    console.error(`❌ Error: Invalid time zone "${timeZone}" in ${owner} (expected IANA name like "Europe/Vienna")`);
+    process.exit(1);
+  }
+}
+
+// Validate branch selection and commit provider per organization
+for (const org of config.organizations) {
+  if (org.branches !== undefined && org.branches !== 'default' && org.branches !== 'all') {
+    console.error(`❌ Error: branches must be "default" or "all" in ${org.name}, got: ${org.branches}`);
+    process.exit(1);
+  }
+  // Also checks that the access token of the provider is set (not needed for local repositories)
+  const providerError = validateProviderConfig(org, process.env);
+  if (providerError) {
+    console.error(`❌ Error: ${providerError}`);
+    process.exit(1);
+  }
+}
+
 // Initialize services
-const githubToken = process.env.GITHUB_TOKEN;
-if (!githubToken) {
-  console.error('❌ Error: GITHUB_TOKEN not found in .env file');
+
+// Persistent cache for commit details (by SHA) and ETags of list requests, survives restarts
+const cacheConfig = config.cache || {};
+const commitCache = cacheConfig.enabled === false ? null : new CommitCache({
+  filePath: join(__dirname, cacheConfig.path || 'cache/github-cache.json'),
+  maxCommits: cacheConfig.maxCommits,
+  maxSizeMB: cacheConfig.maxSizeMB
+});
+if (commitCache) {
+  commitCache.load();
+  const { commits, etags, sizeBytes } = commitCache.getStats();
+  console.log(`💾 Cache loaded: ${commits} commits, ${etags} ETags (${(sizeBytes / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+// History of every student's lessons (commits, lines, pace, flags), the baseline of the suspicious
+// activity report; survives restarts
+const historyConfig = config.history || {};
+if (historyConfig.maxLessons !== undefined && (!Number.isInteger(historyConfig.maxLessons) || historyConfig.maxLessons < 1)) {
+  console.error(`❌ Error: history.maxLessons must be a positive integer, got: ${historyConfig.maxLessons}`);
   process.exit(1);
 }
+const studentHistory = historyConfig.enabled === false ? null : new StudentHistory({
+  filePath: join(__dirname, historyConfig.path || 'cache/student-history.json'),
+  maxLessons: historyConfig.maxLessons
+});
+if (studentHistory) {
+  studentHistory.load();
+  const { students, lessons } = studentHistory.getStats();
+  console.log(`📚 History loaded: ${lessons} lessons of ${students} students`);
+}
 
-const githubService = new GitHubService(githubToken);
+// Number of repositories (and commit details per repository) processed in parallel.
+// API requests in flight are limited to the same number across all repositories.
+const concurrency = config.concurrency ?? 5;
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+  console.error(`❌ Error: concurrency must be a positive integer, got: ${config.concurrency}`);
+  process.exit(1);
+}
+
+// Commit provider per organization: GitHub API (default), GitLab, Gitea/Forgejo or local
+// clones/mirrors read via git ("provider", "baseUrl" and "tokenEnv" in config.jsonc).
+// For GitHub, GraphQL fetches the history of many repositories in a few batched queries (default),
+// "githubApi": "rest" uses one request per repository and per commit.
+const clientOptions = { cache: commitCache, concurrency };
+// GitHub organizations authenticate as GitHub App if GITHUB_APP_ID is set, otherwise with GITHUB_TOKEN.
+let providers;
+try {
+  providers = createProviders(config.organizations, {
+    env: process.env,
+    baseDir: __dirname,
+    clientOptions,
+    createGitHubService: (token, options) => config.githubApi === 'rest'
+      ? new GitHubService(token, { ...clientOptions, ...options })
+      : new GitHubGraphQLService(token, { ...clientOptions, ...options })
+  });
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+
+function getProvider(organization) {
+  return providers.get(organization.name);
+}
 const analyzer = new CommitAnalyzer();
-const suspiciousDetector = new SuspiciousActivityDetector();
+
+// Only one analysis per organization at a time. Cron ticks arriving during a run are skipped
+// ("skip", default) or run afterwards ("queue"); manual refreshes are always queued.
+const cronOverlap = config.cronOverlap || 'skip';
+if (cronOverlap !== 'skip' && cronOverlap !== 'queue') {
+  console.error(`❌ Error: cronOverlap must be "skip" or "queue", got: ${config.cronOverlap}`);
+  process.exit(1);
+}
+const jobRunner = new JobRunner();
+
+// School calendars of organizations using a semester timetable instead of fixed time windows
+const calendars = new Map();
+for (const org of config.organizations) {
+  if (!org.calendar) {
+    continue;
+  }
+  try {
+    calendars.set(org.name, new SchoolCalendar(org.calendar, getOrganizationTimeZone(org)));
+  } catch (error) {
+    console.error(`❌ Error: Invalid calendar for ${org.name}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Rules selecting the analyzed repositories per organization ("repositories" in config.jsonc)
+const repositoryFilters = new Map();
+for (const org of config.organizations) {
+  try {
+    repositoryFilters.set(org.name, new RepositoryFilter(org.repositories, getOrganizationTimeZone(org)));
+  } catch (error) {
+    console.error(`❌ Error: Invalid repositories filter for ${org.name}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Rules selecting the files counted in the line statistics ("paths" and legacy "fileExtensions")
+const pathFilters = new Map();
+for (const org of config.organizations) {
+  try {
+    pathFilters.set(org.name, PathFilter.fromOrganization(org));
+  } catch (error) {
+    console.error(`❌ Error: Invalid paths for ${org.name}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Class rosters mapping logins, emails and aliases to students ("roster" in config.jsonc)
+const rosters = new Map();
+for (const org of config.organizations) {
+  if (org.roster) {
+    try {
+      rosters.set(org.name, Roster.load(join(__dirname, org.roster)));
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+    console.log(`👥 Roster for ${org.name}: ${rosters.get(org.name).entries.length} entries`);
+  }
+  const roleRules = (org.ignoreCommitters || []).filter(rule => rule.toLowerCase().startsWith('role:'));
+  if (roleRules.length > 0 && !rosters.has(org.name)) {
+    console.error(`❌ Error: ignoreCommitters ${roleRules.join(', ')} in ${org.name} requires a roster`);
+    process.exit(1);
+  }
+}
+
+// Commit authors resolved to people by login, email, name, the alias table ("authorAliases") and the roster
+const identityResolvers = new Map();
+for (const org of config.organizations) {
+  try {
+    identityResolvers.set(org.name, new IdentityResolver({ roster: rosters.get(org.name), aliases: org.authorAliases }));
+  } catch (error) {
+    console.error(`❌ Error: Invalid authorAliases in ${org.name}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Additional rules of the suspicious activity report ("rulesDirectory" in config.jsonc)
+let customRules = [];
+if (config.rulesDirectory) {
+  try {
+    customRules = await loadRules(join(__dirname, config.rulesDirectory));
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`🧩 Rules loaded from ${config.rulesDirectory}: ${customRules.map(rule => rule.type).join(', ') || 'none'}`);
+}
+
+// Suspicious activity detection per organization: thresholds, points, severities, enabled rules and
+// score bands ("suspiciousActivity" in config.jsonc, organization settings override the global ones)
+const detectors = new Map();
+for (const [owner, settings] of [['config', null], ...config.organizations.map(org => [org.name, org.suspiciousActivity])]) {
+  try {
+    const detector = new SuspiciousActivityDetector([config.suspiciousActivity, settings], customRules);
+    if (settings !== null) {
+      detectors.set(owner, detector);
+    }
+  } catch (error) {
+    console.error(`❌ Error: Invalid suspiciousActivity in ${owner}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Detection of code copied between the repositories of an organization ("similarity" in config.jsonc,
+// organization settings override the global ones)
+const similarityDetectors = new Map();
+for (const [owner, settings] of [['config', null], ...config.organizations.map(org => [org.name, org.similarity])]) {
+  try {
+    const detector = new SimilarityDetector([config.similarity, settings]);
+    if (settings !== null) {
+      similarityDetectors.set(owner, detector);
+    }
+  } catch (error) {
+    console.error(`❌ Error: Invalid similarity in ${owner}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Template repositories whose starter code is left out of the statistics ("template" in config.jsonc)
+const templateReferences = new Map();
+for (const org of config.organizations) {
+  if (!org.template) {
+    continue;
+  }
+  try {
+    templateReferences.set(org.name, parseTemplateReference(org.template, org.name));
+  } catch (error) {
+    console.error(`❌ Error: Invalid template in ${org.name}: ${error.message}`);
+    process.exit(1);
+  }
+  if (typeof getProvider(org).getTemplateContent !== 'function') {
+    console.error(`❌ Error: template in ${org.name} is not supported for provider "${getProviderName(org)}"`);
+    process.exit(1);
+  }
+}
+
+// Organization selected at startup and the lesson chosen in the UI (null = follow the current lesson)
+let activeOrganization = null;
+const selectedLessons = new Map();
+
+// Time windows and commits of the last completed run, updated incrementally by push webhooks
+let lastAnalysis = null;
+// Pending webhook updates per repository, so pushes to the same repository are applied in order
+const webhookUpdates = new Map();
+// Commits of every push per repository ({ since, walks: SHAs per "before..after" }), for the latest time windows
+const pushWalks = new Map();
+const webhookSecret = process.env.GITHUB_WEBHOOK_SECRET || null;
 
 // Middleware
 app.use(express.static(join(__dirname, '../frontend')));
-app.use(express.json());
+// Keep the raw body, the webhook signature is computed over the exact bytes GitHub sent
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // API Routes
 app.get('/api/stats', (req, res) => {
-  res.json(currentStats);
+  const view = selectTimeWindowView(currentStats, req.query.window);
+  if (!view) {
+    return res.status(400).json({ error: `Invalid time window: ${req.query.window}` });
+  }
+  res.json({
+    ...view,
+    // Remaining API budget of the organization's provider at the time of the request
+    rateLimit: activeOrganization ? getProvider(activeOrganization).getRateLimitStatus() : {},
+    // Running/queued analysis, the stats themselves only change when a run completes
+    analysis: activeOrganization ? jobRunner.getStatus(activeOrganization.name) : null
+  });
+});
+
+// Similar code across the repositories of the last analysis, per time window (?window=<index> for one)
+app.get('/api/similarity', (req, res) => {
+  if (!lastAnalysis) {
+    return res.status(404).json({ error: 'No analysis completed yet' });
+  }
+  const { organization, timeWindows, similarity } = lastAnalysis;
+  const index = parseWindowParam(req.query.window, timeWindows.length);
+  if (index === null) {
+    return res.status(400).json({ error: `Invalid time window: ${req.query.window}` });
+  }
+  const selected = index === 'all' ? timeWindows : [timeWindows[index]];
+  res.json({
+    organization: organization.name,
+    enabled: similarityDetectors.get(organization.name).isEnabled(),
+    settings: similarityDetectors.get(organization.name).settings,
+    timeWindows: selected.map(window => ({
+      index: window.index,
+      label: describeTimeWindow(window.config),
+      since: window.since.toISOString(),
+      until: window.until.toISOString(),
+      pairs: similarity[window.index]
+    }))
+  });
+});
+
+// Start an analysis of the active organization now (queued if one is already running)
+app.post('/api/refresh', (req, res) => {
+  if (!activeOrganization) {
+    return res.status(409).json({ error: 'No organization selected yet' });
+  }
+  const { status, runId } = runAnalysis(activeOrganization, { trigger: 'manual', mode: 'queue' });
+  res.status(202).json({ status, runId });
 });
 
 app.get('/api/config', (req, res) => {
   res.json({
     organizations: config.organizations.map(org => ({
       name: org.name,
-      timeWindows: org.timeWindows
+      timezone: getOrganizationTimeZone(org),
+      timeWindows: org.timeWindows,
+      calendar: org.calendar
     }))
   });
 });
 
-// Main analysis function
-async function analyzeOrganization(organization) {
-  console.log(`\n📊 Analyzing organization: ${organization.name}`);
-  
-  const timeWindow = organization.timeWindows[0];
-  
-  // Build display text supporting both day names and specific dates
-  let timeWindowDisplay;
-  if (timeWindow.startDate && timeWindow.endDate) {
-    // Using specific dates
-    timeWindowDisplay = timeWindow.startDate === timeWindow.endDate 
-      ? `${timeWindow.startDate} ${timeWindow.startTime} - ${timeWindow.endTime}`
-      : `${timeWindow.startDate} ${timeWindow.startTime} - ${timeWindow.endDate} ${timeWindow.endTime}`;
-    console.log(`⏰ Time window: ${timeWindowDisplay}`);
-  } else if (timeWindow.startDay && timeWindow.endDay) {
-    // Using day names
-    timeWindowDisplay = timeWindow.startDay === timeWindow.endDay 
-      ? `${timeWindow.startDay} ${timeWindow.startTime} - ${timeWindow.endTime}`
-      : `${timeWindow.startDay} ${timeWindow.startTime} - ${timeWindow.endDay} ${timeWindow.endTime}`;
-    console.log(`⏰ Time window: ${timeWindowDisplay}`);
+app.get('/api/lessons', (req, res) => {
+  const calendar = activeOrganization && calendars.get(activeOrganization.name);
+  if (!calendar) {
+    return res.status(404).json({ error: 'No school calendar configured for the active organization' });
   }
-  
-  // Determine which fields to pass to analyzer
-  const startParam = timeWindow.startDate || timeWindow.startDay;
-  const endParam = timeWindow.endDate || timeWindow.endDay;
-  
-  const { since, until } = analyzer.getLastTimeWindow(
-    startParam,
-    timeWindow.startTime,
-    endParam,
-    timeWindow.endTime
-  );
-  
 
-  try {
-    // Get all repositories
-    const repos = await githubService.getOrgRepositories(organization.name);
-    console.log(`✅ Found ${repos.length} repositories`);
-
-    const repoStats = [];
-    const repoCommitsMap = new Map(); // Store commits for suspicious activity analysis
-
-    // Analyze each repository
-    for (const repo of repos) {
-      process.stdout.write(`  📦 ${repo.name}... `);
-      
-      const commits = await githubService.getRepositoryCommits(
+  const timeZone = getOrganizationTimeZone(activeOrganization);
+  const formatLesson = (lesson) => ({
+    ...lesson,
+    since: lesson.since.toISOString(),
+    until: lesson.until.toISOString(),
+    sinceLocal: formatZonedIso(lesson.since, timeZone),
+    untilLocal: formatZonedIso(lesson.until, timeZone)
+  });
+  const overview = calendar.getLessonOverview();
+
+  res.json({
+    organization: activeOrganization.name,
+    timezone: timeZone,
+    lessonCount: calendar.getLessons().length,
+    currentLesson: overview.current ? overview.current.number : null,
+    selectedLesson: selectedLessons.get(activeOrganization.name) ?? null,
+    current: overview.current ? formatLesson(overview.current) : null,
+    past: overview.past.map(formatLesson),
+    upcoming: overview.upcoming.map(formatLesson)
+  });
+});
+
+// Select the lesson to analyze ({ "lesson": 5 }) or go back to the current lesson ({ "lesson": null })
+app.post('/api/lessons/select', (req, res) => {
+  const calendar = activeOrganization && calendars.get(activeOrganization.name);
+  if (!calendar) {
+    return res.status(404).json({ error: 'No school calendar configured for the active organization' });
+  }
+
+  const lessonNumber = req.body?.lesson ?? null;
+  if (lessonNumber !== null) {
+    const lesson = calendar.getLesson(Number(lessonNumber));
+    if (!lesson) {
+      return res.status(400).json({ error: `Lesson ${lessonNumber} does not exist` });
+    }
+    if (lesson.since > new Date()) {
+      return res.status(400).json({ error: `Lesson ${lessonNumber} has not started yet` });
+    }
+  }
+
+  selectedLessons.set(activeOrganization.name, lessonNumber === null ? null : Number(lessonNumber));
+  const { runId } = runAnalysis(activeOrganization, { trigger: 'lesson', mode: 'queue' });
+  res.status(202).json({ selectedLesson: selectedLessons.get(activeOrganization.name), runId });
+});
+
+// GitHub webhook (push events): updates the pushed repository without rescanning the organization
+// Cron polling keeps running and reconciles anything a missed or failed delivery left out
+app.post('/api/webhooks/github', (req, res) => {
+  if (!webhookSecret) {
+    return res.status(404).json({ error: 'Webhooks are disabled (GITHUB_WEBHOOK_SECRET not set)' });
+  }
+  if (!verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), webhookSecret)) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const eventName = req.get('X-GitHub-Event');
+  if (eventName === 'ping') {
+    return res.json({ status: 'pong' });
+  }
+  if (eventName !== 'push') {
+    return res.status(202).json({ status: 'ignored', reason: `Event ${eventName} is not handled` });
+  }
+
+  const event = parsePushEvent(req.body);
+  if (!event) {
+    return res.status(202).json({ status: 'ignored', reason: 'Not a branch push' });
+  }
+  if (!lastAnalysis || event.owner?.toLowerCase() !== lastAnalysis.organization.name.toLowerCase()) {
+    return res.status(202).json({ status: 'ignored', reason: 'Organization is not being analyzed' });
+  }
+  if (getProviderName(lastAnalysis.organization) !== 'github') {
+    return res.status(202).json({ status: 'ignored', reason: 'Organization is not read via the GitHub API' });
+  }
+
+  // Answer right away, GitHub expects a response within 10 seconds
+  const key = event.repository.name;
+  const previous = webhookUpdates.get(key) || Promise.resolve();
+  const update = previous
+    .then(() => applyPushEvent(event, req.get('X-GitHub-Delivery')))
+    .catch(error => console.error(`❌ Error applying push to ${key}:`, error.message))
+    .finally(() => {
+      if (webhookUpdates.get(key) === update) {
+        webhookUpdates.delete(key);
+      }
+    });
+  webhookUpdates.set(key, update);
+  res.status(202).json({ status: 'accepted', repository: key, commits: event.commits.length });
+});
+
+// Remove all cached API data of an organization (e.g. after a repository was force-pushed or deleted)
+app.delete('/api/cache/:organization', (req, res) => {
+  if (!commitCache) {
+    return res.status(404).json({ error: 'Cache is disabled' });
+  }
+  const removed = commitCache.purgeOrganization(req.params.organization);
+  commitCache.save();
+  console.log(`🗑️  Cache purged for ${req.params.organization}: ${removed.commits} commits, ${removed.etags} ETags`);
+  res.json({ organization: req.params.organization, removed, cache: commitCache.getStats() });
+});
+
+// Time zone in which an organization's lessons take place (organization > config root > server zone)
+function getOrganizationTimeZone(organization) {
+  return organization.timezone || config.timezone || getLocalTimeZone();
+}
+
+// Which branches to analyze: only the default branch (default) or all branches, optionally with open PR heads
+function getBranchOptions(organization) {
+  return {
+    branches: organization.branches || 'default',
+    includePullRequests: organization.includePullRequests === true
+  };
+}
+
+// Build display text for a configured time window supporting both day names and specific dates
+function describeTimeWindow(timeWindow, separator = ' - ') {
+  const start = timeWindow.startDate || timeWindow.startDay;
+  const end = timeWindow.endDate || timeWindow.endDay;
+  if (!start || !end) {
+    return 'N/A';
+  }
+  return start === end
+    ? `${start} ${timeWindow.startTime}${separator}${timeWindow.endTime}`
+    : `${start} ${timeWindow.startTime}${separator}${end} ${timeWindow.endTime}`;
+}
+
+// Return the stats of a single time window (?window=<index>) or the combined stats of all windows
+function selectTimeWindowView(stats, windowParam) {
+  const index = parseWindowParam(windowParam, (stats.timeWindows || []).length);
+  if (index === null) {
+    return null;
+  }
+  if (index === 'all') {
+    return { ...stats, selectedWindow: 'all' };
+  }
+
+  const repositories = stats.repositories.map(repo => ({
+    name: repo.name,
+    url: repo.url,
+    assignment: repo.assignment,
+    student: repo.student,
+    rosterStudent: repo.rosterStudent,
+    owners: repo.owners,
+    template: repo.template,
+    ...repo.windows[index]
+  }));
+  return {
+    ...stats,
+    selectedWindow: index,
+    timeWindow: stats.timeWindows[index],
+    repositories,
+    assignments: summarizeAssignments(repositories)
+  };
+}
+
+// Resolve the time windows to analyze: the selected (or current) lesson of a school calendar,
+// otherwise the most recent occurrence of every configured time window
+function resolveTimeWindows(organization, timeZone) {
+  const calendar = calendars.get(organization.name);
+  if (calendar) {
+    const selectedLesson = selectedLessons.get(organization.name) ?? 'current';
+    const { since, until, lesson } = analyzer.getLessonTimeWindow(calendar, selectedLesson);
+    // Same shape as a configured time window with dates
+    const lessonWindow = {
+      startDate: lesson.date,
+      startTime: lesson.startTime,
+      endDate: lesson.date,
+      endTime: lesson.endTime,
+      lesson: lesson.number
+    };
+    console.log(`⏰ Lesson ${lesson.number}: ${describeTimeWindow(lessonWindow)} (${timeZone})`);
+    return [{ index: 0, config: lessonWindow, since, until }];
+  }
+
+  return organization.timeWindows.map((timeWindow, index) => {
+    console.log(`⏰ Time window ${index + 1}: ${describeTimeWindow(timeWindow)} (${timeZone})`);
+
+    // Determine which fields to pass to analyzer
+    const startParam = timeWindow.startDate || timeWindow.startDay;
+    const endParam = timeWindow.endDate || timeWindow.endDay;
+
+    const { since, until } = analyzer.getLastTimeWindow(
+      startParam,
+      timeWindow.startTime,
+      endParam,
+      timeWindow.endTime,
+      timeZone
+    );
+    return { index, config: timeWindow, since, until };
+  });
+}
+
+// Filter out merge commits and commits from ignored committers
+// Merge commits (commits with 2+ parents) are excluded to focus on actual development work
+function isCountedCommit(organization, commit) {
+  // Exclude merge commits (commits with more than one parent)
+  if (commit.parents && commit.parents.length > 1) {
+    return false;
+  }
+  // Names, logins, emails, aliases of a person or "role:teacher" (everybody with this role in the roster)
+  return !getIdentityResolver(organization).matches(commit, organization.ignoreCommitters);
+}
+
+function getIdentityResolver(organization) {
+  return identityResolvers.get(organization.name);
+}
+
+// Time window (BACKDATED_COMMIT), owners of a repository and author resolution (FOREIGN_AUTHOR), similar
+// repositories (SIMILAR_CODE, pairs of the time window), counted files (PASTE_BURST) and the student's
+// earlier lessons (UNUSUAL_ACTIVITY, usual flags) for the detector
+function getDetectorOptions(organization, repoName, window, similarPairs = []) {
+  const resolver = getIdentityResolver(organization);
+  const { student } = repositoryFilters.get(organization.name).getAssignment(repoName);
+  const owners = resolver.getRepositoryOwners(repoName, student);
+  return {
+    window: { since: window.since, until: window.until },
+    owners,
+    resolveAuthor: (commit) => resolver.resolve(commit),
+    similarity: getSimilarRepositories(similarPairs, repoName),
+    pathFilter: pathFilters.get(organization.name),
+    baseline: studentHistory
+      ? studentHistory.getBaseline(organization.name, getStudentKey(owners, repoName), window.since.toISOString())
+      : null
+  };
+}
+
+// Store the lesson of a repository in the history of its student (baseline for later lessons), without
+// a report (no commits in the time window) as a lesson without activity
+function recordLesson(organization, repoName, window, owners, report = null) {
+  if (!studentHistory || (report && !report.measurements)) {
+    return;
+  }
+  studentHistory.record(organization.name, getStudentKey(owners, repoName), {
+    lesson: window.since.toISOString(),
+    repository: repoName,
+    ...(report ? report.measurements : measureLesson([])),
+    flags: report ? report.contributions.map(contribution => contribution.type) : []
+  });
+}
+
+// Commit details needed: files[] for configured path rules and template, files[].patch for similarity
+// detection and rules reading the hunks (PASTE_BURST)
+function getDetailOptions(organization, pathFilter, templateMatcher) {
+  const includePatches = similarityDetectors.get(organization.name).isEnabled() ||
+    (config.detectSuspiciousActivity && detectors.get(organization.name).needsPatches());
+  return { includeFiles: pathFilter.requiresFiles() || templateMatcher !== null || includePatches, includePatches };
+}
+
+// Similar code in the repositories of an organization, pairs per time window (empty if disabled)
+function compareRepositories(organization, timeWindows, commitsByRepository, pathFilter) {
+  const detector = similarityDetectors.get(organization.name);
+  if (!detector.isEnabled()) {
+    return timeWindows.map(() => []);
+  }
+  return timeWindows.map((window, index) => {
+    const documents = new Map();
+    commitsByRepository.forEach(({ commitsPerWindow }, repoName) => {
+      if (commitsPerWindow[index].length > 0) {
+        documents.set(repoName, detector.fingerprintRepository(commitsPerWindow[index], pathFilter));
+      }
+    });
+    return detector.compare(documents);
+  });
+}
+
+// Repository name with the student or team members it belongs to, for console output
+// (owners known only by the login in the repository name are not repeated)
+function describeRepository(repoEntry) {
+  const names = repoEntry.owners
+    .map(owner => owner.name)
+    .filter(name => !repoEntry.name.toLowerCase().endsWith(name.toLowerCase()));
+  return names.length > 0 ? `${repoEntry.name} (${names.join(', ')})` : repoEntry.name;
+}
+
+// Repositories and authors the roster does not know, so the roster can be completed
+function summarizeRoster(organization, repositories) {
+  const roster = rosters.get(organization.name);
+  if (!roster) {
+    return null;
+  }
+  const unmatchedAuthors = new Map();
+  repositories.forEach(repo => {
+    repo.authors.filter(author => !author.rosterStudent).forEach(author => {
+      if (!unmatchedAuthors.has(author.key)) {
+        unmatchedAuthors.set(author.key, { name: author.name, login: author.login, email: author.email, repositories: [] });
+      }
+      unmatchedAuthors.get(author.key).repositories.push(repo.name);
+    });
+  });
+  return {
+    entries: roster.entries.length,
+    unmatchedRepositories: repositories.filter(repo => repo.owners.length === 0).map(repo => repo.name),
+    unmatchedAuthors: [...unmatchedAuthors.values()]
+  };
+}
+
+// Fetch the commits (with details) of a repository for every time window
+// Failed requests are collected instead of aborting, so the repository can be marked as incomplete.
+// Starter code recognized by the template matcher is left out and returned as templateExcluded.
+async function fetchRepositoryCommits(organization, repo, timeWindows, pathFilter, templateMatcher = null) {
+  // Details of commits contained in overlapping windows are only fetched once (pending requests are shared)
+  const detailsCache = new Map();
+  const commitsPerWindow = [];
+  const errors = [];
+  const templateExcluded = [];
+
+  for (const window of timeWindows) {
+    let commits;
+    try {
+      commits = await getProvider(organization).getRepositoryCommits(
         organization.name,
         repo.name,
-        since,
-        until
+        window.since,
+        window.until,
+        { ...getBranchOptions(organization), defaultBranch: repo.default_branch }
       );
+    } catch (error) {
+      errors.push(error.message);
+      commitsPerWindow.push([]);
+      continue;
+    }
 
-      // Filter out merge commits and commits from ignored committers
-      // Merge commits (commits with 2+ parents) are excluded to focus on actual development work
-      let filteredCommits = commits.filter(commit => {
-        // Exclude merge commits (commits with more than one parent)
-        if (commit.parents && commit.parents.length > 1) {
-          return false;
-        }
-        return true;
-      });
-      
-      if (organization.ignoreCommitters && organization.ignoreCommitters.length > 0) {
-        const ignoreList = organization.ignoreCommitters.map(name => name.toLowerCase());
-        filteredCommits = filteredCommits.filter(commit => 
-          !ignoreList.includes((commit.commit.author.name || '').toLowerCase())
-        );
+    const filteredCommits = commits.filter(commit => isCountedCommit(organization, commit));
+
+    // Get detailed stats for each commit (in parallel, results keep the commit order)
+    const detailResults = await mapWithConcurrency(filteredCommits, concurrency, async (commit) => {
+      if (!detailsCache.has(commit.sha)) {
+        detailsCache.set(commit.sha, getProvider(organization).getCommitDetails(
+          organization.name,
+          repo.name,
+          commit.sha,
+          getDetailOptions(organization, pathFilter, templateMatcher)
+        ));
+      }
+      try {
+        return { details: await detailsCache.get(commit.sha) };
+      } catch (error) {
+        return { error: error.message };
       }
+    });
 
-      // Get detailed stats for each commit
-      let detailedCommits = [];
-      if (filteredCommits.length > 0) {
-        for (const commit of filteredCommits) {
-          const details = await githubService.getCommitDetails(
-            organization.name,
-            repo.name,
-            commit.sha
-          );
-          if (details) {
-            detailedCommits.push(details);
-          }
-        }
+    const detailedCommits = [];
+    detailResults.forEach(({ details, error }, index) => {
+      const commit = filteredCommits[index];
+      if (error) {
+        errors.push(error);
+      } else if (details) {
+        // Branch names come from the commit list, the (cached) details do not know them
+        detailedCommits.push(commit.branches ? { ...details, branches: commit.branches } : details);
       }
+    });
+    if (templateMatcher) {
+      const { commits: studentCommits, excluded } = templateMatcher.apply(detailedCommits);
+      templateExcluded.push(...excluded);
+      commitsPerWindow.push(studentCommits);
+    } else {
+      commitsPerWindow.push(detailedCommits);
+    }
+  }
+
+  return { commitsPerWindow: await addPushTimes(organization, repo, timeWindows, commitsPerWindow), errors, templateExcluded };
+}
 
-      const stats = analyzer.analyzeCommits(detailedCommits, organization.fileExtensions || null);
-      
+// Template content of an organization for recognizing starter code, null without template
+// A template that cannot be read is reported, the analysis continues without it
+async function loadTemplateMatcher(organization) {
+  const reference = templateReferences.get(organization.name);
+  if (!reference) {
+    return null;
+  }
+  const source = `${reference.owner}/${reference.repo}`;
+  try {
+    const content = await getProvider(organization).getTemplateContent(reference.owner, reference.repo);
+    console.log(`📄 Template ${source}: ${content.commits.length} commits, ${content.files.length} files`);
+    return new TemplateMatcher(content, source);
+  } catch (error) {
+    console.error(`⚠️  Template ${source} not readable, starter code is counted: ${error.message}`);
+    return null;
+  }
+}
+
+// Push time of every commit (pushedAt, null if unknown) from the provider's push history
+// Not every provider knows pushes, failures leave the push times unknown instead of marking the repository incomplete
+// Pushes walked in an earlier run of the same time windows are taken from pushWalks instead of walked again
+async function addPushTimes(organization, repo, timeWindows, commitsPerWindow) {
+  const provider = getProvider(organization);
+  const allCommits = analyzer.combineCommits(commitsPerWindow);
+  if (typeof provider.getPushes !== 'function' || allCommits.length === 0) {
+    return commitsPerWindow;
+  }
+  const since = new Date(Math.min(...timeWindows.map(window => window.since.getTime())));
+  const walksKey = `${organization.name}/${repo.name}`;
+  if (pushWalks.get(walksKey)?.since !== since.getTime()) {
+    pushWalks.set(walksKey, { since: since.getTime(), walks: new Map() });
+  }
+  let pushTimes;
+  try {
+    const pushes = await provider.getPushes(organization.name, repo.name, since);
+    pushTimes = await assignPushTimes(allCommits, pushes, sha => provider.getCommitDetails(organization.name, repo.name, sha), since, pushWalks.get(walksKey).walks);
+  } catch (error) {
+    console.error(`Push times of ${repo.name} not available:`, error.message);
+    return commitsPerWindow;
+  }
+  return commitsPerWindow.map(commits => commits.map(commit => ({ ...commit, pushedAt: pushTimes.get(commit.sha)?.pushedAt ?? null })));
+}
+
+// Stats entry of a repository (combined and per time window)
+function buildRepositoryStats(organization, repo, commitsPerWindow, errors, pathFilter, templateExcluded = null) {
+  const allCommits = analyzer.combineCommits(commitsPerWindow);
+  const roster = rosters.get(organization.name);
+  const resolver = getIdentityResolver(organization);
+  // Assignment and student from assignmentPrefix (null without)
+  const assignment = repositoryFilters.get(organization.name).getAssignment(repo.name);
+  const owners = resolver.getRepositoryOwners(repo.name, assignment.student);
+  const stats = analyzer.analyzeCommits(allCommits, pathFilter, resolver);
+  return {
+    name: repo.name,
+    url: repo.html_url,
+    ...assignment,
+    // Student the repository belongs to according to the roster
+    rosterStudent: roster ? roster.resolveRepository(repo.name, assignment.student) : null,
+    // Student or team members (roster) or the student login from the name; empty if unknown
+    owners,
+    // Author stats grouped by person (authors[].rosterStudent with the roster)
+    ...stats,
+    // Bots and authors who are not owners by the rule of FOREIGN_AUTHOR, so the dashboard marks the same
+    authors: stats.authors.map(author => ({ ...author, bot: isBotAuthor(author), foreign: isForeignAuthor(author, owners) })),
+    // Starter code left out of the stats (null without template)
+    template: templateExcluded ? summarizeTemplateExclusions(templateExcluded) : null,
+    // Data is incomplete if any request failed permanently (e.g. rate limit, server error)
+    incomplete: errors.length > 0,
+    errors,
+    // Branches (with branches: 'all') each commit was found on
+    commits: allCommits.map(commit => ({
+      sha: commit.sha,
+      url: commit.html_url,
+      date: commit.commit.author.date,
+      committerDate: commit.commit.committer?.date ?? null,
+      pushedAt: commit.pushedAt ?? null,
+      author: commit.commit.author.name,
+      studentName: resolver.resolve(commit).rosterStudent?.name ?? null,
+      branches: commit.branches || []
+    })),
+    windows: commitsPerWindow.map((commits, index) => ({
+      index,
+      ...analyzer.analyzeCommits(commits, pathFilter, resolver)
+    }))
+  };
+}
+
+// Apply a push event to the last analysis: fetch details only for new in-window SHAs and
+// recompute the stats and suspicious activity report of the pushed repository
+// Like a completed run, the updated stats and snapshot are published in one step
+async function applyPushEvent(event, deliveryId) {
+  const snapshot = lastAnalysis;
+  const { organization, timeWindows, pathFilter, templateMatcher } = snapshot;
+  const entry = await updateRepository(event, snapshot, getProvider(organization), {
+    branches: getBranchOptions(organization).branches,
+    concurrency,
+    detailOptions: getDetailOptions(organization, pathFilter, templateMatcher),
+    isCounted: (commit) => isCountedCommit(organization, commit),
+    getExclusionReason: (repository) => repositoryFilters.get(organization.name).getExclusionReason(repository),
+    refetch: (repo) => fetchRepositoryCommits(organization, repo, timeWindows, pathFilter, templateMatcher),
+    deliveryId
+  });
+
+  // A newer full run replaced the snapshot while this update was fetching, its data wins
+  if (!entry || lastAnalysis.runId !== snapshot.runId) {
+    return;
+  }
+  const detector = detectors.get(organization.name);
+  const repoName = entry.repo.name;
+  const published = patchAnalysis(lastAnalysis, currentStats, entry, {
+    buildStats: ({ repo, commitsPerWindow, errors, templateExcluded }) =>
+      buildRepositoryStats(organization, repo, commitsPerWindow, errors, pathFilter, templateMatcher ? templateExcluded : null),
+    summarize: (repositories) => ({
+      assignments: summarizeAssignments(repositories),
+      roster: summarizeRoster(organization, repositories)
+    }),
+    compare: (commitsByRepository) => compareRepositories(organization, timeWindows, commitsByRepository, pathFilter),
+    analyze: config.detectSuspiciousActivity
+      ? (window, commits, similarPairs, repoEntry) => {
+        const options = getDetectorOptions(organization, repoName, window, similarPairs);
+        return { window, owners: options.owners, report: detector.analyze(commits, describeRepository(repoEntry), options) };
+      }
+      : null
+  });
+  lastAnalysis = published.snapshot;
+  currentStats = published.stats;
+  saveCache();
+
+  if (config.detectSuspiciousActivity) {
+    published.reports.forEach(({ window, owners, report }) => {
+      detector.printReport([report], window.since, window.until, snapshot.timeZone);
+      recordLesson(organization, repoName, window, owners, report);
+    });
+    saveHistory();
+  }
+}
+
+// Run an analysis through the job runner and publish its result
+// currentStats is replaced in one step when the run has completed, so the dashboard never
+// sees a half-finished run; a failed run keeps the previous results and reports the error
+function runAnalysis(organization, { trigger, mode }) {
+  return jobRunner.run(organization.name, async (run) => {
+    try {
+      const { stats, snapshot } = await analyzeOrganization(organization, run);
+      const durationMs = Date.now() - run.startedAt.getTime();
+      lastAnalysis = snapshot;
+      currentStats = {
+        ...stats,
+        run: {
+          runId: run.runId,
+          trigger: run.trigger,
+          startedAt: run.startedAt.toISOString(),
+          durationMs
+        }
+      };
+      console.log(`🏁 Run #${run.runId} (${run.trigger}) finished in ${(durationMs / 1000).toFixed(1)}s\n`);
+      return stats;
+    } catch (error) {
+      console.error(`❌ Error during analysis (run #${run.runId}):`, error.message);
+      // Keep the previous results visible, but let the dashboard know the refresh failed
+      currentStats = {
+        ...currentStats,
+        lastError: { message: error.message, time: new Date().toISOString(), runId: run.runId }
+      };
+      throw error;
+    } finally {
+      // Persist what was fetched so far, also after a failed run
+      saveCache();
+    }
+  }, { trigger, mode });
+}
+
+// Main analysis function (throws if the run failed)
+// Returns the stats of the organization and a snapshot of the analyzed commits for webhook updates
+async function analyzeOrganization(organization, run) {
+  console.log(`\n📊 Analyzing organization: ${organization.name} (run #${run.runId}, ${run.trigger})`);
+  
+  const timeZone = getOrganizationTimeZone(organization);
+
+  const timeWindows = resolveTimeWindows(organization, timeZone);
+
+  // Get all repositories, keep those matching the organization's filter rules
+  const allRepos = await getProvider(organization).getOrgRepositories(organization.name);
+  const { repositories: repos, excluded } = repositoryFilters.get(organization.name).apply(allRepos);
+  console.log(`✅ Found ${allRepos.length} repositories${excluded.length > 0 ? `, ${excluded.length} excluded by filter rules` : ''}`);
+  if (excluded.length > 0) {
+    const reasons = new Map();
+    excluded.forEach(({ reason }) => reasons.set(reason, (reasons.get(reason) || 0) + 1));
+    console.log(`🚫 Excluded: ${[...reasons].map(([reason, count]) => `${count} ${reason}`).join(', ')}`);
+  }
+
+  // Fetch commit history of all repositories up front where the API supports batching
+  await getProvider(organization).prefetchCommits(organization.name, repos.map(repo => repo.name), timeWindows, getBranchOptions(organization));
+
+  // Per-file stats (files[]) are only needed when filtering paths
+  const pathFilter = pathFilters.get(organization.name);
+  // Starter code of the assignment template, read once per run (it may change during the semester)
+  const templateMatcher = await loadTemplateMatcher(organization);
+
+  const repoStats = [];
+  const partialFailures = [];
+  // Store commits per time window for suspicious activity analysis
+  const repoCommitsMaps = timeWindows.map(() => new Map());
+  const commitsByRepository = new Map();
+
+  // Analyze repositories in parallel; each repository's output is printed in one piece when it is
+  // done, results keep the repository order so stats and reports are the same as in a sequential run
+  let finished = 0;
+  const resolver = getIdentityResolver(organization);
+  const results = await mapWithConcurrency(repos, concurrency, async (repo) => {
+    const { commitsPerWindow, errors, templateExcluded } = await fetchRepositoryCommits(organization, repo, timeWindows, pathFilter, templateMatcher);
+    const allCommits = analyzer.combineCommits(commitsPerWindow);
+    const stats = analyzer.analyzeCommits(allCommits, pathFilter);
+
+    // Show filtered vs total commits if filtering is active
+    const commitInfo = stats.countedCommits < stats.commitCount 
+      ? `${stats.countedCommits}/${stats.commitCount} commits` 
+      : `${stats.commitCount} commits`;
+    const excludedInfo = stats.excludedLines > 0 ? ` (${stats.excludedLines} excluded by path rules)` : '';
+    const templateLines = summarizeTemplateExclusions(templateExcluded).lines;
+    const templateInfo = templateLines > 0 ? ` (${templateLines} lines of starter code excluded)` : '';
+    const incompleteInfo = errors.length > 0 ? ` ⚠️  incomplete (${errors.length} failed requests)` : '';
+    const owners = resolver.getRepositoryOwners(repo.name, repositoryFilters.get(organization.name).getAssignment(repo.name).student);
+    const lines = [`  [${++finished}/${repos.length}] 📦 ${describeRepository({ name: repo.name, owners })}... ✓ ${commitInfo}, ${stats.totalLinesChanged} lines changed${excludedInfo}${templateInfo}${incompleteInfo}`];
+
+    // Debug: Show each commit with timestamp and message (if enabled in config)
+    if (config.debugCommits && allCommits.length > 0) {
+      lines.push(`    [COMMITS in ${repo.name}]`);
+      allCommits.forEach((commit, idx) => {
+        const sha = commit.sha.substring(0, 7);
+        const timestamp = commit.commit.author.date;
+        const fullMessage = commit.commit.message;
+        const student = resolver.resolve(commit).rosterStudent;
+        const author = commit.commit.author.name + (student && student.name !== commit.commit.author.name ? ` → ${student.name}` : '');
+        const branchInfo = commit.branches ? ` | ${commit.branches.join(', ')}` : '';
+        lines.push(`      ${idx + 1}. [${sha}] ${timestamp} | ${author}${branchInfo}`);
+        lines.push(`         Message: ${fullMessage}`);
+      });
+    }
+    console.log(lines.join('\n'));
+
+    return { repo, commitsPerWindow, errors, templateExcluded };
+  });
+
+  for (const { repo, commitsPerWindow, errors, templateExcluded } of results) {
+    commitsByRepository.set(repo.name, { repo, commitsPerWindow, errors, templateExcluded });
+    commitsPerWindow.forEach((detailedCommits, index) => {
       // Store commits for suspicious activity analysis
       if (detailedCommits.length > 0) {
-        repoCommitsMap.set(repo.name, detailedCommits);
-      }
-      
-      // Debug: Show each commit with timestamp and message (if enabled in config)
-      if (config.debugCommits && detailedCommits.length > 0) {
-        console.log(`\n    [COMMITS in ${repo.name}]`);
-        detailedCommits.forEach((commit, idx) => {
-          const sha = commit.sha.substring(0, 7);
-          const timestamp = commit.commit.author.date;
-          const fullMessage = commit.commit.message;
-          const author = commit.commit.author.name;
-          console.log(`      ${idx + 1}. [${sha}] ${timestamp} | ${author}`);
-          console.log(`         Message: ${fullMessage}`);
-        });
+        repoCommitsMaps[index].set(repo.name, detailedCommits);
       }
-      
-      repoStats.push({
-        name: repo.name,
-        url: repo.html_url,
-        ...stats
-      });
+    });
 
-      // Show filtered vs total commits if filtering is active
-      const commitInfo = stats.countedCommits < stats.commitCount 
-        ? `${stats.countedCommits}/${stats.commitCount} commits` 
-        : `${stats.commitCount} commits`;
-      console.log(`✓ ${commitInfo}, ${stats.totalLinesChanged} lines changed`);
-    }
+    repoStats.push(buildRepositoryStats(organization, repo, commitsPerWindow, errors, pathFilter, templateMatcher ? templateExcluded : null));
+    errors.forEach(message => partialFailures.push({ repository: repo.name, message }));
+  }
 
-    // Update global state
-    currentStats = {
-      organization: organization.name,
-      timeWindow: {
-        ...timeWindow,
-        since: since.toISOString(),
-        until: until.toISOString()
-      },
-      lastUpdate: new Date().toISOString(),
-      repositories: repoStats
-    };
+  const organizationStats = {
+    organization: organization.name,
+    timezone: timeZone,
+    timeWindows: timeWindows.map(window => ({
+      ...window.config,
+      index: window.index,
+      label: describeTimeWindow(window.config),
+      timezone: timeZone,
+      since: window.since.toISOString(),
+      until: window.until.toISOString(),
+      sinceLocal: formatZonedIso(window.since, timeZone),
+      untilLocal: formatZonedIso(window.until, timeZone)
+    })),
+    lastUpdate: new Date().toISOString(),
+    repositories: repoStats,
+    assignments: summarizeAssignments(repoStats),
+    // Repositories and authors missing in the roster (null without roster)
+    roster: summarizeRoster(organization, repoStats),
+    // Repositories left out by the filter rules, so the rules can be checked
+    excludedRepositories: excluded,
+    partialFailures,
+    lastError: null
+  };
 
-    const reposWithCommits = repoStats.filter(r => r.commitCount > 0).length;
-    console.log(`\n✨ Analysis complete! ${repos.length} repositories processed, ${reposWithCommits} with commits in time window.\n`);
-    
-    // Detect suspicious activity if enabled
-    if (config.detectSuspiciousActivity && repoCommitsMap.size > 0) {
+  const reposWithCommits = repoStats.filter(r => r.commitCount > 0).length;
+  console.log(`\n✨ Analysis complete! ${repos.length} repositories processed, ${reposWithCommits} with commits in time window.\n`);
+  if (organizationStats.roster) {
+    const { unmatchedRepositories, unmatchedAuthors } = organizationStats.roster;
+    if (unmatchedRepositories.length > 0) {
+      console.log(`👥 Repositories not in roster: ${unmatchedRepositories.join(', ')}`);
+    }
+    if (unmatchedAuthors.length > 0) {
+      console.log(`👥 Authors not in roster: ${unmatchedAuthors.map(author => `${author.login ? `@${author.login}` : author.name} (${author.repositories.join(', ')})`).join(', ')}`);
+    }
+  }
+  if (partialFailures.length > 0) {
+    const incompleteRepos = repoStats.filter(r => r.incomplete).length;
+    console.log(`⚠️  ${incompleteRepos} repositories have incomplete data (${partialFailures.length} failed requests)\n`);
+  }
+  
+  // Compare the repositories with each other (copied solutions), separately for every lesson
+  const similarity = compareRepositories(organization, timeWindows, commitsByRepository, pathFilter);
+  if (similarityDetectors.get(organization.name).isEnabled()) {
+    timeWindows.forEach((window, index) => {
+      const pairs = similarity[index];
+      const windowInfo = timeWindows.length > 1 ? ` in time window ${index + 1}` : '';
+      console.log(`🔍 ${pairs.length} pairs of repositories with similar code${windowInfo}`);
+      pairs.forEach(pair => console.log(`   ${pair.repoA} ↔ ${pair.repoB}: ${Math.round(pair.similarity * 100)}% (${pair.matchedLines} lines)`));
+    });
+  }
+
+  // Detect suspicious activity if enabled (separately for every lesson)
+  if (config.detectSuspiciousActivity) {
+    const detector = detectors.get(organization.name);
+    for (const window of timeWindows) {
+      const repoCommitsMap = repoCommitsMaps[window.index];
+      // Nobody committed: the lesson did not take place (e.g. a holiday) and is not recorded either
+      if (repoCommitsMap.size === 0) {
+        continue;
+      }
+      if (timeWindows.length > 1) {
+        console.log(`\n⏰ Time window ${window.index + 1}: ${describeTimeWindow(window.config)}`);
+      }
       const reports = [];
       for (const [repoName, commits] of repoCommitsMap) {
-        reports.push(suspiciousDetector.analyze(commits, repoName));
+        const repoEntry = repoStats.find(entry => entry.name === repoName);
+        const options = getDetectorOptions(organization, repoName, window, similarity[window.index]);
+        const report = detector.analyze(commits, describeRepository(repoEntry), options);
+        recordLesson(organization, repoName, window, options.owners, report);
+        reports.push(report);
       }
-      suspiciousDetector.printReport(reports, since, until);
+      // The lesson took place (somebody committed), so the students without commits were quiet in it
+      repoStats.filter(entry => !repoCommitsMap.has(entry.name)).forEach(entry =>
+        recordLesson(organization, entry.name, window, entry.owners));
+      detector.printReport(reports, window.since, window.until, timeZone);
     }
+    saveHistory();
+  }
+
+  return {
+    stats: organizationStats,
+    snapshot: { runId: run.runId, organization, timeZone, timeWindows, pathFilter, templateMatcher, commitsByRepository, similarity }
+  };
+}
+
+function saveCache() {
+  if (!commitCache) {
+    return;
+  }
+  try {
+    commitCache.save();
   } catch (error) {
-    console.error('❌ Error during analysis:', error.message);
+    console.error('Error saving cache:', error.message);
+  }
+}
+
+function saveHistory() {
+  if (!studentHistory) {
+    return;
+  }
+  try {
+    studentHistory.save();
+  } catch (error) {
+    console.error('Error saving history:', error.message);
   }
 }
 
@@ -235,19 +1119,13 @@ async function selectOrganization() {
 
   console.log('\n📋 Available organizations:');
   config.organizations.forEach((org, index) => {
-    const tw = org.timeWindows[0];
-    // Build display text supporting both day names and specific dates
     let timeWindowDisplay;
-    if (tw.startDate && tw.endDate) {
-      timeWindowDisplay = tw.startDate === tw.endDate 
-        ? `${tw.startDate} ${tw.startTime}-${tw.endTime}`
-        : `${tw.startDate} ${tw.startTime}-${tw.endDate} ${tw.endTime}`;
-    } else if (tw.startDay && tw.endDay) {
-      timeWindowDisplay = tw.startDay === tw.endDay 
-        ? `${tw.startDay} ${tw.startTime}-${tw.endTime}`
-        : `${tw.startDay} ${tw.startTime}-${tw.endDay} ${tw.endTime}`;
+    if (calendars.has(org.name)) {
+      timeWindowDisplay = `calendar, ${calendars.get(org.name).getLessons().length} lessons`;
     } else {
-      timeWindowDisplay = 'N/A';
+      timeWindowDisplay = org.timeWindows && org.timeWindows.length > 0
+        ? org.timeWindows.map(tw => describeTimeWindow(tw, '-')).join(', ')
+        : 'N/A';
     }
     console.log(`  ${index + 1}. ${org.name} (${timeWindowDisplay})`);
   });
@@ -277,15 +1155,27 @@ async function selectOrganization() {
 // Schedule periodic analysis
 async function scheduleAnalysis() {
   const org = await selectOrganization();
+  activeOrganization = org;
+
+  // Fail early with a clear message instead of an HTTP 401/404 in every repository of the first run
+  try {
+    const access = await checkProviderAccess(org, getProvider(org));
+    if (access) {
+      console.log(`🔑 ${org.name}: ${access}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error: Credentials for ${org.name} are not usable: ${error.message}`);
+    process.exit(1);
+  }
   
   // Initial run
   console.log('🚀 Starting initial analysis...');
-  analyzeOrganization(org);
+  runAnalysis(org, { trigger: 'startup', mode: 'queue' });
 
   // Schedule recurring analysis
-  console.log(`⏱️  Scheduling recurring analysis with cron: "${config.checkInterval}"`);
+  console.log(`⏱️  Scheduling recurring analysis with cron: "${config.checkInterval}" (overlapping ticks: ${cronOverlap})`);
   cron.schedule(config.checkInterval, () => {
-    analyzeOrganization(org);
+    runAnalysis(org, { trigger: 'cron', mode: cronOverlap });
   });
 }
 
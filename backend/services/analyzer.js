@@ -1,42 +1,73 @@
+import { getAuthorIdentity } from './identityResolver.js';
+import { PathFilter } from './pathFilter.js';
+import { addDays, getLocalTimeZone, getZonedParts, zonedTimeToUtc } from './timezone.js';
+
 export class CommitAnalyzer {
   /**
    * Calculate time window boundaries supporting both day names and specific dates
    * Can accept either (startDay/endDay) or (startDate/endDate) parameters
    * @param {string} startDayOrDate - Start day name (e.g. 'Monday', case-insensitive) or date (e.g. '2026-02-21')
-   * @param {string} startTime - Start time in local time (e.g. '10:00')
+   * @param {string} startTime - Start time in the given time zone (e.g. '10:00')
    * @param {string} endDayOrDate - End day name (e.g. 'Friday', case-insensitive) or date (e.g. '2026-02-25')
-   * @param {string} endTime - End time in local time (e.g. '17:00')
+   * @param {string} endTime - End time in the given time zone (e.g. '17:00')
+   * @param {string} timeZone - IANA time zone of the lesson (e.g. 'Europe/Vienna'), defaults to the server's zone
    * @returns {Object} Object with since and until Date objects (in UTC for GitHub API)
    */
-  getLastTimeWindow(startDayOrDate, startTime, endDayOrDate, endTime) {
+  getLastTimeWindow(startDayOrDate, startTime, endDayOrDate, endTime, timeZone = getLocalTimeZone()) {
     // Check if specific dates are provided (ISO format: YYYY-MM-DD)
     const isStartDate = /^\d{4}-\d{2}-\d{2}$/.test(startDayOrDate);
     const isEndDate = /^\d{4}-\d{2}-\d{2}$/.test(endDayOrDate);
     
     if (isStartDate && isEndDate) {
       // Use specific dates
-      return this._getTimeWindowFromDates(startDayOrDate, startTime, endDayOrDate, endTime);
+      return this._getTimeWindowFromDates(startDayOrDate, startTime, endDayOrDate, endTime, timeZone);
     } else if (!isStartDate && !isEndDate) {
       // Use day names
-      return this._getTimeWindowFromDayNames(startDayOrDate, startTime, endDayOrDate, endTime);
+      return this._getTimeWindowFromDayNames(startDayOrDate, startTime, endDayOrDate, endTime, timeZone);
     } else {
       throw new Error('Time window config must use either both day names or both specific dates, not mixed');
     }
   }
 
+  /**
+   * Calculate time window boundaries of a lesson from a school calendar
+   * @param {SchoolCalendar} calendar - Calendar of the class
+   * @param {number|string} lesson - 1-based lesson number or 'current' for the running/most recent lesson
+   * @param {Date} now - Reference time for 'current'
+   * @returns {Object} Object with since and until Date objects and the resolved lesson
+   */
+  getLessonTimeWindow(calendar, lesson = 'current', now = new Date()) {
+    const resolved = lesson === 'current'
+      ? calendar.getCurrentLesson(now)
+      : calendar.getLesson(Number(lesson));
+
+    if (!resolved) {
+      throw new Error(lesson === 'current'
+        ? 'No lesson has taken place yet in this semester'
+        : `Lesson ${lesson} does not exist in the calendar`);
+    }
+
+    return { since: resolved.since, until: resolved.until, lesson: resolved };
+  }
+
   /**
    * Get time window from specific dates
    * @private
    */
-  _getTimeWindowFromDates(startDateStr, startTime, endDateStr, endTime) {
+  _getTimeWindowFromDates(startDateStr, startTime, endDateStr, endTime, timeZone) {
     const [startHour, startMin] = startTime.split(':').map(Number);
     const [endHour, endMin] = endTime.split(':').map(Number);
+    const [startYear, startMonth, startDay] = startDateStr.split('-').map(Number);
+    const [endYear, endMonth, endDay] = endDateStr.split('-').map(Number);
 
-    const startDate = new Date(startDateStr);
-    startDate.setHours(startHour, startMin, 0, 0);
-
-    const endDate = new Date(endDateStr);
-    endDate.setHours(endHour, endMin, 0, 0);
+    const startDate = zonedTimeToUtc(
+      { year: startYear, month: startMonth, day: startDay, hour: startHour, minute: startMin },
+      timeZone
+    );
+    const endDate = zonedTimeToUtc(
+      { year: endYear, month: endMonth, day: endDay, hour: endHour, minute: endMin },
+      timeZone
+    );
 
     return { since: startDate, until: endDate };
   }
@@ -46,7 +77,7 @@ export class CommitAnalyzer {
    * Day names are case-insensitive (e.g. 'Monday', 'monday', 'MONDAY' all work)
    * @private
    */
-  _getTimeWindowFromDayNames(startDay, startTime, endDay, endTime) {
+  _getTimeWindowFromDayNames(startDay, startTime, endDay, endTime, timeZone) {
     const now = new Date();
     
     const dayMap = {
@@ -67,16 +98,18 @@ export class CommitAnalyzer {
     
     // Strategy: anchor on the most recent startDay+startTime that is not in the future.
     // This ensures that when today's start time has already passed, the window starts today.
-    const currentDayNumber = now.getDay();
-    const daysBackToStart = (currentDayNumber - startDayNumber + 7) % 7;
+    // Calendar arithmetic happens on dates in the lesson's time zone, so DST switches
+    // between start and end only change the UTC offset, never the wall-clock time.
+    const today = getZonedParts(now, timeZone);
+    const daysBackToStart = (today.weekday - startDayNumber + 7) % 7;
 
-    const startDate = new Date(now);
-    startDate.setDate(startDate.getDate() - daysBackToStart);
-    startDate.setHours(startHour, startMin, 0, 0);
+    let startCalendarDate = addDays(today, -daysBackToStart);
+    let startDate = zonedTimeToUtc({ ...startCalendarDate, hour: startHour, minute: startMin }, timeZone);
 
     // If today's start time has not happened yet, use previous week's window.
     if (startDate > now) {
-      startDate.setDate(startDate.getDate() - 7);
+      startCalendarDate = addDays(startCalendarDate, -7);
+      startDate = zonedTimeToUtc({ ...startCalendarDate, hour: startHour, minute: startMin }, timeZone);
     }
 
     // Calculate end date based on start date and configured day/time span.
@@ -85,62 +118,107 @@ export class CommitAnalyzer {
       daysForwardToEnd = 7;
     }
 
-    const endDate = new Date(startDate);
-    endDate.setDate(endDate.getDate() + daysForwardToEnd);
-    endDate.setHours(endHour, endMin, 0, 0);
+    const endCalendarDate = addDays(startCalendarDate, daysForwardToEnd);
+    const endDate = zonedTimeToUtc({ ...endCalendarDate, hour: endHour, minute: endMin }, timeZone);
     
     return { since: startDate, until: endDate };
   }
 
+  /**
+   * Combine commit lists of several time windows into one list
+   * Commits contained in more than one list (overlapping windows) are only kept once
+   * @param {Array<Array>} commitLists - Arrays of commit objects, one per time window
+   * @returns {Array} De-duplicated commits sorted newest first (as returned by the GitHub API)
+   */
+  combineCommits(commitLists) {
+    const bySha = new Map();
+    commitLists.forEach(commits => {
+      commits.forEach(commit => {
+        if (!bySha.has(commit.sha)) {
+          bySha.set(commit.sha, commit);
+        }
+      });
+    });
+
+    return [...bySha.values()].sort((a, b) =>
+      new Date(b.commit.author.date) - new Date(a.commit.author.date)
+    );
+  }
+
   /**
    * Analyze commits and calculate statistics
-   * Optionally filter by file extensions
+   * Optionally count only the files accepted by a path filter
    * @param {Array} commits - Array of commit objects from GitHub API
-   * @param {Array} fileExtensions - Optional array of file extensions to include (e.g., ['.java', '.fxml'])
-   * @returns {Object} Statistics object with commitCount (total), countedCommits (those with matching changes)
+   * @param {PathFilter|Array|null} pathFilter - Optional path filter, or (legacy) an array of file extensions
+   *   to include (e.g., ['.java', '.fxml'])
+   * @param {IdentityResolver|null} identityResolver - Optional resolver grouping the author stats by person
+   * @returns {Object} Statistics object with commitCount (total), countedCommits (those with matching changes),
+   *   commitsPerBranch (commits per branch name, only for commits with branches[]), excludedLines,
+   *   excludedLinesByRule (lines of filtered files per exclusion rule) and authors (stats per author,
+   *   see getAuthorIdentity: commitCount, additions, deletions, linesChanged, first/lastCommitDate)
    */
-  analyzeCommits(commits, fileExtensions = null) {
+  analyzeCommits(commits, pathFilter = null, identityResolver = null) {
+    if (Array.isArray(pathFilter)) {
+      pathFilter = new PathFilter({ defaultExcludes: false }, pathFilter);
+    }
+    const filterFiles = pathFilter !== null && pathFilter.isActive();
     let totalLinesChanged = 0;
     let totalAdditions = 0;
     let totalDeletions = 0;
     const linesPerCommit = [];
     let lastCommitDate = null;
+    const commitsPerBranch = {};
+    let excludedLines = 0;
+    const excludedLinesByRule = {};
+    const authors = new Map();
 
     commits.forEach((commit, index) => {
+      // A commit contained in several branches counts for each of them
+      (commit.branches || []).forEach(branch => {
+        commitsPerBranch[branch] = (commitsPerBranch[branch] || 0) + 1;
+      });
+
       // First commit (newest) becomes the last commit date
       if (index === 0 && commit.commit && commit.commit.author && commit.commit.author.date) {
         lastCommitDate = commit.commit.author.date;
       }
       
-      // If file extensions are specified, filter by those extensions
-      if (fileExtensions && commit.files && commit.files.length > 0) {
+      // Lines of this commit, null if it has no line-change data
+      let counted = null;
+      // If a path filter is active, count only the files it accepts
+      if (filterFiles && commit.files) {
         let commitAdditions = 0;
         let commitDeletions = 0;
         
         commit.files.forEach(file => {
-          // Check if file matches any of the specified extensions
-          const matchesExtension = fileExtensions.some(ext => file.filename.endsWith(ext));
-          if (matchesExtension) {
-            commitAdditions += file.additions || 0;
-            commitDeletions += file.deletions || 0;
+          const additions = file.additions || 0;
+          const deletions = file.deletions || 0;
+          const rule = pathFilter.getExclusionRule(file.filename);
+          if (rule === null) {
+            commitAdditions += additions;
+            commitDeletions += deletions;
+          } else {
+            excludedLines += additions + deletions;
+            excludedLinesByRule[rule] = (excludedLinesByRule[rule] || 0) + additions + deletions;
           }
         });
         
         if (commitAdditions > 0 || commitDeletions > 0) {
-          totalAdditions += commitAdditions;
-          totalDeletions += commitDeletions;
-          const linesChanged = commitAdditions + commitDeletions;
-          totalLinesChanged += linesChanged;
-          linesPerCommit.push(linesChanged);
+          counted = { additions: commitAdditions, deletions: commitDeletions };
         }
-      } else if (!fileExtensions && commit.stats) {
-        // Use stats if available (from detailed commit endpoint)
-        totalAdditions += commit.stats.additions || 0;
-        totalDeletions += commit.stats.deletions || 0;
-        const linesChanged = (commit.stats.additions || 0) + (commit.stats.deletions || 0);
+      } else if (commit.stats) {
+        // Use stats if available (from detailed commit endpoint), also when a commit has no files[] to filter
+        counted = { additions: commit.stats.additions || 0, deletions: commit.stats.deletions || 0 };
+      }
+
+      if (counted) {
+        totalAdditions += counted.additions;
+        totalDeletions += counted.deletions;
+        const linesChanged = counted.additions + counted.deletions;
         totalLinesChanged += linesChanged;
         linesPerCommit.push(linesChanged);
       }
+      this._addAuthorStats(authors, commit, counted, identityResolver);
     });
 
     // Use only commits that contributed line-change data (after optional extension filtering).
@@ -156,7 +234,58 @@ export class CommitAnalyzer {
       totalDeletions: totalDeletions,
       avgLinesPerCommit: avgLinesPerCommit,
       linesPerCommit: linesPerCommit,
-      lastCommitDate: lastCommitDate
+      lastCommitDate: lastCommitDate,
+      commitsPerBranch: commitsPerBranch,
+      excludedLines: excludedLines,
+      excludedLinesByRule: excludedLinesByRule,
+      authors: [...authors.values()].sort((a, b) => b.commitCount - a.commitCount || a.name.localeCompare(b.name))
     };
   }
+
+  /**
+   * Identify the author of a commit (see getAuthorIdentity in identityResolver.js)
+   * @param {Object} commit - Commit object in the shape of the GitHub REST API
+   * @returns {Object} { key, login, name, email, anonymous }
+   */
+  getAuthorIdentity(commit) {
+    return getAuthorIdentity(commit);
+  }
+
+  /**
+   * Add a commit to the stats of its author
+   * @private
+   */
+  _addAuthorStats(authors, commit, counted, identityResolver) {
+    const identity = identityResolver ? identityResolver.resolve(commit) : this.getAuthorIdentity(commit);
+    if (!authors.has(identity.key)) {
+      authors.set(identity.key, {
+        ...identity,
+        commitCount: 0,
+        countedCommits: 0,
+        additions: 0,
+        deletions: 0,
+        linesChanged: 0,
+        firstCommitDate: null,
+        lastCommitDate: null
+      });
+    }
+    const author = authors.get(identity.key);
+    author.commitCount++;
+    if (counted) {
+      author.countedCommits++;
+      author.additions += counted.additions;
+      author.deletions += counted.deletions;
+      author.linesChanged += counted.additions + counted.deletions;
+    }
+    const date = commit.commit?.author?.date;
+    if (date) {
+      const time = new Date(date).getTime();
+      if (author.firstCommitDate === null || time < new Date(author.firstCommitDate).getTime()) {
+        author.firstCommitDate = date;
+      }
+      if (author.lastCommitDate === null || time > new Date(author.lastCommitDate).getTime()) {
+        author.lastCommitDate = date;
+      }
+    }
+  }
 }
@@ -0,0 +1,389 @@
+import axios from 'axios';
+import { mergeHeadCommits, sortBranches } from './branchHeads.js';
+import { createLimiter } from './workerPool.js';
+
+/**
+ * Error raised when an API request failed permanently (after retries)
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, url = null, rateLimited = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.url = url;
+    this.rateLimited = rateLimited;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * ISO date in UTC without milliseconds, as returned by the GitHub API
+ * @param {string} isoDate - Date in any ISO 8601 form (e.g. with offset "+01:00")
+ * @returns {string} Date like "2026-03-23T09:10:00Z"
+ */
+export function toApiDate(isoDate) {
+  return new Date(isoDate).toISOString().replace('.000Z', 'Z');
+}
+
+// How long after a time window a commit of it may have been committed (amended, rebased, pushed late) and
+// still be listed; the commit history is filtered by committer date, the window by author date
+export const LATE_COMMIT_TOLERANCE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Keep the commits whose author date lies within a time window
+ * @param {Array} commits - Commits in REST shape
+ * @param {Date} since - Start of the time window
+ * @param {Date} until - End of the time window
+ * @returns {Array} Matching commits
+ */
+export function filterByAuthorDate(commits, since, until) {
+  const sinceMs = since.getTime();
+  const untilMs = until.getTime();
+  return commits.filter(commit => {
+    const commitTime = new Date(commit.commit.author.date).getTime();
+    return commitTime >= sinceMs && commitTime <= untilMs;
+  });
+}
+
+/**
+ * HTTP client shared by the hosting providers (GitHub, GitLab, Gitea)
+ *
+ * Limits the number of requests in flight, retries server errors, network errors and secondary
+ * rate limits with backoff, pauses when the rate limit budget is used up and sends ETag-conditional
+ * list requests when a cache is configured. Providers extend this class and map the server's
+ * responses to the commit shape of the GitHub REST API. They implement getOrgRepositories,
+ * getRepositoryBranches, getOpenPullRequests, getCommitDetails and _getCommitsFrom (commits
+ * reachable from a branch/SHA within a time window), the branch handling is shared.
+ */
+export class ApiService {
+  /**
+   * @param {Object} options - baseUrl and headers (e.g. Authorization) of the server,
+   *   providerName for messages (default 'API'), retry behaviour:
+   *   maxRetries (default 5), baseDelayMs for exponential backoff (default 1000),
+   *   maxWaitMs: longest pause for a rate limit reset before giving up (default 15 min),
+   *   cache: CommitCache for commit details and ETags of list requests (optional),
+   *   concurrency: maximum number of requests in flight at the same time (default 5),
+   *   authenticate: async () => headers added to every request (for credentials that expire)
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl;
+    this.providerName = options.providerName || 'API';
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers: options.headers || {}
+    });
+    this.maxRetries = options.maxRetries ?? 5;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxWaitMs = options.maxWaitMs ?? 15 * 60 * 1000;
+    this.sleep = options.sleep || sleep;
+    this.cache = options.cache || null;
+    this.authenticate = options.authenticate || null;
+    // Shared by all callers, so nested parallel loops (repositories, commits) never exceed the limit
+    this.limit = createLimiter(options.concurrency ?? 5);
+    // Rate limit budget per resource ('core', 'graphql', ...) from the rate limit response headers
+    this.rateLimits = {};
+  }
+
+  /**
+   * Remaining request budget as reported by the server
+   * @returns {Object} Per resource: { limit, remaining, used, reset (ISO string) }
+   */
+  getRateLimitStatus() {
+    return JSON.parse(JSON.stringify(this.rateLimits));
+  }
+
+  /**
+   * Send a request, pausing when the rate limit is exhausted and retrying
+   * secondary rate limits (403/429), server errors (5xx) and network errors with backoff
+   * @param {Object} requestConfig - axios request config ({ method, url, params, data })
+   * @returns {Promise<Object>} axios response
+   * @throws {ApiError} when the request failed permanently
+   */
+  async request(requestConfig) {
+    const resource = requestConfig.url.endsWith('/graphql') ? 'graphql' : 'core';
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // The budget is checked once a slot is free, so queued requests see the latest rate limit.
+        // Retry delays happen outside the slot and do not block other requests.
+        const response = await this.limit(async () => {
+          // After a retry delay the reset has already been waited for.
+          // Checking and reserving the budget must not yield in between, otherwise concurrent
+          // requests would all see the same remaining budget.
+          const pause = attempt === 0 ? this._waitForBudget(resource, requestConfig.url) : null;
+          if (pause) {
+            await pause;
+          }
+          this._reserveBudget(resource);
+          if (!this.authenticate) {
+            return this.client.request(requestConfig);
+          }
+          // Short-lived credentials (e.g. GitHub App tokens) are looked up per attempt, so retries use renewed ones
+          const authHeaders = await this.authenticate();
+          return this.client.request({ ...requestConfig, headers: { ...requestConfig.headers, ...authHeaders } });
+        });
+        this._updateRateLimit(response.headers);
+        return response;
+      } catch (error) {
+        // Budget exhausted for longer than maxWaitMs, retrying would not help
+        if (error instanceof ApiError) {
+          throw error;
+        }
+        const response = error.response;
+        if (response) {
+          this._updateRateLimit(response.headers);
+        }
+
+        const delay = this._getRetryDelay(error, attempt);
+        if (delay === null || attempt >= this.maxRetries) {
+          throw this._toApiError(error, requestConfig.url);
+        }
+        if (delay > this.maxWaitMs) {
+          throw this._createError(
+            `Rate limit for ${requestConfig.url} resets in ${Math.ceil(delay / 60000)} minutes, giving up`,
+            { status: response?.status ?? null, url: requestConfig.url, rateLimited: true }
+          );
+        }
+
+        const reason = response ? `HTTP ${response.status}` : error.code || error.message;
+        console.log(`⏳ ${this.providerName} request ${requestConfig.url} failed (${reason}), retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${this.maxRetries})`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Get the commits of a repository within a time window (by author date)
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @param {Date} since - Start of the time window
+   * @param {Date} until - End of the time window
+   * @param {Object} options - { branches: 'default' (default) or 'all', includePullRequests: also
+   *   heads of open pull requests (with 'all'), defaultBranch: name of the default branch (listed first) }
+   * @returns {Promise<Array>} Commits newest first; with branches 'all' each commit has branches[]
+   *   (names of the branches/PRs containing it, default branch first)
+   */
+  async getRepositoryCommits(owner, repo, since, until, options = {}) {
+    if (options.branches === 'all') {
+      return this._getCommitsOnAllBranches(owner, repo, since, until, options);
+    }
+    return this._getCommitsFrom(owner, repo, since, until, null);
+  }
+
+  /**
+   * Collect the commits of all branches (and optionally open PR heads), de-duplicated by SHA
+   * @private
+   */
+  async _getCommitsOnAllBranches(owner, repo, since, until, options) {
+    const branches = await this.getRepositoryBranches(owner, repo);
+    const heads = sortBranches(branches, options.defaultBranch)
+      .map(branch => ({ label: branch.name, ref: branch.name }));
+
+    if (options.includePullRequests) {
+      // PR heads that are a branch of this repository are already covered, the rest come from forks
+      const branchTips = new Set(branches.map(branch => branch.sha));
+      const pulls = await this.getOpenPullRequests(owner, repo);
+      pulls
+        .filter(pull => !branchTips.has(pull.sha))
+        .forEach(pull => heads.push({ label: this._pullRequestLabel(pull), ref: pull.sha }));
+    }
+
+    // Requests run in parallel (bounded by the request limit), merging keeps the head order
+    const commitsPerHead = await Promise.all(heads.map(head => this._getCommitsFrom(owner, repo, since, until, head.ref)));
+    return mergeHeadCommits(heads.map(head => head.label), commitsPerHead);
+  }
+
+  /**
+   * Branch label of a pull request head that is not a branch of the repository
+   * @private
+   */
+  _pullRequestLabel(pull) {
+    return `PR #${pull.number} (${pull.ref})`;
+  }
+
+  /**
+   * Pause until the rate limit resets if the budget of a resource is used up
+   * @private
+   * @returns {Promise|null} Pause to await, or null if there is budget left
+   */
+  _waitForBudget(resource, url) {
+    const budget = this.rateLimits[resource];
+    if (!budget || budget.remaining > 0) {
+      return null;
+    }
+
+    const waitMs = new Date(budget.reset).getTime() - Date.now();
+    if (waitMs <= 0) {
+      return null;
+    }
+    if (waitMs > this.maxWaitMs) {
+      throw this._createError(
+        `Rate limit (${resource}) exhausted until ${budget.reset}, not fetching ${url}`,
+        { url, rateLimited: true }
+      );
+    }
+
+    console.log(`⏸️  ${this.providerName} rate limit (${resource}) exhausted, pausing until ${budget.reset}`);
+    return this.sleep(waitMs + 1000);
+  }
+
+  /**
+   * Count a request against the known budget before it is sent, so concurrent requests
+   * stop at the limit instead of all relying on the headers of the last response
+   * @private
+   */
+  _reserveBudget(resource) {
+    const budget = this.rateLimits[resource];
+    if (budget && budget.remaining > 0) {
+      budget.remaining--;
+    }
+  }
+
+  /**
+   * Rate limit header value: X-RateLimit-* (GitHub, Gitea) or RateLimit-* (GitLab)
+   * @private
+   */
+  _rateLimitHeader(headers, name) {
+    return headers[`x-ratelimit-${name}`] ?? headers[`ratelimit-${name}`];
+  }
+
+  /**
+   * Store the budget reported in the rate limit response headers
+   * @private
+   */
+  _updateRateLimit(headers = {}) {
+    const remaining = this._rateLimitHeader(headers, 'remaining');
+    if (remaining === undefined) {
+      return;
+    }
+    const limit = Number(this._rateLimitHeader(headers, 'limit'));
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    this.rateLimits[resource] = {
+      limit,
+      remaining: Number(remaining),
+      used: Number(this._rateLimitHeader(headers, 'used') ?? limit - Number(remaining)),
+      reset: new Date(Number(this._rateLimitHeader(headers, 'reset')) * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Delay before the next attempt, or null if the error must not be retried
+   * @private
+   */
+  _getRetryDelay(error, attempt) {
+    const response = error.response;
+    const backoff = this.baseDelayMs * 2 ** attempt;
+
+    // Network errors (timeout, connection reset, DNS hiccup)
+    if (!response) {
+      return backoff;
+    }
+
+    const { status, headers = {} } = response;
+    if (status >= 500) {
+      return backoff;
+    }
+    if (status === 403 || status === 429) {
+      if (headers['retry-after'] !== undefined) {
+        return Number(headers['retry-after']) * 1000;
+      }
+      const reset = this._rateLimitHeader(headers, 'reset');
+      if (this._rateLimitHeader(headers, 'remaining') === '0' && reset) {
+        return Math.max(0, Number(reset) * 1000 - Date.now()) + 1000;
+      }
+      // Secondary rate limits without headers: wait at least a minute as GitHub recommends
+      const message = String(response.data?.message || '').toLowerCase();
+      if (status === 429 || message.includes('rate limit')) {
+        return Math.max(60000, backoff);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _toApiError(error, url) {
+    if (error instanceof ApiError) {
+      return error;
+    }
+    const response = error.response;
+    // GitHub and Gitea answer { message }, GitLab { message } or { error }
+    const detail = response?.data?.message || response?.data?.error || error.message;
+    const status = response?.status ?? null;
+    return this._createError(
+      status ? `${this.providerName} API ${url} failed with HTTP ${status}: ${detail}` : `${this.providerName} API ${url} failed: ${detail}`,
+      { status, url, rateLimited: status === 403 || status === 429 }
+    );
+  }
+
+  /**
+   * GET a list endpoint, sending the stored ETag as If-None-Match
+   * A 304 Not Modified answer (which does not count against the rate limit) returns the cached body.
+   * @private
+   */
+  async _getList(owner, url, params) {
+    if (!this.cache) {
+      return this.request({ method: 'get', url, params });
+    }
+
+    // The base URL keeps lists of different servers apart in the shared cache
+    const key = `${this.baseUrl}${url}?${new URLSearchParams(params)}`;
+    const cached = this.cache.getEtag(key);
+    const response = await this.request({
+      method: 'get',
+      url,
+      params,
+      headers: cached ? { 'If-None-Match': cached.etag } : {},
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    if (response.status === 304 && cached) {
+      return { ...response, data: cached.data };
+    }
+    if (response.headers?.etag) {
+      this.cache.setEtag(key, owner, response.headers.etag, response.data);
+    }
+    return response;
+  }
+
+  /**
+   * Error for a permanently failed request, providers may return a subclass
+   * @private
+   */
+  _createError(message, fields) {
+    return new ApiError(message, fields);
+  }
+
+  /**
+   * Commit details from the cache, or fetched and stored (commits are immutable)
+   * @private
+   */
+  async _getCachedCommit(owner, repo, sha, fetchCommit) {
+    const cached = this.cache?.getCommit(owner, repo, sha);
+    if (cached) {
+      return cached;
+    }
+    const commit = await fetchCommit();
+    this.cache?.setCommit(owner, repo, sha, commit);
+    return commit;
+  }
+
+  /**
+   * Get all pages of a list endpoint with page/per_page parameters
+   * @private
+   * @param {Object} paging - { perPageParam: name of the page size parameter (default 'per_page'),
+   *   pageSize (default 100) }
+   */
+  async _getAllPages(owner, url, params = {}, { perPageParam = 'per_page', pageSize = 100 } = {}) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const response = await this._getList(owner, url, { ...params, [perPageParam]: pageSize, page });
+      items.push(...response.data);
+      if (response.data.length < pageSize) {
+        return items;
+      }
+    }
+  }
+}
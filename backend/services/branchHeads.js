@@ -0,0 +1,36 @@
+/**
+ * Order branches for labeling: default branch first, then alphabetically
+ * @param {Array<Object>} branches - Branches ({ name, ... })
+ * @param {string} defaultBranch - Name of the default branch (may be undefined)
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortBranches(branches, defaultBranch) {
+  return [...branches].sort((a, b) => {
+    if (a.name === defaultBranch) return -1;
+    if (b.name === defaultBranch) return 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Merge the commit lists of several branches into one list, de-duplicated by SHA
+ * Each commit gets branches[] listing the branches containing it in the order of the given labels.
+ * @param {Array<string>} labels - Branch label per commit list
+ * @param {Array<Array>} commitsPerHead - Commits (REST shape) per branch
+ * @returns {Array} Commits newest first (by author date)
+ */
+export function mergeHeadCommits(labels, commitsPerHead) {
+  const bySha = new Map();
+  commitsPerHead.forEach((commits, index) => {
+    commits.forEach(commit => {
+      if (bySha.has(commit.sha)) {
+        bySha.get(commit.sha).branches.push(labels[index]);
+      } else {
+        bySha.set(commit.sha, { ...commit, branches: [labels[index]] });
+      }
+    });
+  });
+  return [...bySha.values()].sort((a, b) =>
+    new Date(b.commit.author.date) - new Date(a.commit.author.date)
+  );
+}
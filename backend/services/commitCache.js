@@ -0,0 +1,199 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * On-disk cache for GitHub API data
+ *
+ * - Commit details keyed by SHA: commits are immutable, so a known SHA is never fetched twice
+ * - ETags of list requests: unchanged lists are answered with 304 Not Modified,
+ *   which does not count against the rate limit
+ *
+ * Entries are evicted least-recently-used when the configured limits are exceeded. Both maps are kept in
+ * access order (an entry is moved to the end when it is read), so the oldest entry is always the first.
+ */
+export class CommitCache {
+  /**
+   * @param {Object} options - { filePath (JSON file, omit for memory only), maxCommits (default 20000),
+   *   maxEtags (default 2000), maxSizeMB (default 200) }
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.maxCommits = options.maxCommits ?? 20000;
+    this.maxEtags = options.maxEtags ?? 2000;
+    this.maxSizeBytes = (options.maxSizeMB ?? 200) * 1024 * 1024;
+    this.commits = new Map();
+    this.etags = new Map();
+    this.sizeBytes = 0;
+    this.dirty = false;
+    // Monotonic counter instead of timestamps so LRU order is stable within the same millisecond; it
+    // tells which of the two maps holds the older entry
+    this.clock = 0;
+  }
+
+  /**
+   * Load cache contents from disk (missing or corrupt files start an empty cache)
+   */
+  load() {
+    if (!this.filePath || !existsSync(this.filePath)) {
+      return;
+    }
+    try {
+      const content = JSON.parse(readFileSync(this.filePath, 'utf-8'));
+      // Sorted once, files of earlier versions are not stored in access order
+      const byAccess = (entries) => new Map((entries || []).sort((a, b) => a[1].lastAccess - b[1].lastAccess));
+      this.commits = byAccess(content.commits);
+      this.etags = byAccess(content.etags);
+      this.clock = content.clock || 0;
+      this.sizeBytes = [...this.commits.values(), ...this.etags.values()].reduce((sum, entry) => sum + entry.size, 0);
+      this._enforceLimits();
+    } catch (error) {
+      console.error(`Error loading cache ${this.filePath}, starting empty:`, error.message);
+      this.commits.clear();
+      this.etags.clear();
+      this.sizeBytes = 0;
+    }
+  }
+
+  /**
+   * Write cache contents to disk if anything changed (atomic via temporary file)
+   */
+  save() {
+    if (!this.filePath || !this.dirty) {
+      return;
+    }
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({
+      clock: this.clock,
+      commits: [...this.commits],
+      etags: [...this.etags]
+    }));
+    renameSync(tmpPath, this.filePath);
+    this.dirty = false;
+  }
+
+  /**
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @returns {Object|undefined} Cached commit details
+   */
+  getCommit(owner, repo, sha) {
+    const entry = this._touch(this.commits, `${owner}/${repo}@${sha}`);
+    return entry ? entry.data : undefined;
+  }
+
+  /**
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {Object} data - Commit details (REST shape including files[])
+   */
+  setCommit(owner, repo, sha, data) {
+    this._put(this.commits, `${owner}/${repo}@${sha}`, { owner, data });
+  }
+
+  /**
+   * @param {string} key - Request key (URL including query parameters)
+   * @returns {Object|undefined} { etag, data } of the last successful response
+   */
+  getEtag(key) {
+    const entry = this._touch(this.etags, key);
+    return entry ? { etag: entry.etag, data: entry.data } : undefined;
+  }
+
+  /**
+   * @param {string} key - Request key (URL including query parameters)
+   * @param {string} owner - Organization the request belongs to (for purging)
+   * @param {string} etag - ETag response header
+   * @param {*} data - Response body to return on 304 Not Modified
+   */
+  setEtag(key, owner, etag, data) {
+    this._put(this.etags, key, { owner, etag, data });
+  }
+
+  /**
+   * Remove all cached data of an organization
+   * @param {string} owner - Organization
+   * @returns {Object} Number of removed { commits, etags }
+   */
+  purgeOrganization(owner) {
+    const removed = { commits: 0, etags: 0 };
+    for (const [name, map] of [['commits', this.commits], ['etags', this.etags]]) {
+      for (const [key, entry] of map) {
+        if (entry.owner.toLowerCase() === owner.toLowerCase()) {
+          this._delete(map, key);
+          removed[name]++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @returns {Object} { commits, etags, sizeBytes }
+   */
+  getStats() {
+    return { commits: this.commits.size, etags: this.etags.size, sizeBytes: this.sizeBytes };
+  }
+
+  /**
+   * @private
+   */
+  _put(map, key, fields) {
+    this._delete(map, key);
+    const entry = { ...fields, size: JSON.stringify(fields.data).length, lastAccess: ++this.clock };
+    map.set(key, entry);
+    this.sizeBytes += entry.size;
+    this.dirty = true;
+    this._enforceLimits();
+  }
+
+  /**
+   * Mark an entry as used: move it to the end of its map
+   * @private
+   */
+  _touch(map, key) {
+    const entry = map.get(key);
+    if (entry) {
+      map.delete(key);
+      entry.lastAccess = ++this.clock;
+      map.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  _delete(map, key) {
+    const entry = map.get(key);
+    if (entry) {
+      map.delete(key);
+      this.sizeBytes -= entry.size;
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Evict least recently used entries until count and size limits are met
+   * @private
+   */
+  _enforceLimits() {
+    const evictOldest = (map) => this._delete(map, map.keys().next().value);
+
+    while (this.commits.size > this.maxCommits) {
+      evictOldest(this.commits);
+    }
+    while (this.etags.size > this.maxEtags) {
+      evictOldest(this.etags);
+    }
+
+    while (this.sizeBytes > this.maxSizeBytes && (this.commits.size > 0 || this.etags.size > 0)) {
+      // The older of the two oldest entries
+      const oldestCommit = this.commits.values().next().value;
+      const oldestEtag = this.etags.values().next().value;
+      evictOldest(!oldestEtag || (oldestCommit && oldestCommit.lastAccess < oldestEtag.lastAccess) ? this.commits : this.etags);
+    }
+  }
+}
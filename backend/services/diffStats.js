@@ -0,0 +1,126 @@
+/**
+ * Count added and removed lines in the hunks of a single file diff
+ * @param {string} diff - Hunks of one file ("@@ ... @@" headers followed by "+", "-" and " " lines)
+ * @returns {Object} { additions, deletions }
+ */
+export function countDiffLines(diff) {
+  let additions = 0;
+  let deletions = 0;
+  for (const line of (diff || '').split('\n')) {
+    if (line.startsWith('+')) {
+      additions++;
+    } else if (line.startsWith('-')) {
+      deletions++;
+    }
+  }
+  return { additions, deletions };
+}
+
+/**
+ * Per-file stats of a unified diff as produced by `git diff` / `git show`
+ * @param {string} text - Complete diff ("diff --git a/... b/..." sections)
+ * @returns {Array} Files ({ filename, additions, deletions, changes, patch: hunks of the file, missing for binary
+ *   files }) in the shape of the GitHub REST API
+ */
+export function parseUnifiedDiff(text) {
+  const files = [];
+  for (const section of (text || '').split(/^diff --git /m).slice(1)) {
+    const lines = section.split('\n');
+    // "+++ b/<path>" names the new file, "+++ /dev/null" a deleted one (then "--- a/<path>" applies)
+    const newPath = lines.find(line => line.startsWith('+++ '))?.slice(4);
+    const oldPath = lines.find(line => line.startsWith('--- '))?.slice(4);
+    const header = lines[0].match(/^a\/(.+) b\/(.+)$/);
+    const path = newPath && newPath !== '/dev/null' ? newPath : oldPath && oldPath !== '/dev/null' ? oldPath : null;
+    const filename = path ? path.replace(/^[ab]\//, '') : header?.[2] ?? lines[0];
+
+    const hunkStart = lines.findIndex(line => line.startsWith('@@'));
+    if (hunkStart === -1) {
+      files.push({ filename, additions: 0, deletions: 0, changes: 0 });
+      continue;
+    }
+    const patch = lines.slice(hunkStart).join('\n').replace(/\n$/, '');
+    const { additions, deletions } = countDiffLines(patch);
+    files.push({ filename, additions, deletions, changes: additions + deletions, patch });
+  }
+  return files;
+}
+
+/**
+ * Sum the per-file stats of a commit
+ * @param {Array} files - Files with additions/deletions
+ * @returns {Object} { additions, deletions, total }
+ */
+export function sumFileStats(files) {
+  const additions = files.reduce((sum, file) => sum + file.additions, 0);
+  const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+  return { additions, deletions, total: additions + deletions };
+}
+
+/**
+ * Blocks of consecutive added lines in the hunks of a single file diff
+ * @param {string} patch - Hunks of one file (files[].patch)
+ * @returns {Array} Blocks ({ startLine, endLine: line numbers in the new version of the file, lines: texts })
+ */
+export function getAddedBlocks(patch) {
+  const blocks = [];
+  let current = null;
+  let line = 0;
+  for (const text of (patch || '').split('\n')) {
+    if (text.startsWith('\\')) {
+      continue;
+    }
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      line = Number(hunk[1]);
+      current = null;
+    } else if (text.startsWith('+')) {
+      if (!current) {
+        current = { startLine: line, endLine: line, lines: [] };
+        blocks.push(current);
+      }
+      current.endLine = line;
+      current.lines.push(text.slice(1));
+      line++;
+    } else {
+      current = null;
+      if (!text.startsWith('-')) {
+        line++;
+      }
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Follow a range of lines through a later diff of the same file
+ * @param {Object} range - { startLine, endLine } in the version the diff starts from
+ * @param {string} patch - Hunks of the later diff (files[].patch)
+ * @returns {Object|null} { startLine, endLine } in the new version, null if a line of the range was changed
+ *   or removed or lines were inserted into it
+ */
+export function trackLineRange({ startLine, endLine }, patch) {
+  let shift = 0;
+  let oldLine = 0;
+  for (const text of (patch || '').split('\n')) {
+    const hunk = text.match(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/);
+    if (hunk) {
+      // "-5,0" inserts after line 5
+      oldLine = hunk[2] === '0' ? Number(hunk[1]) + 1 : Number(hunk[1]);
+    } else if (text.startsWith('-')) {
+      if (oldLine >= startLine && oldLine <= endLine) {
+        return null;
+      }
+      shift -= oldLine < startLine ? 1 : 0;
+      oldLine++;
+    } else if (text.startsWith('+')) {
+      // Added lines go before oldLine
+      if (oldLine > startLine && oldLine <= endLine) {
+        return null;
+      }
+      shift += oldLine <= startLine ? 1 : 0;
+    } else if (!text.startsWith('\\')) {
+      oldLine++;
+    }
+  }
+  return { startLine: startLine + shift, endLine: endLine + shift };
+}
@@ -0,0 +1,131 @@
+import { ApiService, LATE_COMMIT_TOLERANCE_MS, filterByAuthorDate, toApiDate } from './apiService.js';
+import { parseUnifiedDiff, sumFileStats } from './diffStats.js';
+
+// Gitea's default maximum page size (MAX_RESPONSE_ITEMS)
+const PAGING = { perPageParam: 'limit', pageSize: 50 };
+
+/**
+ * Commit provider for Gitea and Forgejo via the REST API v1
+ *
+ * The API closely follows GitHub's, commits are normalized to the GitHub REST shape (UTC dates,
+ * stats). Per-file stats are not part of Gitea's commit objects and are counted from the commit diff.
+ * Filtering the commit list by date requires Gitea 1.22 or newer (older servers return the whole
+ * history, which is then filtered here).
+ */
+export class GiteaService extends ApiService {
+  /**
+   * @param {string} token - Access token (scope read:repository and read:organization)
+   * @param {Object} options - { baseUrl: URL of the Gitea/Forgejo instance (required) }
+   *   plus the retry, cache and concurrency options of ApiService
+   */
+  constructor(token, options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('GiteaService requires baseUrl');
+    }
+    super({
+      ...options,
+      baseUrl: `${options.baseUrl.replace(/\/+$/, '')}/api/v1`,
+      providerName: 'Gitea',
+      headers: { 'Authorization': `token ${token}` }
+    });
+  }
+
+  /**
+   * Repositories of an organization
+   * @param {string} org - Organization name
+   * @returns {Promise<Array>} Repositories ({ id, name, html_url, default_branch, archived, fork, template, created_at, ... })
+   */
+  async getOrgRepositories(org) {
+    return this._getAllPages(org, `/orgs/${org}/repos`, {}, PAGING);
+  }
+
+  /**
+   * Commits are fetched per repository on demand, nothing to prefetch
+   */
+  async prefetchCommits(owner, repoNames, ranges, options = {}) {}
+
+  /**
+   * Branches of a repository
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array>} Branches ({ name, sha })
+   */
+  async getRepositoryBranches(owner, repo) {
+    const branches = await this._getAllPages(owner, `/repos/${owner}/${repo}/branches`, {}, PAGING);
+    return branches.map(branch => ({ name: branch.name, sha: branch.commit.id }));
+  }
+
+  /**
+   * Open pull requests of a repository (including those from forks)
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array>} Pull requests ({ number, ref: head branch name, sha: head commit })
+   */
+  async getOpenPullRequests(owner, repo) {
+    const pulls = await this._getAllPages(owner, `/repos/${owner}/${repo}/pulls`, { state: 'open' }, PAGING);
+    return pulls.map(pull => ({ number: pull.number, ref: pull.head.ref, sha: pull.head.sha }));
+  }
+
+  /**
+   * Get a single commit including stats and files[] with per-file additions/deletions
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {Object} options - { includeFiles } (always included)
+   * @returns {Promise<Object>} Commit in REST shape
+   */
+  async getCommitDetails(owner, repo, sha, options = {}) {
+    return this._getCachedCommit(owner, repo, sha, async () => {
+      const url = `/repos/${owner}/${repo}/git/commits/${sha}`;
+      const [response, diff] = await Promise.all([
+        this.request({ method: 'get', url, params: { stat: false, files: false, verification: false } }),
+        this.request({ method: 'get', url: `${url}.diff`, responseType: 'text' })
+      ]);
+      const files = parseUnifiedDiff(diff.data);
+      return { ...this._toRestCommit(response.data), stats: sumFileStats(files), files };
+    });
+  }
+
+  /**
+   * Commits reachable from a branch/SHA (null = default branch) within a time window
+   * @private
+   */
+  async _getCommitsFrom(owner, repo, since, until, ref) {
+    // Gitea filters by committer date like GitHub, see LATE_COMMIT_TOLERANCE_MS
+    const params = {
+      since: since.toISOString(),
+      until: new Date(until.getTime() + LATE_COMMIT_TOLERANCE_MS).toISOString(),
+      stat: true,
+      files: false,
+      verification: false
+    };
+    if (ref) {
+      params.sha = ref;
+    }
+    const commits = await this._getAllPages(owner, `/repos/${owner}/${repo}/commits`, params, PAGING);
+    return filterByAuthorDate(commits.map(commit => this._toRestCommit(commit)), since, until);
+  }
+
+  /**
+   * Normalize a Gitea commit to the commit shape of the GitHub REST API
+   * @private
+   */
+  _toRestCommit(commit) {
+    const { author, committer, message } = commit.commit;
+    return {
+      sha: commit.sha,
+      html_url: commit.html_url,
+      parents: (commit.parents || []).map(parent => ({ sha: parent.sha })),
+      author: commit.author ? { login: commit.author.login } : null,
+      committer: commit.committer ? { login: commit.committer.login } : null,
+      commit: {
+        message: message.replace(/\n+$/, ''),
+        author: { name: author.name, email: author.email, date: toApiDate(author.date) },
+        committer: { name: committer.name, email: committer.email, date: toApiDate(committer.date) }
+      },
+      stats: commit.stats
+        ? { additions: commit.stats.additions, deletions: commit.stats.deletions, total: commit.stats.total }
+        : { additions: 0, deletions: 0, total: 0 }
+    };
+  }
+}
@@ -1,112 +1,319 @@
-import axios from 'axios';
+import { ApiError, ApiService, LATE_COMMIT_TOLERANCE_MS } from './apiService.js';
 
-export class GitHubService {
-  constructor(token) {
-    this.token = token;
-    this.baseUrl = 'https://api.github.com';
-    this.client = axios.create({
-      baseURL: this.baseUrl,
+/**
+ * Error raised when a GitHub request failed permanently (after retries)
+ */
+export class GitHubApiError extends ApiError {
+  constructor(message, fields) {
+    super(message, fields);
+    this.name = 'GitHubApiError';
+  }
+}
+
+// Token types by prefix (https://github.blog/2021-04-05-behind-githubs-new-authentication-token-formats/)
+const TOKEN_TYPES = [
+  { prefix: 'ghp_', type: 'classic', label: 'classic personal access token' },
+  { prefix: 'github_pat_', type: 'fine-grained', label: 'fine-grained personal access token' },
+  { prefix: 'gho_', type: 'oauth', label: 'OAuth token' },
+  { prefix: 'ghu_', type: 'user-to-server', label: 'GitHub App user token' },
+  { prefix: 'ghs_', type: 'installation', label: 'GitHub App installation token' }
+];
+
+// Scopes a classic token needs: private repositories and the organization's repository list
+const REQUIRED_SCOPES = [
+  { scope: 'repo', satisfiedBy: ['repo'] },
+  { scope: 'read:org', satisfiedBy: ['read:org', 'write:org', 'admin:org'] }
+];
+
+/**
+ * Type of a GitHub token, derived from its prefix
+ * @param {string} token - GitHub token
+ * @returns {Object} { type: 'classic'|'fine-grained'|'oauth'|'user-to-server'|'installation'|'unknown', label }
+ */
+export function getTokenType(token) {
+  const known = TOKEN_TYPES.find(({ prefix }) => String(token).startsWith(prefix));
+  if (known) {
+    return { type: known.type, label: known.label };
+  }
+  // Tokens created before 2021 are 40 hex characters without prefix
+  return /^[0-9a-f]{40}$/.test(token)
+    ? { type: 'classic', label: 'classic personal access token' }
+    : { type: 'unknown', label: 'token' };
+}
+
+export class GitHubService extends ApiService {
+  /**
+   * @param {string|null} token - GitHub token (null when authenticating as a GitHub App)
+   * @param {Object} options - Retry behaviour:
+   *   maxRetries (default 5), baseDelayMs for exponential backoff (default 1000),
+   *   maxWaitMs: longest pause for a rate limit reset before giving up (default 15 min),
+   *   cache: CommitCache for commit details and ETags of list requests (optional),
+   *   concurrency: maximum number of requests in flight at the same time (default 5),
+   *   baseUrl: URL of a GitHub Enterprise Server instance (default github.com),
+   *   appAuth: GitHubAppAuth and organization: installation whose tokens are used instead of token
+   */
+  constructor(token, options = {}) {
+    const { appAuth, organization } = options;
+    super({
+      ...options,
+      baseUrl: options.baseUrl ? `${options.baseUrl.replace(/\/+$/, '')}/api/v3` : 'https://api.github.com',
+      providerName: 'GitHub',
       headers: {
-        'Authorization': `token ${token}`,
+        ...(token ? { 'Authorization': `token ${token}` } : {}),
         'Accept': 'application/vnd.github.v3+json'
-      }
+      },
+      authenticate: appAuth
+        ? async () => ({ 'Authorization': `token ${await appAuth.getInstallationToken(organization)}` })
+        : null
     });
+    this.token = token;
+    this.appAuth = appAuth || null;
   }
 
-  async getOrgRepositories(org) {
+  /**
+   * Check that the credentials can read an organization's repositories, with a message naming
+   * what is missing (invalid token, scopes, App installation or permissions)
+   * @param {string} org - Organization
+   * @returns {Promise<string>} Description of the credentials (e.g. "classic personal access token (scopes: repo, read:org)")
+   * @throws {Error} if the credentials are insufficient
+   */
+  async checkAccess(org) {
+    if (this.appAuth) {
+      const permissions = await this.appAuth.getInstallationPermissions(org);
+      if (permissions.contents !== 'read' && permissions.contents !== 'write') {
+        throw new Error(`GitHub App ${this.appAuth.appId} lacks the "Contents: read" repository permission on ${org}`);
+      }
+      return `GitHub App ${this.appAuth.appId} (installation on ${org})`;
+    }
+
+    const { type, label } = getTokenType(this.token);
+    if (type === 'installation') {
+      throw new Error(`${label}s expire after one hour, configure the GitHub App (GITHUB_APP_ID, GITHUB_APP_PRIVATE_KEY) instead`);
+    }
+
+    let response;
     try {
-      let allRepos = [];
-      let page = 1;
-      let hasMore = true;
-
-      while (hasMore) {
-        const response = await this.client.get(`/orgs/${org}/repos`, {
-          params: {
-            per_page: 100,
-            page: page,
-            sort: 'updated',
-            direction: 'desc'
-          }
-        });
+      // Does not count against the rate limit, classic and OAuth tokens report their scopes in the headers
+      response = await this.request({ method: 'get', url: '/rate_limit' });
+    } catch (error) {
+      if (error.status === 401) {
+        throw new Error(`${label} is invalid or expired`);
+      }
+      throw error;
+    }
 
-        if (response.data.length === 0) {
+    const scopeHeader = response.headers?.['x-oauth-scopes'];
+    const scopes = scopeHeader === undefined ? null : scopeHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+    if (scopes) {
+      const missing = REQUIRED_SCOPES.filter(({ satisfiedBy }) => !satisfiedBy.some(scope => scopes.includes(scope)));
+      if (missing.length > 0) {
+        throw new Error(`${label} lacks the scopes ${missing.map(({ scope }) => scope).join(', ')} (has: ${scopes.join(', ') || 'none'})`);
+      }
+    }
+
+    // Fine-grained tokens only see the organizations (and repositories) they were created for
+    try {
+      await this.request({ method: 'get', url: `/orgs/${org}/repos`, params: { per_page: 1 } });
+    } catch (error) {
+      if (error.status === 403 || error.status === 404) {
+        throw new Error(`${label} has no access to organization ${org}: ${error.message}`);
+      }
+      throw error;
+    }
+    return scopes ? `${label} (scopes: ${scopes.join(', ')})` : label;
+  }
+
+  /**
+   * @private
+   */
+  _createError(message, fields) {
+    return new GitHubApiError(message, fields);
+  }
+
+  async getOrgRepositories(org) {
+    let allRepos = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await this._getList(org, `/orgs/${org}/repos`, {
+        per_page: 100,
+        page: page,
+        sort: 'updated',
+        direction: 'desc'
+      });
+
+      if (response.data.length === 0) {
+        hasMore = false;
+      } else {
+        allRepos = allRepos.concat(response.data);
+        // If we got less than 100, we've reached the last page
+        if (response.data.length < 100) {
           hasMore = false;
-        } else {
-          allRepos = allRepos.concat(response.data);
-          // If we got less than 100, we've reached the last page
-          if (response.data.length < 100) {
-            hasMore = false;
-          }
-          page++;
         }
+        page++;
       }
+    }
 
-      return allRepos;
-    } catch (error) {
-      console.error(`Error fetching repos for org ${org}:`, error.message);
-      return [];
+    return allRepos;
+  }
+
+  /**
+   * Prefetch commit history of several repositories (no-op for the REST client,
+   * which fetches commits per repository on demand)
+   * @param {string} owner - Organization
+   * @param {Array<string>} repoNames - Repository names
+   * @param {Array<Object>} ranges - Time windows ({ since, until } Date objects)
+   * @param {Object} options - Branch options as for getRepositoryCommits
+   */
+  async prefetchCommits(owner, repoNames, ranges, options = {}) {}
+
+  /**
+   * Branches of a repository
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array>} Branches ({ name, sha })
+   */
+  async getRepositoryBranches(owner, repo) {
+    const branches = await this._getAllPages(owner, `/repos/${owner}/${repo}/branches`);
+    return branches.map(branch => ({ name: branch.name, sha: branch.commit.sha }));
+  }
+
+  /**
+   * Open pull requests of a repository (including those from forks)
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array>} Pull requests ({ number, ref: head branch name, sha: head commit })
+   */
+  async getOpenPullRequests(owner, repo) {
+    const pulls = await this._getAllPages(owner, `/repos/${owner}/${repo}/pulls`, { state: 'open' });
+    return pulls.map(pull => ({ number: pull.number, ref: pull.head.ref, sha: pull.head.sha }));
+  }
+
+  /**
+   * Pushes to a repository from the repository activity API (branch creations and force pushes included)
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @param {Date} since - Oldest push of interest
+   * @returns {Promise<Array>} Pushes ({ pushedAt, ref, before, after, actor: login or null }), newest first
+   */
+  async getPushes(owner, repo, since) {
+    const pushes = [];
+    let cursor = null;
+    for (;;) {
+      const params = { per_page: 100, direction: 'desc' };
+      if (cursor) {
+        params.after = cursor;
+      }
+      const response = await this._getList(owner, `/repos/${owner}/${repo}/activity`, params);
+      const activities = response.data.filter(activity => activity.activity_type !== 'branch_deletion');
+      pushes.push(...activities.map(activity => ({
+        pushedAt: activity.timestamp,
+        ref: activity.ref.replace(/^refs\/heads\//, ''),
+        before: activity.before,
+        after: activity.after,
+        actor: activity.actor?.login || null
+      })));
+
+      // The activity list is paginated with cursors in the Link header
+      const next = /<([^>]+)>;\s*rel="next"/.exec(response.headers?.link || '');
+      const oldest = response.data[response.data.length - 1];
+      if (!next || !oldest || new Date(oldest.timestamp) < since) {
+        break;
+      }
+      cursor = new URL(next[1]).searchParams.get('after');
     }
+    return pushes.filter(push => new Date(push.pushedAt) >= since);
   }
 
-  async getRepositoryCommits(owner, repo, since, until) {
-    try {
-      let allCommits = [];
-      let page = 1;
-      let hasMore = true;
-      const sinceMs = since.getTime();
-      const untilMs = until.getTime();
-
-      while (hasMore) {
-        const response = await this.client.get(`/repos/${owner}/${repo}/commits`, {
-          params: {
-            since: since.toISOString(),
-            until: until.toISOString(),
-            per_page: 100,
-            page: page
-          }
+  /**
+   * Commits and files of a template repository, to recognize starter code in student repositories
+   * @param {string} owner - Owner of the template repository
+   * @param {string} repo - Template repository name
+   * @returns {Promise<Object>} { commits: [{ sha, tree }] of the default branch, files: [{ path, sha }] (blobs
+   *   of the latest commit) }
+   */
+  async getTemplateContent(owner, repo) {
+    const commits = await this._getAllPages(owner, `/repos/${owner}/${repo}/commits`);
+    if (commits.length === 0) {
+      return { commits: [], files: [] };
+    }
+    const tree = await this._getList(owner, `/repos/${owner}/${repo}/git/trees/${commits[0].commit.tree.sha}`, { recursive: 1 });
+    return {
+      commits: commits.map(commit => ({ sha: commit.sha, tree: commit.commit.tree.sha })),
+      files: tree.data.tree.filter(entry => entry.type === 'blob').map(entry => ({ path: entry.path, sha: entry.sha }))
+    };
+  }
+
+  /**
+   * Commits reachable from a branch/SHA (null = default branch) within a time window
+   * @private
+   */
+  async _getCommitsFrom(owner, repo, since, until, ref) {
+    let allCommits = [];
+    let page = 1;
+    let hasMore = true;
+    const sinceMs = since.getTime();
+    const untilMs = until.getTime();
+
+    while (hasMore) {
+      // GitHub compares since/until with the committer date. "until" is extended by a tolerance, so
+      // commits committed after the window (rebased, amended or backdated) are listed too, the window
+      // is applied to the author date below.
+      const params = {
+        since: since.toISOString(),
+        until: new Date(untilMs + LATE_COMMIT_TOLERANCE_MS).toISOString(),
+        per_page: 100,
+        page: page
+      };
+      if (ref) {
+        params.sha = ref;
+      }
+      const response = await this._getList(owner, `/repos/${owner}/${repo}/commits`, params);
+
+      if (response.data.length === 0) {
+        hasMore = false;
+      } else {
+        // Filter commits to only include those actually within the time window
+        const filtered = response.data.filter(commit => {
+          const commitTime = new Date(commit.commit.author.date).getTime();
+          return commitTime >= sinceMs && commitTime <= untilMs;
         });
 
-        if (response.data.length === 0) {
+        allCommits = allCommits.concat(filtered);
+
+        // Stop if we got fewer than 100 results (last page)
+        // or if we've gone past the time window (commits are ordered newest first)
+        if (response.data.length < 100) {
           hasMore = false;
         } else {
-          // Filter commits to only include those actually within the time window
-          const filtered = response.data.filter(commit => {
-            const commitTime = new Date(commit.commit.author.date).getTime();
-            return commitTime >= sinceMs && commitTime <= untilMs;
-          });
-          
-          allCommits = allCommits.concat(filtered);
-          
-          // Stop if we got fewer than 100 results (last page)
-          // or if we've gone past the time window (commits are ordered newest first)
-          if (response.data.length < 100) {
+          // Check if the oldest commit on this page is before our window
+          const oldestCommitTime = new Date(response.data[response.data.length - 1].commit.author.date).getTime();
+          if (oldestCommitTime < sinceMs) {
             hasMore = false;
           } else {
-            // Check if the oldest commit on this page is before our window
-            const oldestCommitTime = new Date(response.data[response.data.length - 1].commit.author.date).getTime();
-            if (oldestCommitTime < sinceMs) {
-              hasMore = false;
-            } else {
-              page++;
-            }
+            page++;
           }
         }
       }
-
-      return allCommits;
-    } catch (error) {
-      console.error(`Error fetching commits for ${owner}/${repo}:`, error.message);
-      return [];
     }
+
+    return allCommits;
   }
 
-  async getCommitDetails(owner, repo, sha) {
-    try {
-      const response = await this.client.get(`/repos/${owner}/${repo}/commits/${sha}`);
+  /**
+   * Get a single commit including stats and files[] with per-file additions/deletions
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {Object} options - { includeFiles } (always included by the REST API)
+   * @returns {Promise<Object>} Commit
+   */
+  async getCommitDetails(owner, repo, sha, options = {}) {
+    // Commits are immutable: a SHA fetched once is served from the cache forever
+    return this._getCachedCommit(owner, repo, sha, async () => {
+      const response = await this.request({ method: 'get', url: `/repos/${owner}/${repo}/commits/${sha}` });
       return response.data;
-    } catch (error) {
-      console.error(`Error fetching commit details for ${sha}:`, error.message);
-      return null;
-    }
+    });
   }
 }
@@ -0,0 +1,154 @@
+import { createPrivateKey, createSign } from 'crypto';
+import { ApiService } from './apiService.js';
+import { GitHubApiError } from './github.js';
+
+// Installation tokens are valid for one hour, they are renewed this long before they expire
+const RENEW_BEFORE_MS = 5 * 60 * 1000;
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Authentication as a GitHub App
+ *
+ * Signs short-lived JWTs (RS256) with the App's private key, looks up the installation of the App
+ * on an organization and exchanges the JWT for an installation access token. Tokens are cached per
+ * organization and renewed automatically shortly before they expire.
+ */
+export class GitHubAppAuth extends ApiService {
+  /**
+   * @param {Object} options - { appId (required), privateKey: PEM of the App's private key (required),
+   *   baseUrl: URL of a GitHub Enterprise Server instance (default github.com),
+   *   now: clock in ms (default Date.now) } plus the retry options of ApiService
+   */
+  constructor(options = {}) {
+    if (!options.appId || !/^\d+$/.test(String(options.appId))) {
+      throw new Error(`GitHub App ID must be numeric, got: ${options.appId}`);
+    }
+    let privateKey;
+    try {
+      privateKey = createPrivateKey(options.privateKey || '');
+    } catch (error) {
+      throw new Error(`Invalid GitHub App private key (expected the PEM file downloaded from the App settings): ${error.message}`);
+    }
+
+    super({
+      ...options,
+      baseUrl: options.baseUrl ? `${options.baseUrl.replace(/\/+$/, '')}/api/v3` : 'https://api.github.com',
+      providerName: 'GitHub App',
+      headers: { 'Accept': 'application/vnd.github.v3+json' },
+      // App endpoints are authenticated with a fresh JWT, installation endpoints with the installation token
+      authenticate: async () => ({ 'Authorization': `Bearer ${this.createJwt()}` })
+    });
+    this.appId = String(options.appId);
+    this.privateKey = privateKey;
+    this.now = options.now || Date.now;
+    // Per organization: Promise of the installation id / of { token, expiresAt, permissions }
+    this.installations = new Map();
+    this.tokens = new Map();
+  }
+
+  /**
+   * JSON Web Token identifying the App, valid for 10 minutes (the maximum GitHub accepts)
+   * @returns {string} Signed JWT
+   */
+  createJwt() {
+    // Issued a minute in the past to tolerate clock drift between this server and GitHub
+    const issuedAt = Math.floor(this.now() / 1000) - 60;
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64Url(JSON.stringify({ iat: issuedAt, exp: issuedAt + 600, iss: this.appId }));
+    const signature = createSign('RSA-SHA256').update(`${header}.${payload}`).sign(this.privateKey, 'base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  /**
+   * Installation of the App on an organization
+   * @param {string} org - Organization name
+   * @returns {Promise<number>} Installation id
+   * @throws {GitHubApiError} if the App is not installed on the organization
+   */
+  async getInstallationId(org) {
+    if (!this.installations.has(org)) {
+      const lookup = this.request({ method: 'get', url: `/orgs/${org}/installation` })
+        .then(response => response.data.id);
+      this.installations.set(org, lookup);
+      lookup.catch(() => this.installations.delete(org));
+    }
+    try {
+      return await this.installations.get(org);
+    } catch (error) {
+      if (error.status === 404) {
+        throw this._createError(`GitHub App ${this.appId} is not installed on organization ${org}`, { status: 404, url: error.url });
+      }
+      if (error.status === 401) {
+        throw this._createError(`GitHub App ${this.appId} rejected the JWT, check the App ID and private key: ${error.message}`, { status: 401, url: error.url });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Installation access token for an organization, renewed when it is about to expire
+   * @param {string} org - Organization name
+   * @returns {Promise<string>} Token for the Authorization header ("token <token>")
+   */
+  async getInstallationToken(org) {
+    return (await this._getInstallationAccess(org)).token;
+  }
+
+  /**
+   * Permissions granted to the installation on an organization
+   * @param {string} org - Organization name
+   * @returns {Promise<Object>} Permissions (e.g. { contents: 'read', metadata: 'read' })
+   */
+  async getInstallationPermissions(org) {
+    return (await this._getInstallationAccess(org)).permissions;
+  }
+
+  /**
+   * @private
+   */
+  async _getInstallationAccess(org) {
+    const entry = this.tokens.get(org);
+    if (entry) {
+      const access = await entry;
+      if (access.expiresAt - this.now() > RENEW_BEFORE_MS) {
+        return access;
+      }
+      // Another caller may already be renewing the token
+      if (this.tokens.get(org) !== entry) {
+        return this._getInstallationAccess(org);
+      }
+    }
+
+    // Concurrent requests share one token exchange
+    const exchange = this._createInstallationToken(org);
+    this.tokens.set(org, exchange);
+    exchange.catch(() => {
+      if (this.tokens.get(org) === exchange) {
+        this.tokens.delete(org);
+      }
+    });
+    return exchange;
+  }
+
+  /**
+   * @private
+   */
+  async _createInstallationToken(org) {
+    const installationId = await this.getInstallationId(org);
+    const response = await this.request({ method: 'post', url: `/app/installations/${installationId}/access_tokens` });
+    console.log(`🔑 GitHub App installation token for ${org} valid until ${response.data.expires_at}`);
+    return {
+      token: response.data.token,
+      expiresAt: new Date(response.data.expires_at).getTime(),
+      permissions: response.data.permissions || {}
+    };
+  }
+
+  /**
+   * @private
+   */
+  _createError(message, fields) {
+    return new GitHubApiError(message, fields);
+  }
+}
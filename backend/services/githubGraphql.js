@@ -0,0 +1,225 @@
+import { LATE_COMMIT_TOLERANCE_MS } from './apiService.js';
+import { GitHubService } from './github.js';
+
+const COMMIT_FIELDS = `
+  oid
+  url
+  message
+  additions
+  deletions
+  changedFilesIfAvailable
+  authoredDate
+  committedDate
+  tree { oid }
+  author { name email user { login } }
+  committer { name email user { login } }
+  parents(first: 2) { nodes { oid } }
+`;
+
+/**
+ * GitHub client fetching commit history via the GraphQL API
+ *
+ * The history of many repositories (including additions/deletions per commit) is fetched in a
+ * handful of batched queries instead of one REST request per repository plus one per commit.
+ * Commit objects are mapped to the shape of the REST API, so CommitAnalyzer and
+ * SuspiciousActivityDetector work unchanged. GraphQL does not provide per-file stats, so
+ * getCommitDetails falls back to REST when files[] are required (e.g. for path rules).
+ * Only the default branch is fetched via GraphQL; with branches 'all' the other branches are listed via REST.
+ */
+export class GitHubGraphQLService extends GitHubService {
+  /**
+   * @param {string} token - GitHub token
+   * @param {Object} options - { batchSize: repositories per query (default 20) } plus GitHubService options
+   */
+  constructor(token, options = {}) {
+    super(token, options);
+    this.batchSize = options.batchSize || 20;
+    // GitHub Enterprise Server serves GraphQL next to REST (/api/graphql instead of /api/v3/graphql)
+    this.graphqlUrl = options.baseUrl ? this.baseUrl.replace(/\/v3$/, '/graphql') : '/graphql';
+    // Prefetched commits per "owner/repo@since/until" and per SHA from the most recent prefetch, default
+    // branch per "owner/repo"
+    this.prefetched = new Map();
+    this.prefetchedDetails = new Map();
+    this.defaultBranches = new Map();
+  }
+
+  /**
+   * Fetch the commit history of many repositories in batched GraphQL queries
+   * Later calls to getRepositoryCommits/getCommitDetails for the same ranges are served from memory.
+   * Repositories whose batch failed are left out and fetched via REST on demand.
+   * @param {string} owner - Organization
+   * @param {Array<string>} repoNames - Repository names
+   * @param {Array<Object>} ranges - Time windows to fetch ({ since, until } Date objects)
+   * @param {Object} options - Branch options as for getRepositoryCommits (only the default branch is
+   *   prefetched, with branches 'all' the other branches come from REST)
+   */
+  async prefetchCommits(owner, repoNames, ranges, options = {}) {
+    this.prefetched.clear();
+    this.prefetchedDetails.clear();
+    this.defaultBranches.clear();
+
+    for (const { since, until } of ranges) {
+      for (let i = 0; i < repoNames.length; i += this.batchSize) {
+        const batch = repoNames.slice(i, i + this.batchSize);
+        try {
+          const commitsByRepo = await this._fetchHistoryBatch(owner, batch, since, until);
+          for (const [repo, commits] of commitsByRepo) {
+            this.prefetched.set(this._prefetchKey(owner, repo, since, until), commits);
+          }
+        } catch (error) {
+          console.error(`Error fetching commit history via GraphQL for ${owner} (${batch.length} repos), falling back to REST:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Commits of the default branch from the prefetch, other branches and PR heads via REST
+   * (unchanged branches are answered with 304 via ETags)
+   * @private
+   */
+  async _getCommitsFrom(owner, repo, since, until, ref) {
+    const key = this._prefetchKey(owner, repo, since, until);
+    if (this.prefetched.has(key) && (ref === null || ref === this.defaultBranches.get(`${owner}/${repo}`))) {
+      return this.prefetched.get(key);
+    }
+    return super._getCommitsFrom(owner, repo, since, until, ref);
+  }
+
+  /**
+   * Get commit details, from the prefetched history if possible
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {Object} options - { includeFiles: true if files[] with per-file stats are required (REST fallback) }
+   * @returns {Promise<Object|null>} Commit in REST shape
+   */
+  async getCommitDetails(owner, repo, sha, options = {}) {
+    const prefetched = this.prefetchedDetails.get(`${owner}/${repo}@${sha}`);
+    if (prefetched && !options.includeFiles) {
+      return prefetched;
+    }
+    return super.getCommitDetails(owner, repo, sha, options);
+  }
+
+  /**
+   * @private
+   */
+  _prefetchKey(owner, repo, since, until) {
+    return `${owner}/${repo}@${since.toISOString()}/${until.toISOString()}`;
+  }
+
+  /**
+   * Fetch default-branch history for a batch of repositories, following pagination per repository
+   * @private
+   * @returns {Promise<Map<string, Array>>} Commits (REST shape, newest first) per repository name
+   */
+  async _fetchHistoryBatch(owner, repoNames, since, until) {
+    const result = new Map(repoNames.map(name => [name, []]));
+    const sinceMs = since.getTime();
+    const untilMs = until.getTime();
+
+    // Repositories that still have pages to fetch, with their cursor (null = first page)
+    let pending = repoNames.map(name => ({ name, cursor: null }));
+
+    while (pending.length > 0) {
+      const data = await this._queryHistory(owner, pending, since, until);
+      const next = [];
+
+      pending.forEach((entry, index) => {
+        const repository = data[`r${index}`];
+        if (!repository) {
+          // Not accessible via GraphQL, leave it to the REST fallback
+          result.delete(entry.name);
+          return;
+        }
+        const history = repository.defaultBranchRef?.target?.history;
+        if (repository.defaultBranchRef) {
+          this.defaultBranches.set(`${owner}/${entry.name}`, repository.defaultBranchRef.name);
+        }
+        if (!history) {
+          // Empty repository (no default branch)
+          return;
+        }
+
+        const listed = history.nodes.map(node => this._toRestCommit(node));
+        // Commits outside the window are kept for getCommitDetails (e.g. when finding push times)
+        listed.forEach(commit => this.prefetchedDetails.set(`${owner}/${entry.name}@${commit.sha}`, commit));
+        // Filter commits to only include those actually within the time window (by author date)
+        const commits = listed.filter(commit => {
+          const commitTime = new Date(commit.commit.author.date).getTime();
+          return commitTime >= sinceMs && commitTime <= untilMs;
+        });
+        result.set(entry.name, result.get(entry.name).concat(commits));
+
+        if (history.pageInfo.hasNextPage) {
+          next.push({ name: entry.name, cursor: history.pageInfo.endCursor });
+        }
+      });
+
+      pending = next;
+    }
+
+    return result;
+  }
+
+  /**
+   * Run one aliased history query for several repositories
+   * @private
+   */
+  async _queryHistory(owner, entries, since, until) {
+    // Like REST, history filters by committer date: "until" is extended by a tolerance, so commits
+    // committed after the window (rebased, amended or backdated) are found and filtered by author date
+    const variableDefs = ['$owner: String!', '$since: GitTimestamp!', '$until: GitTimestamp!'];
+    const variables = { owner, since: since.toISOString(), until: new Date(until.getTime() + LATE_COMMIT_TOLERANCE_MS).toISOString() };
+    const fields = entries.map((entry, index) => {
+      variableDefs.push(`$name${index}: String!`, `$after${index}: String`);
+      variables[`name${index}`] = entry.name;
+      variables[`after${index}`] = entry.cursor;
+      return `r${index}: repository(owner: $owner, name: $name${index}) {
+        defaultBranchRef { name target { ... on Commit {
+          history(first: 100, since: $since, until: $until, after: $after${index}) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${COMMIT_FIELDS} }
+          }
+        } } }
+      }`;
+    });
+
+    const query = `query(${variableDefs.join(', ')}) {\n${fields.join('\n')}\n}`;
+    const response = await this.request({ method: 'post', url: this.graphqlUrl, data: { query, variables } });
+
+    if (response.data.errors && !response.data.data) {
+      throw new Error(response.data.errors.map(error => error.message).join('; '));
+    }
+    // Partial errors (e.g. a single repository not found) leave that repository's field null
+    (response.data.errors || []).forEach(error => {
+      console.error(`GraphQL error for ${owner}:`, error.message);
+    });
+    return response.data.data || {};
+  }
+
+  /**
+   * Map a GraphQL commit node to the commit shape of the REST API
+   * @private
+   */
+  _toRestCommit(node) {
+    const additions = node.additions || 0;
+    const deletions = node.deletions || 0;
+    return {
+      sha: node.oid,
+      html_url: node.url,
+      parents: node.parents.nodes.map(parent => ({ sha: parent.oid })),
+      author: node.author?.user ? { login: node.author.user.login } : null,
+      committer: node.committer?.user ? { login: node.committer.user.login } : null,
+      commit: {
+        message: node.message,
+        tree: { sha: node.tree?.oid ?? null },
+        author: { name: node.author?.name, email: node.author?.email, date: node.authoredDate },
+        committer: { name: node.committer?.name, email: node.committer?.email, date: node.committedDate }
+      },
+      stats: { additions, deletions, total: additions + deletions },
+      changedFiles: node.changedFilesIfAvailable ?? null
+    };
+  }
+}
@@ -0,0 +1,162 @@
+import { ApiService, LATE_COMMIT_TOLERANCE_MS, filterByAuthorDate, toApiDate } from './apiService.js';
+import { countDiffLines } from './diffStats.js';
+
+/**
+ * Commit provider for GitLab (gitlab.com or self-hosted) via the REST API v4
+ *
+ * An organization is a GitLab group (including subgroups), its projects are the repositories.
+ * Projects in subgroups are named by their path below the group (e.g. "2ci/alice").
+ * Commits are mapped to the shape of the GitHub REST API, per-file stats are counted from the
+ * commit diff. Open merge requests take the place of pull requests.
+ */
+export class GitLabService extends ApiService {
+  /**
+   * @param {string} token - Personal, group or project access token (scope read_api)
+   * @param {Object} options - { baseUrl: URL of the GitLab instance (default https://gitlab.com) }
+   *   plus the retry, cache and concurrency options of ApiService
+   */
+  constructor(token, options = {}) {
+    const webUrl = (options.baseUrl || 'https://gitlab.com').replace(/\/+$/, '');
+    super({
+      ...options,
+      baseUrl: `${webUrl}/api/v4`,
+      providerName: 'GitLab',
+      headers: { 'PRIVATE-TOKEN': token }
+    });
+  }
+
+  /**
+   * Projects of a group and its subgroups
+   * @param {string} group - Full path of the group (e.g. "htl/25-26-2CI-SEW")
+   * @returns {Promise<Array>} Repositories ({ id, name, html_url, default_branch, archived, fork, topics, created_at })
+   */
+  async getOrgRepositories(group) {
+    const projects = await this._getAllPages(group, `/groups/${encodeURIComponent(group)}/projects`, {
+      include_subgroups: true,
+      order_by: 'last_activity_at'
+    });
+    const prefix = `${group.toLowerCase()}/`;
+    return projects.map(project => ({
+      id: project.id,
+      name: project.path_with_namespace.toLowerCase().startsWith(prefix)
+        ? project.path_with_namespace.slice(prefix.length)
+        : project.path,
+      html_url: project.web_url,
+      default_branch: project.default_branch || null,
+      archived: project.archived === true,
+      fork: Boolean(project.forked_from_project),
+      topics: project.topics || [],
+      created_at: project.created_at
+    }));
+  }
+
+  /**
+   * Commits are fetched per project on demand, nothing to prefetch
+   */
+  async prefetchCommits(owner, repoNames, ranges, options = {}) {}
+
+  /**
+   * Branches of a project
+   * @param {string} owner - Group
+   * @param {string} repo - Project path below the group
+   * @returns {Promise<Array>} Branches ({ name, sha })
+   */
+  async getRepositoryBranches(owner, repo) {
+    const branches = await this._getAllPages(owner, `${this._projectUrl(owner, repo)}/repository/branches`);
+    return branches.map(branch => ({ name: branch.name, sha: branch.commit.id }));
+  }
+
+  /**
+   * Open merge requests of a project (including those from forks)
+   * @param {string} owner - Group
+   * @param {string} repo - Project path below the group
+   * @returns {Promise<Array>} Merge requests ({ number: iid, ref: source branch, sha: head commit })
+   */
+  async getOpenPullRequests(owner, repo) {
+    const mergeRequests = await this._getAllPages(owner, `${this._projectUrl(owner, repo)}/merge_requests`, { state: 'opened' });
+    return mergeRequests.map(mergeRequest => ({ number: mergeRequest.iid, ref: mergeRequest.source_branch, sha: mergeRequest.sha }));
+  }
+
+  /**
+   * Get a single commit including stats and files[] with per-file additions/deletions
+   * @param {string} owner - Group
+   * @param {string} repo - Project path below the group
+   * @param {string} sha - Commit SHA
+   * @param {Object} options - { includeFiles } (always included)
+   * @returns {Promise<Object>} Commit in REST shape
+   */
+  async getCommitDetails(owner, repo, sha, options = {}) {
+    return this._getCachedCommit(owner, repo, sha, async () => {
+      const url = `${this._projectUrl(owner, repo)}/repository/commits/${sha}`;
+      const [response, diffs] = await Promise.all([
+        this.request({ method: 'get', url }),
+        this._getAllPages(owner, `${url}/diff`)
+      ]);
+      const files = diffs.map(diff => {
+        const { additions, deletions } = countDiffLines(diff.diff);
+        const file = {
+          filename: diff.deleted_file ? diff.old_path : diff.new_path,
+          additions,
+          deletions,
+          changes: additions + deletions
+        };
+        // Hunks as files[].patch of the GitHub REST API (GitLab sends an empty diff for binary files)
+        return diff.diff ? { ...file, patch: diff.diff.replace(/\n$/, '') } : file;
+      });
+      return { ...this._toRestCommit(response.data), files };
+    });
+  }
+
+  /**
+   * Commits reachable from a branch/SHA (null = default branch) within a time window
+   * @private
+   */
+  async _getCommitsFrom(owner, repo, since, until, ref) {
+    // GitLab filters by committer date: "until" is extended by a tolerance so commits committed after the
+    // window (rebased, amended or backdated) are listed too, the window applies to the author date below
+    const params = { since: since.toISOString(), until: new Date(until.getTime() + LATE_COMMIT_TOLERANCE_MS).toISOString(), with_stats: true };
+    if (ref) {
+      params.ref_name = ref;
+    }
+    const commits = await this._getAllPages(owner, `${this._projectUrl(owner, repo)}/repository/commits`, params);
+    return filterByAuthorDate(commits.map(commit => this._toRestCommit(commit)), since, until);
+  }
+
+  /**
+   * @private
+   */
+  _pullRequestLabel(mergeRequest) {
+    return `MR !${mergeRequest.number} (${mergeRequest.ref})`;
+  }
+
+  /**
+   * Projects are addressed by their URL-encoded full path
+   * @private
+   */
+  _projectUrl(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  /**
+   * Map a GitLab commit to the commit shape of the GitHub REST API
+   * @private
+   */
+  _toRestCommit(commit) {
+    return {
+      sha: commit.id,
+      html_url: commit.web_url,
+      parents: (commit.parent_ids || []).map(parent => ({ sha: parent })),
+      // GitLab does not link commits to user accounts
+      author: null,
+      committer: null,
+      commit: {
+        message: commit.message.replace(/\n+$/, ''),
+        author: { name: commit.author_name, email: commit.author_email, date: toApiDate(commit.authored_date) },
+        committer: { name: commit.committer_name, email: commit.committer_email, date: toApiDate(commit.committed_date) }
+      },
+      stats: commit.stats
+        ? { additions: commit.stats.additions, deletions: commit.stats.deletions, total: commit.stats.total }
+        : { additions: 0, deletions: 0, total: 0 }
+    };
+  }
+}
@@ -0,0 +1,214 @@
+// Default names of lab PCs, fresh installations and tutorials; they do not identify anybody
+const GENERIC_NAMES = ['root', 'user', 'admin', 'administrator', 'student', 'schueler', 'schüler', 'ubuntu', 'pi', 'unknown', 'your name', 'default'];
+
+// Committer of commits made in the GitHub web interface
+const WEB_COMMITTER = 'web-flow';
+
+// Accounts committing automatically (starter code of GitHub Classroom, Dependabot, GitHub Actions, commits
+// authored by GitHub itself); logins and names ending in "[bot]" are bots as well
+const BOT_LOGINS = ['actions-user', WEB_COMMITTER];
+const BOT_EMAILS = ['noreply@github.com', 'action@github.com'];
+
+/**
+ * Whether an author is a bot rather than a person, e.g. github-classroom[bot] or dependabot[bot]
+ * @param {Object} identity - Identity from getAuthorIdentity or IdentityResolver.resolve
+ * @returns {boolean} true for bot logins, names and emails
+ */
+export function isBotAuthor(identity) {
+  return [identity.login, identity.name].some(value => value && (/\[bot\]$/i.test(value) || BOT_LOGINS.includes(value.toLowerCase()))) ||
+    BOT_EMAILS.includes(identity.email);
+}
+
+/**
+ * Whether an author is somebody else than the owners of a repository (FOREIGN_AUTHOR)
+ * Generic names could be anybody and bots are nobody; an unknown email address or name is more likely the
+ * owner on another computer than a different person, so only authors known by login, roster or alias count.
+ * @param {Object} identity - Identity from IdentityResolver.resolve
+ * @param {Array} owners - Owners of the repository ([{ key }], see IdentityResolver.getRepositoryOwners)
+ * @returns {boolean} false without known owners
+ */
+export function isForeignAuthor(identity, owners) {
+  if (owners.length === 0 || identity.anonymous || isBotAuthor(identity)) {
+    return false;
+  }
+  if (!identity.login && !identity.rosterStudent) {
+    return false;
+  }
+  return !owners.some(owner => owner.key === identity.key);
+}
+
+/**
+ * Identify the author of a commit from the commit alone
+ * The GitHub login is used when the provider knows it (also from GitHub's noreply addresses),
+ * otherwise the email address or name, normalized so spelling variants end up in one group.
+ * @param {Object} commit - Commit object in the shape of the GitHub REST API
+ * @returns {Object} { key: unique key of the author, login: GitHub login or null, name: display name,
+ *   email: lowercase email address or null, anonymous: true for generic names like "root" without login }
+ */
+export function getAuthorIdentity(commit) {
+  const { name, email } = commit.commit?.author || {};
+  const displayName = (name || '').trim().replace(/\s+/g, ' ');
+  const normalizedEmail = email && email.includes('@') ? email.trim().toLowerCase() : null;
+  const noreply = (normalizedEmail || '').match(/^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/);
+  const login = commit.author?.login || (noreply ? noreply[1] : null);
+  const anonymous = !login && (!displayName || GENERIC_NAMES.includes(displayName.toLowerCase()));
+  if (login) {
+    return { key: `login:${login.toLowerCase()}`, login, name: displayName || login, email: normalizedEmail, anonymous };
+  }
+  if (normalizedEmail) {
+    return { key: `email:${normalizedEmail}`, login: null, name: displayName || normalizedEmail, email: normalizedEmail, anonymous };
+  }
+  if (displayName) {
+    return { key: `name:${displayName.toLowerCase()}`, login: null, name: displayName, email: null, anonymous };
+  }
+  return { key: 'unknown', login: null, name: 'unknown', email: null, anonymous };
+}
+
+/**
+ * Resolves commit authors to people, combining the GitHub login of author and committer, the email
+ * address and name with an alias table and the class roster
+ *
+ * Alias table (organization.authorAliases in config.jsonc): GitHub login or roster name -> names,
+ * emails or logins the person also commits as, e.g.
+ *   { "xX_coder_Xx": ["Max M", "root@lab-pc-12", "max@gmail.com"] }
+ */
+export class IdentityResolver {
+  /**
+   * @param {Object} options - { roster: Roster or null, aliases: alias table (see class description) }
+   */
+  constructor({ roster = null, aliases = {} } = {}) {
+    IdentityResolver.validateAliases(aliases);
+
+    this.roster = roster;
+    this.aliases = new Map();
+    for (const [person, values] of Object.entries(aliases)) {
+      values.forEach(alias => {
+        const key = alias.trim().toLowerCase();
+        if (this.aliases.has(key) && this.aliases.get(key) !== person) {
+          throw new Error(`authorAliases: "${alias}" is listed for ${this.aliases.get(key)} and ${person}`);
+        }
+        this.aliases.set(key, person);
+      });
+    }
+  }
+
+  /**
+   * Validate an alias table, throws an Error describing the first problem found
+   * @param {Object} aliases - Alias table to check
+   */
+  static validateAliases(aliases) {
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+      throw new Error('authorAliases must be an object mapping a login or roster name to a list of aliases');
+    }
+    for (const [person, values] of Object.entries(aliases)) {
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || value.trim() === '')) {
+        throw new Error(`authorAliases of ${person} must be a list of names, emails or logins`);
+      }
+    }
+  }
+
+  /**
+   * Resolve the author of a commit
+   * @param {Object} commit - Commit object in the shape of the GitHub REST API
+   * @returns {Object} Identity ({ key, login, name, email, anonymous } as getAuthorIdentity) with
+   *   rosterStudent ({ name, studentNumber, group, team, role } or null); commits of the same person
+   *   have the same key, whichever login, email or alias they were made with
+   */
+  resolve(commit) {
+    const identity = getAuthorIdentity(commit);
+    let login = identity.login;
+
+    // Without a login for the author (unknown email), the committer's login is used if it is the
+    // same person; commits rebased or applied by somebody else keep the author's identity
+    const committerLogin = commit.committer?.login;
+    if (!login && committerLogin && committerLogin !== WEB_COMMITTER) {
+      const committer = commit.commit?.committer || {};
+      const sameEmail = identity.email && (committer.email || '').trim().toLowerCase() === identity.email;
+      const sameName = !identity.anonymous && (committer.name || '').trim().replace(/\s+/g, ' ') === identity.name;
+      if (sameEmail || sameName) {
+        login = committerLogin;
+      }
+    }
+
+    const person = [login, identity.email, identity.name]
+      .filter(Boolean)
+      .map(value => this.aliases.get(value.toLowerCase()))
+      .find(Boolean);
+    if (person) {
+      // The person is a GitHub login unless it names a roster student
+      const personIsLogin = !this.roster || this.roster.resolve({ login: person }) || !this.roster.resolve({ name: person });
+      const rosterStudent = this.roster ? this.roster.resolve({ login: person, name: person }) : null;
+      return {
+        ...identity,
+        key: rosterStudent ? this._studentKey(rosterStudent) : `login:${person.toLowerCase()}`,
+        login: login || (personIsLogin ? person : null),
+        anonymous: false,
+        rosterStudent
+      };
+    }
+
+    const rosterStudent = this.roster
+      ? this.roster.resolve({ login, email: identity.email, name: identity.anonymous ? null : identity.name })
+      : null;
+    let key = identity.key;
+    if (rosterStudent) {
+      key = this._studentKey(rosterStudent);
+    } else if (login) {
+      key = `login:${login.toLowerCase()}`;
+    }
+    return { ...identity, key, login, anonymous: identity.anonymous && !login && !rosterStudent, rosterStudent };
+  }
+
+  /**
+   * Whether a commit author is in a list like ignoreCommitters
+   * Entries match the author's name, login or email, the resolved person (login or roster name),
+   * or with "role:<role>" everybody with this role in the roster.
+   * @param {Object} commit - Commit object in the shape of the GitHub REST API
+   * @param {Array<string>} entries - Names, logins, emails or "role:<role>"
+   * @returns {boolean} true if one of the entries matches
+   */
+  matches(commit, entries) {
+    if (!entries || entries.length === 0) {
+      return false;
+    }
+    const identity = this.resolve(commit);
+    const values = [
+      commit.commit?.author?.name,
+      identity.name,
+      identity.login,
+      identity.email,
+      identity.rosterStudent?.name,
+      identity.rosterStudent ? `role:${identity.rosterStudent.role}` : null
+    ].filter(Boolean).map(value => value.trim().toLowerCase());
+    return entries.some(entry => values.includes(entry.trim().toLowerCase()));
+  }
+
+  /**
+   * People a repository belongs to: the student (or team members) from the roster, otherwise the
+   * student login from the repository name (GitHub Classroom)
+   * @param {string} repoName - Repository name
+   * @param {string|null} student - Student part of the name (from assignmentPrefix), if known
+   * @returns {Array<Object>} Owners ({ key, name }), empty if the owner is unknown
+   */
+  getRepositoryOwners(repoName, student = null) {
+    if (this.roster) {
+      const owner = this.roster.resolveRepository(repoName, student);
+      const members = owner ? [owner] : this.roster.resolveTeam(repoName, student);
+      if (members.length > 0) {
+        return members.map(member => ({ key: this._studentKey(member), name: member.name }));
+      }
+    }
+    if (student) {
+      const person = this.aliases.get(student.toLowerCase()) || student;
+      return [{ key: `login:${person.toLowerCase()}`, name: person }];
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   */
+  _studentKey(student) {
+    return `student:${student.name.toLowerCase()}${student.studentNumber ? `#${student.studentNumber}` : ''}`;
+  }
+}
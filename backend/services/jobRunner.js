@@ -0,0 +1,123 @@
+/**
+ * Runs jobs with a single-flight lock per key (e.g. per organization)
+ *
+ * While a job is running, further runs for the same key are either skipped (cron ticks) or
+ * queued (manual refreshes). Queued requests are coalesced into one follow-up run, which starts
+ * as soon as the current run has finished.
+ */
+export class JobRunner {
+  constructor() {
+    // Per key: { current, queued, lastRun }
+    this.states = new Map();
+    this.nextRunId = 1;
+  }
+
+  /**
+   * Start a job or, if a job for the same key is running, skip or queue it
+   * @param {string} key - Lock key (e.g. organization name)
+   * @param {Function} job - async (run) => result, run is { runId, trigger, startedAt }
+   * @param {Object} options - { mode: 'skip' (default) or 'queue', trigger: label for logs (e.g. 'cron') }
+   * @returns {Object} { status: 'started'|'queued'|'skipped', runId, done }, done is a Promise
+   *   resolving to the finished run ({ runId, trigger, status: 'completed'|'failed', startedAt,
+   *   finishedAt, durationMs, error, result }); it never rejects
+   */
+  run(key, job, { mode = 'skip', trigger = 'manual' } = {}) {
+    if (mode !== 'skip' && mode !== 'queue') {
+      throw new Error(`Invalid job mode: ${mode} (expected "skip" or "queue")`);
+    }
+    const state = this._getState(key);
+
+    if (!state.current) {
+      const run = this._start(key, state, { runId: this.nextRunId++, trigger }, job);
+      return { status: 'started', runId: run.runId, done: run.done };
+    }
+
+    if (mode === 'skip') {
+      console.log(`⏭️  ${key}: run #${state.current.runId} still in progress, skipping ${trigger} run`);
+      return { status: 'skipped', runId: state.current.runId, done: state.current.done };
+    }
+
+    if (state.queued) {
+      // Coalesce: the waiting run covers this request as well, the latest job and its trigger win
+      state.queued.job = job;
+      state.queued.trigger = trigger;
+    } else {
+      let resolve;
+      const done = new Promise(res => { resolve = res; });
+      state.queued = { runId: this.nextRunId++, trigger, job, done, resolve };
+      console.log(`🕒 ${key}: run #${state.current.runId} in progress, queued ${trigger} run #${state.queued.runId}`);
+    }
+    return { status: 'queued', runId: state.queued.runId, done: state.queued.done };
+  }
+
+  /**
+   * @param {string} key - Lock key
+   * @returns {Object} { running: { runId, trigger, startedAt }|null, queued: { runId, trigger }|null,
+   *   lastRun: finished run without result|null }
+   */
+  getStatus(key) {
+    const state = this.states.get(key);
+    if (!state) {
+      return { running: null, queued: null, lastRun: null };
+    }
+    return {
+      running: state.current
+        ? { runId: state.current.runId, trigger: state.current.trigger, startedAt: state.current.startedAt.toISOString() }
+        : null,
+      queued: state.queued ? { runId: state.queued.runId, trigger: state.queued.trigger } : null,
+      lastRun: state.lastRun
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getState(key) {
+    if (!this.states.has(key)) {
+      this.states.set(key, { current: null, queued: null, lastRun: null });
+    }
+    return this.states.get(key);
+  }
+
+  /**
+   * Run a job while holding the lock, then start the queued run if there is one
+   * @private
+   */
+  _start(key, state, { runId, trigger }, job) {
+    const startedAt = new Date();
+    const current = { runId, trigger, startedAt };
+    state.current = current;
+
+    current.done = (async () => {
+      let outcome;
+      try {
+        outcome = { status: 'completed', error: null, result: await job({ runId, trigger, startedAt }) };
+      } catch (error) {
+        outcome = { status: 'failed', error: error.message, result: undefined };
+      }
+
+      const finishedAt = new Date();
+      const record = {
+        runId,
+        trigger,
+        status: outcome.status,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        error: outcome.error
+      };
+      state.lastRun = record;
+      state.current = null;
+
+      if (state.queued) {
+        const queued = state.queued;
+        state.queued = null;
+        const next = this._start(key, state, queued, queued.job);
+        next.done.then(queued.resolve);
+      }
+      return { ...record, result: outcome.result };
+    })();
+
+    return current;
+  }
+}
@@ -0,0 +1,313 @@
+import { execFile } from 'child_process';
+import { existsSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import { promisify } from 'util';
+import { mergeHeadCommits, sortBranches } from './branchHeads.js';
+import { parseUnifiedDiff } from './diffStats.js';
+
+const execFileAsync = promisify(execFile);
+
+// Field and record separators for git log output (cannot occur in commit metadata),
+// passed to git as %x00/%x1e placeholders because arguments must not contain NUL bytes
+const FIELD = '\x00';
+const RECORD = '\x1e';
+const LOG_FORMAT = '%x1e' + ['%H', '%P', '%T', '%an', '%ae', '%aI', '%cn', '%ce', '%cI', '%B'].map(field => `${field}%x00`).join('');
+// Per-file output: --raw lines (with the blob SHA of every file) and --numstat lines (added/deleted lines)
+const FILE_FORMAT = ['--raw', '--no-abbrev', '--numstat', '--no-renames'];
+// git log --since compares the committer date, which can be earlier than the author date when the clocks
+// of two machines differ (e.g. a commit cherry-picked or amended on another computer)
+const SINCE_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+// ISO date in UTC without milliseconds, as returned by the GitHub API
+function toApiDate(isoDate) {
+  return new Date(isoDate).toISOString().replace('.000Z', 'Z');
+}
+
+/**
+ * Commit provider reading local repositories (clones or `git clone --mirror` backups) via the git CLI
+ *
+ * Works without network access to GitHub. Commits are returned in the shape of the GitHub REST API
+ * (sha, parents, commit.author/committer, stats, files[] with additions/deletions), so CommitAnalyzer
+ * and SuspiciousActivityDetector work unchanged.
+ */
+export class LocalGitProvider {
+  /**
+   * @param {Object} options - { rootPath: directory containing one repository per student (required),
+   *   gitBinary (default 'git') }
+   */
+  constructor(options = {}) {
+    if (!options.rootPath) {
+      throw new Error('LocalGitProvider requires rootPath');
+    }
+    this.rootPath = options.rootPath;
+    this.gitBinary = options.gitBinary || 'git';
+    // Commits (with files[]) read by getRepositoryCommits, so getCommitDetails needs no extra git call
+    this.details = new Map();
+    // Keys of the commits in details whose files[] have patches (getCommitDetails with includePatches)
+    this.patched = new Set();
+  }
+
+  /**
+   * Local repositories have no API budget
+   * @returns {Object} Empty rate limit status
+   */
+  getRateLimitStatus() {
+    return {};
+  }
+
+  /**
+   * Repositories in rootPath: bare repositories (e.g. "name.git" mirrors) and working copies
+   * @param {string} org - Organization (only used for messages, the directory defines the repositories)
+   * @returns {Promise<Array>} Repositories ({ name, html_url, default_branch, path })
+   */
+  async getOrgRepositories(org) {
+    if (!existsSync(this.rootPath)) {
+      throw new Error(`Repository directory for ${org} not found: ${this.rootPath}`);
+    }
+
+    const repos = [];
+    for (const entry of readdirSync(this.rootPath).sort()) {
+      const path = join(this.rootPath, entry);
+      if (!statSync(path).isDirectory() || !this._isRepository(path)) {
+        continue;
+      }
+      const [defaultBranch, remoteUrl] = await Promise.all([
+        this._git(path, ['symbolic-ref', '--short', 'HEAD']).catch(() => ''),
+        this._git(path, ['config', '--get', 'remote.origin.url']).catch(() => '')
+      ]);
+      repos.push({
+        name: entry.replace(/\.git$/, ''),
+        html_url: this._toWebUrl(remoteUrl.trim()),
+        default_branch: defaultBranch.trim() || null,
+        path
+      });
+    }
+    return repos;
+  }
+
+  /**
+   * Commits are read on demand, nothing to prefetch
+   */
+  async prefetchCommits(owner, repoNames, ranges, options = {}) {
+    this.details.clear();
+    this.patched.clear();
+  }
+
+  /**
+   * Get the commits of a repository within a time window (by author date)
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name (directory name without ".git")
+   * @param {Date} since - Start of the time window
+   * @param {Date} until - End of the time window
+   * @param {Object} options - { branches: 'default' or 'all', includePullRequests: also refs/pull/<n>/head
+   *   (present in mirrors of GitHub repositories), defaultBranch }
+   * @returns {Promise<Array>} Commits newest first, with stats and files[]
+   */
+  async getRepositoryCommits(owner, repo, since, until, options = {}) {
+    const path = this._resolveRepository(repo);
+
+    if (options.branches !== 'all') {
+      // Empty repository: HEAD does not point to a commit yet
+      const hasCommits = await this._git(path, ['rev-parse', '--verify', '--quiet', 'HEAD']).then(() => true, () => false);
+      return hasCommits ? this._log(path, repo, since, until, ['HEAD']) : [];
+    }
+
+    const refs = await this._git(path, ['for-each-ref', '--format=%(refname)', 'refs/heads']);
+    const branches = refs.split('\n').filter(Boolean).map(ref => ({ name: ref.slice('refs/heads/'.length), ref }));
+    const heads = sortBranches(branches, options.defaultBranch).map(branch => ({ label: branch.name, ref: branch.ref }));
+
+    if (options.includePullRequests) {
+      const pulls = await this._git(path, ['for-each-ref', '--format=%(refname)', 'refs/pull']);
+      pulls.split('\n')
+        .filter(ref => /^refs\/pull\/\d+\/head$/.test(ref))
+        .forEach(ref => heads.push({ label: `PR #${ref.split('/')[2]}`, ref }));
+    }
+
+    const commitsPerHead = [];
+    for (const head of heads) {
+      commitsPerHead.push(await this._log(path, repo, since, until, [head.ref]));
+    }
+    return mergeHeadCommits(heads.map(head => head.label), commitsPerHead);
+  }
+
+  /**
+   * Get a single commit including stats and files[]
+   * @param {string} owner - Organization
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {Object} options - { includePatches: true to add the hunks of every file (files[].patch), one
+   *   more git call per commit }
+   * @returns {Promise<Object>} Commit
+   */
+  async getCommitDetails(owner, repo, sha, options = {}) {
+    const key = `${repo}@${sha}`;
+    let commit = this.details.get(key);
+    if (!commit) {
+      const path = this._resolveRepository(repo);
+      [commit] = this._parseLog(await this._git(path, ['log', '-1', ...FILE_FORMAT, `--format=${LOG_FORMAT}`, sha, '--']));
+      if (!commit) {
+        throw new Error(`Commit ${sha} not found in ${repo}`);
+      }
+    }
+    if (options.includePatches && !this.patched.has(key)) {
+      // First parent only, like the per-file stats of git log
+      const path = this._resolveRepository(repo);
+      const patches = new Map(parseUnifiedDiff(await this._git(path, ['show', '--format=', '--no-renames', '--first-parent', sha, '--']))
+        .filter(file => file.patch)
+        .map(file => [file.filename, file.patch]));
+      commit = {
+        ...commit,
+        files: commit.files.map(file => patches.has(file.filename) ? { ...file, patch: patches.get(file.filename) } : file)
+      };
+      this.details.set(key, commit);
+      this.patched.add(key);
+    }
+    return commit;
+  }
+
+  /**
+   * Commits and files of a template repository, to recognize starter code in student repositories
+   * @param {string} owner - Organization (the template is looked up in rootPath)
+   * @param {string} repo - Template repository name
+   * @returns {Promise<Object>} { commits: [{ sha, tree }] reachable from HEAD, files: [{ path, sha }] (blobs of HEAD) }
+   */
+  async getTemplateContent(owner, repo) {
+    const path = this._resolveRepository(repo);
+    const [log, tree] = await Promise.all([
+      this._git(path, ['log', '--format=%H %T', 'HEAD']),
+      this._git(path, ['ls-tree', '-r', '--full-tree', 'HEAD'])
+    ]);
+    return {
+      commits: log.split('\n').filter(Boolean).map(line => {
+        const [sha, treeSha] = line.split(' ');
+        return { sha, tree: treeSha };
+      }),
+      // "<mode> blob <sha>\t<path>", submodules are listed as "commit"
+      files: tree.split('\n')
+        .map(line => line.match(/^\d+ (\w+) ([0-9a-f]+)\t(.*)$/))
+        .filter(match => match && match[1] === 'blob')
+        .map(([, , sha, filePath]) => ({ path: filePath, sha }))
+    };
+  }
+
+  /**
+   * Commits reachable from the given revisions, filtered by author date
+   * git log --since/--until compare the committer date: --since (with a margin) only skips the older
+   * history, --until is left out so commits committed after the window (rebased, amended) are found.
+   * The time window is applied to the author date here.
+   * @private
+   */
+  async _log(path, repo, since, until, revisions) {
+    const after = new Date(since.getTime() - SINCE_MARGIN_MS).toISOString();
+    const output = await this._git(path, ['log', ...FILE_FORMAT, `--format=${LOG_FORMAT}`, `--since=${after}`, ...revisions, '--']);
+
+    const sinceMs = since.getTime();
+    const untilMs = until.getTime();
+    const commits = this._parseLog(output).filter(commit => {
+      const commitTime = new Date(commit.commit.author.date).getTime();
+      return commitTime >= sinceMs && commitTime <= untilMs;
+    });
+    commits.forEach(commit => {
+      this.details.set(`${repo}@${commit.sha}`, commit);
+      this.patched.delete(`${repo}@${commit.sha}`);
+    });
+    return commits;
+  }
+
+  /**
+   * Parse git log output (LOG_FORMAT followed by --raw and --numstat lines) into REST-shaped commits
+   * @private
+   */
+  _parseLog(output) {
+    return output.split(RECORD).filter(record => record.trim()).map(record => {
+      const fields = record.split(FIELD);
+      const [sha, parents, tree, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, message] = fields;
+      const lines = fields.slice(10).join(FIELD).split('\n');
+      // ":100644 100644 <old blob> <new blob> M\tname", the new blob is all zeros for deleted files
+      const blobs = new Map(lines
+        .filter(line => line.startsWith(':'))
+        .map(line => {
+          const [meta, ...name] = line.split('\t');
+          return [name.join('\t'), meta.split(' ')[3]];
+        }));
+      const files = lines
+        .filter(line => !line.startsWith(':'))
+        .map(line => line.split('\t'))
+        .filter(parts => parts.length >= 3)
+        .map(([added, deleted, ...name]) => {
+          // Binary files are listed as "-\t-\tname"
+          const additions = added === '-' ? 0 : Number(added);
+          const deletions = deleted === '-' ? 0 : Number(deleted);
+          const filename = name.join('\t');
+          return { filename, sha: blobs.get(filename) || null, additions, deletions, changes: additions + deletions };
+        });
+      const additions = files.reduce((sum, file) => sum + file.additions, 0);
+      const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+
+      return {
+        sha,
+        html_url: null,
+        parents: parents.split(' ').filter(Boolean).map(parent => ({ sha: parent })),
+        author: null,
+        committer: null,
+        commit: {
+          message: message.replace(/\n+$/, ''),
+          tree: { sha: tree },
+          author: { name: authorName, email: authorEmail, date: toApiDate(authorDate) },
+          committer: { name: committerName, email: committerEmail, date: toApiDate(committerDate) }
+        },
+        stats: { additions, deletions, total: additions + deletions },
+        files
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _isRepository(path) {
+    // Working copy (.git directory or file) or bare repository
+    return existsSync(join(path, '.git')) ||
+      (existsSync(join(path, 'HEAD')) && existsSync(join(path, 'objects')) && existsSync(join(path, 'refs')));
+  }
+
+  /**
+   * @private
+   */
+  _resolveRepository(repo) {
+    for (const candidate of [join(this.rootPath, repo), join(this.rootPath, `${repo}.git`)]) {
+      if (existsSync(candidate) && this._isRepository(candidate)) {
+        return candidate;
+      }
+    }
+    throw new Error(`Repository ${repo} not found in ${this.rootPath}`);
+  }
+
+  /**
+   * Web URL of the origin remote (e.g. a mirror of a GitHub repository), null for other remotes
+   * @private
+   */
+  _toWebUrl(remoteUrl) {
+    const ssh = remoteUrl.match(/^git@([^:]+):(.+?)(\.git)?$/);
+    if (ssh) {
+      return `https://${ssh[1]}/${ssh[2]}`;
+    }
+    if (/^https?:\/\//.test(remoteUrl)) {
+      return remoteUrl.replace(/\.git$/, '').replace(/\/\/[^@/]+@/, '//');
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  async _git(path, args) {
+    try {
+      // Paths with non-ASCII characters (e.g. "Übung.java") are printed as they are instead of quoted octal escapes
+      const { stdout } = await execFileAsync(this.gitBinary, ['-C', path, '-c', 'core.quotePath=false', ...args], { maxBuffer: 256 * 1024 * 1024 });
+      return stdout;
+    } catch (error) {
+      throw new Error(`git ${args[0]} failed in ${path}: ${(error.stderr || error.message).trim()}`);
+    }
+  }
+}
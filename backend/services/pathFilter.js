@@ -0,0 +1,211 @@
+/**
+ * IDE settings, build output and dependencies students commit by accident
+ * Excluded unless "defaultExcludes": false; single entries can be re-included with "!pattern".
+ * Generic directory names (build, out, bin, generated) are only excluded at the repository root or in the
+ * layout of the build tools, so packages like "src/main/java/at/htl/bin/" still count.
+ */
+export const DEFAULT_EXCLUDES = [
+  // IDE settings
+  '.idea/',
+  '.vscode/',
+  '.settings/',
+  '.project',
+  '.classpath',
+  '*.iml',
+  'nbproject/',
+  '.DS_Store',
+  'Thumbs.db',
+  // Build output (Maven, Gradle, IntelliJ, Eclipse/javac), in subprojects by the tools' layout
+  'target/',
+  '/build/',
+  '/out/',
+  '/bin/',
+  '**/build/classes/',
+  '**/build/libs/',
+  '**/build/tmp/',
+  '**/out/production/',
+  '**/out/test/',
+  '.gradle/',
+  '*.class',
+  '*.jar',
+  '*.war',
+  // Generated sources (annotation processors, FXML/Scene Builder tooling)
+  '/generated/',
+  '/generated-sources/',
+  '**/build/generated/',
+  // Dependencies and logs
+  'node_modules/',
+  'package-lock.json',
+  '*.log'
+];
+
+const PATH_KEYS = ['include', 'exclude', 'defaultExcludes'];
+
+/**
+ * Convert a .gitignore pattern to a regular expression matching file paths
+ * - no "/" (except a trailing one): matches the file or a directory name at any depth
+ * - leading or inner "/": anchored at the repository root
+ * - trailing "/": matches directories only, i.e. every file below them
+ * - "*" and "?" do not match "/", "**" matches any number of directories
+ * @private
+ */
+function compilePattern(rawPattern) {
+  let pattern = rawPattern;
+  const negated = pattern.startsWith('!');
+  if (negated) {
+    pattern = pattern.slice(1);
+  }
+  const directoryOnly = pattern.endsWith('/');
+  if (directoryOnly) {
+    pattern = pattern.slice(0, -1);
+  }
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (pattern === '') {
+    throw new Error(`Invalid path pattern: "${rawPattern}"`);
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no directory at all ("a/**/b" matches "a/b")
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        throw new Error(`Invalid path pattern: "${rawPattern}" (unclosed "[")`);
+      }
+      source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  const prefix = anchored ? '^' : '(?:^|/)';
+  const suffix = directoryOnly ? '/' : '(?:/|$)';
+  return { pattern: rawPattern, negated, regex: new RegExp(prefix + source + suffix) };
+}
+
+const toList = (value) => value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+/**
+ * Decides which changed files count towards the line statistics
+ *
+ * Config format (organization.paths in config.jsonc), all keys optional:
+ * {
+ *   "include": ["*.java", "*.fxml"],         // only these files (gitignore patterns)
+ *   "exclude": ["/data/*.csv", "!build/README.md"],  // gitignore rules, the last match wins
+ *   "defaultExcludes": true                  // prepend DEFAULT_EXCLUDES (default)
+ * }
+ * The legacy "fileExtensions" (e.g. [".java"]) are added as include patterns ("*.java").
+ */
+export class PathFilter {
+  /**
+   * @param {Object} pathConfig - Path rules (see class description)
+   * @param {Array<string>|null} fileExtensions - Legacy file extension filter of the organization
+   */
+  constructor(pathConfig = {}, fileExtensions = null) {
+    PathFilter.validate(pathConfig, fileExtensions);
+
+    const includes = [
+      ...toList(pathConfig.include),
+      ...(fileExtensions || []).map(ext => `*${ext}`)
+    ];
+    this.include = includes.map(compilePattern);
+    this.exclude = [
+      ...(pathConfig.defaultExcludes === false ? [] : DEFAULT_EXCLUDES),
+      ...toList(pathConfig.exclude)
+    ].map(compilePattern);
+    // Rules of the organization itself (the default excludes alone are not worth a request per commit)
+    this.configured = includes.length > 0 || toList(pathConfig.exclude).length > 0;
+  }
+
+  /**
+   * Path filter of an organization from its "paths" and "fileExtensions" settings
+   * @param {Object} organization - Organization from config.jsonc
+   * @returns {PathFilter} Path filter
+   */
+  static fromOrganization(organization) {
+    return new PathFilter(organization.paths, organization.fileExtensions || null);
+  }
+
+  /**
+   * Validate a path config, throws an Error describing the first problem found
+   * @param {Object} pathConfig - Path config to check
+   * @param {Array<string>|null} fileExtensions - Legacy file extension filter
+   */
+  static validate(pathConfig, fileExtensions = null) {
+    if (!pathConfig || typeof pathConfig !== 'object' || Array.isArray(pathConfig)) {
+      throw new Error('paths must be an object');
+    }
+    const unknown = Object.keys(pathConfig).filter(key => !PATH_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown option ${unknown.join(', ')} (expected ${PATH_KEYS.join(', ')})`);
+    }
+    for (const key of ['include', 'exclude']) {
+      const patterns = toList(pathConfig[key]);
+      if (patterns.some(pattern => typeof pattern !== 'string' || pattern.trim() === '')) {
+        throw new Error(`${key} must be a pattern or a list of non-empty patterns`);
+      }
+      patterns.forEach(compilePattern);
+    }
+    if (toList(pathConfig.include).some(pattern => pattern.startsWith('!'))) {
+      throw new Error('include patterns cannot be negated, use exclude with "!pattern" to re-include files');
+    }
+    if (pathConfig.defaultExcludes !== undefined && typeof pathConfig.defaultExcludes !== 'boolean') {
+      throw new Error(`defaultExcludes must be true or false, got: ${pathConfig.defaultExcludes}`);
+    }
+    if (fileExtensions !== null && (!Array.isArray(fileExtensions) || fileExtensions.some(ext => typeof ext !== 'string' || ext === ''))) {
+      throw new Error('fileExtensions must be a list of extensions like ".java"');
+    }
+  }
+
+  /**
+   * Whether any rule is configured (otherwise commit.stats can be used without files[])
+   * @returns {boolean} true if files have to be checked
+   */
+  isActive() {
+    return this.include.length > 0 || this.exclude.length > 0;
+  }
+
+  /**
+   * Whether files[] have to be fetched for every commit, i.e. include or exclude rules are configured
+   * The default excludes alone apply to the files[] a provider returns anyway (REST, local git), but do
+   * not make the GraphQL client fetch per-file stats with one REST request per commit.
+   * @returns {boolean} true if commit details with files[] are required
+   */
+  requiresFiles() {
+    return this.configured;
+  }
+
+  /**
+   * Rule excluding a file from the statistics
+   * @param {string} filename - Path of the file in the repository (e.g. "target/classes/App.class")
+   * @returns {string|null} The exclude pattern, 'not matching include patterns', or null if the file counts
+   */
+  getExclusionRule(filename) {
+    if (this.include.length > 0 && !this.include.some(({ regex }) => regex.test(filename))) {
+      return 'not matching include patterns';
+    }
+    // Like .gitignore, the last matching rule decides
+    let rule = null;
+    for (const { pattern, negated, regex } of this.exclude) {
+      if (regex.test(filename)) {
+        rule = negated ? null : pattern;
+      }
+    }
+    return rule;
+  }
+}
@@ -0,0 +1,185 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { ApiError } from './apiService.js';
+import { GitHubAppAuth } from './githubAppAuth.js';
+import { GiteaService } from './giteaService.js';
+import { GitLabService } from './gitlabService.js';
+import { LocalGitProvider } from './localGitProvider.js';
+
+/**
+ * Commit providers an organization can choose with "provider" in config.jsonc
+ *
+ * Every provider implements the same interface, returning commits in the shape of the GitHub REST API:
+ *   getOrgRepositories(org) -> [{ name, html_url, default_branch, ... }]
+ *   prefetchCommits(org, repoNames, ranges, branchOptions)
+ *   getRepositoryCommits(org, repo, since, until, branchOptions) -> commits newest first
+ *   getCommitDetails(org, repo, sha, { includeFiles, includePatches }) -> commit with stats and files[]
+ *     (files[].patch with the hunks of text files: always from GitHub REST, GitLab and Gitea, local on request)
+ *   getRateLimitStatus() -> { [resource]: { limit, remaining, used, reset } }
+ *   checkAccess(org) -> description of the credentials, throws if they are insufficient (optional)
+ *   getPushes(org, repo, since) -> [{ pushedAt, ref, before, after, actor }] (optional, GitHub only)
+ *   getTemplateContent(owner, repo) -> { commits: [{ sha, tree }], files: [{ path, sha }] } (optional, GitHub and local)
+ */
+export const PROVIDERS = ['github', 'gitlab', 'gitea', 'local'];
+
+// Environment variable holding the access token, unless the organization sets "tokenEnv"
+export const DEFAULT_TOKEN_ENV = {
+  github: 'GITHUB_TOKEN',
+  gitlab: 'GITLAB_TOKEN',
+  gitea: 'GITEA_TOKEN'
+};
+
+/**
+ * Provider name of an organization (GitHub unless configured otherwise)
+ * @param {Object} org - Organization from config.jsonc
+ * @returns {string} Provider name
+ */
+export function getProviderName(org) {
+  return org.provider || 'github';
+}
+
+/**
+ * Environment variable with the access token of an organization
+ * @param {Object} org - Organization from config.jsonc
+ * @returns {string|null} Variable name, null for local repositories
+ */
+export function getTokenEnv(org) {
+  return org.tokenEnv || DEFAULT_TOKEN_ENV[getProviderName(org)] || null;
+}
+
+/**
+ * How a GitHub organization authenticates: as GitHub App if its credentials are configured
+ * (GITHUB_APP_ID), otherwise with a token. "githubAuth" in config.jsonc overrides the choice.
+ * @param {Object} org - Organization from config.jsonc
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {string} 'app' or 'token'
+ */
+export function getGitHubAuth(org, env) {
+  return org.githubAuth || (env.GITHUB_APP_ID ? 'app' : 'token');
+}
+
+/**
+ * Private key of the GitHub App, from GITHUB_APP_PRIVATE_KEY (PEM, line breaks may be written as \n)
+ * or from the file in GITHUB_APP_PRIVATE_KEY_PATH (relative to baseDir)
+ * @private
+ */
+function readAppPrivateKey(env, baseDir) {
+  if (env.GITHUB_APP_PRIVATE_KEY) {
+    return env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  const path = resolve(baseDir, env.GITHUB_APP_PRIVATE_KEY_PATH);
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch (error) {
+    throw new Error(`GitHub App private key not readable (GITHUB_APP_PRIVATE_KEY_PATH=${path}): ${error.message}`);
+  }
+}
+
+/**
+ * Check the provider settings of an organization
+ * @param {Object} org - Organization from config.jsonc
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {string|null} Error message, or null if the settings are valid
+ */
+export function validateProviderConfig(org, env) {
+  const provider = getProviderName(org);
+  if (!PROVIDERS.includes(provider)) {
+    return `provider must be one of ${PROVIDERS.map(name => `"${name}"`).join(', ')} in ${org.name}, got: ${org.provider}`;
+  }
+  if (provider === 'local') {
+    return org.localPath ? null : `provider "local" requires localPath in ${org.name}`;
+  }
+  if (provider === 'gitea' && !org.baseUrl) {
+    return `provider "gitea" requires baseUrl in ${org.name}`;
+  }
+  if (org.baseUrl !== undefined && !/^https?:\/\/[^/]+/.test(org.baseUrl)) {
+    return `baseUrl must be an http(s) URL in ${org.name}, got: ${org.baseUrl}`;
+  }
+  if (provider === 'github' && org.githubAuth !== undefined && org.githubAuth !== 'app' && org.githubAuth !== 'token') {
+    return `githubAuth must be "app" or "token" in ${org.name}, got: ${org.githubAuth}`;
+  }
+  if (provider === 'github' && getGitHubAuth(org, env) === 'app') {
+    if (!env.GITHUB_APP_ID) {
+      return `GITHUB_APP_ID not found in .env file (needed for ${org.name})`;
+    }
+    if (!env.GITHUB_APP_PRIVATE_KEY && !env.GITHUB_APP_PRIVATE_KEY_PATH) {
+      return `GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH not found in .env file (needed for ${org.name})`;
+    }
+    return null;
+  }
+  const tokenEnv = getTokenEnv(org);
+  if (!env[tokenEnv]) {
+    return `${tokenEnv} not found in .env file (needed for ${org.name})`;
+  }
+  return null;
+}
+
+/**
+ * Create the commit provider of every organization
+ * Organizations on the same server with the same token share one client, so they share its
+ * request limit, rate limit budget and ETags. With GitHub App authentication every organization
+ * has its own installation and therefore its own client.
+ * @param {Array} organizations - Organizations from config.jsonc (validated with validateProviderConfig)
+ * @param {Object} options - { env: environment variables, baseDir: directory localPath and the App's
+ *   private key path are relative to, createGitHubService: (token, { baseUrl, appAuth, organization })
+ *   => GitHub client, clientOptions: ApiService options (cache, concurrency) for GitLab and Gitea }
+ * @returns {Map<string, Object>} Provider per organization name
+ * @throws {Error} if the GitHub App credentials are invalid
+ */
+export function createProviders(organizations, { env, baseDir, createGitHubService, clientOptions = {} }) {
+  const clients = new Map();
+  const providers = new Map();
+  // One GitHub App authentication per server (github.com or Enterprise Server)
+  const appAuths = new Map();
+
+  for (const org of organizations) {
+    const provider = getProviderName(org);
+    if (provider === 'local') {
+      providers.set(org.name, new LocalGitProvider({ rootPath: resolve(baseDir, org.localPath) }));
+      continue;
+    }
+
+    if (provider === 'github' && getGitHubAuth(org, env) === 'app') {
+      const server = org.baseUrl || '';
+      if (!appAuths.has(server)) {
+        appAuths.set(server, new GitHubAppAuth({ appId: env.GITHUB_APP_ID, privateKey: readAppPrivateKey(env, baseDir), baseUrl: org.baseUrl }));
+      }
+      providers.set(org.name, createGitHubService(null, { baseUrl: org.baseUrl, appAuth: appAuths.get(server), organization: org.name }));
+      continue;
+    }
+
+    const token = env[getTokenEnv(org)];
+    const key = `${provider} ${org.baseUrl || ''} ${getTokenEnv(org)}`;
+    if (!clients.has(key)) {
+      const options = { ...clientOptions, baseUrl: org.baseUrl };
+      clients.set(key, provider === 'github'
+        ? createGitHubService(token, { baseUrl: org.baseUrl })
+        : provider === 'gitlab' ? new GitLabService(token, options) : new GiteaService(token, options));
+    }
+    providers.set(org.name, clients.get(key));
+  }
+  return providers;
+}
+
+/**
+ * Check the credentials of an organization's provider (if the provider supports it)
+ * Network and server errors are reported but not fatal, the analysis retries on its own.
+ * @param {Object} org - Organization from config.jsonc
+ * @param {Object} provider - Provider of the organization
+ * @returns {Promise<string|null>} Description of the credentials or of why they could not be checked
+ * @throws {Error} if the credentials are invalid or insufficient
+ */
+export async function checkProviderAccess(org, provider) {
+  if (typeof provider.checkAccess !== 'function') {
+    return null;
+  }
+  try {
+    return await provider.checkAccess(org.name);
+  } catch (error) {
+    if (error instanceof ApiError && (error.status === null || error.status >= 500)) {
+      return `not verified (${error.message})`;
+    }
+    // Name the variable holding the token, GitHub App messages name the App themselves
+    throw new Error(provider.appAuth ? error.message : `${getTokenEnv(org)}: ${error.message}`);
+  }
+}
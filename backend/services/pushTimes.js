@@ -0,0 +1,74 @@
+// SHA of the missing side of a push that created or deleted a branch
+const NULL_SHA = '0000000000000000000000000000000000000000';
+
+// Safety limit for walking the history of a single push (e.g. a whole project pushed at once)
+const MAX_COMMITS_PER_PUSH = 1000;
+// Commits outside the time windows looked up per push (one request each with the REST API); a push
+// with more of them is usually a whole project imported at once, whose older commits do not matter
+const MAX_LOOKUPS_PER_PUSH = 50;
+
+/**
+ * Find out when commits were pushed, from the pushes of a repository (activity API or webhooks)
+ *
+ * A push moves a branch from "before" to "after", so it contains the commits reachable from "after"
+ * that were not pushed earlier and are not reachable from "before". Pushes are processed oldest
+ * first, every commit gets the first push it was part of.
+ * @param {Array} commits - Commits in REST shape (with parents and commit.committer.date)
+ * @param {Array} pushes - Pushes ({ pushedAt: ISO date, ref, before, after: SHAs })
+ * @param {Function} getCommit - async sha => commit in REST shape, for commits outside the time windows
+ * @param {Date} since - Start of the earliest time window; history committed before it is not walked
+ * @param {Map|null} walks - SHAs per push ("before..after") of an earlier call for the same repository and
+ *   since, filled with the pushes walked now; pushes found in it are not walked again
+ * @returns {Promise<Map<string, Object>>} Push ({ pushedAt, ref }) per commit SHA, for the given commits only
+ */
+export async function assignPushTimes(commits, pushes, getCommit, since, walks = null) {
+  const known = new Map(commits.map(commit => [commit.sha, commit]));
+  const pushed = new Map();
+  const sinceMs = since.getTime();
+
+  const ordered = pushes
+    .filter(push => push.after && push.after !== NULL_SHA)
+    .sort((a, b) => new Date(a.pushedAt) - new Date(b.pushedAt));
+
+  for (const push of ordered) {
+    const key = `${push.before}..${push.after}`;
+    // The pushes before it are the same as in the earlier call, so is the walk
+    const shas = walks?.get(key) || await walkPush(push, known, pushed, getCommit, sinceMs);
+    walks?.set(key, shas);
+    shas.filter(sha => !pushed.has(sha)).forEach(sha => pushed.set(sha, { pushedAt: push.pushedAt, ref: push.ref }));
+  }
+
+  return new Map([...pushed].filter(([sha]) => known.has(sha)));
+}
+
+/**
+ * SHAs of the commits a push added (committed since the start of the time windows), not pushed before
+ * @private
+ */
+async function walkPush(push, known, pushed, getCommit, sinceMs) {
+  const shas = new Set();
+  const pending = [push.after];
+  let walked = 0;
+  let lookups = 0;
+  while (pending.length > 0 && walked < MAX_COMMITS_PER_PUSH) {
+    const sha = pending.pop();
+    if (sha === push.before || pushed.has(sha) || shas.has(sha)) {
+      continue;
+    }
+    let commit = known.get(sha);
+    if (!commit) {
+      if (lookups >= MAX_LOOKUPS_PER_PUSH) {
+        continue;
+      }
+      lookups++;
+      commit = await getCommit(sha);
+    }
+    walked++;
+    if (!commit || new Date(commit.commit.committer?.date || commit.commit.author.date).getTime() < sinceMs) {
+      continue;
+    }
+    shas.add(sha);
+    pending.push(...(commit.parents || []).map(parent => parent.sha));
+  }
+  return [...shas];
+}
@@ -0,0 +1,145 @@
+import { CommitAnalyzer } from './analyzer.js';
+import { assignCommitsToWindows } from './webhookHandler.js';
+import { mapWithConcurrency } from './workerPool.js';
+
+const analyzer = new CommitAnalyzer();
+
+/**
+ * Apply a push event to a repository of the last analysis: fetch details only for new in-window SHAs,
+ * or fetch the whole repository again after a forced push, a deleted branch or for a new repository
+ * Nothing of the snapshot is changed, the caller publishes the returned entry (see patchAnalysis).
+ * @param {Object} event - Push from parsePushEvent
+ * @param {Object} snapshot - Snapshot of the last analysis ({ timeWindows, templateMatcher, commitsByRepository })
+ * @param {Object} provider - Provider of the organization (getCommitDetails)
+ * @param {Object} options - { branches: 'default' or 'all', concurrency: parallel detail requests,
+ *   detailOptions: options for getCommitDetails, isCounted: (commit) => false for merges and ignored
+ *   committers, getExclusionReason: (repository) => reason of the repository filter or null,
+ *   refetch: async (repo) => { commitsPerWindow, errors, templateExcluded }, deliveryId: for logs }
+ * @returns {Promise<Object|null>} New entry of commitsByRepository ({ repo, commitsPerWindow, errors,
+ *   templateExcluded }), null if the push is ignored
+ */
+export async function updateRepository(event, snapshot, provider, options) {
+  const { timeWindows, templateMatcher, commitsByRepository } = snapshot;
+  const repoName = event.repository.name;
+  const branchLabel = event.branch;
+  const delivery = options.deliveryId ? ` ${options.deliveryId}` : '';
+
+  if (options.branches !== 'all' && event.branch !== event.repository.default_branch) {
+    console.log(`🪝 Push${delivery} to ${repoName}/${event.branch} ignored (only the default branch is analyzed)`);
+    return null;
+  }
+
+  const known = commitsByRepository.get(repoName);
+  // Repositories excluded by the filter rules stay excluded (known ones passed them already)
+  const exclusionReason = known ? null : options.getExclusionReason(event.repository);
+  if (exclusionReason) {
+    console.log(`🪝 Push${delivery} to ${repoName} ignored (repository excluded: ${exclusionReason})`);
+    return null;
+  }
+  const repo = known?.repo || event.repository;
+
+  if (!known || event.forced || event.deleted) {
+    // New repository or rewritten history: the pushed commits alone do not tell what is left,
+    // so this repository (and only this one) is fetched again
+    console.log(`🪝 Push to ${repoName}/${event.branch}${event.forced ? ' (forced)' : ''}: refetching repository`);
+    return { repo, ...await options.refetch(repo) };
+  }
+
+  let commitsPerWindow = known.commitsPerWindow.map(commits => [...commits]);
+  const errors = [...known.errors];
+  const templateExcluded = [...known.templateExcluded];
+
+  const pushedPerWindow = assignCommitsToWindows(event.commits, timeWindows);
+  const newShas = [...new Set(pushedPerWindow.flat().map(commit => commit.sha))]
+    .filter(sha => !commitsPerWindow.some(commits => commits.some(commit => commit.sha === sha)));
+
+  // Commits that are already known (e.g. pushed to another branch) only get the branch label
+  if (options.branches === 'all') {
+    const pushedShas = new Set(pushedPerWindow.flat().map(commit => commit.sha));
+    commitsPerWindow = commitsPerWindow.map(commits => commits.map(commit =>
+      pushedShas.has(commit.sha) && !(commit.branches || []).includes(branchLabel)
+        ? { ...commit, branches: [...(commit.branches || []), branchLabel] }
+        : commit
+    ));
+  }
+
+  const detailResults = await mapWithConcurrency(newShas, options.concurrency, async (sha) => {
+    try {
+      return { details: await provider.getCommitDetails(snapshot.organization.name, repoName, sha, options.detailOptions) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  const newDetails = new Map();
+  detailResults.forEach(({ details, error }, index) => {
+    if (error) {
+      errors.push(error);
+    } else if (details && options.isCounted(details)) {
+      // The delivery tells when the new commits were pushed
+      newDetails.set(newShas[index], {
+        ...details,
+        ...(options.branches === 'all' ? { branches: [branchLabel] } : {}),
+        pushedAt: event.pushedAt
+      });
+    }
+  });
+
+  // Starter code pushed again (e.g. the template re-imported) is left out like in a full run
+  if (templateMatcher) {
+    const { commits: studentCommits, excluded } = templateMatcher.apply([...newDetails.values()]);
+    templateExcluded.push(...excluded);
+    const kept = new Set(studentCommits.map(commit => commit.sha));
+    studentCommits.forEach(commit => newDetails.set(commit.sha, commit));
+    [...newDetails.keys()].filter(sha => !kept.has(sha)).forEach(sha => newDetails.delete(sha));
+  }
+
+  commitsPerWindow = commitsPerWindow.map((commits, index) => analyzer.combineCommits([
+    commits,
+    pushedPerWindow[index].map(commit => newDetails.get(commit.sha)).filter(Boolean)
+  ]));
+  console.log(`🪝 Push to ${repoName}/${event.branch}: ${event.commits.length} commits, ${newDetails.size} new in time window`);
+  return { repo, commitsPerWindow, errors, templateExcluded };
+}
+
+/**
+ * Stats and snapshot of the last analysis with one repository replaced, to be published in one step
+ * Neither the given stats nor the snapshot are changed.
+ * @param {Object} snapshot - Snapshot of the last analysis ({ timeWindows, commitsByRepository, similarity })
+ * @param {Object} stats - Published stats ({ repositories, partialFailures })
+ * @param {Object} entry - New entry of commitsByRepository (see updateRepository)
+ * @param {Object} options - { buildStats: (entry) => stats entry of the repository, summarize:
+ *   (repositories) => { assignments, roster }, compare: (commitsByRepository) => similar pairs per time
+ *   window, analyze: (window, commits, similarPairs, repoEntry) => report, omit to skip the detector }
+ * @returns {Object} { snapshot, stats, reports: results of analyze for the time windows with commits }
+ */
+export function patchAnalysis(snapshot, stats, entry, options) {
+  const repoName = entry.repo.name;
+  const commitsByRepository = new Map(snapshot.commitsByRepository).set(repoName, entry);
+  // Other repositories may have copied from this one, so all pairs are compared again
+  const similarity = options.compare(commitsByRepository);
+
+  const repoEntry = options.buildStats(entry);
+  const repositories = stats.repositories.some(repository => repository.name === repoName)
+    ? stats.repositories.map(repository => repository.name === repoName ? repoEntry : repository)
+    : [...stats.repositories, repoEntry];
+
+  const reports = !options.analyze ? [] : snapshot.timeWindows
+    .filter(window => entry.commitsPerWindow[window.index].length > 0)
+    .map(window => options.analyze(window, entry.commitsPerWindow[window.index], similarity[window.index], repoEntry));
+
+  return {
+    snapshot: { ...snapshot, commitsByRepository, similarity },
+    stats: {
+      ...stats,
+      lastUpdate: new Date().toISOString(),
+      repositories,
+      ...options.summarize(repositories),
+      partialFailures: [
+        ...stats.partialFailures.filter(failure => failure.repository !== repoName),
+        ...entry.errors.map(message => ({ repository: repoName, message }))
+      ]
+    },
+    reports
+  };
+}
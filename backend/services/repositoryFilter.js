@@ -0,0 +1,225 @@
+import { getLocalTimeZone, isValidTimeZone, zonedTimeToUtc } from './timezone.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FILTER_KEYS = ['include', 'exclude', 'topics', 'skipArchived', 'skipForks', 'skipTemplates', 'createdAfter', 'assignmentPrefix'];
+
+/**
+ * Convert a glob to a case-insensitive regular expression
+ * "*" matches within a path segment (GitLab subgroups are separated by "/"), "**" across segments,
+ * "?" a single character.
+ * @private
+ * @param {boolean} prefix - Match only the beginning of the name, "*" as few characters as possible
+ */
+function globToRegExp(glob, prefix = false) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += prefix ? '.*?' : '.*';
+      i++;
+    } else if (char === '*') {
+      source += prefix ? '[^/]*?' : '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}${prefix ? '' : '$'}`, 'i');
+}
+
+/**
+ * Pattern from config: "/regex/flags" or a glob
+ * @private
+ */
+function parsePattern(pattern, prefix = false) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (!regex) {
+    return globToRegExp(pattern, prefix);
+  }
+  try {
+    return new RegExp(prefix && !regex[1].startsWith('^') ? `^(?:${regex[1]})` : regex[1], regex[2]);
+  } catch (error) {
+    throw new Error(`Invalid regular expression ${pattern}: ${error.message}`);
+  }
+}
+
+const toList = (value) => value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+/**
+ * Selects the repositories of an organization that belong to the analysis
+ *
+ * Config format (organization.repositories in config.jsonc), all keys optional:
+ * {
+ *   "include": ["uebung-*", "/^sew-\\d+-/"],  // only repositories matching one pattern (glob or /regex/)
+ *   "exclude": ["*-template"],                 // no repositories matching one of these
+ *   "topics": ["sew"],                         // only repositories with at least one of these topics
+ *   "skipArchived": true, "skipForks": true, "skipTemplates": true,
+ *   "createdAfter": "2026-02-01",              // only repositories created on or after this day
+ *   "assignmentPrefix": "uebung-*-"            // group "uebung-07-<student>" as assignment "uebung-07"
+ * }
+ */
+export class RepositoryFilter {
+  /**
+   * @param {Object} filterConfig - Filter rules (see class description), undefined keeps every repository
+   * @param {string} timeZone - IANA time zone createdAfter refers to (defaults to server zone)
+   */
+  constructor(filterConfig = {}, timeZone = getLocalTimeZone()) {
+    RepositoryFilter.validate(filterConfig, timeZone);
+
+    this.include = toList(filterConfig.include).map(pattern => ({ pattern, regex: parsePattern(pattern) }));
+    this.exclude = toList(filterConfig.exclude).map(pattern => ({ pattern, regex: parsePattern(pattern) }));
+    this.topics = toList(filterConfig.topics).map(topic => topic.toLowerCase());
+    this.skipArchived = filterConfig.skipArchived === true;
+    this.skipForks = filterConfig.skipForks === true;
+    this.skipTemplates = filterConfig.skipTemplates === true;
+    this.createdAfter = filterConfig.createdAfter || null;
+    this.createdAfterTime = this.createdAfter
+      ? zonedTimeToUtc({ ...this._parseDate(this.createdAfter), hour: 0, minute: 0 }, timeZone).getTime()
+      : null;
+    this.assignmentPrefixes = toList(filterConfig.assignmentPrefix).map(pattern => parsePattern(pattern, true));
+  }
+
+  /**
+   * Validate a filter config, throws an Error describing the first problem found
+   * @param {Object} filterConfig - Filter config to check
+   * @param {string} timeZone - IANA time zone name
+   */
+  static validate(filterConfig, timeZone) {
+    if (!filterConfig || typeof filterConfig !== 'object' || Array.isArray(filterConfig)) {
+      throw new Error('repositories must be an object');
+    }
+    const unknown = Object.keys(filterConfig).filter(key => !FILTER_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown option ${unknown.join(', ')} (expected ${FILTER_KEYS.join(', ')})`);
+    }
+    for (const key of ['include', 'exclude', 'topics', 'assignmentPrefix']) {
+      const values = toList(filterConfig[key]);
+      if (values.some(value => typeof value !== 'string' || value === '')) {
+        throw new Error(`${key} must be a string or a list of non-empty strings`);
+      }
+      if (key !== 'topics') {
+        values.forEach(pattern => parsePattern(pattern));
+      }
+    }
+    for (const key of ['skipArchived', 'skipForks', 'skipTemplates']) {
+      if (filterConfig[key] !== undefined && typeof filterConfig[key] !== 'boolean') {
+        throw new Error(`${key} must be true or false, got: ${filterConfig[key]}`);
+      }
+    }
+    if (filterConfig.createdAfter !== undefined && !DATE_PATTERN.test(filterConfig.createdAfter)) {
+      throw new Error(`createdAfter must be a date like 2026-02-01, got: ${filterConfig.createdAfter}`);
+    }
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+  }
+
+  /**
+   * Split repositories into analyzed and excluded ones
+   * @param {Array} repos - Repositories from the provider
+   * @returns {Object} { repositories: included repositories (same order),
+   *   excluded: [{ name, url, reason }] }
+   */
+  apply(repos) {
+    const repositories = [];
+    const excluded = [];
+    for (const repo of repos) {
+      const reason = this.getExclusionReason(repo);
+      if (reason) {
+        excluded.push({ name: repo.name, url: repo.html_url || null, reason });
+      } else {
+        repositories.push(repo);
+      }
+    }
+    return { repositories, excluded };
+  }
+
+  /**
+   * Why a repository is not analyzed
+   * Providers without the information (e.g. creation date of local clones) never exclude for it.
+   * @param {Object} repo - Repository ({ name, archived, fork, is_template/template, topics, created_at })
+   * @returns {string|null} Reason, or null if the repository is analyzed
+   */
+  getExclusionReason(repo) {
+    if (this.skipArchived && repo.archived === true) {
+      return 'archived';
+    }
+    if (this.skipForks && repo.fork === true) {
+      return 'fork';
+    }
+    if (this.skipTemplates && (repo.is_template === true || repo.template === true)) {
+      return 'template';
+    }
+    if (this.createdAfterTime !== null && repo.created_at !== undefined && repo.created_at !== null) {
+      // Push webhooks send the creation time as Unix timestamp in seconds
+      const created = typeof repo.created_at === 'number' ? repo.created_at * 1000 : new Date(repo.created_at).getTime();
+      if (created < this.createdAfterTime) {
+        return `created before ${this.createdAfter}`;
+      }
+    }
+    if (this.include.length > 0 && !this.include.some(({ regex }) => regex.test(repo.name))) {
+      return 'not matching include patterns';
+    }
+    const excludedBy = this.exclude.find(({ regex }) => regex.test(repo.name));
+    if (excludedBy) {
+      return `matches exclude pattern ${excludedBy.pattern}`;
+    }
+    if (this.topics.length > 0) {
+      const topics = (repo.topics || []).map(topic => topic.toLowerCase());
+      if (!this.topics.some(topic => topics.includes(topic))) {
+        return `missing topic ${this.topics.join('/')}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Assignment a repository belongs to, from the first matching assignmentPrefix
+   * @param {string} repoName - Repository name (e.g. "uebung-07-max-mueller")
+   * @returns {Object} { assignment, student } (e.g. "uebung-07" and "max-mueller"), both null if no prefix matches
+   */
+  getAssignment(repoName) {
+    for (const regex of this.assignmentPrefixes) {
+      const match = repoName.match(regex);
+      if (match && match[0].length < repoName.length) {
+        // A capture group in a regex names the assignment, otherwise the prefix without separator
+        const assignment = (match[1] ?? match[0]).replace(/[-_/]+$/, '');
+        return { assignment, student: repoName.slice(match[0].length) };
+      }
+    }
+    return { assignment: null, student: null };
+  }
+
+  /**
+   * @private
+   */
+  _parseDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return { year, month, day };
+  }
+}
+
+/**
+ * Summarize the repositories per assignment
+ * @param {Array} repositories - Repository stats with assignment, commitCount and totalLinesChanged
+ * @returns {Array} Assignments ({ name, repositoryCount, activeRepositories, commitCount, totalLinesChanged })
+ *   sorted by name; repositories without assignment are left out
+ */
+export function summarizeAssignments(repositories) {
+  const assignments = new Map();
+  for (const repo of repositories) {
+    if (!repo.assignment) {
+      continue;
+    }
+    if (!assignments.has(repo.assignment)) {
+      assignments.set(repo.assignment, { name: repo.assignment, repositoryCount: 0, activeRepositories: 0, commitCount: 0, totalLinesChanged: 0 });
+    }
+    const summary = assignments.get(repo.assignment);
+    summary.repositoryCount++;
+    summary.activeRepositories += repo.commitCount > 0 ? 1 : 0;
+    summary.commitCount += repo.commitCount;
+    summary.totalLinesChanged += repo.totalLinesChanged;
+  }
+  return [...assignments.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
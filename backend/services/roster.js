@@ -0,0 +1,252 @@
+import { readFileSync } from 'fs';
+
+// Accepted column names (compared without case, spaces, "_" and "-"); the GitHub Classroom roster
+// export has the columns identifier, github_username, github_id and name
+const COLUMNS = {
+  name: ['name', 'fullname', 'student'],
+  identifier: ['identifier'],
+  login: ['login', 'github', 'githubusername', 'githublogin', 'username'],
+  email: ['email', 'emails', 'mail'],
+  alias: ['alias', 'aliases'],
+  studentNumber: ['studentnumber', 'number', 'matrikelnummer', 'katalognummer'],
+  group: ['group', 'class', 'klasse', 'gruppe'],
+  team: ['team'],
+  role: ['role', 'rolle']
+};
+
+/**
+ * Normalize a name for matching: case, accents and whitespace are ignored
+ * @private
+ */
+function normalizeName(name) {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may contain delimiters, quotes and line breaks)
+ * @private
+ */
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Maps GitHub logins, email addresses and alias names of commit authors to the students of a class
+ *
+ * Roster file (organization.roster in config.jsonc), CSV with a header row, "," or ";" separated:
+ *   name,login,email,alias,studentNumber,group,team,role
+ *   Max Müller,xX_coder_Xx,max.mueller@schule.at|max@gmail.com,Maxi,12,A,team-3,student
+ *   Reinhold Buchinger,buc-htl,,,,,,teacher
+ * Several emails/aliases are separated by "|". Only the name column is required, role defaults to "student".
+ * The roster export of GitHub Classroom (identifier, github_username, github_id, name) is read as well.
+ */
+export class Roster {
+  /**
+   * @param {Array<Object>} entries - Students ({ name, logins, emails, aliases, studentNumber, group, team, role })
+   * @param {string} source - Where the roster comes from (for error messages)
+   */
+  constructor(entries, source = 'roster') {
+    this.source = source;
+    this.entries = entries;
+    this.byLogin = new Map();
+    this.byEmail = new Map();
+    this.byName = new Map();
+
+    entries.forEach(entry => {
+      entry.logins.forEach(login => this._register(this.byLogin, login.toLowerCase(), entry, `login ${login}`));
+      entry.emails.forEach(email => this._register(this.byEmail, email.toLowerCase(), entry, `email ${email}`));
+      // Names may be shared (e.g. two students called "Max"), such names do not identify anybody
+      [entry.name, ...entry.aliases].forEach(name => {
+        const key = normalizeName(name);
+        const existing = this.byName.get(key);
+        this.byName.set(key, existing && existing !== entry ? null : entry);
+      });
+    });
+  }
+
+  /**
+   * Read a roster CSV file
+   * @param {string} path - Path of the file
+   * @returns {Roster} Roster
+   * @throws {Error} if the file cannot be read or has no usable columns
+   */
+  static load(path) {
+    let text;
+    try {
+      text = readFileSync(path, 'utf-8');
+    } catch (error) {
+      throw new Error(`Roster not readable (${path}): ${error.message}`);
+    }
+    return Roster.fromCsv(text, path);
+  }
+
+  /**
+   * Parse roster CSV text (see class description)
+   * @param {string} text - CSV content
+   * @param {string} source - File name for error messages
+   * @returns {Roster} Roster
+   */
+  static fromCsv(text, source = 'roster') {
+    const content = text.replace(/^\uFEFF/, '');
+    const headerLine = content.split(/\r?\n/, 1)[0];
+    // Spreadsheet programs with German locale save CSV separated by ";"
+    const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+    const [header, ...rows] = parseCsv(content, delimiter);
+    if (!header) {
+      throw new Error(`Roster ${source} is empty`);
+    }
+
+    const columns = {};
+    header.forEach((title, index) => {
+      const key = title.trim().toLowerCase().replace(/[\s_-]/g, '');
+      const field = Object.keys(COLUMNS).find(name => COLUMNS[name].includes(key));
+      if (field && columns[field] === undefined) {
+        columns[field] = index;
+      }
+    });
+    if (columns.name === undefined && columns.identifier === undefined) {
+      throw new Error(`Roster ${source} has no name column (columns: ${header.join(', ')})`);
+    }
+    if (columns.login === undefined && columns.email === undefined && columns.alias === undefined) {
+      throw new Error(`Roster ${source} needs a login, email or alias column to match commit authors`);
+    }
+
+    const value = (fields, field) => columns[field] === undefined ? '' : (fields[columns[field]] || '').trim();
+    const list = (fields, field) => value(fields, field).split('|').map(item => item.trim()).filter(Boolean);
+
+    const entries = [];
+    rows.forEach(fields => {
+      // The Classroom identifier is an email address or the name the teacher entered
+      const identifier = value(fields, 'identifier');
+      const name = value(fields, 'name') || identifier;
+      if (!name) {
+        return;
+      }
+      const emails = list(fields, 'email');
+      const aliases = list(fields, 'alias');
+      if (identifier.includes('@')) {
+        emails.push(identifier);
+      } else if (identifier && identifier !== name) {
+        aliases.push(identifier);
+      }
+      entries.push({
+        name,
+        logins: list(fields, 'login').map(login => login.replace(/^@/, '')),
+        emails,
+        aliases,
+        studentNumber: value(fields, 'studentNumber') || null,
+        group: value(fields, 'group') || null,
+        team: value(fields, 'team') || null,
+        role: (value(fields, 'role') || 'student').toLowerCase()
+      });
+    });
+    return new Roster(entries, source);
+  }
+
+  /**
+   * Find the student behind a commit author
+   * @param {Object} identity - Author ({ login, email, name }, all optional)
+   * @returns {Object|null} { name, studentNumber, group, team, role } or null if the author is not in the roster
+   */
+  resolve({ login, email, name } = {}) {
+    const entry = (login && this.byLogin.get(login.toLowerCase()))
+      || (email && this.byEmail.get(email.trim().toLowerCase()))
+      || (name && this.byName.get(normalizeName(name)))
+      || null;
+    return entry ? this._describe(entry) : null;
+  }
+
+  /**
+   * Find the student a repository belongs to, e.g. "uebung-07-xX_coder_Xx" from GitHub Classroom
+   * @param {string} repoName - Repository name
+   * @param {string|null} student - Student part of the name (from assignmentPrefix), if known
+   * @returns {Object|null} { name, studentNumber, group, team, role } or null if no login matches
+   */
+  resolveRepository(repoName, student = null) {
+    const name = repoName.toLowerCase();
+    if (student) {
+      const entry = this.byLogin.get(student.toLowerCase());
+      return entry ? this._describe(entry) : null;
+    }
+    // The longest matching login wins ("max" must not claim "uebung-07-maxi")
+    let match = null;
+    for (const [login, entry] of this.byLogin) {
+      if ((name === login || name.endsWith(`-${login}`)) && (!match || login.length > match.login.length)) {
+        match = { login, entry };
+      }
+    }
+    return match ? this._describe(match.entry) : null;
+  }
+
+  /**
+   * Members of the team a group assignment repository belongs to, e.g. "projekt-team-3"
+   * @param {string} repoName - Repository name
+   * @param {string|null} student - Team part of the name (from assignmentPrefix), if known
+   * @returns {Array<Object>} Members ({ name, studentNumber, group, team, role }), empty if no team matches
+   */
+  resolveTeam(repoName, student = null) {
+    const normalize = (team) => team.trim().toLowerCase().replace(/\s+/g, '-');
+    const name = repoName.toLowerCase();
+    const teams = [...new Set(this.entries.filter(entry => entry.team).map(entry => normalize(entry.team)))];
+    const team = student
+      ? teams.find(candidate => candidate === normalize(student))
+      : teams.filter(candidate => name === candidate || name.endsWith(`-${candidate}`)).sort((a, b) => b.length - a.length)[0];
+    if (!team) {
+      return [];
+    }
+    return this.entries.filter(entry => entry.team && normalize(entry.team) === team).map(entry => this._describe(entry));
+  }
+
+  /**
+   * @private
+   */
+  _register(index, key, entry, description) {
+    if (index.has(key) && index.get(key) !== entry) {
+      throw new Error(`Roster ${this.source}: ${description} belongs to ${index.get(key).name} and ${entry.name}`);
+    }
+    index.set(key, entry);
+  }
+
+  /**
+   * @private
+   */
+  _describe(entry) {
+    return { name: entry.name, studentNumber: entry.studentNumber, group: entry.group, team: entry.team, role: entry.role };
+  }
+}
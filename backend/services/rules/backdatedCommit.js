@@ -0,0 +1,53 @@
+/**
+ * Author date inside the time window, but committed or pushed far outside it (author dates can be
+ * set freely, e.g. with git commit --date or by rebasing at home); needs the time window
+ */
+export default {
+  type: 'BACKDATED_COMMIT',
+  // latePushPoints/latePushSeverity apply when only the push was late
+  settings: { enabled: true, points: 25, severity: 'high', latePushPoints: 10, latePushSeverity: 'medium' },
+  thresholds: {
+    // Minutes a commit may be committed or pushed outside the time window (e.g. pushed after the bell)
+    backdatedToleranceMinutes: 60
+  },
+
+  check({ commits, window, thresholds, settings }) {
+    if (!window) {
+      return [];
+    }
+    const toleranceMs = thresholds.backdatedToleranceMinutes * 60000;
+    const sinceMs = window.since.getTime() - toleranceMs;
+    const untilMs = window.until.getTime() + toleranceMs;
+    const isOutside = (date) => {
+      const time = new Date(date).getTime();
+      return time < sinceMs || time > untilMs;
+    };
+
+    const backdated = commits
+      .map(commit => ({
+        sha: commit.sha,
+        authorDate: commit.commit.author.date,
+        committerDate: commit.commit.committer?.date || null,
+        pushedAt: commit.pushedAt || null
+      }))
+      .filter(({ committerDate, pushedAt }) => (committerDate && isOutside(committerDate)) || (pushedAt && isOutside(pushedAt)));
+    if (backdated.length === 0) {
+      return [];
+    }
+
+    // A different committer date means the commit was created (or rewritten) later, a late push alone
+    // may also be a student who forgot to push
+    const rewritten = backdated.some(({ committerDate }) => committerDate && isOutside(committerDate));
+    return [{
+      severity: rewritten ? settings.severity : settings.latePushSeverity,
+      message: `${backdated.length} commit${backdated.length === 1 ? '' : 's'} dated inside the time window but ${rewritten ? 'committed' : 'pushed'} outside it`,
+      points: rewritten ? settings.points : settings.latePushPoints,
+      details: backdated
+    }];
+  },
+
+  formatDetails(details, formatDate) {
+    return details.map(({ sha, authorDate, committerDate, pushedAt }) =>
+      `${(sha || '').substring(0, 7)} authored ${formatDate(authorDate)} | committed ${formatDate(committerDate)} | pushed ${formatDate(pushedAt)}`);
+  }
+};
@@ -0,0 +1,36 @@
+import { isForeignAuthor } from '../identityResolver.js';
+
+/**
+ * Commits by somebody else than the repository owner or the assigned team, one flag per person
+ * (needs owners and resolveAuthor, see SuspiciousActivityDetector.analyze)
+ * Only authors known by login, roster or alias count as somebody else: an unknown email address or name
+ * is more likely the owner on another computer than a different person.
+ */
+export default {
+  type: 'FOREIGN_AUTHOR',
+  settings: { enabled: true, points: 30, severity: 'high' },
+
+  check({ commits, owners, resolveAuthor }) {
+    if (owners.length === 0 || !resolveAuthor) {
+      return [];
+    }
+    const foreignAuthors = new Map();
+    commits.forEach(commit => {
+      const author = resolveAuthor(commit);
+      // Generic names like "root", bots (e.g. the starter code of github-classroom[bot]) and unknown email
+      // addresses and names (left to the roster and authorAliases) are not attributed to another person
+      if (!isForeignAuthor(author, owners)) {
+        return;
+      }
+      if (!foreignAuthors.has(author.key)) {
+        foreignAuthors.set(author.key, { author, commits: 0 });
+      }
+      foreignAuthors.get(author.key).commits++;
+    });
+
+    const ownerNames = owners.map(owner => owner.name).join(', ');
+    return [...foreignAuthors.values()].map(({ author, commits: count }) => ({
+      message: `${count} commit${count === 1 ? '' : 's'} by ${author.rosterStudent?.name || author.name} in repository of ${ownerNames}`
+    }));
+  }
+};
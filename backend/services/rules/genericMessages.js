@@ -0,0 +1,31 @@
+/**
+ * Number of commits with an empty or generic message ("update", "fix", ...)
+ * @param {Array} commits - Commits in REST shape
+ * @param {Array<string>} genericMessages - Lowercase generic messages
+ * @returns {number} Number of generic messages
+ */
+export function countGenericMessages(commits, genericMessages) {
+  return commits.filter(commit => {
+    const msg = (commit.commit.message || '').trim().toLowerCase();
+    return !msg || genericMessages.includes(msg);
+  }).length;
+}
+
+/**
+ * All commit messages are generic or empty
+ */
+export default {
+  type: 'GENERIC_MESSAGES',
+  settings: { enabled: true, points: 8, severity: 'low' },
+  thresholds: {
+    // Generic commit messages
+    genericMessages: ['update', 'fix', 'done', 'asdf', 'test', 'commit', '.', '..', '...']
+  },
+
+  check({ commits, thresholds }) {
+    const genericCount = countGenericMessages(commits, thresholds.genericMessages);
+    return genericCount > 0 && genericCount === commits.length
+      ? [{ message: `All ${genericCount} commit messages are generic/empty` }]
+      : [];
+  }
+};
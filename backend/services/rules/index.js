@@ -0,0 +1,123 @@
+import { readdirSync } from 'fs';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import massActivity from './massActivity.js';
+import massCommit from './massCommit.js';
+import singleCommit from './singleCommit.js';
+import noCorrections from './noCorrections.js';
+import onlyAdditions from './onlyAdditions.js';
+import rapidFire from './rapidFire.js';
+import unrealisticSpeed from './unrealisticSpeed.js';
+import pasteBurst from './pasteBurst.js';
+import genericMessages from './genericMessages.js';
+import mostlyGeneric from './mostlyGeneric.js';
+import foreignAuthor from './foreignAuthor.js';
+import backdatedCommit from './backdatedCommit.js';
+import similarCode from './similarCode.js';
+import unusualActivity from './unusualActivity.js';
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+/**
+ * Rules of the suspicious activity report, in the order their flags are reported
+ *
+ * A rule is an object:
+ *   type:       flag type, e.g. "MASS_COMMIT" (upper case, unique)
+ *   settings:   defaults of the settings in suspiciousActivity.rules, at least
+ *               { enabled: boolean, points: number, severity: 'high'|'medium'|'low' }
+ *   thresholds: defaults of the thresholds the rule uses (numbers or lists of strings, optional),
+ *               configurable in suspiciousActivity.thresholds; names are shared by all rules
+ *   suppresses: flag types not counted when this rule reports a flag (optional)
+ *   needsPatches: true if the rule reads the hunks of the changed files (files[].patch), which are then
+ *               fetched for every commit (optional)
+ *   check(context): returns the flags ([{ message, points?, severity?, details? }], points and severity
+ *               default to the rule settings); context is { commits: sorted by author date, repoName,
+ *               window: { since, until } or null, owners, resolveAuthor, similarity: similar repositories,
+ *               pathFilter: files counted in the statistics (PathFilter) or null, baseline: the student's
+ *               earlier lessons ({ lessons, flags, deviations }, see SuspiciousActivityDetector) or null,
+ *               totals: { additions, deletions, lines }, thresholds: all thresholds, settings: settings of the rule }
+ *   formatDetails(details, formatDate): lines printed below a flag with details in the console report
+ *               (optional); formatDate formats an ISO date like the git log command, null as "unknown"
+ */
+export const BUILTIN_RULES = [
+  massActivity,
+  massCommit,
+  singleCommit,
+  noCorrections,
+  onlyAdditions,
+  rapidFire,
+  unrealisticSpeed,
+  pasteBurst,
+  genericMessages,
+  mostlyGeneric,
+  foreignAuthor,
+  backdatedCommit,
+  similarCode,
+  unusualActivity
+];
+
+/**
+ * Check the shape of a rule (see BUILTIN_RULES), throws an Error describing the first problem found
+ * @param {Object} rule - Rule to check
+ * @param {string} source - Where the rule comes from (for error messages)
+ */
+export function validateRule(rule, source) {
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(rule) || typeof rule.type !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(rule.type)) {
+    throw new Error(`Rule in ${source} needs a type in upper case like "LATE_NIGHT_COMMIT"`);
+  }
+  if (typeof rule.check !== 'function') {
+    throw new Error(`Rule ${rule.type} in ${source} has no check(context) function`);
+  }
+  const { enabled, points, severity } = rule.settings || {};
+  if (typeof enabled !== 'boolean' || typeof points !== 'number' || points < 0 || !SEVERITIES.includes(severity)) {
+    throw new Error(`Rule ${rule.type} in ${source} needs settings { enabled, points, severity: ${SEVERITIES.join('|')} }`);
+  }
+  for (const [name, value] of Object.entries(rule.thresholds || {})) {
+    const isList = Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (typeof value !== 'number' && !isList) {
+      throw new Error(`Rule ${rule.type} in ${source}: threshold ${name} must be a number or a list of strings`);
+    }
+  }
+  if (rule.formatDetails !== undefined && typeof rule.formatDetails !== 'function') {
+    throw new Error(`Rule ${rule.type} in ${source}: formatDetails must be a function`);
+  }
+  if (rule.needsPatches !== undefined && typeof rule.needsPatches !== 'boolean') {
+    throw new Error(`Rule ${rule.type} in ${source}: needsPatches must be true or false`);
+  }
+  if (rule.suppresses !== undefined && (!Array.isArray(rule.suppresses) || rule.suppresses.some(type => typeof type !== 'string'))) {
+    throw new Error(`Rule ${rule.type} in ${source}: suppresses must be a list of flag types`);
+  }
+}
+
+/**
+ * Load additional rules from a directory ("rulesDirectory" in config.jsonc)
+ * Every .js/.mjs file exports a rule (see BUILTIN_RULES) or a list of rules as default export.
+ * @param {string} directory - Directory with the rule modules
+ * @returns {Promise<Array>} Rules, in the order of the file names
+ * @throws {Error} if the directory cannot be read or a module is not a valid rule
+ */
+export async function loadRules(directory) {
+  let files;
+  try {
+    files = readdirSync(directory).filter(file => /\.m?js$/.test(file)).sort();
+  } catch (error) {
+    throw new Error(`Rules directory not readable (${directory}): ${error.message}`);
+  }
+
+  const rules = [];
+  for (const file of files) {
+    let module;
+    try {
+      module = await import(pathToFileURL(join(directory, file)).href);
+    } catch (error) {
+      throw new Error(`Rule ${file} could not be loaded: ${error.message}`);
+    }
+    const exported = Array.isArray(module.default) ? module.default : [module.default];
+    exported.forEach(rule => {
+      validateRule(rule, file);
+      rules.push(rule);
+    });
+  }
+  return rules;
+}
@@ -0,0 +1,37 @@
+/**
+ * Many commits with big changes in short time (HIGHEST PRIORITY)
+ * Points are scaled with the lines changed, up to twice the configured points.
+ */
+export default {
+  type: 'MASS_ACTIVITY',
+  settings: { enabled: true, points: 50, severity: 'medium' },
+  thresholds: {
+    massActivityMinCommits: 3,
+    massActivityMinLines: 200,
+    massActivityMaxMinutes: 10,
+    // Lines from which mass activity is rated high severity
+    massActivityHighLines: 500
+  },
+  // Many commits in short time are already covered by this flag
+  suppresses: ['RAPID_FIRE'],
+
+  check({ commits, totals, thresholds, settings }) {
+    if (commits.length < thresholds.massActivityMinCommits) {
+      return [];
+    }
+    const firstTime = new Date(commits[0].commit.author.date);
+    const lastTime = new Date(commits[commits.length - 1].commit.author.date);
+    const durationMinutes = (lastTime - firstTime) / 1000 / 60;
+    if (totals.lines < thresholds.massActivityMinLines || durationMinutes > thresholds.massActivityMaxMinutes) {
+      return [];
+    }
+
+    // Scale points based on intensity
+    const intensityMultiplier = Math.min(2, totals.lines / 300);
+    return [{
+      severity: totals.lines >= thresholds.massActivityHighLines ? 'high' : settings.severity,
+      message: `${commits.length} commits, ${totals.lines} lines in ${Math.round(durationMinutes)} minutes`,
+      points: Math.round(settings.points * intensityMultiplier)
+    }];
+  }
+};
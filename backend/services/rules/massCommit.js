@@ -0,0 +1,18 @@
+/**
+ * Single commit with too many lines, flagged once per commit
+ */
+export default {
+  type: 'MASS_COMMIT',
+  settings: { enabled: true, points: 20, severity: 'high' },
+  thresholds: {
+    // Lines per commit
+    massCommitLines: 300
+  },
+
+  check({ commits, thresholds }) {
+    return commits
+      .map((commit, idx) => ({ idx, lines: (commit.stats?.additions || 0) + (commit.stats?.deletions || 0) }))
+      .filter(({ lines }) => lines > thresholds.massCommitLines)
+      .map(({ idx, lines }) => ({ message: `Commit ${idx + 1}: ${lines} lines in single commit` }));
+  }
+};
@@ -0,0 +1,20 @@
+import { countGenericMessages } from './genericMessages.js';
+
+/**
+ * Most, but not all commit messages are generic (all generic: GENERIC_MESSAGES)
+ */
+export default {
+  type: 'MOSTLY_GENERIC',
+  settings: { enabled: true, points: 5, severity: 'low' },
+  thresholds: {
+    // Share of generic commit messages
+    mostlyGenericRatio: 0.7
+  },
+
+  check({ commits, thresholds }) {
+    const genericCount = countGenericMessages(commits, thresholds.genericMessages);
+    return genericCount < commits.length && genericCount >= commits.length * thresholds.mostlyGenericRatio
+      ? [{ message: `${genericCount}/${commits.length} commit messages are generic` }]
+      : [];
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Too many additions compared to deletions (no mistakes or refactoring)
+ */
+export default {
+  type: 'NO_CORRECTIONS',
+  settings: { enabled: true, points: 10, severity: 'low' },
+  thresholds: {
+    // Ratio of additions to deletions
+    noCorrectionsRatio: 20
+  },
+
+  check({ totals, thresholds }) {
+    if (totals.deletions === 0) {
+      return [];
+    }
+    const ratio = totals.additions / totals.deletions;
+    return ratio > thresholds.noCorrectionsRatio
+      ? [{ message: `Ratio ${ratio.toFixed(1)}:1 additions/deletions (no mistakes/refactoring)` }]
+      : [];
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Only additions, no deletions at all
+ */
+export default {
+  type: 'ONLY_ADDITIONS',
+  settings: { enabled: true, points: 12, severity: 'low' },
+  thresholds: {
+    // Additions without any deletion
+    onlyAdditionsMinLines: 100
+  },
+
+  check({ totals, thresholds }) {
+    return totals.deletions === 0 && totals.additions > thresholds.onlyAdditionsMinLines
+      ? [{ message: `${totals.additions} additions, 0 deletions (no corrections)` }]
+      : [];
+  }
+};
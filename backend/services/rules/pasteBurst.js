@@ -0,0 +1,215 @@
+import { createHash } from 'crypto';
+import { getAddedBlocks, trackLineRange } from '../diffStats.js';
+
+// Indented lines needed to tell the indentation style, classified names to tell the naming style
+const MIN_STYLE_SAMPLES = 5;
+
+// Frequent words telling the language of comments apart
+const LANGUAGE_WORDS = {
+  German: new Set(['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'einen', 'mit', 'für', 'wird', 'werden',
+    'auf', 'den', 'dem', 'zu', 'von', 'wenn', 'dann', 'oder', 'wir', 'ich', 'hier', 'alle', 'gibt', 'zurück']),
+  English: new Set(['the', 'and', 'is', 'not', 'a', 'an', 'with', 'for', 'will', 'be', 'to', 'of', 'this', 'that',
+    'if', 'then', 'or', 'we', 'it', 'here', 'all', 'returns', 'from', 'are'])
+};
+
+/**
+ * Indentation of lines of code: "tabs" or the most frequent indentation step, e.g. "4 spaces"
+ * @private
+ */
+function getIndentationStyle(lines) {
+  let tabs = 0;
+  let spaces = 0;
+  let previous = 0;
+  const steps = new Map();
+  lines.filter(line => line.trim()).forEach(line => {
+    const indent = line.match(/^[ \t]*/)[0];
+    if (indent.startsWith('\t')) {
+      tabs++;
+      return;
+    }
+    spaces += indent.length > 0 ? 1 : 0;
+    if (indent.length > previous) {
+      steps.set(indent.length - previous, (steps.get(indent.length - previous) || 0) + 1);
+    }
+    previous = indent.length;
+  });
+  if (tabs + spaces < MIN_STYLE_SAMPLES) {
+    return null;
+  }
+  if (tabs > spaces) {
+    return 'tabs';
+  }
+  const [step] = [...steps].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0] || [];
+  return step ? `${step} spaces` : null;
+}
+
+/**
+ * Naming style of the identifiers in lines of code ("camelCase" or "snake_case"), null if unclear
+ * @private
+ */
+function getNamingStyle(lines) {
+  const code = lines.map(line => line.replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '').replace(/(^|\s)(\/\/|#).*$/, ''));
+  const names = new Set(code.join('\n').match(/[A-Za-z_][A-Za-z0-9_]*/g) || []);
+  let camel = 0;
+  let snake = 0;
+  names.forEach(name => {
+    camel += /^[a-z][a-z0-9]*[A-Z]/.test(name) ? 1 : 0;
+    snake += /^[a-z][a-z0-9]*_[a-z0-9]/.test(name) ? 1 : 0;
+  });
+  if (camel + snake < MIN_STYLE_SAMPLES) {
+    return null;
+  }
+  return camel >= 2 * snake ? 'camelCase' : snake >= 2 * camel ? 'snake_case' : null;
+}
+
+/**
+ * Texts of the comments in lines of code (//, #, /* and * lines)
+ * @private
+ */
+function getComments(lines) {
+  return lines
+    .map(line => {
+      const match = line.match(/^\s*(?:\/\*+|\*(?!\/))\s?(.*?)(?:\*\/)?$/) || line.match(/(?:^|\s)(?:\/\/+|#)\s?(.*)$/);
+      return match?.[1].trim();
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Language of comments ("German" or "English"), null if unclear
+ * @private
+ */
+function getLanguage(comments) {
+  const words = comments.join(' ').toLowerCase().match(/\p{L}+/gu) || [];
+  const [[language, count], [, otherCount]] = Object.entries(LANGUAGE_WORDS)
+    .map(([name, known]) => [name, words.filter(word => known.has(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  return count >= 3 && count >= 2 * otherCount ? language : null;
+}
+
+/**
+ * Signs that a block was not written by the student: style different from the student's earlier code,
+ * chat-style comments
+ * @returns {Object} { signs: descriptions, chat: whether a comment contains a chat phrase }
+ * @private
+ */
+function getForeignSigns(lines, earlier, thresholds) {
+  const signs = [];
+  if (earlier.length >= thresholds.pasteBurstBaselineLines) {
+    const compare = (describe, label) => {
+      const [own, block] = [describe(earlier), describe(lines)];
+      if (own && block && own !== block) {
+        signs.push(`${label} ${block} instead of ${own}`);
+      }
+    };
+    compare(getIndentationStyle, 'indented with');
+    compare(getNamingStyle, 'names in');
+    compare(code => getLanguage(getComments(code)), 'comments in');
+  }
+
+  const phrases = thresholds.chatPhrases.map(phrase =>
+    new RegExp(`(^|[^\\p{L}])${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'iu'));
+  const chat = getComments(lines).find(comment => phrases.some(phrase => phrase.test(comment)));
+  if (chat) {
+    signs.push(`chat-style comment "${chat.length > 60 ? `${chat.substring(0, 57)}...` : chat}"`);
+  }
+  return { signs, chat: Boolean(chat) };
+}
+
+/**
+ * Whether later commits change, remove or insert into the lines of a block
+ * @private
+ */
+function isChangedLater({ startLine, endLine }, filename, laterCommits) {
+  let range = { startLine, endLine };
+  let name = filename;
+  for (const commit of laterCommits) {
+    const file = (commit.files || []).find(candidate => candidate.filename === name || candidate.previous_filename === name);
+    if (!file) {
+      continue;
+    }
+    // Without hunks (binary or too large diff) the lines cannot be followed
+    if (file.status === 'removed' || (!file.patch && (file.additions || file.deletions))) {
+      return true;
+    }
+    name = file.filename;
+    range = file.patch ? trackLineRange(range, file.patch) : range;
+    if (!range) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Large blocks of added lines that are never changed afterwards (pasted rather than written), with signs
+ * of foreign origin compared with the student's earlier code in the time window (the shorter blocks of
+ * earlier commits); needs files[].patch
+ */
+export default {
+  type: 'PASTE_BURST',
+  // Off by default: the hunks cost a REST request per commit with the GraphQL API and a git show per
+  // local commit. foreignPoints/foreignSeverity apply when a block shows signs of foreign origin
+  settings: { enabled: false, points: 10, severity: 'medium', foreignPoints: 25, foreignSeverity: 'high' },
+  needsPatches: true,
+  thresholds: {
+    // Consecutive added lines of a block
+    pasteBurstMinLines: 40,
+    // Lines of earlier code needed to compare indentation, naming and comment language
+    pasteBurstBaselineLines: 20,
+    // Style signs a block needs for foreignPoints/foreignSeverity; a single one (e.g. English comments) is
+    // common in the student's own code as well. A chat phrase is enough on its own
+    pasteBurstForeignSigns: 2,
+    // Phrases only chat assistants write into comments (case-insensitive, at the start of a word)
+    chatPhrases: ['as an ai language model', "certainly! here's", 'certainly! here is', "here's the complete solution",
+      'here is the complete solution', 'i hope this helps', 'als ki-sprachmodell', 'hier ist die vollständige lösung']
+  },
+
+  check({ commits, pathFilter, thresholds, settings }) {
+    const isCounted = (file) => file.patch && file.status !== 'removed' && !(pathFilter && pathFilter.getExclusionRule(file.filename));
+    const blocksOf = (commit) => (commit.files || []).filter(isCounted)
+      .flatMap(file => getAddedBlocks(file.patch).map(block => ({ file, block })));
+
+    const bursts = commits.flatMap((commit, index) => blocksOf(commit)
+      .filter(({ file, block }) => block.lines.length >= thresholds.pasteBurstMinLines &&
+        !isChangedLater(block, file.filename, commits.slice(index + 1)))
+      .map(({ file, block }) => {
+        const earlier = commits.slice(0, index).flatMap(blocksOf)
+          .filter(({ block: other }) => other.lines.length < thresholds.pasteBurstMinLines)
+          .flatMap(({ block: other }) => other.lines);
+        // Anchor of the lines in the commit view of GitHub
+        const anchor = `#diff-${createHash('sha256').update(file.filename).digest('hex')}R${block.startLine}-R${block.endLine}`;
+        const { signs, chat } = getForeignSigns(block.lines, earlier, thresholds);
+        return {
+          sha: commit.sha,
+          filename: file.filename,
+          startLine: block.startLine,
+          endLine: block.endLine,
+          lines: block.lines.length,
+          signs,
+          url: commit.html_url ? `${commit.html_url}${anchor}` : null,
+          isForeign: chat || signs.length >= thresholds.pasteBurstForeignSigns
+        };
+      }));
+    if (bursts.length === 0) {
+      return [];
+    }
+
+    const foreign = bursts.filter(burst => burst.isForeign).length;
+    const lines = bursts.reduce((sum, burst) => sum + burst.lines, 0);
+    return [{
+      severity: foreign > 0 ? settings.foreignSeverity : settings.severity,
+      message: `${bursts.length} block${bursts.length === 1 ? '' : 's'} of ${lines} added lines never changed afterwards` +
+        (foreign > 0 ? `, ${foreign} with signs of foreign origin` : ''),
+      points: foreign > 0 ? settings.foreignPoints : settings.points,
+      details: bursts.map(({ isForeign, ...burst }) => burst)
+    }];
+  },
+
+  formatDetails(details) {
+    return details.flatMap(({ sha, filename, startLine, endLine, lines, signs, url }) => [
+      `${filename}:${startLine}-${endLine} (${(sha || '').substring(0, 7)}, ${lines} lines)${signs.length > 0 ? `: ${signs.join(', ')}` : ''}`,
+      ...(url ? [`  ${url}`] : [])
+    ]);
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * All commits within a short time
+ */
+export default {
+  type: 'RAPID_FIRE',
+  settings: { enabled: true, points: 15, severity: 'medium' },
+  thresholds: {
+    // Time between commits (seconds)
+    rapidFireInterval: 120 // 2 minutes
+  },
+
+  check({ commits, thresholds }) {
+    if (commits.length < 3) {
+      return [];
+    }
+    const firstTime = new Date(commits[0].commit.author.date);
+    const lastTime = new Date(commits[commits.length - 1].commit.author.date);
+    const durationSeconds = (lastTime - firstTime) / 1000;
+    return durationSeconds < thresholds.rapidFireInterval
+      ? [{ message: `${commits.length} commits in ${Math.round(durationSeconds)}s` }]
+      : [];
+  }
+};
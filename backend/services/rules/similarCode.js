@@ -0,0 +1,22 @@
+const shortSha = (sha) => (sha || '').substring(0, 7);
+
+/**
+ * Code that also shows up in another repository of the organization (see SimilarityDetector), one flag
+ * per repository; needs the similar repositories in context.similarity
+ */
+export default {
+  type: 'SIMILAR_CODE',
+  settings: { enabled: true, points: 40, severity: 'high' },
+
+  check({ similarity }) {
+    return similarity.map(({ repository, similarity: share, matchedLines, matches }) => ({
+      message: `${Math.round(share * 100)}% of the added code matches ${repository} (${matchedLines} lines)`,
+      details: matches.map(({ own, other }) => ({ repository, own, other }))
+    }));
+  },
+
+  formatDetails(details) {
+    return details.map(({ own, other }) =>
+      `${own.filename}:${own.startLine}-${own.endLine} (${shortSha(own.sha)}) ↔ ${other.filename}:${other.startLine}-${other.endLine} (${shortSha(other.sha)})`);
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Only one commit for the entire exercise
+ */
+export default {
+  type: 'SINGLE_COMMIT',
+  settings: { enabled: true, points: 20, severity: 'high' },
+  thresholds: {
+    // Lines of an exercise done in a single commit
+    singleCommitMinLines: 50
+  },
+
+  check({ commits, thresholds }) {
+    if (commits.length !== 1 || !commits[0].stats) {
+      return [];
+    }
+    const lines = commits[0].stats.additions || 0;
+    return lines > thresholds.singleCommitMinLines
+      ? [{ message: `Entire exercise (${lines} lines) in single commit` }]
+      : [];
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * More lines per minute between two commits than anybody types, reported once
+ */
+export default {
+  type: 'UNREALISTIC_SPEED',
+  settings: { enabled: true, points: 25, severity: 'high' },
+  thresholds: {
+    // Lines per minute between commits
+    unrealisticSpeed: 100
+  },
+
+  check({ commits, thresholds }) {
+    for (let i = 1; i < commits.length; i++) {
+      const prev = commits[i - 1];
+      const curr = commits[i];
+      const timeDiff = (new Date(curr.commit.author.date) - new Date(prev.commit.author.date)) / 1000 / 60; // minutes
+      const linesDiff = (curr.stats?.additions || 0) + (curr.stats?.deletions || 0);
+
+      if (timeDiff > 0) {
+        const linesPerMinute = linesDiff / timeDiff;
+        if (linesPerMinute > thresholds.unrealisticSpeed) {
+          return [{ message: `${Math.round(linesPerMinute)} lines/min between commits ${i} and ${i + 1}` }];
+        }
+      }
+    }
+    return [];
+  }
+};
@@ -0,0 +1,35 @@
+const LABELS = { commits: 'commits', lines: 'lines', pace: 'lines/min' };
+
+/**
+ * Much more commits, lines or pace than the student's own baseline from earlier lessons (z-score), e.g.
+ * a normally quiet student who suddenly delivers 800 lines in ten minutes; needs context.baseline
+ */
+export default {
+  type: 'UNUSUAL_ACTIVITY',
+  settings: { enabled: true, points: 20, severity: 'medium' },
+  thresholds: {
+    // Standard deviations above the student's mean
+    baselineZScore: 3
+  },
+
+  check({ baseline, thresholds }) {
+    if (!baseline) {
+      return [];
+    }
+    const unusual = Object.entries(baseline.deviations)
+      .filter(([, { z }]) => z >= thresholds.baselineZScore)
+      .map(([metric, deviation]) => ({ metric, ...deviation }));
+    if (unusual.length === 0) {
+      return [];
+    }
+    const parts = unusual.map(({ metric, value, mean, stdDev }) => `${value} ${LABELS[metric]} (usually ${mean} ± ${stdDev})`);
+    return [{
+      message: `Deviation from usual behaviour: ${parts.join(', ')} over ${baseline.lessons} earlier lessons`,
+      details: unusual
+    }];
+  },
+
+  formatDetails(details) {
+    return details.map(({ metric, value, mean, z }) => `${LABELS[metric]}: ${value}, mean ${mean}, z = ${z}`);
+  }
+};
@@ -0,0 +1,186 @@
+import { addDays, getLocalTimeZone, isValidTimeZone, zonedTimeToUtc } from './timezone.js';
+
+const DAY_NUMBERS = {
+  'sunday': 0, 'monday': 1, 'tuesday': 2, 'wednesday': 3,
+  'thursday': 4, 'friday': 5, 'saturday': 6
+};
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function parseDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return { year, month, day };
+}
+
+function formatDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Generates the concrete lesson occurrences of a class from its timetable
+ *
+ * Config format (organization.calendar in config.jsonc):
+ * {
+ *   "semesterStart": "2026-02-09",
+ *   "semesterEnd": "2026-07-03",
+ *   "slots": [{ "day": "monday", "startTime": "09:55", "endTime": "11:35" }],
+ *   "holidays": ["2026-05-01", { "from": "2026-03-28", "to": "2026-04-06", "name": "Osterferien" }]
+ * }
+ */
+export class SchoolCalendar {
+  /**
+   * @param {Object} calendarConfig - Semester, timetable slots and holidays (see class description)
+   * @param {string} timeZone - IANA time zone the timetable refers to (defaults to server zone)
+   */
+  constructor(calendarConfig, timeZone = getLocalTimeZone()) {
+    SchoolCalendar.validate(calendarConfig, timeZone);
+
+    this.timeZone = timeZone;
+    this.semesterStart = calendarConfig.semesterStart;
+    this.semesterEnd = calendarConfig.semesterEnd;
+    this.slots = calendarConfig.slots.map(slot => ({
+      day: slot.day.toLowerCase(),
+      startTime: slot.startTime,
+      endTime: slot.endTime
+    }));
+    this.holidays = (calendarConfig.holidays || []).map(holiday =>
+      typeof holiday === 'string'
+        ? { from: holiday, to: holiday, name: null }
+        : { from: holiday.from, to: holiday.to || holiday.from, name: holiday.name || null }
+    );
+    this.lessons = this._generateLessons();
+  }
+
+  /**
+   * Validate a calendar config, throws an Error describing the first problem found
+   * @param {Object} calendarConfig - Calendar config to check
+   * @param {string} timeZone - IANA time zone name
+   */
+  static validate(calendarConfig, timeZone) {
+    if (!calendarConfig || typeof calendarConfig !== 'object') {
+      throw new Error('Calendar config must be an object');
+    }
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid time zone for calendar: ${timeZone}`);
+    }
+    for (const field of ['semesterStart', 'semesterEnd']) {
+      if (!DATE_PATTERN.test(calendarConfig[field] || '')) {
+        throw new Error(`Calendar ${field} must be a date (YYYY-MM-DD), got: ${calendarConfig[field]}`);
+      }
+    }
+    if (calendarConfig.semesterStart > calendarConfig.semesterEnd) {
+      throw new Error('Calendar semesterStart must not be after semesterEnd');
+    }
+    if (!Array.isArray(calendarConfig.slots) || calendarConfig.slots.length === 0) {
+      throw new Error('Calendar needs at least one timetable slot');
+    }
+    calendarConfig.slots.forEach(slot => {
+      if (DAY_NUMBERS[(slot.day || '').toLowerCase()] === undefined) {
+        throw new Error(`Invalid day name in calendar slot: ${slot.day}`);
+      }
+      if (!TIME_PATTERN.test(slot.startTime || '') || !TIME_PATTERN.test(slot.endTime || '')) {
+        throw new Error(`Calendar slot times must be HH:MM, got: ${slot.startTime} - ${slot.endTime}`);
+      }
+      if (slot.endTime <= slot.startTime) {
+        throw new Error(`Calendar slot must end after it starts: ${slot.day} ${slot.startTime} - ${slot.endTime}`);
+      }
+    });
+    (calendarConfig.holidays || []).forEach(holiday => {
+      const from = typeof holiday === 'string' ? holiday : holiday?.from;
+      const to = typeof holiday === 'string' ? holiday : (holiday?.to || from);
+      if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to) {
+        throw new Error(`Invalid holiday entry in calendar: ${JSON.stringify(holiday)}`);
+      }
+    });
+  }
+
+  /**
+   * Generate all lesson occurrences between semester start and end, skipping holidays
+   * @private
+   */
+  _generateLessons() {
+    const lessons = [];
+    const end = this.semesterEnd;
+
+    for (let date = parseDate(this.semesterStart); formatDate(date) <= end; date = addDays(date, 1)) {
+      const dateStr = formatDate(date);
+      const holiday = this.getHoliday(dateStr);
+      const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+
+      this.slots
+        .filter(slot => DAY_NUMBERS[slot.day] === weekday && !holiday)
+        .forEach(slot => {
+          const [startHour, startMin] = slot.startTime.split(':').map(Number);
+          const [endHour, endMin] = slot.endTime.split(':').map(Number);
+          lessons.push({
+            date: dateStr,
+            day: slot.day,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            since: zonedTimeToUtc({ ...date, hour: startHour, minute: startMin }, this.timeZone),
+            until: zonedTimeToUtc({ ...date, hour: endHour, minute: endMin }, this.timeZone)
+          });
+        });
+    }
+
+    return lessons
+      .sort((a, b) => a.since - b.since)
+      .map((lesson, index) => ({ number: index + 1, ...lesson }));
+  }
+
+  /**
+   * Holiday/closure covering a date
+   * @param {string} dateStr - Date (YYYY-MM-DD)
+   * @returns {Object|null} Holiday entry ({ from, to, name }) or null
+   */
+  getHoliday(dateStr) {
+    return this.holidays.find(holiday => holiday.from <= dateStr && dateStr <= holiday.to) || null;
+  }
+
+  /**
+   * All lesson occurrences of the semester in chronological order
+   * @returns {Array} Lessons with number (1-based), date, day, startTime, endTime, since, until
+   */
+  getLessons() {
+    return this.lessons;
+  }
+
+  /**
+   * Lesson by its number within the semester
+   * @param {number} number - 1-based lesson number
+   * @returns {Object|null} Lesson or null if there is no such lesson
+   */
+  getLesson(number) {
+    return this.lessons[number - 1] || null;
+  }
+
+  /**
+   * The lesson currently taking place or, between lessons, the most recent one
+   * @param {Date} now - Reference time
+   * @returns {Object|null} Lesson or null if the semester has not started yet
+   */
+  getCurrentLesson(now = new Date()) {
+    let current = null;
+    for (const lesson of this.lessons) {
+      if (lesson.since > now) {
+        break;
+      }
+      current = lesson;
+    }
+    return current;
+  }
+
+  /**
+   * Lessons split into past and upcoming relative to a reference time
+   * @param {Date} now - Reference time
+   * @returns {Object} { current, past, upcoming } where current is the running or most recent lesson
+   */
+  getLessonOverview(now = new Date()) {
+    const current = this.getCurrentLesson(now);
+    return {
+      current,
+      past: this.lessons.filter(lesson => lesson.until <= now),
+      upcoming: this.lessons.filter(lesson => lesson.since > now)
+    };
+  }
+}
@@ -0,0 +1,294 @@
+// Defaults of the "similarity" settings in config.jsonc
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  // Tokens per fingerprinted sequence: shorter matches are noise (winnowing noise threshold)
+  kgram: 12,
+  // Sequences per winnowing window: every match of at least kgram + window - 1 tokens is found
+  window: 8,
+  // Share of the fingerprints of the smaller repository found in the other one
+  minSimilarity: 0.3,
+  // Matching lines needed for a pair to be reported
+  minMatchLines: 5,
+  // Fingerprints found in more than this share of the repositories (and at least 3) are common code,
+  // e.g. starter code or boilerplate every student writes
+  commonCodeShare: 0.5
+};
+
+// Keywords of the languages taught (Java, C#, C, Python, JavaScript); other words are identifiers
+const KEYWORDS = new Set([
+  'abstract', 'and', 'as', 'async', 'await', 'bool', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class',
+  'const', 'continue', 'def', 'default', 'del', 'do', 'double', 'elif', 'else', 'enum', 'except', 'extends',
+  'false', 'False', 'final', 'finally', 'float', 'for', 'foreach', 'from', 'function', 'if', 'implements',
+  'import', 'in', 'instanceof', 'int', 'interface', 'is', 'lambda', 'let', 'long', 'namespace', 'new', 'not',
+  'null', 'None', 'or', 'override', 'package', 'pass', 'private', 'protected', 'public', 'raise', 'return',
+  'short', 'static', 'string', 'struct', 'super', 'switch', 'this', 'throw', 'throws', 'true', 'True', 'try',
+  'using', 'var', 'virtual', 'void', 'while', 'with', 'yield'
+]);
+
+const TOKEN = /[A-Za-z_$][\w$]*|\d[\w.]*|"(?:\\.|[^"\\])*"?|'(?:\\.|[^'\\])*'?|\S/g;
+
+/**
+ * Tokens of a line of code with identifiers, numbers and strings replaced by placeholders, so renamed
+ * variables and changed formatting do not hide a copy; comment lines have no tokens
+ * @param {string} line - Line of code
+ * @returns {Array<string>} Normalized tokens
+ */
+export function normalizeTokens(line) {
+  const code = line.replace(/^\s*(\/\/|#|\/\*|\*).*$/, '').replace(/\s\/\/.*$/, '');
+  return (code.match(TOKEN) || []).map(token => {
+    if (/^[A-Za-z_$]/.test(token)) {
+      return KEYWORDS.has(token) ? token : 'v';
+    }
+    if (/^\d/.test(token)) {
+      return '0';
+    }
+    if (token.startsWith('"') || token.startsWith('\'')) {
+      return '"';
+    }
+    return token;
+  });
+}
+
+/**
+ * Added lines of a file diff with their line numbers in the new version of the file
+ * @param {string} patch - Hunks of one file (files[].patch, "@@ -a,b +c,d @@" headers)
+ * @returns {Array<Object>} [{ line, text }]
+ */
+export function getAddedLines(patch) {
+  const added = [];
+  let line = 0;
+  for (const text of (patch || '').split('\n')) {
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      line = Number(hunk[1]);
+    } else if (text.startsWith('+')) {
+      added.push({ line, text: text.slice(1) });
+      line++;
+    } else if (!text.startsWith('-') && !text.startsWith('\\')) {
+      line++;
+    }
+  }
+  return added;
+}
+
+/**
+ * Select fingerprints by winnowing: the smallest hash of every window of consecutive hashes
+ * (the rightmost one on ties), each position once
+ * @param {Array<number>} hashes - Hashes of the k-grams in document order
+ * @param {number} window - Window size
+ * @returns {Array<number>} Selected positions in ascending order
+ */
+export function winnow(hashes, window) {
+  const selected = [];
+  const windows = Math.max(1, hashes.length - window + 1);
+  for (let start = 0; start < windows && hashes.length > 0; start++) {
+    let min = start;
+    for (let i = start; i < Math.min(start + window, hashes.length); i++) {
+      if (hashes[i] <= hashes[min]) {
+        min = i;
+      }
+    }
+    if (selected[selected.length - 1] !== min) {
+      selected.push(min);
+    }
+  }
+  return selected;
+}
+
+/**
+ * FNV-1a hash of a token sequence
+ * @private
+ */
+function hashTokens(tokens) {
+  let hash = 0x811c9dc5;
+  for (const char of tokens.join('\u0001')) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Finds code that shows up in several repositories of an organization (copied solutions), by comparing
+ * winnowing fingerprints of the lines added in the analyzed commits (MOSS-style)
+ */
+export class SimilarityDetector {
+  /**
+   * @param {Array<Object>} settings - "similarity" settings, e.g. the global and the organization's; later
+   *   settings override earlier ones, unset values keep the defaults
+   * @throws {Error} if a setting is unknown or invalid
+   */
+  constructor(settings = []) {
+    this.settings = { ...DEFAULT_SETTINGS };
+    settings.filter(Boolean).forEach(layer => {
+      SimilarityDetector.validateSettings(layer);
+      Object.assign(this.settings, layer);
+    });
+  }
+
+  /**
+   * Validate "similarity" settings, throws an Error describing the first problem found
+   * @param {Object} settings - Settings to check (see DEFAULT_SETTINGS)
+   */
+  static validateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error('similarity must be an object');
+    }
+    for (const [key, value] of Object.entries(settings)) {
+      if (!(key in DEFAULT_SETTINGS)) {
+        throw new Error(`unknown setting ${key} (known: ${Object.keys(DEFAULT_SETTINGS).join(', ')})`);
+      }
+      const valid = {
+        enabled: typeof value === 'boolean',
+        kgram: Number.isInteger(value) && value >= 1,
+        window: Number.isInteger(value) && value >= 1,
+        minMatchLines: Number.isInteger(value) && value >= 0,
+        minSimilarity: typeof value === 'number' && value >= 0 && value <= 1,
+        commonCodeShare: typeof value === 'number' && value > 0 && value <= 1
+      }[key];
+      if (!valid) {
+        throw new Error(`invalid ${key}: ${JSON.stringify(value)}`);
+      }
+    }
+  }
+
+  /**
+   * Whether similarity detection is switched on
+   * @returns {boolean} true if enabled
+   */
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  /**
+   * Fingerprint the code added in the commits of a repository
+   * Only files with a patch (files[].patch) count; removed files and files excluded by the path rules are skipped.
+   * @param {Array} commits - Commits in REST shape with files[]
+   * @param {PathFilter|null} pathFilter - Path rules of the organization
+   * @returns {Map<number, Object>} Location ({ filename, sha, startLine, endLine }) of the first occurrence per fingerprint
+   */
+  fingerprintRepository(commits, pathFilter = null) {
+    const { kgram, window } = this.settings;
+    const fingerprints = new Map();
+    const sorted = [...commits].sort((a, b) => new Date(a.commit.author.date) - new Date(b.commit.author.date));
+
+    sorted.forEach(commit => (commit.files || []).forEach(file => {
+      if (!file.patch || file.status === 'removed' || (pathFilter && pathFilter.getExclusionRule(file.filename))) {
+        return;
+      }
+      const tokens = getAddedLines(file.patch)
+        .flatMap(({ line, text }) => normalizeTokens(text).map(token => ({ token, line })));
+      if (tokens.length < kgram) {
+        return;
+      }
+      const hashes = [];
+      for (let i = 0; i + kgram <= tokens.length; i++) {
+        hashes.push(hashTokens(tokens.slice(i, i + kgram).map(({ token }) => token)));
+      }
+      winnow(hashes, window).forEach(position => {
+        if (!fingerprints.has(hashes[position])) {
+          fingerprints.set(hashes[position], {
+            filename: file.filename,
+            sha: commit.sha,
+            startLine: tokens[position].line,
+            endLine: tokens[position + kgram - 1].line
+          });
+        }
+      });
+    }));
+    return fingerprints;
+  }
+
+  /**
+   * Compare the repositories of an organization pairwise
+   * @param {Map<string, Map>} documents - Fingerprints (fingerprintRepository) per repository name
+   * @returns {Array<Object>} Similar pairs, most similar first: { repoA, repoB, similarity: share of the
+   *   fingerprints of the smaller repository (0..1), matchedLines, matches: [{ a: location in repoA,
+   *   b: location in repoB, fingerprints }] } with locations { filename, sha, startLine, endLine }
+   */
+  compare(documents) {
+    const names = [...documents.keys()].sort();
+    const repositoriesPerHash = new Map();
+    documents.forEach(fingerprints => fingerprints.forEach((location, hash) => {
+      repositoriesPerHash.set(hash, (repositoriesPerHash.get(hash) || 0) + 1);
+    }));
+    const isCommon = (hash) => {
+      const count = repositoriesPerHash.get(hash);
+      return count >= 3 && count > this.settings.commonCodeShare * names.length;
+    };
+    const ownCounts = new Map(names.map(name => [name, [...documents.get(name).keys()].filter(hash => !isCommon(hash)).length]));
+
+    const pairs = [];
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const pair = this._comparePair(names[i], names[j], documents, isCommon, ownCounts);
+        if (pair) {
+          pairs.push(pair);
+        }
+      }
+    }
+    return pairs.sort((a, b) => b.similarity - a.similarity || b.matchedLines - a.matchedLines);
+  }
+
+  /**
+   * @private
+   */
+  _comparePair(repoA, repoB, documents, isCommon, ownCounts) {
+    const a = documents.get(repoA);
+    const b = documents.get(repoB);
+    const shared = [...a.keys()].filter(hash => b.has(hash) && !isCommon(hash));
+    const smaller = Math.min(ownCounts.get(repoA), ownCounts.get(repoB));
+    if (shared.length === 0 || smaller === 0) {
+      return null;
+    }
+
+    // Neighboring fingerprints in the same files of both repositories form one matching range
+    const locations = shared
+      .map(hash => ({ a: a.get(hash), b: b.get(hash) }))
+      .sort((x, y) => x.a.sha.localeCompare(y.a.sha) || x.a.filename.localeCompare(y.a.filename) || x.a.startLine - y.a.startLine);
+    const matches = [];
+    locations.forEach(({ a: locationA, b: locationB }) => {
+      const last = matches[matches.length - 1];
+      const sameFiles = last && last.a.sha === locationA.sha && last.a.filename === locationA.filename &&
+        last.b.sha === locationB.sha && last.b.filename === locationB.filename;
+      const adjacent = sameFiles && locationA.startLine <= last.a.endLine + 1 &&
+        locationB.startLine <= last.b.endLine + 1 && locationB.endLine >= last.b.startLine - 1;
+      if (adjacent) {
+        last.a.endLine = Math.max(last.a.endLine, locationA.endLine);
+        last.b.startLine = Math.min(last.b.startLine, locationB.startLine);
+        last.b.endLine = Math.max(last.b.endLine, locationB.endLine);
+        last.fingerprints++;
+      } else {
+        matches.push({ a: { ...locationA }, b: { ...locationB }, fingerprints: 1 });
+      }
+    });
+
+    const similarity = Math.round(shared.length / smaller * 100) / 100;
+    const matchedLines = matches.reduce((sum, match) => sum + match.a.endLine - match.a.startLine + 1, 0);
+    if (similarity < this.settings.minSimilarity || matchedLines < this.settings.minMatchLines) {
+      return null;
+    }
+    return { repoA, repoB, similarity, matchedLines, matches };
+  }
+}
+
+/**
+ * Similar pairs from the point of view of one repository, as needed by the SIMILAR_CODE rule
+ * @param {Array<Object>} pairs - Pairs from SimilarityDetector.compare
+ * @param {string} repoName - Repository name
+ * @returns {Array<Object>} [{ repository: the other repository, similarity, matchedLines, matches: [{ own, other, fingerprints }] }]
+ */
+export function getSimilarRepositories(pairs, repoName) {
+  return pairs
+    .filter(pair => pair.repoA === repoName || pair.repoB === repoName)
+    .map(pair => {
+      const own = pair.repoA === repoName ? 'a' : 'b';
+      const other = own === 'a' ? 'b' : 'a';
+      return {
+        repository: own === 'a' ? pair.repoB : pair.repoA,
+        similarity: pair.similarity,
+        matchedLines: pair.matchedLines,
+        matches: pair.matches.map(match => ({ own: match[own], other: match[other], fingerprints: match.fingerprints }))
+      };
+    });
+}
@@ -0,0 +1,175 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+// Measurements of a lesson compared with the baseline
+export const METRICS = ['commits', 'lines', 'pace'];
+
+/**
+ * What a student did in one lesson (time window)
+ * @param {Array} commits - Commits of the lesson in REST shape
+ * @returns {Object} { commits, lines: added + deleted, pace: lines per minute between the first and the
+ *   last commit (at least one minute, so a single commit counts its lines per minute) }
+ */
+export function measureLesson(commits) {
+  const lines = commits.reduce((sum, commit) => sum + (commit.stats?.additions || 0) + (commit.stats?.deletions || 0), 0);
+  const times = commits.map(commit => new Date(commit.commit.author.date).getTime());
+  const minutes = times.length > 0 ? (Math.max(...times) - Math.min(...times)) / 60000 : 0;
+  return { commits: commits.length, lines, pace: Math.round(lines / Math.max(1, minutes) * 10) / 10 };
+}
+
+/**
+ * How far the measurements of a lesson are from the student's baseline
+ * The spread is at least a quarter of the mean and 1, so a student who always made one commit is not
+ * infinitely unusual with two.
+ * @param {Object} baseline - Baseline ({ metrics: { commits: { mean, stdDev }, ... } }, see getBaseline)
+ * @param {Object} current - Measurements of the lesson (see measureLesson)
+ * @returns {Object} Per metric { value, mean, stdDev, z }
+ */
+export function getDeviations(baseline, current) {
+  return Object.fromEntries(METRICS.map(metric => {
+    const { mean, stdDev } = baseline.metrics[metric];
+    const spread = Math.max(stdDev, Math.abs(mean) / 4, 1);
+    return [metric, { value: current[metric], mean, stdDev, z: Math.round((current[metric] - mean) / spread * 10) / 10 }];
+  }));
+}
+
+/**
+ * Key of the student (or team) a repository belongs to in the history
+ * @param {Array} owners - Owners of the repository ([{ key }], see IdentityResolver.getRepositoryOwners)
+ * @param {string} repoName - Repository name, the key if the owners are unknown
+ * @returns {string} Key
+ */
+export function getStudentKey(owners, repoName) {
+  return owners.length > 0 ? owners.map(owner => owner.key).sort().join('+') : `repo:${repoName}`;
+}
+
+/**
+ * Lessons of a student combined over the repositories worked on in each lesson: commits and lines are
+ * added up, the pace is the highest one (the commit times of the repositories are not stored), the flags
+ * are reported once per lesson
+ * @private
+ */
+function combineLessons(entries) {
+  const lessons = new Map();
+  entries.forEach(entry => {
+    const combined = lessons.get(entry.lesson);
+    lessons.set(entry.lesson, !combined ? { ...entry, flags: [...entry.flags] } : {
+      ...combined,
+      commits: combined.commits + entry.commits,
+      lines: combined.lines + entry.lines,
+      pace: Math.max(combined.pace, entry.pace),
+      flags: [...new Set([...combined.flags, ...entry.flags])]
+    });
+  });
+  return [...lessons.values()];
+}
+
+/**
+ * On-disk history of the lessons of every student: commits, lines, pace and reported flags per lesson
+ * and repository, the baseline for scoring a lesson relative to the student's usual behaviour
+ */
+export class StudentHistory {
+  /**
+   * @param {Object} options - { filePath (JSON file, omit for memory only), maxLessons: entries kept per
+   *   student (default 100, oldest lessons are dropped) }
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.maxLessons = options.maxLessons ?? 100;
+    this.students = new Map();
+    this.dirty = false;
+  }
+
+  /**
+   * Load the history from disk (missing or corrupt files start an empty history)
+   */
+  load() {
+    if (!this.filePath || !existsSync(this.filePath)) {
+      return;
+    }
+    try {
+      const content = JSON.parse(readFileSync(this.filePath, 'utf-8'));
+      this.students = new Map(content.students || []);
+    } catch (error) {
+      console.error(`Error loading history ${this.filePath}, starting empty:`, error.message);
+      this.students.clear();
+    }
+  }
+
+  /**
+   * Write the history to disk if anything changed (atomic via temporary file)
+   */
+  save() {
+    if (!this.filePath || !this.dirty) {
+      return;
+    }
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ students: [...this.students] }));
+    renameSync(tmpPath, this.filePath);
+    this.dirty = false;
+  }
+
+  /**
+   * Store the measurements of a lesson, replacing an earlier run for the same lesson and repository
+   * @param {string} organization - Organization
+   * @param {string} student - Key of the student (see getStudentKey)
+   * @param {Object} entry - { lesson: start of the time window (ISO), repository, commits, lines, pace,
+   *   flags: reported flag types }; a lesson without commits is recorded with zeros
+   */
+  record(organization, student, entry) {
+    const key = `${organization}/${student}`;
+    const entries = (this.students.get(key) || [])
+      .filter(existing => existing.lesson !== entry.lesson || existing.repository !== entry.repository);
+    entries.push({ ...entry, flags: [...new Set(entry.flags || [])] });
+    entries.sort((a, b) => a.lesson.localeCompare(b.lesson));
+    // maxLessons counts lessons, not repositories: all entries of the newest lessons are kept
+    const kept = new Set([...new Set(entries.map(existing => existing.lesson))].slice(-this.maxLessons));
+    this.students.set(key, entries.filter(existing => kept.has(existing.lesson)));
+    this.dirty = true;
+  }
+
+  /**
+   * @returns {Object} { students, lessons }
+   */
+  getStats() {
+    const lessons = [...this.students.values()].reduce((sum, entries) => sum + entries.length, 0);
+    return { students: this.students.size, lessons };
+  }
+
+  /**
+   * @param {string} organization - Organization
+   * @param {string} student - Key of the student
+   * @returns {Array} Stored lessons, oldest first
+   */
+  getLessons(organization, student) {
+    return this.students.get(`${organization}/${student}`) || [];
+  }
+
+  /**
+   * Usual behaviour of a student in the lessons before a lesson, every lesson counted once with the
+   * repositories worked on in it combined
+   * @param {string} organization - Organization
+   * @param {string} student - Key of the student
+   * @param {string} lesson - Start of the lesson being analyzed (ISO); only earlier lessons count
+   * @returns {Object|null} { lessons: number of earlier lessons, metrics: per metric { mean, stdDev },
+   *   flags: number of earlier lessons per reported flag type }, null without earlier lessons
+   */
+  getBaseline(organization, student, lesson) {
+    const earlier = combineLessons(this.getLessons(organization, student).filter(entry => entry.lesson < lesson));
+    if (earlier.length === 0) {
+      return null;
+    }
+    const metrics = Object.fromEntries(METRICS.map(metric => {
+      const values = earlier.map(entry => entry[metric]);
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+      return [metric, { mean: Math.round(mean * 10) / 10, stdDev: Math.round(Math.sqrt(variance) * 10) / 10 }];
+    }));
+    const flags = {};
+    earlier.forEach(entry => entry.flags.forEach(type => {
+      flags[type] = (flags[type] || 0) + 1;
+    }));
+    return { lessons: earlier.length, metrics, flags };
+  }
+}
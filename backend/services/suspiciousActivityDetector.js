@@ -1,37 +1,93 @@
+import { formatUtcOffset, getLocalTimeZone, getTimeZoneOffset, getZonedParts } from './timezone.js';
+import { BUILTIN_RULES, SEVERITIES } from './rules/index.js';
+import { getDeviations, measureLesson } from './studentHistory.js';
+
+// Minimum scores of the 🔴 and 🟡 reports, lower scores are 🟢
+const DEFAULT_SCORE_BANDS = { high: 50, medium: 25 };
+
+// Comparison with the student's earlier lessons: lessons needed for a baseline, share of the earlier
+// lessons a rule must have reported to be usual for the student, and the factor for its points then
+const DEFAULT_BASELINE = { minLessons: 3, usualShare: 0.5, usualPointsFactor: 0.5 };
+
 export class SuspiciousActivityDetector {
-  constructor() {
-    this.thresholds = {
-      // Mass activity pattern (HIGHEST PRIORITY)
-      massActivityMinCommits: 3,
-      massActivityMinLines: 200,
-      massActivityMaxMinutes: 10,
-      // Lines per commit
-      massCommitLines: 300,
-      // Lines per minute between commits
-      unrealisticSpeed: 100,
-      // Time between commits (seconds)
-      rapidFireInterval: 120, // 2 minutes
-      // Ratio of additions to deletions
-      noCorrectionsRatio: 20,
-      // Generic commit messages
-      genericMessages: ['update', 'fix', 'done', 'asdf', 'test', 'commit', '.', '..', '...']
-    };
+  /**
+   * @param {Array<Object>} settings - "suspiciousActivity" settings ({ thresholds, rules, scoreBands, baseline }), e.g. the
+   *   global and the organization's; later settings override earlier ones, unset values keep the defaults
+   * @param {Array<Object>} extraRules - Rules in addition to the built-in ones (see BUILTIN_RULES, loadRules)
+   * @throws {Error} if a rule conflicts with another one or a setting is unknown or invalid
+   */
+  constructor(settings = [], extraRules = []) {
+    this.definitions = [...BUILTIN_RULES, ...extraRules];
+    this.thresholds = {};
+    this.rules = {};
+    this.scoreBands = { ...DEFAULT_SCORE_BANDS };
+    this.baseline = { ...DEFAULT_BASELINE };
+
+    const thresholdOwners = {};
+    this.definitions.forEach(definition => {
+      if (this.rules[definition.type]) {
+        throw new Error(`rule ${definition.type} is defined twice`);
+      }
+      this.rules[definition.type] = { ...definition.settings };
+      for (const [name, value] of Object.entries(definition.thresholds || {})) {
+        if (name in thresholdOwners) {
+          throw new Error(`threshold ${name} of rule ${definition.type} is already defined by ${thresholdOwners[name]}`);
+        }
+        thresholdOwners[name] = definition.type;
+        this.thresholds[name] = value;
+      }
+    });
+    this.definitions.forEach(definition => {
+      const unknown = (definition.suppresses || []).find(type => !this.rules[type]);
+      if (unknown) {
+        throw new Error(`rule ${definition.type} suppresses unknown rule ${unknown}`);
+      }
+    });
+
+    settings.filter(Boolean).forEach(layer => {
+      this._validateSettings(layer);
+      Object.assign(this.thresholds, layer.thresholds);
+      Object.entries(layer.rules || {}).forEach(([type, rule]) => Object.assign(this.rules[type], rule));
+      Object.assign(this.scoreBands, layer.scoreBands);
+      Object.assign(this.baseline, layer.baseline);
+    });
+
+    if (this.scoreBands.medium > this.scoreBands.high) {
+      throw new Error(`scoreBands.medium (${this.scoreBands.medium}) must not be above scoreBands.high (${this.scoreBands.high})`);
+    }
+  }
+
+  /**
+   * Whether an enabled rule reads the hunks of the changed files (files[].patch)
+   * @returns {boolean}
+   */
+  needsPatches() {
+    return this.definitions.some(definition => definition.needsPatches && this.rules[definition.type].enabled);
   }
 
   /**
    * Analyze commits for suspicious patterns
+   * Every enabled rule checks the commits; flags of rules suppressed by another rule that reported a
+   * flag are left out and do not count. With a baseline of enough earlier lessons, flags of rules that
+   * reported most earlier lessons of the student too count less (usual for the student).
    * @param {Array} commits - Array of detailed commit objects
    * @param {string} repoName - Repository name
-   * @returns {Object} Suspicious activity report
+   * @param {Object} options - { window: time window the commits were selected for ({ since, until }),
+   *   owners: people the repository belongs to ([{ key, name }], see IdentityResolver.getRepositoryOwners),
+   *   resolveAuthor: commit => identity with key, name, anonymous and rosterStudent, similarity: similar
+   *   repositories (see getSimilarRepositories), pathFilter: files counted in the statistics, baseline: the
+   *   student's earlier lessons (see StudentHistory.getBaseline) }; without window commit and push times are not checked,
+   *   without owners commits of other people are not checked
+   * @returns {Object} Suspicious activity report ({ repoName, score, flags, contributions: points per
+   *   rule that reported flags ([{ type, flags, points, suppressedBy }]), commitCount, totalLines,
+   *   measurements: commits, lines and pace of the lesson (see measureLesson), baseline: { lessons, flags,
+   *   deviations } or null })
    */
-  analyze(commits, repoName) {
+  analyze(commits, repoName, options = {}) {
     if (!commits || commits.length === 0) {
-      return { score: 0, flags: [], repoName };
+      return { score: 0, flags: [], contributions: [], repoName };
     }
 
-    const flags = [];
-    let score = 0;
-
     // Sort commits by date
     const sortedCommits = [...commits].sort((a, b) => 
       new Date(a.commit.author.date) - new Date(b.commit.author.date)
@@ -40,160 +96,172 @@ export class SuspiciousActivityDetector {
     // Calculate total lines
     const totalAdditions = sortedCommits.reduce((sum, c) => sum + (c.stats?.additions || 0), 0);
     const totalDeletions = sortedCommits.reduce((sum, c) => sum + (c.stats?.deletions || 0), 0);
-    const totalLines = totalAdditions + totalDeletions;
+    const measurements = measureLesson(sortedCommits);
+    const baseline = options.baseline && options.baseline.lessons >= this.baseline.minLessons
+      ? { lessons: options.baseline.lessons, flags: options.baseline.flags, deviations: getDeviations(options.baseline, measurements) }
+      : null;
+    const context = {
+      commits: sortedCommits,
+      repoName,
+      window: options.window || null,
+      owners: options.owners || [],
+      resolveAuthor: options.resolveAuthor || null,
+      similarity: options.similarity || [],
+      pathFilter: options.pathFilter || null,
+      baseline,
+      totals: { additions: totalAdditions, deletions: totalDeletions, lines: totalAdditions + totalDeletions },
+      thresholds: this.thresholds
+    };
 
-    // Check 0: MASS ACTIVITY - Many commits with big changes in short time (HIGHEST PRIORITY)
-    if (sortedCommits.length >= this.thresholds.massActivityMinCommits) {
-      const firstTime = new Date(sortedCommits[0].commit.author.date);
-      const lastTime = new Date(sortedCommits[sortedCommits.length - 1].commit.author.date);
-      const durationMinutes = (lastTime - firstTime) / 1000 / 60;
-      
-      if (totalLines >= this.thresholds.massActivityMinLines && 
-          durationMinutes <= this.thresholds.massActivityMaxMinutes) {
-        const severity = totalLines >= 500 ? 'high' : totalLines >= 300 ? 'medium' : 'medium';
-        const basePoints = 50;
-        // Scale points based on intensity
-        const intensityMultiplier = Math.min(2, totalLines / 300);
-        const points = Math.round(basePoints * intensityMultiplier);
-        
-        flags.push({
-          type: 'MASS_ACTIVITY',
-          severity: severity,
-          message: `${sortedCommits.length} commits, ${totalLines} lines in ${Math.round(durationMinutes)} minutes`,
-          points: points
-        });
-        score += points;
+    const results = [];
+    this.definitions.forEach(definition => {
+      const settings = this.rules[definition.type];
+      if (!settings.enabled) {
+        return;
       }
-    }
-
-    // Check 1: Mass commit (single commit with too many lines)
-    sortedCommits.forEach((commit, idx) => {
-      const commitLines = (commit.stats?.additions || 0) + (commit.stats?.deletions || 0);
-      if (commitLines > this.thresholds.massCommitLines) {
-        flags.push({
-          type: 'MASS_COMMIT',
-          severity: 'high',
-          message: `Commit ${idx + 1}: ${commitLines} lines in single commit`,
-          points: 20
-        });
-        score += 20;
+      let found;
+      try {
+        found = definition.check({ ...context, settings }) || [];
+      } catch (error) {
+        // A broken additional rule must not stop the report of the other rules
+        console.error(`⚠️  Rule ${definition.type} failed for ${repoName}: ${error.message}`);
+        return;
+      }
+      if (found.length > 0) {
+        const flags = found.map(flag => ({ type: definition.type, severity: settings.severity, points: settings.points, ...flag }));
+        results.push({ definition, flags: this._scoreRelativeToBaseline(flags, definition.type, baseline) });
       }
     });
 
-    // Check 2: Only one commit for entire exercise
-    if (sortedCommits.length === 1 && sortedCommits[0].stats) {
-      const lines = sortedCommits[0].stats.additions || 0;
-      if (lines > 50) {
-        flags.push({
-          type: 'SINGLE_COMMIT',
-          severity: 'high',
-          message: `Entire exercise (${lines} lines) in single commit`,
-          points: 20
-        });
-        score += 20;
+    const suppressedBy = new Map();
+    results.forEach(({ definition }) => (definition.suppresses || []).forEach(type => {
+      if (!suppressedBy.has(type)) {
+        suppressedBy.set(type, definition.type);
       }
+    }));
+
+    const counted = results.filter(({ definition }) => !suppressedBy.has(definition.type));
+    const flags = counted.flatMap(result => result.flags);
+    const score = flags.reduce((sum, flag) => sum + flag.points, 0);
+    const contributions = results.map(({ definition, flags: ruleFlags }) => ({
+      type: definition.type,
+      flags: ruleFlags.length,
+      points: suppressedBy.has(definition.type) ? 0 : ruleFlags.reduce((sum, flag) => sum + flag.points, 0),
+      suppressedBy: suppressedBy.get(definition.type) || null
+    }));
+
+    return {
+      repoName,
+      score: Math.min(score, 100), // Cap at 100
+      flags,
+      contributions,
+      commitCount: sortedCommits.length,
+      totalLines: totalAdditions + totalDeletions,
+      measurements,
+      baseline
+    };
+  }
+
+  /**
+   * Lower the points of flags the rule also reported in most earlier lessons of the student
+   * @param {Array} flags - Flags of a rule
+   * @param {string} type - Rule type
+   * @param {Object|null} baseline - Baseline of the context
+   * @returns {Array} Flags, usual ones with reduced points and usual: { lessons: earlier lessons with the
+   *   flag, of: earlier lessons }
+   * @private
+   */
+  _scoreRelativeToBaseline(flags, type, baseline) {
+    const reported = baseline?.flags[type] || 0;
+    if (!baseline || reported / baseline.lessons < this.baseline.usualShare) {
+      return flags;
     }
+    return flags.map(flag => ({
+      ...flag,
+      points: Math.round(flag.points * this.baseline.usualPointsFactor),
+      usual: { lessons: reported, of: baseline.lessons }
+    }));
+  }
 
-    // Check 3: No corrections (too many additions vs deletions)
-    if (totalDeletions > 0) {
-      const ratio = totalAdditions / totalDeletions;
-      if (ratio > this.thresholds.noCorrectionsRatio) {
-        flags.push({
-          type: 'NO_CORRECTIONS',
-          severity: 'low',
-          message: `Ratio ${ratio.toFixed(1)}:1 additions/deletions (no mistakes/refactoring)`,
-          points: 10
-        });
-        score += 10;
-      }
-    } else if (totalAdditions > 100) {
-      // Only additions, no deletions at all
-      flags.push({
-        type: 'ONLY_ADDITIONS',
-        severity: 'low',
-        message: `${totalAdditions} additions, 0 deletions (no corrections)`,
-        points: 12
-      });
-      score += 12;
+  /**
+   * Validate "suspiciousActivity" settings against the rules of this detector, throws an Error
+   * describing the first problem found
+   * @param {Object} settings - Settings to check ({ thresholds, rules, scoreBands, baseline }, all optional)
+   * @private
+   */
+  _validateSettings(settings) {
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (!isObject(settings)) {
+      throw new Error('suspiciousActivity must be an object with thresholds, rules, scoreBands and baseline');
+    }
+    const unknown = Object.keys(settings).filter(key => !['thresholds', 'rules', 'scoreBands', 'baseline'].includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`unknown setting ${unknown[0]} (expected thresholds, rules, scoreBands or baseline)`);
     }
 
-    // Check 4: Rapid-fire commits (all within short time)
-    if (sortedCommits.length >= 2) {
-      const firstTime = new Date(sortedCommits[0].commit.author.date);
-      const lastTime = new Date(sortedCommits[sortedCommits.length - 1].commit.author.date);
-      const durationSeconds = (lastTime - firstTime) / 1000;
-      
-      // Only flag if not already caught by MASS_ACTIVITY
-      const alreadyFlaggedMassActivity = flags.some(f => f.type === 'MASS_ACTIVITY');
-      if (durationSeconds < this.thresholds.rapidFireInterval && 
-          sortedCommits.length >= 3 && 
-          !alreadyFlaggedMassActivity) {
-        flags.push({
-          type: 'RAPID_FIRE',
-          severity: 'medium',
-          message: `${sortedCommits.length} commits in ${Math.round(durationSeconds)}s`,
-          points: 15
-        });
-        score += 15;
-      }
-
-      // Check unrealistic speed
-      for (let i = 1; i < sortedCommits.length; i++) {
-        const prev = sortedCommits[i - 1];
-        const curr = sortedCommits[i];
-        const timeDiff = (new Date(curr.commit.author.date) - new Date(prev.commit.author.date)) / 1000 / 60; // minutes
-        const linesDiff = (curr.stats?.additions || 0) + (curr.stats?.deletions || 0);
-        
-        if (timeDiff > 0) {
-          const linesPerMinute = linesDiff / timeDiff;
-          if (linesPerMinute > this.thresholds.unrealisticSpeed) {
-            flags.push({
-              type: 'UNREALISTIC_SPEED',
-              severity: 'high',
-              message: `${Math.round(linesPerMinute)} lines/min between commits ${i} and ${i + 1}`,
-              points: 25
-            });
-            score += 25;
-            break; // Only report once
-          }
+    for (const [section, value] of Object.entries(settings)) {
+      if (!isObject(value)) {
+        throw new Error(`${section} must be an object`);
+      }
+    }
+
+    for (const [name, value] of Object.entries(settings.thresholds || {})) {
+      if (!(name in this.thresholds)) {
+        throw new Error(`unknown threshold ${name} (known: ${Object.keys(this.thresholds).join(', ')})`);
+      }
+      if (Array.isArray(this.thresholds[name])) {
+        if (!Array.isArray(value) || value.some(message => typeof message !== 'string')) {
+          throw new Error(`thresholds.${name} must be a list of messages`);
         }
+      } else if (!isNumber(value)) {
+        throw new Error(`thresholds.${name} must be a non-negative number, got: ${JSON.stringify(value)}`);
       }
     }
 
-    // Check 5: Generic/empty commit messages
-    let genericCount = 0;
-    sortedCommits.forEach((commit) => {
-      const msg = (commit.commit.message || '').trim().toLowerCase();
-      if (!msg || this.thresholds.genericMessages.includes(msg)) {
-        genericCount++;
+    for (const [type, rule] of Object.entries(settings.rules || {})) {
+      const definition = this.definitions.find(candidate => candidate.type === type);
+      if (!definition) {
+        throw new Error(`unknown rule ${type} (known: ${Object.keys(this.rules).join(', ')})`);
       }
-    });
+      if (!isObject(rule)) {
+        throw new Error(`rules.${type} must be an object with enabled, points and severity`);
+      }
+      for (const [key, value] of Object.entries(rule)) {
+        const defaultValue = definition.settings[key];
+        if (defaultValue === undefined) {
+          throw new Error(`unknown setting rules.${type}.${key} (known: ${Object.keys(definition.settings).join(', ')})`);
+        }
+        if (typeof defaultValue === 'boolean' && typeof value !== 'boolean') {
+          throw new Error(`rules.${type}.${key} must be true or false, got: ${JSON.stringify(value)}`);
+        }
+        if (typeof defaultValue === 'number' && !isNumber(value)) {
+          throw new Error(`rules.${type}.${key} must be a non-negative number, got: ${JSON.stringify(value)}`);
+        }
+        if (SEVERITIES.includes(defaultValue) && !SEVERITIES.includes(value)) {
+          throw new Error(`rules.${type}.${key} must be one of ${SEVERITIES.join(', ')}, got: ${JSON.stringify(value)}`);
+        }
+      }
+    }
 
-    if (genericCount > 0 && genericCount === sortedCommits.length) {
-      flags.push({
-        type: 'GENERIC_MESSAGES',
-        severity: 'low',
-        message: `All ${genericCount} commit messages are generic/empty`,
-        points: 8
-      });
-      score += 8;
-    } else if (genericCount >= sortedCommits.length * 0.7) {
-      flags.push({
-        type: 'MOSTLY_GENERIC',
-        severity: 'low',
-        message: `${genericCount}/${sortedCommits.length} commit messages are generic`,
-        points: 5
-      });
-      score += 5;
+    for (const [band, value] of Object.entries(settings.scoreBands || {})) {
+      if (!(band in DEFAULT_SCORE_BANDS)) {
+        throw new Error(`unknown score band ${band} (expected high or medium)`);
+      }
+      if (!isNumber(value) || value > 100) {
+        throw new Error(`scoreBands.${band} must be a number from 0 to 100, got: ${JSON.stringify(value)}`);
+      }
     }
 
-    return {
-      repoName,
-      score: Math.min(score, 100), // Cap at 100
-      flags,
-      commitCount: sortedCommits.length,
-      totalLines: totalAdditions + totalDeletions
-    };
+    for (const [name, value] of Object.entries(settings.baseline || {})) {
+      if (!(name in DEFAULT_BASELINE)) {
+        throw new Error(`unknown setting baseline.${name} (known: ${Object.keys(DEFAULT_BASELINE).join(', ')})`);
+      }
+      const valid = name === 'minLessons' ? Number.isInteger(value) && value >= 1 : isNumber(value) && value <= 1;
+      if (!valid) {
+        throw new Error(`baseline.${name} must be ${name === 'minLessons' ? 'a positive integer' : 'a number from 0 to 1'}, got: ${JSON.stringify(value)}`);
+      }
+    }
   }
 
   /**
@@ -201,8 +269,9 @@ export class SuspiciousActivityDetector {
    * @param {Array} reports - Array of analysis reports
    * @param {Date} since - Start of time window
    * @param {Date} until - End of time window
+   * @param {string} timeZone - IANA time zone used for the suggested git command (defaults to server zone)
    */
-  printReport(reports, since, until) {
+  printReport(reports, since, until, timeZone = getLocalTimeZone()) {
     const suspicious = reports.filter(r => r.score > 0).sort((a, b) => b.score - a.score);
     
     if (suspicious.length === 0) {
@@ -214,22 +283,40 @@ export class SuspiciousActivityDetector {
     console.log('═'.repeat(80));
     
     suspicious.forEach(report => {
-      const color = report.score >= 50 ? '🔴' : report.score >= 25 ? '🟡' : '🟢';
+      const color = report.score >= this.scoreBands.high ? '🔴' : report.score >= this.scoreBands.medium ? '🟡' : '🟢';
       console.log(`\n${color} ${report.repoName} (Suspicion Score: ${report.score}/100)`);
       console.log(`   📊 ${report.commitCount} commits, ${report.totalLines} lines changed`);
+      if (report.baseline) {
+        const { commits, lines, pace } = report.baseline.deviations;
+        console.log(`   📈 Usually ${commits.mean} commits, ${lines.mean} lines, ${pace.mean} lines/min (${report.baseline.lessons} earlier lessons)`);
+      }
       
       report.flags.forEach(flag => {
         const severity = flag.severity === 'high' ? '❗' : flag.severity === 'medium' ? '⚠️ ' : 'ℹ️ ';
-        console.log(`   ${severity} ${flag.message} (+${flag.points} points)`);
+        const usual = flag.usual ? `, usual for this student: ${flag.usual.lessons} of ${flag.usual.of} earlier lessons` : '';
+        console.log(`   ${severity} ${flag.message} (+${flag.points} points${usual})`);
+        const definition = this.definitions.find(candidate => candidate.type === flag.type);
+        if (flag.details && definition?.formatDetails) {
+          const formatDate = (date) => date ? this._formatDateForGit(new Date(date), timeZone) : 'unknown';
+          definition.formatDetails(flag.details, formatDate).forEach(line => console.log(`      ${line}`));
+        }
       });
+      // Points per rule, including rules whose flags were not counted because another rule covers them
+      const contributions = report.contributions || [];
+      if (contributions.length > 0) {
+        const parts = contributions.map(({ type, points, suppressedBy }) => suppressedBy
+          ? `${type} suppressed by ${suppressedBy}`
+          : `${type} +${points}`);
+        console.log(`   🧮 ${parts.join(', ')}`);
+      }
     });
 
     console.log('\n' + '═'.repeat(80));
     console.log(`📌 Total: ${suspicious.length} repositories flagged for review\n`);
     
     // Format dates for git log command
-    const sinceStr = this._formatDateForGit(since);
-    const untilStr = this._formatDateForGit(until);
+    const sinceStr = this._formatDateForGit(since, timeZone);
+    const untilStr = this._formatDateForGit(until, timeZone);
     
     console.log('💡 You can get more details by running the following command in each repository:');
     console.log(`   git log --since="${sinceStr}" --until="${untilStr}" --pretty=format:"%h %ad %s" --date=iso --stat HEAD\n`);
@@ -237,15 +324,15 @@ export class SuspiciousActivityDetector {
 
   /**
    * Format Date object for git log command
+   * The offset is included so the command works regardless of the time zone of the machine running git
    * @param {Date} date - Date to format
-   * @returns {string} Formatted date string
+   * @param {string} timeZone - IANA time zone to express the date in
+   * @returns {string} Formatted date string (e.g. '2026-03-23 09:55 +0100')
    */
-  _formatDateForGit(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    return `${year}-${month}-${day} ${hours}:${minutes}`;
+  _formatDateForGit(date, timeZone = getLocalTimeZone()) {
+    const parts = getZonedParts(date, timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+    const offset = formatUtcOffset(getTimeZoneOffset(date, timeZone), '');
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)} ${offset}`;
   }
 }
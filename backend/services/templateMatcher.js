@@ -0,0 +1,121 @@
+/**
+ * Parse the template reference of an organization ("template" in config.jsonc)
+ * @param {string} reference - "owner/repo", or "repo" for a repository of the organization itself
+ * @param {string} organization - Name of the organization
+ * @returns {Object} { owner, repo }
+ * @throws {Error} if the reference is malformed
+ */
+export function parseTemplateReference(reference, organization) {
+  if (typeof reference !== 'string' || !/^([^/\s]+\/)?[^/\s]+$/.test(reference.trim())) {
+    throw new Error(`template must be "owner/repo" or the name of a repository of ${organization}, got: ${JSON.stringify(reference)}`);
+  }
+  const parts = reference.trim().split('/');
+  return parts.length === 2 ? { owner: parts[0], repo: parts[1] } : { owner: organization, repo: parts[0] };
+}
+
+/**
+ * Recognizes starter code from a template repository (e.g. of a GitHub Classroom assignment) in student commits
+ *
+ * - Template commits: the same SHA (repository created with the template's history) or the same tree
+ *   (repository created as a copy of the template, or the template pushed again) as a template commit
+ * - Template files: changed files whose content (blob SHA) equals a file of the template, e.g. when a
+ *   student re-imports the starter code. A commit consisting only of template files counts as template commit.
+ */
+export class TemplateMatcher {
+  /**
+   * @param {Object} content - Template content ({ commits: [{ sha, tree }], files: [{ path, sha }] }, see
+   *   getTemplateContent of the providers)
+   * @param {string} source - Template reference (for reports)
+   */
+  constructor({ commits = [], files = [] } = {}, source = 'template') {
+    this.source = source;
+    this.commitShas = new Set(commits.map(commit => commit.sha));
+    this.treeShas = new Set(commits.map(commit => commit.tree).filter(Boolean));
+    this.blobs = new Map(files.map(file => [file.sha, file.path]));
+  }
+
+  /**
+   * Why a commit is a template commit
+   * @param {Object} commit - Commit in REST shape
+   * @returns {string|null} 'template commit', 'template tree' or null
+   */
+  getCommitMatch(commit) {
+    if (this.commitShas.has(commit.sha)) {
+      return 'template commit';
+    }
+    if (commit.commit?.tree?.sha && this.treeShas.has(commit.commit.tree.sha)) {
+      return 'template tree';
+    }
+    return null;
+  }
+
+  /**
+   * Template file a changed file matches
+   * @param {Object} file - Entry of commit.files[] ({ filename, sha: blob SHA after the change, status })
+   * @returns {string|null} Path of the template file, or null
+   */
+  getFileMatch(file) {
+    if (!file.sha || file.status === 'removed' || (file.additions || 0) === 0) {
+      return null;
+    }
+    return this.blobs.get(file.sha) ?? null;
+  }
+
+  /**
+   * Remove starter code from commits
+   * @param {Array} commits - Commits in REST shape (files[] are needed to recognize template files)
+   * @returns {Object} { commits: template commits left out, template files removed from files[] and stats,
+   *   excluded: [{ sha, date, message, reason: 'template commit'|'template tree'|'template files'|'template file',
+   *   filename (for single files), lines }] }
+   */
+  apply(commits) {
+    const kept = [];
+    const excluded = [];
+
+    commits.forEach(commit => {
+      const base = { sha: commit.sha, date: commit.commit.author.date, message: (commit.commit.message || '').split('\n')[0] };
+      const reason = this.getCommitMatch(commit);
+      if (reason) {
+        excluded.push({ ...base, reason, filename: null, lines: (commit.stats?.additions || 0) + (commit.stats?.deletions || 0) });
+        return;
+      }
+
+      const files = commit.files || [];
+      const templateFiles = files.filter(file => this.getFileMatch(file) !== null);
+      if (templateFiles.length === 0) {
+        kept.push(commit);
+        return;
+      }
+      const lines = (file) => (file.additions || 0) + (file.deletions || 0);
+      if (templateFiles.length === files.length) {
+        excluded.push({ ...base, reason: 'template files', filename: null, lines: templateFiles.reduce((sum, file) => sum + lines(file), 0) });
+        return;
+      }
+
+      templateFiles.forEach(file => excluded.push({ ...base, reason: 'template file', filename: file.filename, lines: lines(file) }));
+      const remaining = files.filter(file => !templateFiles.includes(file));
+      const additions = remaining.reduce((sum, file) => sum + (file.additions || 0), 0);
+      const deletions = remaining.reduce((sum, file) => sum + (file.deletions || 0), 0);
+      kept.push({ ...commit, files: remaining, stats: { additions, deletions, total: additions + deletions } });
+    });
+
+    return { commits: kept, excluded };
+  }
+}
+
+/**
+ * Per-repository summary of the starter code left out
+ * @param {Array} excluded - Exclusions from TemplateMatcher.apply (possibly of several time windows)
+ * @returns {Object} { commits: number of template commits, files: number of template files in other commits,
+ *   lines: excluded lines, excluded: exclusions de-duplicated by commit and file }
+ */
+export function summarizeTemplateExclusions(excluded) {
+  const unique = new Map(excluded.map(entry => [`${entry.sha}:${entry.filename ?? ''}`, entry]));
+  const entries = [...unique.values()];
+  return {
+    commits: entries.filter(entry => entry.filename === null).length,
+    files: entries.filter(entry => entry.filename !== null).length,
+    lines: entries.reduce((sum, entry) => sum + entry.lines, 0),
+    excluded: entries
+  };
+}
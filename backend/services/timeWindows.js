@@ -0,0 +1,18 @@
+/**
+ * Time window selected by the ?window= query parameter of /api/stats and /api/similarity
+ * @param {string|undefined} windowParam - Value of the parameter: omitted or "all" for all time windows,
+ *   otherwise the index of a time window
+ * @param {number} count - Number of time windows
+ * @returns {number|string|null} Index of the time window, 'all', or null for an invalid value (also an
+ *   empty one: Number('') would be window 0)
+ */
+export function parseWindowParam(windowParam, count) {
+  if (windowParam === undefined || windowParam === 'all') {
+    return 'all';
+  }
+  if (typeof windowParam !== 'string' || !/^\d+$/.test(windowParam)) {
+    return null;
+  }
+  const index = Number(windowParam);
+  return index < count ? index : null;
+}
@@ -0,0 +1,142 @@
+// Helpers for computing wall-clock times in an IANA time zone (e.g. 'Europe/Vienna')
+// independent of the time zone the server process runs in.
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Time zone of the server process (used when no time zone is configured)
+ * @returns {string} IANA time zone name
+ */
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ * @param {string} timeZone - Time zone name (e.g. 'Europe/Vienna')
+ * @returns {boolean} True if the runtime knows the time zone
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar fields of a point in time as seen in a time zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  });
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  return { ...parts, weekday };
+}
+
+/**
+ * Offset of a time zone from UTC at a given point in time
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in minutes (e.g. 60 for CET, 120 for CEST)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const truncated = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - truncated) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a time zone to the corresponding point in time
+ * Times skipped by a DST switch are shifted forward by the gap, ambiguous times
+ * (repeated hour in autumn) resolve to the earlier occurrence.
+ * @param {Object} localTime - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Point in time
+ */
+export function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+
+  // Try the offsets in effect shortly before and after the wall-clock time,
+  // the earliest candidate that maps back to the requested time wins.
+  const offsets = new Set([
+    getTimeZoneOffset(new Date(asUtc - 24 * 3600000), timeZone),
+    getTimeZoneOffset(new Date(asUtc), timeZone),
+    getTimeZoneOffset(new Date(asUtc + 24 * 3600000), timeZone)
+  ]);
+  const candidates = [...offsets]
+    .map(offset => asUtc - offset * 60000)
+    .filter(time => getTimeZoneOffset(new Date(time), timeZone) * 60000 === asUtc - time)
+    .sort((a, b) => a - b);
+
+  if (candidates.length > 0) {
+    return new Date(candidates[0]);
+  }
+
+  // Wall-clock time does not exist (spring forward gap): use the offset before the switch
+  const offsetBefore = getTimeZoneOffset(new Date(asUtc - 24 * 3600000), timeZone);
+  return new Date(asUtc - offsetBefore * 60000);
+}
+
+/**
+ * Add days to a calendar date (without any time zone influence)
+ * @param {Object} date - { year, month (1-12), day }
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {Object} { year, month, day }
+ */
+export function addDays({ year, month, day }, days) {
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+/**
+ * Format an offset from UTC
+ * @param {number} offset - Offset in minutes (see getTimeZoneOffset)
+ * @param {string} separator - Between hours and minutes (':' for ISO 8601, '' for git)
+ * @returns {string} e.g. '+01:00' or '-0330'
+ */
+export function formatUtcOffset(offset, separator = ':') {
+  const pad = (value) => String(value).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(offset) / 60))}${separator}${pad(Math.abs(offset) % 60)}`;
+}
+
+/**
+ * Format a point in time as ISO 8601 string with the local offset of a time zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} e.g. '2026-03-23T09:55:00+01:00'
+ */
+export function formatZonedIso(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${formatUtcOffset(getTimeZoneOffset(date, timeZone))}`;
+}
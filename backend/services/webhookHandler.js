@@ -0,0 +1,74 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { toApiDate } from './apiService.js';
+
+/**
+ * Verify the X-Hub-Signature-256 header of a GitHub webhook delivery
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signatureHeader - Header value ("sha256=<hex digest>")
+ * @param {string} secret - Webhook secret configured on GitHub
+ * @returns {boolean} True if the body was signed with the secret
+ */
+export function verifySignature(rawBody, signatureHeader, secret) {
+  if (!rawBody || !secret || typeof signatureHeader !== 'string' || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+  const expected = Buffer.from(`sha256=${createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const received = Buffer.from(signatureHeader);
+  // timingSafeEqual requires equal lengths, a different length can never match
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Extract what the analysis needs from a push event payload
+ * @param {Object} payload - Parsed body of a "push" delivery
+ * @returns {Object|null} { owner, repository: { name, html_url, default_branch, archived, fork, is_template,
+ *   topics, created_at }, branch, deleted, forced, pushedAt: ISO date of the push,
+ *   commits: [{ sha, date, authorName, message }] } or null if the push is not to a branch (e.g. tags)
+ */
+export function parsePushEvent(payload) {
+  if (!payload?.repository || typeof payload.ref !== 'string' || !payload.ref.startsWith('refs/heads/')) {
+    return null;
+  }
+
+  const repository = payload.repository;
+  return {
+    owner: repository.owner?.login || repository.owner?.name,
+    repository: {
+      name: repository.name,
+      html_url: repository.html_url,
+      default_branch: repository.default_branch,
+      // For the repository filter rules when a new repository is pushed to
+      archived: repository.archived === true,
+      fork: repository.fork === true,
+      is_template: repository.is_template === true,
+      topics: repository.topics || [],
+      created_at: repository.created_at ?? null
+    },
+    branch: payload.ref.slice('refs/heads/'.length),
+    deleted: payload.deleted === true,
+    forced: payload.forced === true,
+    // pushed_at is a Unix timestamp in push deliveries, the delivery time is a fallback
+    pushedAt: typeof repository.pushed_at === 'number'
+      ? toApiDate(new Date(repository.pushed_at * 1000).toISOString())
+      : toApiDate(new Date().toISOString()),
+    commits: (payload.commits || []).map(commit => ({
+      sha: commit.id,
+      date: commit.timestamp,
+      authorName: commit.author?.name || null,
+      message: commit.message
+    }))
+  };
+}
+
+/**
+ * Assign pushed commits to the time windows their author date falls into
+ * @param {Array} commits - Commits from parsePushEvent
+ * @param {Array} timeWindows - Time windows ({ since, until } Date objects)
+ * @returns {Array<Array>} Commits per time window (same order as timeWindows)
+ */
+export function assignCommitsToWindows(commits, timeWindows) {
+  return timeWindows.map(({ since, until }) => commits.filter(commit => {
+    const time = new Date(commit.date).getTime();
+    return time >= since.getTime() && time <= until.getTime();
+  }));
+}
@@ -0,0 +1,55 @@
+/**
+ * Map items with an async function, running at most `limit` calls at the same time
+ * Results keep the order of the input items regardless of completion order.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (>= 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Create a limiter allowing at most `limit` tasks to run at the same time
+ * Further tasks wait in FIFO order until a running task settles.
+ * @param {number} limit - Maximum number of concurrent tasks (>= 1)
+ * @returns {Function} run(task) - Runs the async task when a slot is free, resolves with its result
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const release = () => {
+    active--;
+    if (queue.length > 0) {
+      active++;
+      queue.shift()();
+    }
+  };
+
+  return async function run(task) {
+    if (active >= limit) {
+      await new Promise(resolve => queue.push(resolve));
+    } else {
+      active++;
+    }
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
@@ -15,19 +15,51 @@ export default {
           </div>
           <div class="status-item">
             <span class="label">Time Window:</span>
-            <span class="value">{{ getTimeWindowDisplay() }}</span>
+            <select
+              v-if="stats.timeWindows && stats.timeWindows.length > 1"
+              v-model="selectedWindow"
+              @change="fetchStats"
+              class="window-select"
+            >
+              <option value="all">All windows (combined)</option>
+              <option v-for="tw in stats.timeWindows" :key="tw.index" :value="String(tw.index)">
+                {{ formatTimeWindow(tw) }}
+              </option>
+            </select>
+            <span v-else class="value">{{ getTimeWindowDisplay() }}</span>
+          </div>
+          <div v-if="stats.assignments && stats.assignments.length > 0" class="status-item">
+            <span class="label">Assignment:</span>
+            <select v-model="selectedAssignment" class="window-select">
+              <option value="all">All repositories</option>
+              <option v-for="assignment in stats.assignments" :key="assignment.name" :value="assignment.name">
+                {{ assignment.name }} ({{ assignment.activeRepositories }}/{{ assignment.repositoryCount }} active)
+              </option>
+            </select>
+          </div>
+          <div v-if="lessons" class="status-item">
+            <span class="label">Lesson:</span>
+            <button @click="selectLesson(selectedLessonNumber - 1)" :disabled="selectedLessonNumber <= 1" class="btn-lesson">◀</button>
+            <span class="value">{{ selectedLessonNumber }} / {{ lessons.lessonCount }}</span>
+            <button @click="selectLesson(selectedLessonNumber + 1)" :disabled="selectedLessonNumber >= lessons.currentLesson" class="btn-lesson">▶</button>
+            <button v-if="lessons.selectedLesson !== null" @click="selectLesson(null)" class="btn-lesson">Current</button>
           </div>
           <div class="status-item">
             <span class="label">Last Update:</span>
             <span class="value">{{ getLastUpdateTime() }}</span>
           </div>
           <div class="status-item">
-            <button @click="refreshData" class="btn-refresh">
-              🔄 Refresh
+            <button @click="refreshData" :disabled="pendingRunId !== null" class="btn-refresh">
+              {{ pendingRunId !== null ? '⏳ Refreshing...' : '🔄 Refresh' }}
             </button>
           </div>
         </div>
 
+        <!-- Warnings (API budget, failed requests) -->
+        <div v-if="warnings.length > 0" class="warning-banner">
+          <p v-for="warning in warnings" :key="warning">⚠️ {{ warning }}</p>
+        </div>
+
         <!-- Loading State -->
         <div v-if="loading" class="loading">
           <p>⏳ Loading data...</p>
@@ -74,17 +106,35 @@ export default {
               </tr>
             </thead>
             <tbody>
-              <tr v-for="repo in sortedRepositories" :key="repo.name" class="repo-row">
+              <template v-for="repo in sortedRepositories" :key="repo.name">
+              <tr class="repo-row">
                 <td class="repo-name">
                   <a :href="repo.url" target="_blank" rel="noopener noreferrer">
                     {{ repo.name }}
                   </a>
+                  <span v-if="repo.rosterStudent" class="student-marker" :title="repo.student || ''">
+                    👤 {{ repo.rosterStudent.name }}<template v-if="repo.rosterStudent.group"> ({{ repo.rosterStudent.group }})</template>
+                  </span>
+                  <span v-else-if="repo.student" class="student-marker">👤 {{ repo.student }}</span>
+                  <span v-if="repo.incomplete" class="incomplete-marker" :title="(repo.errors || []).join('\n')">⚠️ incomplete</span>
+                  <div v-if="repo.commitsPerBranch && Object.keys(repo.commitsPerBranch).length > 0" class="branch-list">
+                    <span v-for="(count, branch) in repo.commitsPerBranch" :key="branch" class="branch-marker">🌿 {{ branch }} ({{ count }})</span>
+                  </div>
+                  <button v-if="repo.authors && repo.authors.length > 0" @click="toggleAuthors(repo.name)" class="btn-authors">
+                    {{ expandedRepositories[repo.name] ? '▾' : '▸' }} 👥 {{ repo.authors.length }} {{ repo.authors.length === 1 ? 'author' : 'authors' }}
+                  </button>
                 </td>
                 <td class="text-right">
                   <span class="badge badge-primary">{{ repo.commitCount }}</span>
                 </td>
                 <td class="text-right">
                   <span class="badge badge-info">{{ repo.totalLinesChanged }}</span>
+                  <div v-if="repo.excludedLines > 0" class="excluded-lines" :title="formatExcludedRules(repo.excludedLinesByRule)">
+                    {{ repo.excludedLines }} excluded
+                  </div>
+                  <div v-if="repo.template && repo.template.lines > 0" class="excluded-lines" :title="formatTemplateExclusions(repo.template)">
+                    {{ repo.template.lines }} starter code
+                  </div>
                 </td>
                 <td class="text-right">
                   <span class="badge badge-success">+{{ repo.totalAdditions }}</span>
@@ -99,6 +149,41 @@ export default {
                   {{ formatLastCommitDate(repo.lastCommitDate) }}
                 </td>
               </tr>
+              <!-- Stats per author (expandable) -->
+              <tr v-if="expandedRepositories[repo.name]" class="author-row">
+                <td colspan="7">
+                  <table class="author-table">
+                    <thead>
+                      <tr>
+                        <th>Author</th>
+                        <th class="text-right">Commits</th>
+                        <th class="text-right">Additions</th>
+                        <th class="text-right">Deletions</th>
+                        <th>First Commit</th>
+                        <th>Last Commit</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr v-for="author in repo.authors" :key="author.key">
+                        <td>
+                          {{ author.rosterStudent ? author.rosterStudent.name : author.name }}
+                          <span v-if="author.login && author.login !== author.name" class="author-login">@{{ author.login }}</span>
+                          <span v-if="author.rosterStudent && author.rosterStudent.name !== author.name" class="author-login">{{ author.name }}</span>
+                          <span v-if="author.bot" class="author-login">bot</span>
+                          <span v-if="stats.roster && !author.rosterStudent && !author.bot" class="incomplete-marker">not in roster</span>
+                          <span v-if="author.foreign" class="incomplete-marker" :title="'Repository of ' + repo.owners.map(owner => owner.name).join(', ')">not owner</span>
+                        </td>
+                        <td class="text-right">{{ author.commitCount }}</td>
+                        <td class="text-right">+{{ author.additions }}</td>
+                        <td class="text-right">-{{ author.deletions }}</td>
+                        <td>{{ formatLastCommitDate(author.firstCommitDate) }}</td>
+                        <td>{{ formatLastCommitDate(author.lastCommitDate) }}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </td>
+              </tr>
+              </template>
             </tbody>
           </table>
 
@@ -107,11 +192,36 @@ export default {
             <p>
               <strong>Total:</strong>
               {{ totalCommits }} commits |
-              {{ totalLinesChanged }} lines changed |
-              Across {{ stats.repositories.length }} repositories
+              {{ totalLinesChanged }} lines changed
+              <span v-if="totalExcludedLines > 0">({{ totalExcludedLines }} excluded by path rules)</span> |
+              Across {{ filteredRepositories.length }} repositories
             </p>
           </div>
         </div>
+
+        <!-- Repositories and commit authors the roster does not know -->
+        <details v-if="stats.roster && (stats.roster.unmatchedRepositories.length > 0 || stats.roster.unmatchedAuthors.length > 0)" class="excluded-repos">
+          <summary>👥 {{ stats.roster.unmatchedRepositories.length }} repositories and {{ stats.roster.unmatchedAuthors.length }} authors not in roster</summary>
+          <ul>
+            <li v-for="name in stats.roster.unmatchedRepositories" :key="'repo-' + name">{{ name }}</li>
+            <li v-for="author in stats.roster.unmatchedAuthors" :key="'author-' + (author.login || author.email || author.name)">
+              {{ author.name }}<template v-if="author.login"> @{{ author.login }}</template><template v-else-if="author.email"> &lt;{{ author.email }}&gt;</template>
+              <span class="exclusion-reason">commits in {{ author.repositories.join(', ') }}</span>
+            </li>
+          </ul>
+        </details>
+
+        <!-- Repositories left out by the organization's "repositories" filter -->
+        <details v-if="stats.excludedRepositories && stats.excludedRepositories.length > 0" class="excluded-repos">
+          <summary>🚫 {{ stats.excludedRepositories.length }} repositories excluded by filter</summary>
+          <ul>
+            <li v-for="repo in stats.excludedRepositories" :key="repo.name">
+              <a v-if="repo.url" :href="repo.url" target="_blank" rel="noopener noreferrer">{{ repo.name }}</a>
+              <span v-else>{{ repo.name }}</span>
+              <span class="exclusion-reason">{{ repo.reason }}</span>
+            </li>
+          </ul>
+        </details>
       </main>
 
       <!-- Auto-refresh indicator -->
@@ -126,12 +236,25 @@ export default {
       stats: {
         organization: null,
         timeWindow: {},
+        timeWindows: [],
         lastUpdate: null,
         repositories: []
       },
       loading: true,
       refreshInterval: 30000, // 30 seconds
       refreshTimer: null,
+      // Run started by the refresh button, polled until its results are published
+      pendingRunId: null,
+      pendingTimer: null,
+      // Failed polls in a row, polling stops after maxPollFailures with refreshError shown
+      pollFailures: 0,
+      maxPollFailures: 5,
+      refreshError: null,
+      selectedWindow: 'all',
+      selectedAssignment: 'all',
+      // Repositories whose per-author stats are shown
+      expandedRepositories: {},
+      lessons: null,
       sortBy: 'lastCommitDate',
       sortDirection: 'desc'
     };
@@ -166,72 +289,178 @@ export default {
       });
       
       return repos;
-    },
-    totalCommits() {
-      return this.stats.repositories?.reduce((sum, repo) => sum + repo.commitCount, 0) || 0;
-    },
-    totalLinesChanged() {
-      return this.stats.repositories?.reduce((sum, repo) => sum + repo.totalLinesChanged, 0) || 0;
     }
   },
 
   methods: {
+    // Returns null on success, otherwise the error message
     async fetchStats() {
       try {
         this.loading = true;
-        const response = await fetch('/api/stats');
+        const response = await fetch(`/api/stats?window=${encodeURIComponent(this.selectedWindow)}`);
+        if (!response.ok) {
+          // Selected window no longer exists (e.g. config changed), fall back to combined view
+          this.selectedWindow = 'all';
+          this.loading = false;
+          return `HTTP ${response.status}`;
+        }
         this.stats = await response.json();
         this.loading = false;
+        return null;
       } catch (error) {
         console.error('Error fetching stats:', error);
         this.loading = false;
+        return error.message;
       }
     },
 
-    refreshData() {
+    async fetchLessons() {
+      try {
+        const response = await fetch('/api/lessons');
+        // 404: organization uses fixed time windows instead of a school calendar
+        this.lessons = response.ok ? await response.json() : null;
+      } catch (error) {
+        console.error('Error fetching lessons:', error);
+        this.lessons = null;
+      }
+    },
+
+    async selectLesson(number) {
+      try {
+        await fetch('/api/lessons/select', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ lesson: number })
+        });
+        await this.fetchLessons();
+      } catch (error) {
+        console.error('Error selecting lesson:', error);
+      }
+    },
+
+    async refreshData() {
       console.log('Manual refresh triggered');
-      this.fetchStats();
+      try {
+        const response = await fetch('/api/refresh', { method: 'POST' });
+        if (!response.ok) {
+          this.fetchStats();
+          return;
+        }
+        const { runId } = await response.json();
+        this.pendingRunId = runId;
+        this.pollFailures = 0;
+        this.refreshError = null;
+        this.pollPendingRun();
+      } catch (error) {
+        console.error('Error starting refresh:', error);
+        this.refreshError = `Refresh could not be started: ${error.message}`;
+      }
+    },
+
+    async pollPendingRun() {
+      const error = await this.fetchStats();
+      if (error) {
+        this.pollFailures++;
+        if (this.pollFailures >= this.maxPollFailures) {
+          this.stopPolling(`Refresh status unavailable after ${this.pollFailures} attempts: ${error}`);
+          return;
+        }
+        // Back off while the server is unreachable: 4s, 8s, 16s, ... (at most 30s)
+        this.pendingTimer = setTimeout(() => this.pollPendingRun(), Math.min(2000 * 2 ** this.pollFailures, 30000));
+        return;
+      }
+      this.pollFailures = 0;
+
+      const finishedRunId = Math.max(this.stats.run?.runId ?? 0, this.stats.lastError?.runId ?? 0);
+      if (finishedRunId >= this.pendingRunId) {
+        this.stopPolling(null);
+        return;
+      }
+      // Neither finished, running nor queued: the server lost the run (e.g. restarted)
+      const { running, queued } = this.stats.analysis || {};
+      const known = [running, queued].some(run => run && run.runId >= this.pendingRunId);
+      if (!known) {
+        this.stopPolling(`Refresh run #${this.pendingRunId} is unknown to the server (restarted?)`);
+        return;
+      }
+      this.pendingTimer = setTimeout(() => this.pollPendingRun(), 2000);
+    },
+
+    stopPolling(error) {
+      this.pendingRunId = null;
+      this.pendingTimer = null;
+      this.refreshError = error;
     },
 
     getTimeWindowDisplay() {
+      if (this.stats.timeWindows && this.stats.timeWindows.length > 0) {
+        return this.stats.timeWindows.map(tw => this.formatTimeWindow(tw)).join(' | ');
+      }
       if (!this.stats.timeWindow) return 'N/A';
-      const tw = this.stats.timeWindow;
-      
+      return this.formatTimeWindow(this.stats.timeWindow);
+    },
+
+    formatTimeWindow(tw) {
       // Use actual calculated since/until if available
       if (tw.since && tw.until) {
         const sinceDate = new Date(tw.since);
         const untilDate = new Date(tw.until);
         
+        // Show the lesson in the organization's time zone, not the browser's
+        const timeZone = tw.timezone || undefined;
         const formatDate = (date) => {
-          const dateStr = date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: '2-digit', day: '2-digit' });
-          const timeStr = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+          const dateStr = date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: '2-digit', day: '2-digit', timeZone });
+          const timeStr = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', timeZone });
           return `${dateStr} ${timeStr}`;
         };
         
-        return `${formatDate(sinceDate)} - ${formatDate(untilDate)}`;
+        const zoneSuffix = timeZone ? ` (${timeZone})` : '';
+        return `${formatDate(sinceDate)} - ${formatDate(untilDate)}${zoneSuffix}`;
       }
       
       // Fallback to config display if calculation not available
-      return `${tw.startDay || 'N/A'} ${tw.startTime || ''} - ${tw.endDay || tw.startDay || 'N/A'} ${tw.endTime || ''}`;
+      const start = tw.startDate || tw.startDay;
+      const end = tw.endDate || tw.endDay || start;
+      return `${start || 'N/A'} ${tw.startTime || ''} - ${end || 'N/A'} ${tw.endTime || ''}`;
     },
 
     getLastUpdateTime() {
       if (!this.stats.lastUpdate) return 'N/A';
       const date = new Date(this.stats.lastUpdate);
-      return date.toLocaleTimeString('de-DE');
+      const duration = this.stats.run ? ` (run #${this.stats.run.runId}, ${(this.stats.run.durationMs / 1000).toFixed(1)}s)` : '';
+      return date.toLocaleTimeString('de-DE') + duration;
     },
 
     formatLastCommitDate(dateString) {
       if (!dateString) return 'N/A';
       const date = new Date(dateString);
-      const dateStr = date.toLocaleDateString('de-DE');
-      const timeStr = date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+      const timeZone = this.stats.timezone || undefined;
+      const dateStr = date.toLocaleDateString('de-DE', { timeZone });
+      const timeStr = date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit', timeZone });
       return `${dateStr} ${timeStr}`;
     },
 
+    toggleAuthors(repoName) {
+      this.expandedRepositories = { ...this.expandedRepositories, [repoName]: !this.expandedRepositories[repoName] };
+    },
+
+    formatTemplateExclusions(template) {
+      return template.excluded
+        .map(entry => `${entry.sha.substring(0, 7)} ${entry.filename || entry.message} (${entry.reason}): ${entry.lines} lines`)
+        .join('\n');
+    },
+
+    formatExcludedRules(linesByRule) {
+      return Object.entries(linesByRule || {})
+        .sort((a, b) => b[1] - a[1])
+        .map(([rule, lines]) => `${rule}: ${lines} lines`)
+        .join('\n');
+    },
+
     startAutoRefresh() {
       this.refreshTimer = setInterval(() => {
         this.fetchStats();
+        this.fetchLessons();
       }, this.refreshInterval);
     },
 
@@ -239,6 +468,9 @@ export default {
       if (this.refreshTimer) {
         clearInterval(this.refreshTimer);
       }
+      if (this.pendingTimer) {
+        clearTimeout(this.pendingTimer);
+      }
     },
 
     sortTable(column) {
@@ -254,9 +486,13 @@ export default {
   },
 
   computed: {
+    filteredRepositories() {
+      const repos = this.stats.repositories || [];
+      if (this.selectedAssignment === 'all') return repos;
+      return repos.filter(repo => repo.assignment === this.selectedAssignment);
+    },
     sortedRepositories() {
-      if (!this.stats.repositories) return [];
-      const repos = [...this.stats.repositories];
+      const repos = [...this.filteredRepositories];
       
       repos.sort((a, b) => {
         let aValue = a[this.sortBy];
@@ -290,10 +526,44 @@ export default {
       
       return repos;
     },
+    totalCommits() {
+      return this.filteredRepositories.reduce((sum, repo) => sum + repo.commitCount, 0);
+    },
+    totalLinesChanged() {
+      return this.filteredRepositories.reduce((sum, repo) => sum + repo.totalLinesChanged, 0);
+    },
+    totalExcludedLines() {
+      return this.filteredRepositories.reduce((sum, repo) => sum + (repo.excludedLines || 0), 0);
+    },
+    warnings() {
+      const warnings = [];
+      if (this.stats.lastError) {
+        warnings.push(`Last refresh failed: ${this.stats.lastError.message}`);
+      }
+      if (this.refreshError) {
+        warnings.push(this.refreshError);
+      }
+      const incomplete = (this.stats.repositories || []).filter(repo => repo.incomplete).length;
+      if (incomplete > 0) {
+        warnings.push(`${incomplete} repositories have incomplete data (${(this.stats.partialFailures || []).length} failed requests) - commit counts may be too low`);
+      }
+      Object.entries(this.stats.rateLimit || {}).forEach(([resource, budget]) => {
+        if (budget.limit > 0 && budget.remaining / budget.limit < 0.1) {
+          const reset = new Date(budget.reset).toLocaleTimeString('de-DE');
+          warnings.push(`GitHub API budget (${resource}) almost used up: ${budget.remaining}/${budget.limit} requests left until ${reset}`);
+        }
+      });
+      return warnings;
+    },
+    selectedLessonNumber() {
+      if (!this.lessons) return null;
+      return this.lessons.selectedLesson ?? this.lessons.currentLesson;
+    }
   },
 
   mounted() {
     this.fetchStats();
+    this.fetchLessons();
     this.startAutoRefresh();
   },
 